@@ -0,0 +1,306 @@
+/**
+ * JewelForge Collusion — strategic-voting analysis over vote matrices.
+ *
+ * Each cycle's matrix (voter × design, in the credits each voter actually
+ * moved) is folded onto the designs' authors to give agent-to-agent credit
+ * flows, which are read for three patterns:
+ *
+ *   vote trading  two agents repeatedly back each other heavily, in the
+ *                 same cycle or in return for the previous cycle's support
+ *   blocs         groups whose support for third parties moves together
+ *                 (Pearson correlation), clustered by single linkage
+ *   kingmakers    voters whose ballot alone decided the winner — without it
+ *                 another design would have won — in several cycles
+ *
+ * analyzeCollusion() returns the findings for the cycle report;
+ * collusionPenalties() turns those that involve the latest cycle into
+ * reputation penalties when the simulation opts in.
+ */
+
+const { pearsonCorr } = require('./game-logic.js');
+
+const DEFAULT_COLLUSION = {
+  // Reputation points deducted per finding; false disables penalties
+  penalty: false,
+  // Share of a voter's credits each side must give the other to count as
+  // a trade in that cycle
+  tradeThreshold: 0.3,
+  // Cycles a trade or a kingmaker must recur in before it is reported
+  minCycles: 2,
+  // Correlation of third-party support at which two voters are linked
+  blocThreshold: 0.7,
+  minBlocSize: 3,
+  // Most recent cycles analysed
+  window: 5,
+};
+
+const DEFAULT_PENALTY = { trade: 4, bloc: 2, kingmaker: 1 };
+
+// Accepts options or a bare boolean for `penalty`, and fills defaults
+function resolveCollusion(collusion) {
+  const opts =
+    typeof collusion === 'boolean'
+      ? { ...DEFAULT_COLLUSION, penalty: collusion }
+      : { ...DEFAULT_COLLUSION, ...collusion };
+  if (opts.penalty === true) opts.penalty = { ...DEFAULT_PENALTY };
+  else if (opts.penalty)
+    opts.penalty = { trade: 0, bloc: 0, kingmaker: 0, ...opts.penalty };
+  for (const key of ['minCycles', 'minBlocSize', 'window']) {
+    if (!Number.isInteger(opts[key]) || opts[key] < 1)
+      throw new Error(`Collusion ${key} must be a positive integer`);
+  }
+  for (const key of ['tradeThreshold', 'blocThreshold']) {
+    if (typeof opts[key] !== 'number' || opts[key] <= 0 || opts[key] > 1)
+      throw new Error(`Collusion ${key} must be a number in (0, 1]`);
+  }
+  return opts;
+}
+
+// ── Flows ────────────────────────────────────────────────────
+
+// Credits each voter moved to each author: flows[voter][author]
+function agentFlows(matrix, authors, n) {
+  const flows = Array.from({ length: n }, () => new Array(n).fill(0));
+  (matrix || []).forEach((row, vi) => {
+    if (vi >= n) return;
+    (row || []).forEach((c, di) => {
+      const author = authors[di];
+      if (author !== undefined && author < n && c > 0) flows[vi][author] += c;
+    });
+  });
+  return flows;
+}
+
+// Each voter's flows as shares of everything that voter moved
+function supportShares(flows) {
+  return flows.map((row) => {
+    const total = row.reduce((s, c) => s + c, 0);
+    return row.map((c) => (total ? c / total : 0));
+  });
+}
+
+// ── Detectors ────────────────────────────────────────────────
+
+/**
+ * Pairs whose mutual support reaches the threshold in at least `minCycles`
+ * cycles. Mutual support in a cycle is the smaller of the two shares, also
+ * pairing each side's support with the other's in the previous cycle so
+ * that "you backed me, now I back you" counts.
+ */
+function detectVoteTrading(shares, cycles, n, options) {
+  const { tradeThreshold, minCycles } = options;
+  const trades = [];
+  for (let i = 0; i < n; i++)
+    for (let j = i + 1; j < n; j++) {
+      const hits = [];
+      shares.forEach((s, c) => {
+        const prev = shares[c - 1];
+        const mutual = Math.max(
+          Math.min(s[i][j], s[j][i]),
+          prev ? Math.min(s[i][j], prev[j][i]) : 0,
+          prev ? Math.min(prev[i][j], s[j][i]) : 0
+        );
+        if (mutual >= tradeThreshold)
+          hits.push({ cycle: cycles[c], mutual: +mutual.toFixed(3) });
+      });
+      if (hits.length >= minCycles)
+        trades.push({
+          agents: [i, j],
+          cycles: hits.map((h) => h.cycle),
+          strength: +(
+            hits.reduce((s, h) => s + h.mutual, 0) / hits.length
+          ).toFixed(3),
+        });
+    }
+  return trades.sort((a, b) => b.strength - a.strength);
+}
+
+/**
+ * Voting blocs over the window's pooled support shares. Two voters are
+ * linked when their support for everyone else (leaving out the two of them,
+ * since neither can back themselves) correlates at the threshold; linked
+ * voters are grouped by single linkage. A group holding more than half the
+ * roster is the room's consensus rather than a faction, so is left out.
+ */
+function detectBlocs(shares, n, options) {
+  const { blocThreshold, minBlocSize } = options;
+  if (n - 2 < 3 || !shares.length) return [];
+  const pooled = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, k) =>
+      shares.reduce((s, cycle) => s + cycle[i][k], 0)
+    )
+  );
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const corr = {};
+  for (let i = 0; i < n; i++)
+    for (let j = i + 1; j < n; j++) {
+      const others = pooled[i]
+        .map((_, k) => k)
+        .filter((k) => k !== i && k !== j);
+      const r = pearsonCorr(
+        others.map((k) => pooled[i][k]),
+        others.map((k) => pooled[j][k])
+      );
+      corr[`${i}|${j}`] = r;
+      if (r >= blocThreshold) parent[find(i)] = find(j);
+    }
+  const groups = new Map();
+  for (let i = 0; i < n; i++) {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  }
+  return [...groups.values()]
+    .filter((g) => g.length >= minBlocSize && g.length <= n / 2)
+    .map((agents) => {
+      let sum = 0,
+        count = 0;
+      agents.forEach((i, a) =>
+        agents.slice(a + 1).forEach((j) => {
+          sum += corr[`${i}|${j}`];
+          count++;
+        })
+      );
+      return { agents, cohesion: +(sum / count).toFixed(3) };
+    });
+}
+
+// Index of the largest total; ties go to the lower index as in the ranking
+function leader(totals) {
+  return totals.reduce((best, v, i) => (v > totals[best] ? i : best), 0);
+}
+
+/**
+ * Voters whose ballot decided a cycle's winner: removing their credits
+ * hands the win to another design. Returns every such event; kingmakers are
+ * voters pivotal in at least `minCycles` cycles.
+ */
+function detectPivotalVotes(history) {
+  const events = [];
+  history.forEach(({ cycle, matrix, authors }) => {
+    if (!matrix?.length || !authors.length) return;
+    const totals = authors.map((_, di) =>
+      matrix.reduce((s, row) => s + ((row || [])[di] || 0), 0)
+    );
+    const winner = leader(totals);
+    matrix.forEach((row, vi) => {
+      const without = totals.map((t, di) => t - ((row || [])[di] || 0));
+      const alternative = leader(without);
+      if (alternative !== winner)
+        events.push({
+          cycle,
+          voter: vi,
+          crowned: authors[winner],
+          instead: authors[alternative],
+        });
+    });
+  });
+  return events;
+}
+
+// ── Analysis ─────────────────────────────────────────────────
+
+/**
+ * Findings over `history` ([{ cycle, matrix, authors }], oldest first,
+ * where `authors[d]` is the agent index behind design d) for the given
+ * agents. Agent indices are returned with names alongside.
+ */
+function analyzeCollusion(history, agents, options = {}) {
+  const opts = resolveCollusion(options);
+  const n = agents.length;
+  const recent = history.slice(-opts.window);
+  const cycles = recent.map((h) => h.cycle);
+  const shares = recent.map((h) =>
+    supportShares(agentFlows(h.matrix, h.authors, n))
+  );
+  const name = (i) => agents[i]?.name || `Agent ${i}`;
+
+  const trades = detectVoteTrading(shares, cycles, n, opts).map((t) => ({
+    ...t,
+    names: t.agents.map(name),
+  }));
+  const blocs = detectBlocs(shares, n, opts).map((b) => ({
+    ...b,
+    names: b.agents.map(name),
+  }));
+  const pivotal = detectPivotalVotes(recent).map((e) => ({
+    ...e,
+    voterName: name(e.voter),
+    crownedName: name(e.crowned),
+    insteadName: name(e.instead),
+  }));
+  const byVoter = new Map();
+  pivotal.forEach((e) => {
+    if (!byVoter.has(e.voter)) byVoter.set(e.voter, []);
+    byVoter.get(e.voter).push(e.cycle);
+  });
+  const kingmakers = [...byVoter.entries()]
+    .filter(([, cs]) => new Set(cs).size >= opts.minCycles)
+    .map(([agent, cs]) => ({ agent, name: name(agent), cycles: cs }))
+    .sort((a, b) => a.agent - b.agent);
+
+  return {
+    cycles,
+    trades,
+    blocs,
+    kingmakers,
+    pivotal: pivotal.filter((e) => e.cycle === cycles[cycles.length - 1]),
+  };
+}
+
+/**
+ * Reputation penalties for the findings that involve `cycle`: trades that
+ * recurred in it, blocs (which describe the whole window) and kingmakers
+ * pivotal in it. Returns [{ agent, name, points, reasons }].
+ */
+function collusionPenalties(
+  analysis,
+  agents,
+  cycle,
+  penalty = DEFAULT_PENALTY
+) {
+  const byAgent = new Map();
+  const charge = (agent, points, reason) => {
+    if (!points) return;
+    if (!byAgent.has(agent))
+      byAgent.set(agent, {
+        agent,
+        name: agents[agent]?.name || `Agent ${agent}`,
+        points: 0,
+        reasons: [],
+      });
+    const entry = byAgent.get(agent);
+    entry.points += points;
+    entry.reasons.push(reason);
+  };
+  analysis.trades
+    .filter((t) => t.cycles.includes(cycle))
+    .forEach((t) =>
+      t.agents.forEach((a, k) =>
+        charge(a, penalty.trade, `vote trading with ${t.names[1 - k]}`)
+      )
+    );
+  analysis.blocs.forEach((b) =>
+    b.agents.forEach((a) =>
+      charge(a, penalty.bloc, `voting bloc of ${b.agents.length}`)
+    )
+  );
+  analysis.kingmakers
+    .filter((k) => k.cycles.includes(cycle))
+    .forEach((k) => charge(k.agent, penalty.kingmaker, 'kingmaker'));
+  return [...byAgent.values()].sort((a, b) => a.agent - b.agent);
+}
+
+module.exports = {
+  DEFAULT_COLLUSION,
+  DEFAULT_PENALTY,
+  resolveCollusion,
+  agentFlows,
+  supportShares,
+  detectVoteTrading,
+  detectBlocs,
+  detectPivotalVotes,
+  analyzeCollusion,
+  collusionPenalties,
+};
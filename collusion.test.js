@@ -0,0 +1,227 @@
+/**
+ * JewelForge Collusion — Test Suite
+ *
+ * Run with: node --test collusion.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_COLLUSION,
+  DEFAULT_PENALTY,
+  resolveCollusion,
+  agentFlows,
+  analyzeCollusion,
+  collusionPenalties,
+} = require('./collusion.js');
+
+function makeAgents(n) {
+  return Array.from({ length: n }, (_, i) => ({ name: `Agent${i}` }));
+}
+
+// One cycle where design d is authored by agent d
+function cycle(n, matrix) {
+  return { cycle: n, matrix, authors: matrix.map((_, i) => i) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS AND FLOWS
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveCollusion', () => {
+  it('fills defaults and expands penalty: true', () => {
+    assert.deepEqual(resolveCollusion(), DEFAULT_COLLUSION);
+    assert.deepEqual(resolveCollusion(true).penalty, DEFAULT_PENALTY);
+    assert.deepEqual(resolveCollusion({ penalty: { trade: 10 } }).penalty, {
+      trade: 10,
+      bloc: 0,
+      kingmaker: 0,
+    });
+  });
+
+  it('rejects out-of-range settings', () => {
+    assert.throws(() => resolveCollusion({ window: 0 }), /window/);
+    assert.throws(
+      () => resolveCollusion({ tradeThreshold: 1.5 }),
+      /tradeThreshold/
+    );
+  });
+});
+
+describe('agentFlows', () => {
+  it('folds voter × design credits onto the designs’ authors', () => {
+    const flows = agentFlows(
+      [
+        [10000, 0, 0],
+        [0, 3000, 7000],
+      ],
+      [1, 0, 0],
+      2
+    );
+    assert.deepEqual(flows, [
+      [0, 10000],
+      [10000, 0],
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. DETECTORS
+// ═══════════════════════════════════════════════════════════════
+
+describe('vote trading', () => {
+  // Agents 0 and 1 back each other; 2 and 3 spread their credits
+  const traded = [
+    [0, 6000, 2000, 2000],
+    [5000, 0, 2500, 2500],
+    [4000, 4000, 0, 2000],
+    [4000, 4000, 2000, 0],
+  ];
+
+  it('flags pairs that back each other in enough cycles', () => {
+    const analysis = analyzeCollusion(
+      [cycle(1, traded), cycle(2, traded)],
+      makeAgents(4)
+    );
+    assert.equal(analysis.trades.length, 1);
+    assert.deepEqual(analysis.trades[0].agents, [0, 1]);
+    assert.deepEqual(analysis.trades[0].names, ['Agent0', 'Agent1']);
+    assert.deepEqual(analysis.trades[0].cycles, [1, 2]);
+    assert.equal(analysis.trades[0].strength, 0.5);
+  });
+
+  it('counts support returned a cycle later', () => {
+    const give = [
+      [0, 8000, 1000, 1000],
+      [0, 0, 5000, 5000],
+      [5000, 0, 0, 5000],
+      [5000, 0, 5000, 0],
+    ];
+    const repay = [
+      [0, 0, 5000, 5000],
+      [8000, 0, 1000, 1000],
+      [5000, 0, 0, 5000],
+      [5000, 0, 5000, 0],
+    ];
+    const { trades } = analyzeCollusion(
+      [cycle(1, give), cycle(2, repay), cycle(3, give)],
+      makeAgents(4)
+    );
+    assert.deepEqual(
+      trades.find((t) => t.agents[0] === 0 && t.agents[1] === 1)?.cycles,
+      [2, 3]
+    );
+  });
+
+  it('ignores a single cycle of mutual support', () => {
+    const { trades } = analyzeCollusion([cycle(1, traded)], makeAgents(4));
+    assert.deepEqual(trades, []);
+  });
+});
+
+describe('voting blocs', () => {
+  // Agents 0–2 back 3, 4 and 5 in the same proportions; 3–5 vote apart
+  const matrix = [
+    [0, 0, 0, 6000, 3000, 1000],
+    [0, 0, 0, 6000, 3000, 1000],
+    [0, 0, 0, 6000, 3000, 1000],
+    [6000, 0, 0, 0, 0, 4000],
+    [0, 6000, 0, 0, 0, 4000],
+    [5000, 0, 0, 0, 5000, 0],
+  ];
+
+  it('clusters voters whose support for third parties correlates', () => {
+    const { blocs } = analyzeCollusion([cycle(1, matrix)], makeAgents(6));
+    assert.equal(blocs.length, 1);
+    assert.deepEqual(blocs[0].agents, [0, 1, 2]);
+    assert.equal(blocs[0].cohesion, 1);
+  });
+
+  it('treats a majority backing the same designs as consensus', () => {
+    const { blocs } = analyzeCollusion([cycle(1, matrix)], makeAgents(6), {
+      minBlocSize: 2,
+      blocThreshold: 0.01,
+    });
+    blocs.forEach((b) => assert.ok(b.agents.length <= 3));
+  });
+});
+
+describe('kingmakers', () => {
+  // Design 1 wins 11,000 to 10,000; without voter 0 design 0 wins
+  const matrix = [
+    [0, 6000, 4000],
+    [5000, 0, 5000],
+    [5000, 5000, 0],
+  ];
+
+  it('records voters whose ballot decided the winner', () => {
+    const { pivotal } = analyzeCollusion([cycle(1, matrix)], makeAgents(3));
+    assert.deepEqual(
+      pivotal.map((e) => [e.voter, e.crowned, e.instead]),
+      [
+        [0, 1, 0],
+        [2, 1, 2],
+      ]
+    );
+  });
+
+  it('names kingmakers pivotal in enough cycles', () => {
+    const quiet = [
+      [0, 5000, 5000],
+      [10000, 0, 0],
+      [10000, 0, 0],
+    ];
+    const { kingmakers, pivotal } = analyzeCollusion(
+      [cycle(1, matrix), cycle(2, quiet), cycle(3, matrix)],
+      makeAgents(3)
+    );
+    assert.deepEqual(
+      kingmakers.map((k) => [k.name, k.cycles]),
+      [
+        ['Agent0', [1, 3]],
+        ['Agent2', [1, 3]],
+      ]
+    );
+    // Only the latest cycle's pivotal ballots are reported
+    assert.ok(pivotal.every((e) => e.cycle === 3));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. PENALTIES
+// ═══════════════════════════════════════════════════════════════
+
+describe('collusionPenalties', () => {
+  const agents = makeAgents(4);
+  const analysis = {
+    trades: [{ agents: [0, 1], names: ['Agent0', 'Agent1'], cycles: [1, 2] }],
+    blocs: [],
+    kingmakers: [
+      { agent: 1, name: 'Agent1', cycles: [2, 3] },
+      { agent: 3, name: 'Agent3', cycles: [1, 2] },
+    ],
+  };
+
+  it('charges only findings that involve the cycle', () => {
+    assert.deepEqual(collusionPenalties(analysis, agents, 3), [
+      { agent: 1, name: 'Agent1', points: 1, reasons: ['kingmaker'] },
+    ]);
+    assert.deepEqual(
+      collusionPenalties(analysis, agents, 2).map((p) => [p.agent, p.points]),
+      [
+        [0, 4],
+        [1, 5],
+        [3, 1],
+      ]
+    );
+  });
+
+  it('skips findings with no points configured', () => {
+    const penalty = resolveCollusion({ penalty: { trade: 3 } }).penalty;
+    assert.deepEqual(
+      collusionPenalties(analysis, agents, 2, penalty).map((p) => p.reasons),
+      [['vote trading with Agent1'], ['vote trading with Agent0']]
+    );
+  });
+});
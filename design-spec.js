@@ -0,0 +1,305 @@
+/**
+ * JewelForge Design Spec — a typed description of each design.
+ *
+ * Blueprints describe the piece as a spec rather than free text:
+ *
+ *   metal       { type, karat (gold only), color (gold only), finish }
+ *   stones      [{ type, cut, carats, count, setting, role, lab }]; carats
+ *               are per stone, and for earrings count is per earring
+ *   dimensions  { widthMm, heightMm, depthMm }
+ *   weightGrams metal weight; the category's typical weight when omitted
+ *   texture, motif, closure (closures depend on the category)
+ *
+ * The vocabulary follows the materials catalogue, so every spec can be
+ * costed. Everything downstream is derived from the spec with no LLM call:
+ * the materials text the bill of materials and manufacturing checks read,
+ * the image prompt, the one-line summary in cycle reports and the text the
+ * pattern bank indexes. The blueprint schema lives in schemas.js.
+ */
+
+const { STONES, CUTS, SETTINGS } = require('./materials.js');
+
+// ── Vocabulary ───────────────────────────────────────────────
+
+const METAL_TYPES = [
+  'gold',
+  'platinum',
+  'palladium',
+  'silver',
+  'vermeil',
+  'gold-filled',
+  'titanium',
+  'steel',
+  'brass',
+];
+const KARATS = [10, 14, 18, 22];
+const GOLD_COLORS = ['yellow', 'white', 'rose'];
+const METAL_FINISHES = [
+  'high polish',
+  'satin',
+  'brushed',
+  'matte',
+  'sandblasted',
+  'oxidised',
+  'enamel',
+];
+const STONE_TYPES = STONES.map((s) => s.id);
+const STONE_CUTS = CUTS.map((c) => c.id);
+const STONE_SETTINGS = SETTINGS.map((s) => s.id);
+const STONE_ROLES = ['center', 'side', 'accent'];
+const TEXTURES = [
+  'smooth',
+  'hammered',
+  'granulated',
+  'engraved',
+  'filigree',
+  'reticulated',
+  'organic',
+];
+
+const CLOSURES = {
+  Ring: ['none'],
+  Pendant: ['bail', 'hidden bail', 'integrated loop'],
+  Earrings: [
+    'post and butterfly',
+    'post and screw back',
+    'hook',
+    'lever-back',
+    'hinged hoop',
+    'clip-on',
+  ],
+  Bracelet: [
+    'box clasp',
+    'lobster clasp',
+    'toggle',
+    'hinged',
+    'open cuff',
+    'slide clasp',
+  ],
+};
+const ALL_CLOSURES = [...new Set(Object.values(CLOSURES).flat())];
+
+// Typical outline of each category, in millimetres
+const DEFAULT_DIMENSIONS = {
+  Ring: { widthMm: 20, heightMm: 22, depthMm: 6 },
+  Pendant: { widthMm: 18, heightMm: 28, depthMm: 5 },
+  Earrings: { widthMm: 10, heightMm: 24, depthMm: 5 },
+  Bracelet: { widthMm: 65, heightMm: 55, depthMm: 8 },
+};
+
+// ── Validation ───────────────────────────────────────────────
+
+// Problems the schema subset cannot express, or null
+function metalProblem(metal) {
+  const gold = metal.type === 'gold';
+  if (gold && metal.karat === undefined) return 'gold needs a karat';
+  if (!gold && metal.karat !== undefined)
+    return `karat applies to gold, not ${metal.type}`;
+  if (!gold && metal.color !== undefined)
+    return `color applies to gold, not ${metal.type}`;
+  return null;
+}
+
+function stoneProblem(stone) {
+  return stone.type !== 'pearl' && !stone.cut
+    ? `${stone.type} needs a cut`
+    : null;
+}
+
+// The closure must suit the category: rings have none, earrings need one
+function closureProblem(spec, cat) {
+  const allowed = CLOSURES[cat];
+  if (!allowed || !spec?.closure || allowed.includes(spec.closure)) return null;
+  return `${spec.closure} closure does not suit ${cat} (use ${allowed.join(', ')})`;
+}
+
+/**
+ * The spec with its closure fitted to `cat`: a category imposed after the
+ * blueprint was validated keeps the rest of the spec and takes the
+ * category's usual closure.
+ */
+function conformSpec(spec, cat) {
+  return closureProblem(spec, cat)
+    ? { ...spec, closure: CLOSURES[cat][0] }
+    : spec;
+}
+
+// ── Derived text ─────────────────────────────────────────────
+
+// "18K rose gold", "sterling silver", "gold vermeil"
+function metalName(metal) {
+  switch (metal.type) {
+    case 'gold':
+      return `${metal.karat}K ${metal.color || 'yellow'} gold`;
+    case 'silver':
+      return 'sterling silver';
+    case 'vermeil':
+      return 'gold vermeil';
+    default:
+      return metal.type;
+  }
+}
+
+// "satin 18K rose gold"
+const finishedMetal = (metal) =>
+  `${metal.finish ? `${metal.finish} ` : ''}${metalName(metal)}`;
+
+// "bezel-set 3 x 0.25ct oval lab-grown sapphire"; pearls have no cut or
+// carat weight
+function stoneText(stone) {
+  const pearl = stone.type === 'pearl';
+  return [
+    `${stone.setting}-set`,
+    stone.count > 1 ? `${stone.count} x` : null,
+    pearl ? null : `${stone.carats}ct`,
+    pearl ? null : stone.cut,
+    stone.lab ? 'lab-grown' : null,
+    stone.type.replace('-', ' '),
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Centre stones first, then side stones, then accents
+const orderedStones = (spec) =>
+  [...(spec.stones || [])].sort(
+    (a, b) =>
+      STONE_ROLES.indexOf(a.role || 'center') -
+      STONE_ROLES.indexOf(b.role || 'center')
+  );
+
+/**
+ * The materials text for the bill of materials and manufacturing checks,
+ * written the way parseMaterials() reads it: "satin 18K rose gold,
+ * bezel-set 1ct oval sapphire, pavé-set 20 x 0.01ct round brilliant
+ * diamond".
+ */
+function specMaterials(spec) {
+  return [
+    finishedMetal(spec.metal),
+    ...orderedStones(spec).map(stoneText),
+  ].join(', ');
+}
+
+// The form concept with the spec's motif and texture, as the pattern bank
+// and the similarity search read it
+function specForm(spec, form = '') {
+  return [
+    form,
+    spec.motif ? `${spec.motif} motif` : null,
+    spec.texture && spec.texture !== 'smooth'
+      ? `${spec.texture} texture`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+const dimensionText = (d) =>
+  d ? `${d.widthMm}×${d.heightMm}${d.depthMm ? `×${d.depthMm}` : ''} mm` : '';
+
+/**
+ * The image generation prompt: metal and category, form, stones, surface,
+ * motif, closure and size, then the photography direction every backend
+ * expects.
+ */
+function specImagePrompt(spec, { cat = 'Ring', form = '' } = {}) {
+  return [
+    `${finishedMetal(spec.metal)} ${cat.toLowerCase()}`,
+    form,
+    ...orderedStones(spec).map(stoneText),
+    spec.texture && spec.texture !== 'smooth'
+      ? `${spec.texture} surface`
+      : null,
+    spec.motif ? `${spec.motif} motif` : null,
+    spec.closure && spec.closure !== 'none' ? `${spec.closure} closure` : null,
+    dimensionText(spec.dimensions),
+    'macro product photography, soft studio lighting',
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// One line for cycle reports
+function specSummary(spec) {
+  const stones = orderedStones(spec).map(stoneText);
+  return [
+    finishedMetal(spec.metal),
+    stones.length ? stones.join('; ') : 'no stones',
+    [
+      dimensionText(spec.dimensions),
+      spec.weightGrams ? `${spec.weightGrams}g` : null,
+    ]
+      .filter(Boolean)
+      .join(', '),
+    spec.texture && spec.texture !== 'smooth'
+      ? `${spec.texture} texture`
+      : null,
+    spec.motif ? `${spec.motif} motif` : null,
+    spec.closure && spec.closure !== 'none' ? `${spec.closure} closure` : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// The allowed values, for blueprint prompts
+function specGuide() {
+  return [
+    `Metals: ${METAL_TYPES.join(', ')} (gold takes a karat of ${KARATS.join('/')} and a color of ${GOLD_COLORS.join('/')}).`,
+    `Finishes: ${METAL_FINISHES.join(', ')}. Textures: ${TEXTURES.join(', ')}.`,
+    `Stones: ${STONE_TYPES.join(', ')}.`,
+    `Cuts: ${STONE_CUTS.join(', ')} (pearls take none). Settings: ${STONE_SETTINGS.join(', ')}. Roles: ${STONE_ROLES.join(', ')}.`,
+    `Closures: ${Object.entries(CLOSURES)
+      .map(([cat, list]) => `${cat} ${list.join('/')}`)
+      .join('; ')}.`,
+  ].join('\n');
+}
+
+// ── Fallback ─────────────────────────────────────────────────
+
+/**
+ * The spec of a blueprint the LLM could not supply: the genome's metal
+ * (platinum above platBias 60, else 14K yellow gold), no stones, and the
+ * category's usual outline and closure.
+ */
+function fallbackSpec(agent = {}, cat = 'Ring') {
+  const metal =
+    (agent.platBias ?? 50) > 60
+      ? { type: 'platinum', finish: 'high polish' }
+      : { type: 'gold', karat: 14, color: 'yellow', finish: 'high polish' };
+  return {
+    metal,
+    stones: [],
+    dimensions: { ...(DEFAULT_DIMENSIONS[cat] || DEFAULT_DIMENSIONS.Ring) },
+    texture: 'smooth',
+    motif: '',
+    closure: (CLOSURES[cat] || CLOSURES.Ring)[0],
+  };
+}
+
+module.exports = {
+  METAL_TYPES,
+  KARATS,
+  GOLD_COLORS,
+  METAL_FINISHES,
+  STONE_TYPES,
+  STONE_CUTS,
+  STONE_SETTINGS,
+  STONE_ROLES,
+  TEXTURES,
+  CLOSURES,
+  ALL_CLOSURES,
+  DEFAULT_DIMENSIONS,
+  metalProblem,
+  stoneProblem,
+  closureProblem,
+  conformSpec,
+  metalName,
+  stoneText,
+  specMaterials,
+  specForm,
+  specImagePrompt,
+  specSummary,
+  specGuide,
+  fallbackSpec,
+};
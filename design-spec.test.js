@@ -0,0 +1,199 @@
+/**
+ * JewelForge Design Spec — Test Suite
+ *
+ * Run with: node --test design-spec.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CLOSURES,
+  conformSpec,
+  specMaterials,
+  specForm,
+  specImagePrompt,
+  specSummary,
+  specGuide,
+  fallbackSpec,
+} = require('./design-spec.js');
+const { DESIGN_SPEC_SCHEMA, validate } = require('./schemas.js');
+const { billOfMaterials } = require('./materials.js');
+const { checkManufacturability } = require('./manufacturing.js');
+
+const pendant = {
+  metal: { type: 'gold', karat: 18, color: 'rose', finish: 'satin' },
+  stones: [
+    {
+      type: 'diamond',
+      cut: 'round brilliant',
+      carats: 0.01,
+      count: 20,
+      setting: 'pavé',
+      role: 'accent',
+    },
+    {
+      type: 'sapphire',
+      cut: 'oval',
+      carats: 1.2,
+      count: 1,
+      setting: 'bezel',
+      role: 'center',
+      lab: true,
+    },
+  ],
+  dimensions: { widthMm: 16, heightMm: 26, depthMm: 4 },
+  weightGrams: 3.5,
+  texture: 'hammered',
+  motif: 'celestial',
+  closure: 'bail',
+};
+
+const byKind = (bom, kind) => bom.lines.filter((l) => l.kind === kind);
+
+// ═══════════════════════════════════════════════════════════════
+//  1. MATERIALS TEXT
+// ═══════════════════════════════════════════════════════════════
+
+describe('specMaterials', () => {
+  it('writes the spec as materials the catalogue can cost', () => {
+    const materials = specMaterials(pendant);
+    assert.equal(
+      materials,
+      'satin 18K rose gold, bezel-set 1.2ct oval lab-grown sapphire, pavé-set 20 x 0.01ct round brilliant diamond'
+    );
+    const bom = billOfMaterials({
+      cat: 'Pendant',
+      materials,
+      weightGrams: pendant.weightGrams,
+    });
+    assert.deepEqual(bom.unmatched, []);
+    assert.equal(bom.metal, 'gold-18k');
+    assert.equal(bom.grams, 3.5);
+    const [sapphire, diamonds] = byKind(bom, 'stone');
+    assert.equal(sapphire.label, 'Lab-grown sapphire, oval');
+    assert.equal(sapphire.qty, 1.2);
+    assert.equal(diamonds.count, 20);
+    assert.deepEqual(
+      byKind(bom, 'setting').map((l) => l.id),
+      ['bezel', 'pavé']
+    );
+  });
+
+  it('counts earring stones per earring and gives pearls no cut', () => {
+    const spec = {
+      metal: { type: 'silver', finish: 'oxidised' },
+      stones: [
+        { type: 'pearl', carats: 1, count: 1, setting: 'prong' },
+        {
+          type: 'cubic-zirconia',
+          cut: 'princess',
+          carats: 0.1,
+          count: 2,
+          setting: 'channel',
+        },
+      ],
+    };
+    const materials = specMaterials(spec);
+    assert.equal(
+      materials,
+      'oxidised sterling silver, prong-set pearl, channel-set 2 x 0.1ct princess cubic zirconia'
+    );
+    const bom = billOfMaterials({ cat: 'Earrings', materials });
+    assert.deepEqual(
+      byKind(bom, 'stone').map((l) => [l.id, l.count ?? l.qty]),
+      [
+        ['pearl', 2],
+        ['cubic-zirconia', 4],
+      ]
+    );
+    assert.deepEqual(
+      byKind(bom, 'finish').map((l) => l.id),
+      ['oxidised']
+    );
+  });
+
+  it('feeds the manufacturing checks', () => {
+    const blueprint = {
+      cat: 'Ring',
+      form: 'caged band',
+      production: 'investment casting',
+      materials: specMaterials({
+        metal: { type: 'silver', finish: 'high polish' },
+        stones: [
+          { type: 'sapphire', cut: 'oval', carats: 1, setting: 'tension' },
+        ],
+      }),
+    };
+    assert.ok(
+      checkManufacturability(blueprint).violations.some(
+        (v) => v.rule === 'tension-soft-metal'
+      )
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. PROMPTS, SUMMARIES AND PATTERN TEXT
+// ═══════════════════════════════════════════════════════════════
+
+describe('derived text', () => {
+  it('builds the image prompt from the spec alone', () => {
+    const prompt = specImagePrompt(pendant, {
+      cat: 'Pendant',
+      form: 'open crescent frame',
+    });
+    assert.equal(
+      prompt,
+      'satin 18K rose gold pendant, open crescent frame, bezel-set 1.2ct oval lab-grown sapphire, pavé-set 20 x 0.01ct round brilliant diamond, hammered surface, celestial motif, bail closure, 16×26×4 mm, macro product photography, soft studio lighting'
+    );
+    assert.equal(
+      prompt,
+      specImagePrompt(pendant, { cat: 'Pendant', form: 'open crescent frame' })
+    );
+  });
+
+  it('summarises the spec and extends the form for the pattern bank', () => {
+    assert.equal(
+      specSummary(pendant),
+      'satin 18K rose gold · bezel-set 1.2ct oval lab-grown sapphire; pavé-set 20 x 0.01ct round brilliant diamond · 16×26×4 mm, 3.5g · hammered texture · celestial motif · bail closure'
+    );
+    assert.equal(
+      specForm(pendant, 'open crescent frame'),
+      'open crescent frame, celestial motif, hammered texture'
+    );
+    assert.equal(specForm({ texture: 'smooth' }, 'band'), 'band');
+  });
+
+  it('lists the vocabulary for prompts', () => {
+    const guide = specGuide();
+    assert.match(guide, /Metals: gold, platinum/);
+    assert.match(guide, /Earrings post and butterfly\//);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. FALLBACKS AND CATEGORIES
+// ═══════════════════════════════════════════════════════════════
+
+describe('fallbackSpec and conformSpec', () => {
+  it('builds a valid spec from the genome for every category', () => {
+    for (const cat of Object.keys(CLOSURES)) {
+      const spec = fallbackSpec({ platBias: 40 }, cat);
+      assert.deepEqual(validate(DESIGN_SPEC_SCHEMA, spec), []);
+      assert.equal(spec.closure, CLOSURES[cat][0]);
+      assert.equal(
+        billOfMaterials({ cat, materials: specMaterials(spec) }).metal,
+        'gold-14k'
+      );
+    }
+    assert.equal(fallbackSpec({ platBias: 80 }).metal.type, 'platinum');
+  });
+
+  it('fits the closure to an imposed category', () => {
+    const ring = conformSpec(pendant, 'Ring');
+    assert.equal(ring.closure, 'none');
+    assert.equal(ring.metal, pendant.metal);
+    assert.equal(conformSpec(pendant, 'Pendant'), pendant);
+  });
+});
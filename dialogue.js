@@ -0,0 +1,171 @@
+/**
+ * JewelForge Dialogue — conversation formats for cross-pollination.
+ *
+ * The pairing scheduler (pairing.js) decides who sits together in each
+ * batch; a dialogue mode decides how they talk:
+ *
+ *   exchange         A opens, B replies (the original two-line format)
+ *   debate           two agents alternate for `turns` turns
+ *   critique-circle  groups of three; each speaker critiques the previous
+ *                    one and states their own direction, for `rounds` rounds
+ *   review-panel     one agent presents to `panelSize - 1` critics, each
+ *                    critiques, then the presenter responds
+ *
+ * Circles and panels are formed from a batch's pairs in order (so the
+ * topology still decides who sits together) plus that batch's byes. Every
+ * dialogue keeps its full transcript; each participant's memory gets one
+ * entry per counterpart holding that counterpart's last words.
+ */
+
+const DIALOGUE_MODES = [
+  'exchange',
+  'debate',
+  'critique-circle',
+  'review-panel',
+];
+
+const DEFAULT_DIALOGUE = {
+  mode: 'exchange',
+  turns: 4,
+  rounds: 1,
+  panelSize: 4,
+  excerptLength: 120,
+};
+
+// Accepts a mode name or { mode, turns, rounds, panelSize } and fills defaults
+function resolveDialogue(dialogue) {
+  const opts =
+    typeof dialogue === 'string'
+      ? { ...DEFAULT_DIALOGUE, mode: dialogue }
+      : { ...DEFAULT_DIALOGUE, ...dialogue };
+  if (!DIALOGUE_MODES.includes(opts.mode))
+    throw new Error(
+      `Unknown dialogue mode "${opts.mode}" (available: ${DIALOGUE_MODES.join(', ')})`
+    );
+  for (const [key, min] of [
+    ['turns', 2],
+    ['rounds', 1],
+    ['panelSize', 2],
+  ]) {
+    if (!Number.isInteger(opts[key]) || opts[key] < min)
+      throw new Error(`Dialogue ${key} must be an integer of at least ${min}`);
+  }
+  return opts;
+}
+
+// ── Groups and turn order ────────────────────────────────────
+
+// Splits `order` into groups of `size`; a lone leftover joins the last group
+function chunk(order, size) {
+  const groups = [];
+  for (let i = 0; i < order.length; i += size)
+    groups.push(order.slice(i, i + size));
+  if (groups.length > 1 && groups[groups.length - 1].length < 2)
+    groups[groups.length - 2].push(...groups.pop());
+  return groups.filter((g) => g.length >= 2);
+}
+
+/**
+ * The conversation groups for one pairing batch: the pairs themselves for
+ * exchanges and debates, otherwise the batch re-cut into circles or panels.
+ */
+function dialogueGroups(dialogue, pairs, byes = []) {
+  const { mode, panelSize } = resolveDialogue(dialogue);
+  if (mode === 'exchange' || mode === 'debate') return pairs.map((p) => [...p]);
+  const order = [...pairs.flat(), ...byes];
+  return chunk(order, mode === 'critique-circle' ? 3 : panelSize);
+}
+
+/**
+ * Speaking order for one group as [{ speaker, role }]. Roles:
+ * open, reply, rebut, present, critique, respond.
+ */
+function dialogueTurns(dialogue, group) {
+  const { mode, turns, rounds } = resolveDialogue(dialogue);
+  if (mode === 'exchange')
+    return [
+      { speaker: group[0], role: 'open' },
+      { speaker: group[1], role: 'reply' },
+    ];
+  if (mode === 'debate')
+    return Array.from({ length: turns }, (_, t) => ({
+      speaker: group[t % 2],
+      role: t === 0 ? 'open' : t === 1 ? 'reply' : 'rebut',
+    }));
+  if (mode === 'critique-circle') {
+    const plan = [];
+    for (let r = 0; r < rounds; r++)
+      group.forEach((speaker, i) =>
+        plan.push({ speaker, role: r === 0 && i === 0 ? 'open' : 'critique' })
+      );
+    return plan;
+  }
+  const [presenter, ...critics] = group;
+  return [
+    { speaker: presenter, role: 'present' },
+    ...critics.map((speaker) => ({ speaker, role: 'critique' })),
+    { speaker: presenter, role: 'respond' },
+  ];
+}
+
+// ── Memory and context ───────────────────────────────────────
+
+/**
+ * Memory entries a finished dialogue leaves: for each participant, one per
+ * counterpart (in speaking order) with that counterpart's last line.
+ * Returns [{ agentIdx, memory }]; `index` is the dialogue's position in the
+ * cycle report's `dialogues`.
+ */
+function dialogueMemories(dialogue, index, excerptLength = 120) {
+  const lastWords = new Map();
+  const names = new Map();
+  dialogue.turns.forEach((t) => {
+    lastWords.set(t.agentIdx, t.text);
+    names.set(t.agentIdx, t.agentName);
+  });
+  const speakers = [...new Set(dialogue.turns.map((t) => t.agentIdx))];
+  const entries = [];
+  dialogue.participants.forEach((agentIdx) => {
+    speakers
+      .filter((other) => other !== agentIdx)
+      .forEach((other) =>
+        entries.push({
+          agentIdx,
+          memory: {
+            cycle: dialogue.cycle,
+            partner: names.get(other),
+            excerpt: lastWords.get(other).slice(0, excerptLength),
+            mode: dialogue.mode,
+            dialogue: index,
+          },
+        })
+      );
+  });
+  return entries;
+}
+
+/**
+ * Full transcripts of the multi-turn dialogues an agent joined this cycle,
+ * for quoting in later phases. Plain exchanges are already complete in
+ * memory, so they add nothing here.
+ */
+function dialogueContext(dialogues, agentIdx) {
+  return (dialogues || [])
+    .filter((d) => d.mode !== 'exchange' && d.participants.includes(agentIdx))
+    .map(
+      (d) =>
+        `[${d.mode}: ${d.turns[0].agentName} and ${d.participants.length - 1} other${d.participants.length > 2 ? 's' : ''}]\n` +
+        d.turns.map((t) => `${t.agentName}: "${t.text}"`).join('\n')
+    )
+    .join('\n\n');
+}
+
+module.exports = {
+  DIALOGUE_MODES,
+  DEFAULT_DIALOGUE,
+  resolveDialogue,
+  dialogueGroups,
+  dialogueTurns,
+  dialogueMemories,
+  dialogueContext,
+};
@@ -0,0 +1,174 @@
+/**
+ * JewelForge Dialogue — Test Suite
+ *
+ * Run with: node --test dialogue.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_DIALOGUE,
+  resolveDialogue,
+  dialogueGroups,
+  dialogueTurns,
+  dialogueMemories,
+  dialogueContext,
+} = require('./dialogue.js');
+
+function turn(agentIdx, role, text) {
+  return { agentIdx, agentName: `Agent${agentIdx}`, role, text };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveDialogue', () => {
+  it('fills defaults from a mode name or partial options', () => {
+    assert.deepEqual(resolveDialogue(), DEFAULT_DIALOGUE);
+    assert.equal(resolveDialogue('debate').turns, 4);
+    assert.deepEqual(resolveDialogue({ mode: 'debate', turns: 6 }), {
+      ...DEFAULT_DIALOGUE,
+      mode: 'debate',
+      turns: 6,
+    });
+  });
+
+  it('rejects unknown modes and out-of-range sizes', () => {
+    assert.throws(() => resolveDialogue('salon'), /Unknown dialogue mode/);
+    assert.throws(
+      () => resolveDialogue({ mode: 'debate', turns: 1 }),
+      /turns must be an integer of at least 2/
+    );
+    assert.throws(
+      () => resolveDialogue({ mode: 'review-panel', panelSize: 1.5 }),
+      /panelSize/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. GROUPS AND TURNS
+// ═══════════════════════════════════════════════════════════════
+
+describe('dialogueGroups', () => {
+  const pairs = [
+    [0, 1],
+    [2, 3],
+    [4, 5],
+  ];
+
+  it('keeps pairs for exchanges and debates', () => {
+    assert.deepEqual(dialogueGroups('debate', pairs, [6]), pairs);
+  });
+
+  it('re-cuts a batch and its byes into circles and panels', () => {
+    assert.deepEqual(dialogueGroups('critique-circle', pairs, [6]), [
+      [0, 1, 2],
+      [3, 4, 5, 6],
+    ]);
+    assert.deepEqual(
+      dialogueGroups({ mode: 'review-panel', panelSize: 4 }, pairs),
+      [
+        [0, 1, 2, 3],
+        [4, 5],
+      ]
+    );
+  });
+});
+
+describe('dialogueTurns', () => {
+  const plan = (dialogue, group) =>
+    dialogueTurns(dialogue, group).map((t) => `${t.speaker}:${t.role}`);
+
+  it('alternates debaters for the configured number of turns', () => {
+    assert.deepEqual(plan({ mode: 'debate', turns: 5 }, [3, 7]), [
+      '3:open',
+      '7:reply',
+      '3:rebut',
+      '7:rebut',
+      '3:rebut',
+    ]);
+    assert.deepEqual(plan('exchange', [3, 7]), ['3:open', '7:reply']);
+  });
+
+  it('goes round the circle once per round', () => {
+    assert.deepEqual(plan({ mode: 'critique-circle', rounds: 2 }, [0, 1, 2]), [
+      '0:open',
+      '1:critique',
+      '2:critique',
+      '0:critique',
+      '1:critique',
+      '2:critique',
+    ]);
+  });
+
+  it('lets the presenter answer the panel last', () => {
+    assert.deepEqual(plan('review-panel', [4, 5, 6]), [
+      '4:present',
+      '5:critique',
+      '6:critique',
+      '4:respond',
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. MEMORY AND CONTEXT
+// ═══════════════════════════════════════════════════════════════
+
+describe('dialogueMemories', () => {
+  it('gives each participant the last words of every counterpart', () => {
+    const dialogue = {
+      cycle: 2,
+      mode: 'review-panel',
+      participants: [0, 1, 2],
+      turns: [
+        turn(0, 'present', 'Platinum lattice cuff.'),
+        turn(1, 'critique', 'Too heavy for daily wear.'),
+        turn(2, 'critique', 'Price it under 4,000.'),
+        turn(0, 'respond', 'Hollow the lattice, keep the price.'),
+      ],
+    };
+    const memories = dialogueMemories(dialogue, 3, 10);
+    assert.deepEqual(
+      memories.map((m) => [m.agentIdx, m.memory.partner, m.memory.excerpt]),
+      [
+        [0, 'Agent1', 'Too heavy '],
+        [0, 'Agent2', 'Price it u'],
+        [1, 'Agent0', 'Hollow the'],
+        [1, 'Agent2', 'Price it u'],
+        [2, 'Agent0', 'Hollow the'],
+        [2, 'Agent1', 'Too heavy '],
+      ]
+    );
+    assert.deepEqual(
+      [memories[0].memory.cycle, memories[0].memory.dialogue],
+      [2, 3]
+    );
+  });
+});
+
+describe('dialogueContext', () => {
+  it('quotes multi-turn dialogues the agent joined, skipping exchanges', () => {
+    const dialogues = [
+      {
+        mode: 'exchange',
+        participants: [0, 1],
+        turns: [turn(0, 'open', 'A'), turn(1, 'reply', 'B')],
+      },
+      {
+        mode: 'debate',
+        participants: [0, 2],
+        turns: [turn(0, 'open', 'Gold.'), turn(2, 'reply', 'Platinum.')],
+      },
+    ];
+    assert.equal(
+      dialogueContext(dialogues, 0),
+      '[debate: Agent0 and 1 other]\nAgent0: "Gold."\nAgent2: "Platinum."'
+    );
+    assert.equal(dialogueContext(dialogues, 1), '');
+    assert.equal(dialogueContext(undefined, 0), '');
+  });
+});
@@ -0,0 +1,2200 @@
+/**
+ * JewelForge Simulation Engine — headless epoch runner.
+ *
+ * Ports the live cycle pipeline from index.html (cross-pollination,
+ * synthesis, voting, evolution and report generation) with every DOM call
+ * removed, so complete multi-cycle epochs can run from Node in CI and batch
+ * jobs. All state that index.html keeps in globals lives on a `sim` object
+ * created by createSimulation(). Every stochastic step draws from the
+ * seeded `sim.rng`, so a seed plus recorded LLM replies replays an epoch.
+ */
+
+const {
+  GENOME_TRAITS,
+  pearsonCorr,
+  giniCoeff,
+  linearSlope,
+  pct,
+  initQTable,
+  qTableContext,
+  snapshotGenome,
+  rulesForCycle,
+  beliefFor,
+  computeTraitEffectiveness,
+  traitEffectivenessContext,
+  agentGenomeSections,
+  agentGenomeStr,
+} = require('./game-logic.js');
+const { resolveContext, assembleContext } = require('./prompt-context.js');
+const { createRng } = require('./rng.js');
+const { createImageGenerator } = require('./image-backends.js');
+const { openImageCache, buildImageManifest } = require('./image-cache.js');
+const { resolveRuleSet } = require('./rule-sets.js');
+const { createPatternStore, openPatternStore } = require('./pattern-store.js');
+const {
+  CLASSIC_PAIR_BATCHES,
+  resolvePairing,
+  schedulePairs,
+} = require('./pairing.js');
+const {
+  resolveDialogue,
+  dialogueGroups,
+  dialogueTurns,
+  dialogueMemories,
+  dialogueContext,
+} = require('./dialogue.js');
+const {
+  createPolicy,
+  policyState,
+  policyDirective,
+  shapeReward,
+} = require('./policy.js');
+const {
+  ROUND_BUDGET,
+  VOTING_MECHANISMS,
+  resolveVoting,
+  repWeight,
+  normalizeVotes,
+  fallbackWeights,
+  fallbackVotes,
+} = require('./voting.js');
+const { resolveJury, parseJuryBallots, tallyJury } = require('./jury.js');
+const {
+  billOfMaterials,
+  groundedProfit,
+  bomSummary,
+  catalogueGuide,
+} = require('./materials.js');
+const {
+  conformSpec,
+  specMaterials,
+  specForm,
+  specImagePrompt,
+  specSummary,
+  specGuide,
+  fallbackSpec,
+} = require('./design-spec.js');
+const {
+  resolveTrends,
+  trendModel,
+  trendLists,
+  trendModelContext,
+} = require('./trends.js');
+const {
+  resolveManufacturing,
+  checkManufacturability,
+  adjustMakeable,
+} = require('./manufacturing.js');
+const {
+  resolveMarket,
+  simulateMarket,
+  blendMarketCredits,
+} = require('./market.js');
+const {
+  resolveCollusion,
+  analyzeCollusion,
+  collusionPenalties,
+} = require('./collusion.js');
+const {
+  BLUEPRINT_SCHEMA,
+  EVOLUTION_SCHEMA,
+  trendSchema,
+  checkReply,
+} = require('./schemas.js');
+
+// ── Constants ────────────────────────────────────────────────
+
+const CATEGORIES = ['Ring', 'Pendant', 'Earrings', 'Bracelet'];
+const STRATEGIES = ['exploit', 'explore', 'mutate'];
+const DESIGN_EMOJIS = [
+  '⬡',
+  '🌑',
+  '✨',
+  '🔷',
+  '💍',
+  '🌹',
+  '💙',
+  '⚡',
+  '💎',
+  '🦴',
+  '🌸',
+  '🔥',
+  '🌿',
+  '💛',
+  '⭐',
+  '🔶',
+];
+const STARTING_CREDITS = 100000;
+const SYNTHESIS_BATCH_SIZE = 3;
+
+// ── Simulation state ─────────────────────────────────────────
+
+// `images` is a backend chain ('procedural', ['higgsfield', ...]) or the
+// options createImageGenerator() takes, where `cache` may be a directory
+function imageGenerator(images, log) {
+  const opts =
+    typeof images === 'string' || Array.isArray(images)
+      ? { backends: images }
+      : images;
+  const cache =
+    typeof opts.cache === 'string' ? openImageCache(opts.cache) : opts.cache;
+  return createImageGenerator({
+    warn: (m) => log(m, 'warn'),
+    ...opts,
+    cache,
+  });
+}
+
+function createSimulation(roster, options = {}) {
+  const rng =
+    options.rng || createRng(options.seed ?? Date.now(), options.rngState);
+  // Starting reputations use their own stream so a restored rngState is
+  // not consumed by roster setup
+  const repRng = rng.fork('reputation');
+  const agentStates = roster.map((a, i) => ({
+    credits: STARTING_CREDITS,
+    reputation: 45 + repRng.int(0, 29),
+    status: 'Idle',
+    bio: '',
+    ...a,
+    id: i,
+    evolutionHistory: [],
+    conversationMemory: [],
+    // Veterans from the roster library (see roster-library.js) keep the
+    // belief and trust they earned; their earlier history is in `lineage`
+    dominantBelief: a.lineage ? a.dominantBelief || '' : '',
+    trustBuilt: a.lineage ? a.trustBuilt || 0 : 0,
+  }));
+  const now = options.now || (() => new Date());
+  // A file path or an existing store carries patterns across epochs
+  const patternStore =
+    typeof options.patternStore === 'string'
+      ? openPatternStore(options.patternStore, { now })
+      : options.patternStore || createPatternStore({ now });
+  patternStore.beginEpoch(
+    options.epochId ?? `${rng.seed}@${now().toISOString()}`
+  );
+  const sim = {
+    seed: rng.seed,
+    rng,
+    cycleRngState: rng.state(),
+    cycles: options.cycles ?? 5,
+    currentCycle: 1,
+    // Named or loaded evolution rule set used when an agent has no LLM
+    // reflection; null keeps the generic fallback shifts
+    ruleSet: options.ruleSet ? resolveRuleSet(options.ruleSet) : null,
+    // Optional Q-learning policy that advises on or imposes each agent's
+    // strategy × category; its draws use a separate rng stream
+    policy: options.policy
+      ? createPolicy(options.policy, rng.fork('policy'))
+      : null,
+    policyPicks: [],
+    // Cross-pollination topology (see pairing.js) and this cycle's schedule
+    pairing: resolvePairing(options.pairing),
+    cyclePairing: null,
+    // Conversation format (see dialogue.js) and this cycle's transcripts
+    dialogue: resolveDialogue(options.dialogue),
+    cycleDialogues: [],
+    // Voting mechanism (see voting.js) and this cycle's tally
+    voting: resolveVoting(options.voting),
+    cycleVoting: null,
+    // Optional human jury (see jury.js): { weight, ballots } where ballots is
+    // a function of { cycle, designs } or an object keyed by cycle, giving
+    // CSV/JSON ballot text or parsed ballots
+    jury: options.jury ? resolveJury(options.jury) : null,
+    cycleJury: null,
+    // Simulated customer sales (see market.js), reported or blended into
+    // the credits
+    market: resolveMarket(options.market),
+    cycleMarket: null,
+    // Vote-trading, bloc and kingmaker detection (see collusion.js)
+    collusion: resolveCollusion(options.collusion),
+    // Blueprint rule checks that adjust the makeable score (see
+    // manufacturing.js)
+    manufacturing: resolveManufacturing(options.manufacturing),
+    // Token budget and section priorities for system prompts (see
+    // prompt-context.js)
+    context: resolveContext(options.context),
+    // Trend time series and regime thresholds (see trends.js), and this
+    // cycle's model
+    trends: resolveTrends(options.trends),
+    cycleTrends: null,
+    // Design imagery (see image-backends.js); none unless a backend chain
+    // or generator options are given
+    images: options.images
+      ? imageGenerator(options.images, options.log || (() => {}))
+      : null,
+    llm: options.llm || null,
+    reasks: options.reasks ?? 1,
+    log: options.log || (() => {}),
+    now,
+    agentStates,
+    cycleReports: [],
+    activeDesigns: [],
+    genomeSnapshots: [],
+    patternStore,
+    qTable: initQTable(),
+    rationaleStore: [],
+    traitEffectiveness: {},
+    cycleRationales: [],
+    replyChecks: [],
+    // Per-call record of the prompt sections kept, cut or dropped
+    contextUsage: [],
+    voteMatrix: null,
+    liveTrend: null,
+    // State at each cycle boundary, for saving and resuming (see
+    // epoch-file.js)
+    checkpoints: [],
+  };
+  sim.genomeSnapshots.push(agentStates.map((a) => snapshotGenome(a)));
+  return sim;
+}
+
+// ── LLM access ───────────────────────────────────────────────
+
+// Every section of an agent's system prompt, in prompt order
+function promptSections(sim, ag, systemPrompt) {
+  const [genome, ...history] = agentGenomeSections(ag, (id) =>
+    traitEffectivenessContext(id, sim.traitEffectiveness, sim.agentStates)
+  );
+  return [
+    {
+      id: 'identity',
+      parts: [
+        `You are ${ag.name || 'an AI agent'}, a jewelry design AI in the JewelForge simulation.`,
+      ],
+    },
+    { id: 'bio', header: 'PERSONALITY BIO:', parts: [ag.bio] },
+    genome,
+    ...history,
+    ...priorReportSections(sim, ag.id || 0, sim.context.fullReports),
+    { id: 'task', parts: [systemPrompt] },
+  ];
+}
+
+// Wraps every prompt with the agent's bio, genome and the intelligence
+// report database, within the token budget of `sim.context` (see
+// prompt-context.js), as llmCall does in index.html. `sim.llm` receives
+// (system, user, meta) and resolves to the raw reply text or null; what
+// each call's context kept, cut or dropped is recorded in
+// `sim.contextUsage`.
+async function llmCall(sim, systemPrompt, userPrompt, agent, phase) {
+  if (!sim.llm) return null;
+  const ag = agent || sim.agentStates[0];
+  const { text: fullSystem, ...usage } = assembleContext(
+    promptSections(sim, ag, systemPrompt),
+    sim.context
+  );
+  sim.contextUsage.push({
+    cycle: sim.currentCycle,
+    agentId: ag.id,
+    phase,
+    ...usage,
+  });
+  try {
+    const text = await sim.llm(fullSystem, userPrompt, {
+      agentId: ag.id,
+      agentName: ag.name,
+      phase,
+      cycle: sim.currentCycle,
+    });
+    return text || null;
+  } catch (e) {
+    sim.log(`LLM call failed for ${ag.name}: ${e.message}`, 'warn');
+    return null;
+  }
+}
+
+// Structured variant of llmCall: the reply is validated against `schema`
+// and repaired where possible. Replies that still fail are re-asked up to
+// `sim.reasks` times with the validator's errors appended; if none conform
+// the caller gets null and uses its fallback. Each outcome is recorded in
+// `sim.replyChecks` for the cycle report.
+async function llmJson(sim, schema, systemPrompt, userPrompt, agent, phase) {
+  const ag = agent || sim.agentStates[0];
+  let text = await llmCall(sim, systemPrompt, userPrompt, ag, phase);
+  let result = checkReply(schema, text);
+  const errors = [...result.errors];
+  let reasks = 0;
+  while (!result.value && text && reasks < sim.reasks) {
+    reasks++;
+    text = await llmCall(
+      sim,
+      systemPrompt,
+      `${userPrompt}\n\nYOUR PREVIOUS REPLY WAS REJECTED:\n${result.errors.map((e) => `- ${e}`).join('\n')}\nReply again with ONLY the corrected JSON.`,
+      ag,
+      phase
+    );
+    result = checkReply(schema, text);
+    errors.push(...result.errors);
+  }
+  sim.replyChecks.push({
+    cycle: sim.currentCycle,
+    agentId: ag.id,
+    phase,
+    outcome: !result.value
+      ? 'fallback'
+      : reasks > 0
+        ? 'reasked'
+        : result.repaired
+          ? 'repaired'
+          : 'valid',
+    errors,
+  });
+  return result.value;
+}
+
+function parseJsonReply(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(
+      text
+        .replace(/```json?\s*/g, '')
+        .replace(/```/g, '')
+        .trim()
+    );
+  } catch (e) {
+    return null;
+  }
+}
+
+// ── Intelligence report context ──────────────────────────────
+
+// One cycle's full report as a prompt part
+function cycleReportText(r, agentIdx) {
+  let ctx = `═══ CYCLE ${r.cycle} REPORT ═══\n`;
+  ctx += `Winner: ${r.winner.agentName}'s ${r.winner.strategy?.toUpperCase() || '?'} ${r.winner.cat || 'design'} (${r.winner.credits.toLocaleString()}⬡, ${r.winnerShare}% vote share)\n`;
+  ctx += `Total Credits Circulated: ${r.totalCredits.toLocaleString()}⬡\n`;
+  ctx += `Avg Scores: Aesthetic ${r.avgAesthetic}/100, Novelty ${r.avgNovelty}/100, Profit ${r.avgProfit}/100\n`;
+  ctx += `Top Vote Predictor: ${r.topCorr} (r=${r['corr' + r.topCorr.slice(0, 3)] ?? '?'})\n`;
+  ctx += `Gini Concentration: ${r.gini}\n`;
+  ctx += `Novelty Premium: ${r.novSlope > 0 ? '+' : ''}${r.novSlope}⬡ per novelty point above average\n`;
+
+  ctx += `\nTrend Consensus:\n`;
+  ctx += `  Emerging: ${(r.trendData?.emerging || []).join(', ')}\n`;
+  ctx += `  Declining: ${(r.trendData?.declining || []).join(', ')}\n`;
+  ctx += `  Saturation: ${r.trendData?.saturation || '—'}\n`;
+  ctx += `  Treasury Signal: ${r.trendData?.treasury || '—'}\n`;
+  ctx += `  Velocity: ${r.trendData?.velocityScore ?? '—'}/100\n`;
+
+  ctx += `\nForward Intelligence:\n`;
+  (r.trendData?.fi || []).forEach((f) => {
+    ctx += `  • ${f}\n`;
+  });
+
+  const myPerf = (r.agentPerf || []).find((a) => a.id === agentIdx);
+  if (myPerf) {
+    ctx += `\nYOUR PERFORMANCE (Cycle ${r.cycle}):\n`;
+    ctx += `  Strategy: ${myPerf.strategy} · Category: ${myPerf.cat || '—'} · Rank: #${myPerf.rank}\n`;
+    ctx += `  Earned: ${myPerf.earned.toLocaleString()}⬡ · Spent: ${myPerf.spent.toLocaleString()}⬡ · ROI: ${myPerf.roi}×\n`;
+    ctx += `  Reputation: ${myPerf.reputation} (${myPerf.repDelta >= 0 ? '+' : ''}${myPerf.repDelta})\n`;
+  }
+
+  ctx += `\nAll Designs (ranked):\n`;
+  [...r.designs]
+    .sort((a, b) => a.rank - b.rank)
+    .forEach((d) => {
+      ctx += `  #${d.rank} by ${d.agentName} — ${d.strategy.toUpperCase()} — ${d.cat} — ${d.credits.toLocaleString()}⬡ — AES:${d.aesthetic} NOV:${d.novelty} PRO:${d.profit} WEAR:${d.wearability || '?'} MFG:${d.makeable || '?'}${d.production ? ' [' + d.production + ']' : ''}${d.targetCustomer ? ' → ' + d.targetCustomer : ''}\n`;
+      if (d.spec) ctx += `     ${specSummary(d.spec)}\n`;
+    });
+
+  ctx += `\nStrategy Performance: ${Object.entries(r.stratPerf || {})
+    .map(
+      ([k, v]) =>
+        `${k.toUpperCase()}: ${v.avgCreds.toLocaleString()}⬡ avg (${v.count} designs)`
+    )
+    .join(' | ')}`;
+  return ctx;
+}
+
+// An older cycle compressed to one line: the winner, the trend signal and
+// how this agent placed
+function cycleDigest(r, agentIdx) {
+  const myPerf = (r.agentPerf || []).find((a) => a.id === agentIdx);
+  const emerging = (r.trendData?.emerging || []).slice(0, 2).join(', ');
+  const best = Object.entries(r.stratPerf || {}).sort(
+    (a, b) => b[1].avgCreds - a[1].avgCreds
+  )[0];
+  return [
+    `  C${r.cycle}: ${r.winner.agentName}'s ${r.winner.strategy?.toUpperCase() || '?'} ${r.winner.cat || 'design'} won (${r.winner.credits.toLocaleString()}⬡, ${r.winnerShare}%)`,
+    best ? `best strategy ${best[0].toUpperCase()}` : null,
+    emerging ? `emerging ${emerging}` : null,
+    `novelty ${r.novSlope > 0 ? '+' : ''}${r.novSlope}⬡/pt`,
+    myPerf
+      ? `you #${myPerf.rank} ${myPerf.strategy} ${myPerf.cat || '—'} ${myPerf.earned.toLocaleString()}⬡`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+// The intelligence context as prompt sections (see prompt-context.js). The
+// latest `fullReports` cycles are reported in full and earlier ones as
+// digests.
+function priorReportSections(sim, agentIdx, fullReports = Infinity) {
+  const { cycleReports, agentStates, rationaleStore } = sim;
+  const agent = agentStates[agentIdx] || { id: agentIdx };
+  if (cycleReports.length === 0) {
+    // Precedents stored by earlier epochs are all a first cycle can draw on
+    const precedents = sim.patternStore.retrieve(agent, 0).trim();
+    return precedents
+      ? [
+          { id: 'reports', parts: ['No intelligence reports yet this epoch.'] },
+          { id: 'precedents', parts: [precedents] },
+        ]
+      : [
+          {
+            id: 'reports',
+            parts: [
+              'No prior intelligence reports available. This is the first cycle — begin cold.',
+            ],
+          },
+        ];
+  }
+
+  const split = Math.max(0, cycleReports.length - fullReports);
+  const n = cycleReports.length;
+  const sections = [
+    {
+      id: 'digests',
+      header: 'EARLIER CYCLES (digests):',
+      parts: cycleReports.slice(0, split).map((r) => cycleDigest(r, agentIdx)),
+    },
+    {
+      id: 'reports',
+      header: `INTELLIGENCE REPORT DATABASE (${n} cycle${n > 1 ? 's' : ''} completed):`,
+      parts: cycleReports
+        .slice(split)
+        .map((r) => `\n${cycleReportText(r, agentIdx)}`),
+    },
+  ];
+
+  if (cycleReports.length >= 2) {
+    const winners = cycleReports.map(
+      (r) =>
+        `C${r.cycle}: ${r.winner.agentName}'s ${r.winner.strategy?.toUpperCase() || '?'} ${r.winner.cat || 'design'} (${(r.trendData?.emerging || [])[0] || '—'})`
+    );
+    const novTrend = cycleReports.map(
+      (r) => `C${r.cycle}: ${r.novSlope > 0 ? '+' : ''}${r.novSlope}⬡/pt`
+    );
+    const satTrend = cycleReports.map(
+      (r) => `C${r.cycle}: ${r.trendData?.saturation || '—'}`
+    );
+    sections.push({
+      id: 'trends',
+      header: '═══ MULTI-CYCLE TREND ANALYSIS ═══',
+      parts: [
+        `Winners: ${winners.join(' → ')}\nNovelty Premium Trend: ${novTrend.join(' → ')}\nSaturation Trend: ${satTrend.join(' → ')}`,
+      ],
+    });
+  }
+
+  sections.push(
+    {
+      id: 'precedents',
+      parts: [sim.patternStore.retrieve(agent, cycleReports.length).trim()],
+    },
+    { id: 'qtable', parts: [qTableContext(sim.qTable).trim()] }
+  );
+
+  const rationales = [];
+  const agentRationales = rationaleStore.filter((r) => r.agentIdx === agentIdx);
+  if (agentRationales.length > 0) {
+    let ctx = `STRATEGIC REASONING HISTORY (your past decisions and outcomes):`;
+    agentRationales.slice(-2).forEach((r) => {
+      ctx += `\n  Cycle ${r.cycle}: Strategy=${r.predictedStrategy}, Cat=${r.predictedCategory}`;
+      ctx += ` → Rank #${r.actualRank || '?'}, ${(r.creditsEarned || 0).toLocaleString()}⬡`;
+      ctx += ` · Prediction accuracy: ${r.predictionAccuracy ? (r.predictionAccuracy * 100).toFixed(0) + '%' : '?'}`;
+      ctx += `\n    Reasoning: ${(r.strategicReasoning || '—').slice(0, 120)}`;
+    });
+    rationales.push(ctx);
+  }
+  const winnerRationales = rationaleStore.filter((r) => r.actualRank === 1);
+  if (winnerRationales.length > 0) {
+    let ctx = `WINNING DESIGN RATIONALES (learn from the best):`;
+    winnerRationales.slice(-2).forEach((r) => {
+      ctx += `\n  Cycle ${r.cycle}: ${r.agentName} (${r.predictedStrategy} ${r.predictedCategory}) — ${(r.strategicReasoning || '—').slice(0, 120)}`;
+    });
+    rationales.push(ctx);
+  }
+  // Parts are kept newest-last, so the winners' rationales go first
+  sections.push({ id: 'rationales', parts: rationales.reverse() });
+
+  if (agentStates[agentIdx]) {
+    const rep = agentStates[agentIdx].reputation || 50;
+    const mult = (0.7 + (rep / 100) * 0.6).toFixed(2);
+    sections.push({
+      id: 'voteWeight',
+      parts: [
+        `YOUR VOTE WEIGHT: Reputation ${rep} → Multiplier ${mult}x (range 0.70x-1.30x)`,
+      ],
+    });
+  }
+
+  return sections;
+}
+
+// The whole intelligence context, every cycle in full
+function priorReportCtx(sim, agentIdx) {
+  return priorReportSections(sim, agentIdx)
+    .filter((s) => s.parts.some(Boolean))
+    .map((s) => [s.header, ...s.parts].filter(Boolean).join('\n'))
+    .join('\n\n');
+}
+
+// ── Agent bios ───────────────────────────────────────────────
+
+function buildFallbackBio(agent) {
+  const cats = [
+    { name: 'rings', val: agent.rings ?? 50 },
+    { name: 'necklaces', val: agent.necklaces ?? 50 },
+    { name: 'earrings', val: agent.earrings ?? 50 },
+    { name: 'bracelets', val: agent.bracelets ?? 50 },
+    { name: 'high jewelry', val: agent.highJewelry ?? 50 },
+  ].sort((a, b) => b.val - a.val);
+  const top = cats[0];
+  const second = cats[1];
+  const style =
+    agent.minimalism > 60
+      ? 'minimalist'
+      : agent.ornamentation > 60
+        ? 'ornate'
+        : 'balanced';
+  const riskWord =
+    agent.risk > 65
+      ? 'bold explorer'
+      : agent.risk < 35
+        ? 'disciplined refiner'
+        : 'adaptive strategist';
+  return `${agent.name} is a ${style} ${riskWord} with deep expertise in ${top.name}${second.val > 50 ? ' and ' + second.name : ''}. ${top.val > 70 ? 'A true specialist' : 'A versatile designer'} with ${(agent.styleTags || []).slice(0, 3).join(', ') || 'eclectic'} sensibilities, focused on ${agent.marketFocus || 'general'} markets.`;
+}
+
+async function generateAgentBio(sim, agent) {
+  const fallback = buildFallbackBio(agent);
+  if (!sim.llm) {
+    agent.bio = fallback;
+    return;
+  }
+  const genome = agentGenomeStr(agent);
+  const prompt = `Below is the raw DNA genome of a jewelry design AI agent. Write a short personality bio (3-4 sentences, ~60 words) in third person that captures who this agent IS. Include:
+- Their jewelry category specialties (which types of jewelry they excel at)
+- Their aesthetic identity and design instincts
+- Their commercial positioning and creative personality
+
+Make it vivid and specific. Do NOT list numbers or repeat the genome format. Just the bio paragraph, nothing else.
+
+${genome}`;
+
+  const bio = await llmCall(
+    sim,
+    "You are a concise creative writer for a luxury jewelry AI simulation. Bios should convey the agent's jewelry category expertise, artistic vision, and design personality. Reference their strongest jewelry categories naturally. Output ONLY the bio paragraph — no labels, no quotes, no preamble.",
+    prompt,
+    agent,
+    'bio'
+  );
+  agent.bio = bio?.trim() || fallback;
+}
+
+// ── Phase 0: cross-pollination ───────────────────────────────
+
+function getFallbackLine(agent, cycle, role) {
+  const style =
+    agent.minimalism > 60
+      ? 'minimal, structural'
+      : agent.ornamentation > 60
+        ? 'ornate, detailed'
+        : 'balanced';
+  const risk =
+    agent.risk > 65
+      ? 'pushing boundaries'
+      : agent.risk < 35
+        ? 'refining proven forms'
+        : 'adapting';
+  if (role === 'open')
+    return `Cycle ${cycle} — I'm going ${style}. ${risk}. Let's see how the market responds.`;
+  return `Interesting. My genome says ${style} too — but I'm ${risk} this round.`;
+}
+
+// "A", "A and B", "A, B and C"
+function joinNames(agents) {
+  const names = agents.map((a) => a.name);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0] || '';
+}
+
+const DIALOGUE_VOICE =
+  'Speak in first person, 2-3 sentences. Be highly specific about jewelry design — name exact metals, stones, techniques, settings, production methods, and target customers.';
+
+/**
+ * System and user prompt for one dialogue turn. The exchange roles (open,
+ * reply) keep the original two-agent wording; the rest quote the
+ * transcript so far.
+ */
+function dialoguePrompt(role, agent, others, turns, cycleNum, dialogue) {
+  const withNames = joinNames(others);
+  const last = turns[turns.length - 1];
+  const transcript = turns.map((t) => `${t.agentName}: "${t.text}"`).join('\n');
+  const system = (tail) =>
+    `You are ${agent.name}, a jewelry designer in a creative cross-pollination dialogue with ${withNames}. ${DIALOGUE_VOICE} ${tail}`;
+
+  if (role === 'open' || role === 'present') {
+    const audience =
+      role === 'present' ? `the review panel (${withNames})` : withNames;
+    const user =
+      cycleNum === 1
+        ? `This is cycle 1 — no prior data exists. Introduce your design direction to ${audience} in 2-3 sentences. Be HIGHLY SPECIFIC: name exact metals (e.g. "18k rose gold", "950 platinum"), stones (e.g. "oval Ceylon sapphire", "old-mine-cut diamond"), techniques (e.g. "lost-wax casting", "micro-pavé", "hand-engraving"), and the customer you're designing for (e.g. "millennial bridal", "art collector", "everyday luxury"). Explain your strategic reasoning — why this direction given your genome DNA and instincts.`
+        : `Cycle ${cycleNum}. You've read the intelligence reports from prior cycles. In 2-3 sentences, share your design direction with ${audience} — be specific about: (1) what WORKED in prior cycles and what you're keeping, (2) what FAILED and what you're changing, (3) the exact materials, forms, and production methods you're pursuing. Reference specific data: winner names, credit totals, trend signals, saturation warnings.`;
+    return {
+      system: system(
+        role === 'present'
+          ? 'You are presenting your direction to a panel of fellow designers who will critique it.'
+          : 'Your dialogue should reveal your strategic thinking and design philosophy.'
+      ),
+      user,
+    };
+  }
+  if (role === 'reply')
+    return {
+      system: system('React directly to what your partner said.'),
+      user: `Your partner ${last.agentName} said: "${last.text}"
+
+Respond in 2-3 sentences. You must: (1) directly react to something specific they said — agree, challenge, or build on it, (2) share your own contrasting or complementary direction with equally specific materials, forms, and strategy, (3) identify a market opportunity or risk that their approach raises. Be concrete — name metals, stones, techniques, and customer segments.`,
+    };
+  if (role === 'rebut')
+    return {
+      system: system(
+        'This is a debate: hold your ground where the evidence supports you.'
+      ),
+      user: `The debate so far:
+${transcript}
+
+Turn ${turns.length + 1} of ${dialogue.turns}. In 2-3 sentences, answer ${last.agentName}'s latest point directly — concede what is right, push back on what is wrong with specific evidence (winners, credit totals, price points, trend and saturation signals), and sharpen your own direction.`,
+    };
+  if (role === 'critique')
+    return {
+      system: system('Critique like a demanding but fair design director.'),
+      user: `The discussion so far:
+${transcript}
+
+In 2-3 sentences, critique ${last.agentName}'s direction: name one real strength, one concrete weakness (manufacturability, price point, saturation, customer fit) and one specific change you would make.${dialogue.mode === 'critique-circle' ? ' Then state your own direction in one sentence.' : ''}`,
+    };
+  return {
+    system: system('You presented this direction and have heard the panel.'),
+    user: `The review so far:
+${transcript}
+
+In 2-3 sentences, respond to the panel: say which critiques you accept and exactly how the design changes, and which you reject and why.`,
+  };
+}
+
+async function runDialogue(sim, group, cycleNum) {
+  const turns = [];
+  for (const { speaker, role } of dialogueTurns(sim.dialogue, group)) {
+    const agent = sim.agentStates[speaker];
+    const others = group
+      .filter((i) => i !== speaker)
+      .map((i) => sim.agentStates[i]);
+    const { system, user } = dialoguePrompt(
+      role,
+      agent,
+      others,
+      turns,
+      cycleNum,
+      sim.dialogue
+    );
+    const reply = await llmCall(sim, system, user, agent, 'crossPollination');
+    turns.push({
+      agentIdx: agent.id,
+      agentName: agent.name,
+      role,
+      text:
+        reply ||
+        getFallbackLine(
+          agent,
+          cycleNum,
+          role === 'open' || role === 'present' ? 'open' : 'reply'
+        ),
+    });
+  }
+  return {
+    cycle: cycleNum,
+    mode: sim.dialogue.mode,
+    participants: group,
+    turns,
+  };
+}
+
+async function runCrossPollination(sim, cycleNum) {
+  const { agentStates } = sim;
+  const n = agentStates.length;
+
+  sim.cyclePairing = schedulePairs(agentStates, {
+    pairing: sim.pairing,
+    cycleNum,
+    rng: sim.rng.fork(`pairing:${cycleNum}`),
+  });
+  sim.cycleDialogues = [];
+  for (const [b, pairs] of sim.cyclePairing.batches.entries()) {
+    const groups = dialogueGroups(
+      sim.dialogue,
+      pairs,
+      sim.cyclePairing.byes[b]
+    );
+    const results = await Promise.all(
+      groups.map((group) => runDialogue(sim, group, cycleNum))
+    );
+
+    // Memory is written in group order so repeated runs stay comparable
+    for (const dialogue of results) {
+      const index = sim.cycleDialogues.push(dialogue) - 1;
+      dialogueMemories(dialogue, index, sim.dialogue.excerptLength).forEach(
+        ({ agentIdx, memory }) =>
+          agentStates[agentIdx].conversationMemory.push(memory)
+      );
+      const [first, ...rest] = dialogue.turns;
+      const audience = joinNames(
+        dialogue.participants
+          .filter((i) => i !== first.agentIdx)
+          .map((i) => agentStates[i])
+      );
+      sim.log(`${first.agentName} → ${audience}: "${first.text}"`, 'cv');
+      rest.forEach((t) => sim.log(`${t.agentName}: "${t.text}"`, 'cv'));
+    }
+  }
+
+  const count = sim.cycleDialogues.length;
+  sim.log(
+    sim.dialogue.mode === 'exchange'
+      ? `All ${n} agents complete ${count} cross-pollination exchanges (${sim.cyclePairing.topology} pairing). Memory updated.`
+      : `All ${n} agents complete ${count} ${sim.dialogue.mode} dialogues (${sim.cyclePairing.topology} pairing). Transcripts stored, memory updated.`,
+    'rs'
+  );
+}
+
+// ── Phase 1: synthesis + design generation ───────────────────
+
+async function synthesizeDesign(sim, agent, i, cycleNum, usedNamesStr, pick) {
+  const convMem = (agent.conversationMemory || [])
+    .filter((m) => m.cycle === cycleNum)
+    .map((m) => `${m.partner}: "${m.excerpt}"`)
+    .join('\n');
+  const allConvMem = (agent.conversationMemory || [])
+    .map((m) => `[Cycle ${m.cycle}] ${m.partner}: "${m.excerpt}"`)
+    .join('\n');
+  const transcripts = dialogueContext(sim.cycleDialogues, agent.id);
+
+  // ── Step 1: Strategic Blueprint ──
+  const blueprintPrompt = `You are ${agent.name}, beginning your design process for Cycle ${cycleNum}.
+
+YOUR CROSS-POLLINATION DIALOGUES THIS CYCLE:
+${convMem || 'No conversations this cycle.'}${transcripts ? `\n\nFULL TRANSCRIPTS:\n${transcripts}` : ''}
+
+ALL PRIOR DIALOGUES:
+${allConvMem || 'No prior conversations.'}
+
+Based on everything you know — your genome DNA, your personality bio, every conversation you've had, your evolution history, and every intelligence report — make your strategic decision.
+
+Think about:
+- What worked and what failed in prior cycles (your rank, the winners, the trends)
+- What your conversation partners said that influenced your thinking
+- Where the market is headed vs where it's saturated
+- Your natural strengths from your genome vs where you need to adapt
+
+CRITICAL — your design must be PRODUCIBLE and SELLABLE:
+- Refer to your MANUFACTURING CONSTRAINTS in your genome. If your manufacturability is high, your design MUST be castable (lost-wax compatible, no impossible undercuts, clean mold-release geometry). If low, you may use hand-fabrication techniques.
+- Consider your PRICE POINT genome. Your material choices must match — don't design a $200 piece in platinum with 3ct diamonds, and don't design a $50K piece in silver.
+- Think about WHO BUYS THIS. Your market focus and wearability scores define your customer. A bridal customer needs comfort and durability. A collector wants rarity and drama.
+- Consider production volume — high manufacturability means designing for 100+ units. Low means one-of-a-kind.
+
+MATERIAL CATALOGUE (your cost before markup):
+${catalogueGuide()}
+
+DESIGN SPEC VOCABULARY (use these exact values so your piece can be costed and rendered):
+${specGuide()}
+${pick ? `\n${policyDirective(pick, sim.policy.options.control)}\n` : ''}
+Output EXACTLY this JSON (no markdown, no backticks):
+{"strategy":"[exploit or explore or mutate]","cat":"[Ring or Pendant or Earrings or Bracelet]","reasoning":"[3-4 sentences: WHY this strategy and category. Reference specific intelligence: winner names, credit totals, trend signals, conversation excerpts, and genome traits. Explain the commercial logic.]","spec":{"metal":{"type":"[metal]","karat":[gold only],"color":"[gold only]","finish":"[finish]"},"stones":[{"type":"[stone]","cut":"[cut]","carats":[carats per stone],"count":[stones of this kind; per earring for earrings],"setting":"[setting]","role":"[center, side or accent]","lab":[true if lab-grown]}],"dimensions":{"widthMm":[mm],"heightMm":[mm],"depthMm":[mm]},"weightGrams":[metal weight in grams],"texture":"[texture]","motif":"[design motif in 1-4 words]","closure":"[closure for the category]"},"form":"[structural concept in 8-15 words describing silhouette, proportions, and key design features]","production":"[specific production method: investment casting, hand-fabricated wire wrapping, 3D-printed resin to lost-wax, electroformed, die-struck, etc.]","targetCustomer":"[specific customer persona in 10-20 words — age, occasion, style, budget range]","complexity":[1-10 integer],"estMargin":[40-90 integer]}`;
+
+  let blueprint = await llmJson(
+    sim,
+    BLUEPRINT_SCHEMA,
+    'You are making a strategic design decision. Think deeply about your agent data, genome, conversations, and market intelligence. Output ONLY valid JSON.',
+    blueprintPrompt,
+    agent,
+    'blueprint'
+  );
+  if (!blueprint) {
+    blueprint = {
+      strategy:
+        pick?.strategy ||
+        (agent.risk > 65 ? 'explore' : agent.risk < 35 ? 'exploit' : 'mutate'),
+      cat: pick?.cat || CATEGORIES[i % 4],
+      reasoning: 'Proceeding based on genome defaults.',
+      form: 'refined jewelry piece',
+      complexity: 5,
+      estMargin: 65,
+    };
+    blueprint.spec = fallbackSpec(agent, blueprint.cat);
+  }
+  if (pick && sim.policy.options.control.strategy)
+    blueprint.strategy = pick.strategy;
+  if (pick && sim.policy.options.control.category) blueprint.cat = pick.cat;
+  // Materials text for costing and the checks is derived from the spec
+  blueprint.spec = conformSpec(blueprint.spec, blueprint.cat);
+  blueprint.materials = specMaterials(blueprint.spec);
+
+  sim.log(
+    `${agent.name} — Strategy: ${blueprint.strategy.toUpperCase()} · ${blueprint.cat} · Complexity ${blueprint.complexity}/10 · Est. margin ${blueprint.estMargin}%`,
+    ''
+  );
+
+  const bom = billOfMaterials({
+    ...blueprint,
+    weightGrams: blueprint.spec.weightGrams,
+    pricePoint: agent.pricePoint,
+  });
+  sim.log(`${agent.name} — Bill of materials: ${bomSummary(bom)}`, '');
+  const mfgCheck = checkManufacturability(blueprint, {
+    bom,
+    agent,
+    manufacturing: sim.manufacturing,
+  });
+  mfgCheck.violations.forEach((v) =>
+    sim.log(
+      `⚠ ${agent.name} — Manufacturing ${v.severity}: ${v.message}`,
+      'warn'
+    )
+  );
+
+  // Lexical recall over stored designs: close precedents for the assessment,
+  // and a warning when the blueprint repeats a past winner
+  const blueprintText = [
+    blueprint.materials,
+    specForm(blueprint.spec, blueprint.form),
+    blueprint.reasoning,
+  ].join(' ');
+  const closeCtx = sim.patternStore.similarContext(blueprintText);
+  const duplicate = sim.patternStore.nearDuplicateOf(blueprintText);
+  const nearDuplicate = duplicate && {
+    name: duplicate.pattern.name,
+    cycle: duplicate.pattern.cycle,
+    epoch: duplicate.pattern.epoch,
+    similarity: duplicate.similarity,
+  };
+  if (nearDuplicate)
+    sim.log(
+      `⚠ ${agent.name}'s blueprint is ${Math.round(nearDuplicate.similarity * 100)}% similar to past winner "${nearDuplicate.name}" (Cycle ${nearDuplicate.cycle})`,
+      'warn'
+    );
+
+  // ── Step 2: Self-Assessment ──
+  const assessPrompt = `You are ${agent.name}, finalizing your Cycle ${cycleNum} submission.
+
+YOUR DESIGN:
+- Category: ${blueprint.cat}
+- Strategy: ${blueprint.strategy.toUpperCase()}
+- Spec: ${specSummary(blueprint.spec)}
+- Form: ${blueprint.form}
+- Production method: ${blueprint.production || 'not specified'}
+- Target customer: ${blueprint.targetCustomer || 'not specified'}
+- Complexity: ${blueprint.complexity}/10
+- Est. Margin: ${blueprint.estMargin}%
+- Bill of materials: ${bomSummary(bom)}${bom.unmatched.length ? ` (not in catalogue: ${bom.unmatched.join('; ')})` : ''}
+- Manufacturing check: ${mfgCheck.violations.length ? mfgCheck.violations.map((v) => `${v.severity.toUpperCase()} ${v.message}`).join('; ') : 'no conflicts found'}
+- Strategic reasoning: ${blueprint.reasoning}${closeCtx}${nearDuplicate ? `\n\nNEAR-DUPLICATE WARNING: this blueprint is ${Math.round(nearDuplicate.similarity * 100)}% similar to "${nearDuplicate.name}", a past Cycle ${nearDuplicate.cycle} winner. Score novelty accordingly.` : ''}
+
+YOUR CONVERSATIONS THIS CYCLE:
+${convMem || 'None.'}
+
+Self-assess your design across ALL dimensions.
+
+SCORING CRITERIA — be honest and calibrated:
+- Aesthetic (40-95): Visual beauty, craftsmanship quality, and design coherence
+- Novelty (30-95): How original/unprecedented — penalize yourself if this is derivative
+- Profit (35-95): Real commercial viability. Consider: Can this be manufactured at your price point? Does your target customer exist in volume? Are your material costs realistic for the margin? Would a jewelry retailer stock this?
+- Wearability (30-95): Comfort, durability, practical weight, secure settings, no snag points. Score LOW if this is unwearable art, HIGH if someone would wear it daily
+- Manufacturability (30-95): Can a bench jeweler or factory actually produce this? Score HIGH for clean castable geometry, standard setting types. Score LOW for impossible forms, materials that can't be combined, or techniques that don't exist
+
+Output EXACTLY this JSON (no markdown):
+{"aesthetic":[40-95],"novelty":[30-95],"profit":[35-95],"wearability":[30-95],"makeable":[30-95]}`;
+
+  const assessResp = await llmCall(
+    sim,
+    'You are assessing your own jewelry design. Be calibrated in scores. Output ONLY valid JSON.',
+    assessPrompt,
+    agent,
+    'assess'
+  );
+  const assessData = parseJsonReply(assessResp);
+
+  // ── Step 3: Name Generation ──
+  const imagePromptText = specImagePrompt(blueprint.spec, blueprint);
+  const namingPrompt = `You are a luxury jewelry naming specialist working for a high-end maison. Analyze this product and create a collection name.
+
+IMAGE DESCRIPTION: ${imagePromptText}
+
+DESIGN DETAILS:
+- Category: ${blueprint.cat}
+- Materials: ${blueprint.materials}
+- Form: ${blueprint.form}
+- Production: ${blueprint.production || 'not specified'}
+- Target customer: ${blueprint.targetCustomer || 'luxury consumer'}
+- Strategy: ${blueprint.strategy}
+
+Create a 1-3 word luxury collection name. Study how iconic houses name pieces:
+- Cartier: "Juste un Clou", "Trinity", "Panthère", "Clash"
+- Bulgari: "Serpenti", "B.zero1", "Divas' Dream"
+- Tiffany: "Bone Cuff", "HardWear", "Elsa Peretti Bean"
+- Van Cleef: "Alhambra", "Frivole", "Perlée"
+- David Yurman: "Cable", "Crossover", "Stax"
+
+Your name should:
+- Evoke the FORM, TEXTURE, or EMOTIONAL QUALITY of the piece — not just the materials
+- Be memorable, distinctive, and pronounceable
+- Work as a collection name (could apply to a family of related pieces)
+- NEVER use generic words like "Luxury", "Elegance", "Beautiful", "Golden"
+- NEVER just describe the materials (e.g. "Gold Ring" or "Diamond Pendant")
+${usedNamesStr}
+Output EXACTLY this JSON (no markdown):
+{"name":"[1-3 word name ONLY]"}`;
+
+  const nameResp = await llmCall(
+    sim,
+    'You are a creative director at a luxury jewelry maison, specializing in naming collections. Your names are iconic, evocative, and never generic. Output ONLY valid JSON with a "name" field.',
+    namingPrompt,
+    agent,
+    'naming'
+  );
+  const nameData = parseJsonReply(nameResp);
+  let designName = String(nameData?.name || '')
+    .trim()
+    .replace(/^["']+|["']+$/g, '')
+    .slice(0, 80);
+  if (!designName || designName.length < 3) {
+    designName = `${blueprint.spec.metal.type} ${blueprint.form || blueprint.cat}`;
+  }
+
+  // The self-assessed MFG score, before the rule checks' penalty
+  const claimedMakeable = Math.max(
+    20,
+    Math.min(98, parseInt(assessData?.makeable) || 60)
+  );
+  const design = {
+    name: designName,
+    cat: blueprint.cat,
+    strategy: blueprint.strategy,
+    aesthetic: Math.max(
+      20,
+      Math.min(98, parseInt(assessData?.aesthetic) || 60)
+    ),
+    novelty: Math.max(20, Math.min(98, parseInt(assessData?.novelty) || 50)),
+    profit: groundedProfit(
+      Math.max(20, Math.min(98, parseInt(assessData?.profit) || 55)),
+      bom
+    ),
+    wearability: Math.max(
+      20,
+      Math.min(98, parseInt(assessData?.wearability) || 55)
+    ),
+    makeable: sim.manufacturing.adjust
+      ? adjustMakeable(claimedMakeable, mfgCheck)
+      : claimedMakeable,
+    claimedMakeable,
+    manufacturing: mfgCheck,
+    prompt: imagePromptText,
+    strategicReasoning: blueprint.reasoning,
+    spec: blueprint.spec,
+    materials: blueprint.materials,
+    formConcept: blueprint.form,
+    production: blueprint.production || '',
+    targetCustomer: blueprint.targetCustomer || '',
+    complexity: blueprint.complexity,
+    estMargin: blueprint.estMargin,
+    pricePoint: agent.pricePoint ?? 50,
+    styleTags: [...(agent.styleTags || [])],
+    bom,
+    agentIdx: agent.id,
+    agentName: agent.name,
+    nearDuplicate,
+    credits: 0,
+  };
+
+  const rationale = {
+    cycle: cycleNum,
+    agentIdx: agent.id,
+    agentName: agent.name,
+    strategicReasoning: blueprint.reasoning || '',
+    predictedStrategy: blueprint.strategy,
+    predictedCategory: blueprint.cat,
+  };
+
+  return { design, rationale };
+}
+
+async function runSynthesis(sim, cycleNum) {
+  const { agentStates } = sim;
+  const allUsedNames = sim.cycleReports.flatMap((r) =>
+    (r.designs || []).map((d) => d.name)
+  );
+  const usedNamesStr =
+    allUsedNames.length > 0
+      ? `\nALREADY-USED NAMES (do NOT reuse any word from these):\n${allUsedNames.map((n) => `"${n}"`).join(', ')}\nYour name must use completely different vocabulary.\n`
+      : '';
+
+  // Policy picks are drawn up front in roster order so concurrent LLM
+  // calls cannot reorder the rng stream
+  const lastTrend = sim.cycleReports[sim.cycleReports.length - 1]?.trendData;
+  const state = policyState(cycleNum, sim.cycles, lastTrend);
+  sim.policyPicks = sim.policy
+    ? agentStates.map((agent) => sim.policy.select(agent.id, state))
+    : [];
+
+  const designs = [];
+  sim.cycleRationales = [];
+  for (
+    let batch = 0;
+    batch < agentStates.length;
+    batch += SYNTHESIS_BATCH_SIZE
+  ) {
+    const batchAgents = agentStates.slice(batch, batch + SYNTHESIS_BATCH_SIZE);
+    const batchResults = await Promise.all(
+      batchAgents.map((agent, batchIdx) =>
+        synthesizeDesign(
+          sim,
+          agent,
+          batch + batchIdx,
+          cycleNum,
+          usedNamesStr,
+          sim.policyPicks[batch + batchIdx]
+        )
+      )
+    );
+    // Seeded draws happen here, in roster order, never inside the
+    // concurrent pipeline
+    for (const { design, rationale } of batchResults) {
+      design.emoji = sim.rng.pick(DESIGN_EMOJIS);
+      design.imageSeed = sim.rng.int(0, 2147483647);
+      designs.push(design);
+      sim.cycleRationales.push(rationale);
+      sim.log(
+        `${design.agentName} submits: "${design.name}" — ${design.cat} · ${design.strategy.toUpperCase()} · AES:${design.aesthetic} NOV:${design.novelty} PRO:${design.profit}`,
+        'ds'
+      );
+    }
+  }
+
+  if (sim.images)
+    await Promise.all(
+      designs.map(async (design) => {
+        const image = await sim.images.generate(design, {
+          agent: agentStates[design.agentIdx],
+          seed: design.imageSeed,
+        });
+        design.image = {
+          url: image.url,
+          mediaType: image.mediaType,
+          backend: image.backend,
+        };
+        // Cached images are linked to their bytes for the asset manifest
+        if (image.sha256)
+          Object.assign(design.image, {
+            key: image.key,
+            sha256: image.sha256,
+            size: image.size,
+          });
+      })
+    );
+
+  sim.activeDesigns = designs;
+  sim.log(`All ${designs.length} designs submitted. Pool locked.`, 'rs');
+  return designs;
+}
+
+// Rewards each agent's policy pick with its design's outcome. The next
+// state is the one the following cycle will select from; the final cycle
+// is terminal.
+function learnPolicy(sim, cycleNum, designs, trendData) {
+  if (!sim.policy) return null;
+  const avgCredits =
+    designs.reduce((s, d) => s + d.credits, 0) / designs.length;
+  const nextState =
+    cycleNum < sim.cycles
+      ? policyState(cycleNum + 1, sim.cycles, trendData)
+      : null;
+  const picks = sim.policyPicks.map((pick) => {
+    const design = designs.find((d) => d.agentIdx === pick.agentId);
+    if (!design) return { ...pick, followed: false, reward: null };
+    // Learn from what was actually designed, which may differ from an
+    // advisory pick
+    const reward = shapeReward(
+      design,
+      { avgCredits, designCount: designs.length },
+      sim.policy.options.reward
+    );
+    sim.policy.learn(
+      pick.agentId,
+      pick.state,
+      design.strategy,
+      design.cat,
+      reward,
+      nextState
+    );
+    return {
+      ...pick,
+      followed: design.strategy === pick.strategy && design.cat === pick.cat,
+      reward,
+    };
+  });
+  return {
+    algorithm: sim.policy.options.algorithm,
+    control: sim.policy.options.control,
+    nextState,
+    picks,
+  };
+}
+
+// ── Phase 3: voting ──────────────────────────────────────────
+
+async function runVoting(sim, cycleNum) {
+  const { agentStates, activeDesigns, voting } = sim;
+  const mechanism = VOTING_MECHANISMS[voting.mechanism];
+  const designCount = activeDesigns.length;
+
+  const designSummary = activeDesigns
+    .map(
+      (d, i) =>
+        `[${i}] "${d.name}" by ${d.agentName} — ${d.cat} · ${d.strategy.toUpperCase()} · AES:${d.aesthetic} NOV:${d.novelty} PRO:${d.profit} WEAR:${d.wearability || '?'} MFG:${d.makeable || '?'}${d.targetCustomer ? ' · Customer: ' + d.targetCustomer : ''}${d.strategicReasoning ? ' · Reasoning: ' + d.strategicReasoning.slice(0, 60) : ''}`
+    )
+    .join('\n');
+
+  const voteResults = await Promise.all(
+    agentStates.map(async (voter, vi) => {
+      const selfIdx = activeDesigns.findIndex((d) => d.agentIdx === vi);
+      const convMem = (voter.conversationMemory || [])
+        .filter((m) => m.cycle === cycleNum)
+        .map((m) => `${m.partner}: "${m.excerpt}"`)
+        .join('\n');
+      const ctx = { selfIdx, designCount, budget: voting.budget, voting };
+      const { intro, strategy, output } = mechanism.instructions(ctx);
+
+      const votePrompt = `You are ${voter.name}, voting in Cycle ${cycleNum}. Your total treasury: ${voter.credits.toLocaleString()}⬡. ${intro}
+
+THE DESIGNS TO EVALUATE:
+${designSummary}
+
+YOUR TREASURY: ${voter.credits.toLocaleString()}⬡ (started with 100,000⬡ — round budget: ${voting.budget.toLocaleString()}⬡)
+YOUR REPUTATION: ${voter.reputation} → ${mechanism.weighted ? `vote weight multiplier: ${repWeight(voter.reputation).toFixed(2)}x` : 'no effect on sealed bids'}
+
+YOUR CONVERSATIONS THIS CYCLE:
+${convMem || 'No conversations recorded.'}
+
+EVALUATION FRAMEWORK — weigh each design across these dimensions based on YOUR genome:
+1. AESTHETIC QUALITY (weight by your genome's style preferences): Does the design match your taste? Consider form, proportion, material harmony, and visual impact.
+2. COMMERCIAL VIABILITY (weight by your marginSens genome): Can this realistically sell? Consider price point, target customer clarity, and margin potential.
+3. MANUFACTURABILITY (weight by your genome): Can this be physically produced? Castable geometry, standard settings, realistic material combinations.
+4. NOVELTY vs SAFETY (weight by your risk genome): Is it fresh enough to win, or is it too derivative? Your risk tolerance determines how much you reward innovation.
+5. STRATEGIC ALIGNMENT: Does this design ride an emerging trend or fight a saturated one? Reference intelligence reports.
+
+${strategy}
+
+${output}`;
+
+      const parsed = await llmJson(
+        sim,
+        mechanism.schema(designCount, voting.budget),
+        `You are ${voter.name}, a jewelry design expert deliberating on ${mechanism.task}. Think deeply about your genome DNA, your conversations this cycle, intelligence reports, and each design's merits. Your votes should reflect your unique perspective and strategic thinking. Output ONLY valid JSON.`,
+        votePrompt,
+        voter,
+        'voting'
+      );
+
+      let ballot = parsed ? mechanism.ballot(parsed, ctx) : null;
+      let voteReasoning = parsed?.reasoning || '';
+      if (!ballot) {
+        ballot = mechanism.fallback(
+          fallbackWeights(
+            activeDesigns,
+            selfIdx,
+            sim.rng.fork(`vote:${cycleNum}:${vi}`)
+          ),
+          ctx
+        );
+        voteReasoning = 'Voted based on genome aesthetic affinity (fallback).';
+      }
+      return { vi, ballot, voteReasoning };
+    })
+  );
+
+  const voteMatrix = new Array(agentStates.length);
+  const ballots = new Array(agentStates.length);
+  for (const { vi, ballot, voteReasoning } of voteResults) {
+    const votes = ballot.row;
+    voteMatrix[vi] = votes;
+    ballots[vi] = ballot;
+    const topVoteIdx = votes.reduce(
+      (best, v, idx) => (v > (votes[best] || 0) ? idx : best),
+      0
+    );
+    const myRationale = sim.cycleRationales.find(
+      (r) => r.cycle === cycleNum && r.agentIdx === vi
+    );
+    if (myRationale) {
+      myRationale.voteReasoning = voteReasoning;
+      myRationale.topVoteIdx = topVoteIdx;
+    }
+    const top2 = votes
+      .map((v, i) => ({ i, v }))
+      .sort((a, b) => b.v - a.v)
+      .filter((x) => x.v > 0)
+      .slice(0, 2);
+    sim.log(
+      `${agentStates[vi].name} → ${top2.map((x) => `"${activeDesigns[x.i]?.name}" ${x.v.toLocaleString()}⬡`).join(', ')}`,
+      'vt'
+    );
+  }
+
+  const { awards, spent, contributions, details } = mechanism.tally(ballots, {
+    reputations: agentStates.map((a) => a.reputation),
+    designCount,
+    voting,
+  });
+  awards.forEach((c, di) => (activeDesigns[di].credits += c));
+  sim.cycleJury = await runJury(sim, cycleNum, awards);
+  sim.cycleJury?.awards.forEach((c, di) => (activeDesigns[di].credits += c));
+  sim.cycleMarket = runMarket(sim);
+  agentStates.forEach((a, vi) => {
+    a.credits -= spent[vi];
+    const myDesign = activeDesigns.find((d) => d.agentIdx === vi);
+    if (myDesign) a.credits += myDesign.credits;
+    a.status = 'Voted';
+  });
+
+  sim.cycleVoting = {
+    mechanism: voting.mechanism,
+    spent,
+    contributions,
+    ...details,
+  };
+  sim.voteMatrix = voteMatrix;
+  sim.log(`Voting complete. Credits tallied.`, 'rs');
+  return voteMatrix;
+}
+
+// Collects and tallies this cycle's human jury ballots, if any. Ballots that
+// fail to parse are logged and left out rather than stopping the cycle.
+async function runJury(sim, cycleNum, agentAwards) {
+  const { jury, activeDesigns, voting } = sim;
+  if (!jury?.ballots) return null;
+  const source =
+    typeof jury.ballots === 'function'
+      ? await jury.ballots({ cycle: cycleNum, designs: activeDesigns })
+      : jury.ballots[cycleNum];
+  if (!source) return null;
+  let ballots;
+  try {
+    ballots = parseJuryBallots(source, activeDesigns, voting.budget);
+  } catch (e) {
+    sim.log(`Jury ballots rejected: ${e.message}`, 'warn');
+    return null;
+  }
+  if (!ballots.length) return null;
+  const result = tallyJury(ballots, agentAwards, activeDesigns, jury);
+  const [top] = result.divergence;
+  sim.log(
+    `Jury of ${ballots.length} voted (weight ${Math.round(jury.weight * 100)}%). Agreement with agents: r=${result.correlation}${top?.gap ? ` — widest gap on "${top.name}" (jury ${top.juryShare}% vs agents ${top.agentShare}%)` : ''}`,
+    'rs'
+  );
+  return result;
+}
+
+// Simulates the cycle's sales and, when blending, moves credits onto the
+// designs that sold best. Returns the outcome plus the mode it ran under.
+function runMarket(sim) {
+  const { market, activeDesigns } = sim;
+  if (market.mode === 'off') return null;
+  const outcome = simulateMarket(activeDesigns);
+  const top = outcome.designs[outcome.leader];
+  sim.log(
+    top
+      ? `Market: ${outcome.totals.units.toLocaleString()} units sold, $${outcome.totals.revenue.toLocaleString()} revenue, $${outcome.totals.margin.toLocaleString()} margin. Best margin: "${top.name}" (${top.units.toLocaleString()} units at $${top.price.toLocaleString()}).`
+      : 'Market: no designs to sell this cycle.',
+    'rs'
+  );
+  if (market.mode === 'blend' || market.mode === 'replace') {
+    const credits = blendMarketCredits(
+      activeDesigns.map((d) => d.credits),
+      outcome,
+      market
+    );
+    credits.forEach((c, di) => (activeDesigns[di].credits = c));
+  }
+  return {
+    mode: market.mode,
+    weight: market.weight,
+    basis: market.basis,
+    ...outcome,
+  };
+}
+
+// ── Phase 4: evolution ───────────────────────────────────────
+
+async function runEvolution(sim, cycleNum) {
+  const { agentStates, activeDesigns, cycleReports, traitEffectiveness } = sim;
+  const sorted = [...activeDesigns]
+    .map((d, i) => ({ ...d, idx: i }))
+    .sort((a, b) => b.credits - a.credits);
+  const winner = sorted[0];
+  const isFinalCycle = cycleNum === sim.cycles;
+  const stageRules = sim.ruleSet
+    ? rulesForCycle(cycleNum, sim.cycles, sim.ruleSet.stages)
+    : null;
+
+  sim.log(
+    `🏆 "${winner.name}" by ${winner.agentName} — ${winner.credits.toLocaleString()}⬡`,
+    'rs'
+  );
+
+  const resultsSummary = sorted
+    .map(
+      (d, rank) =>
+        `#${rank + 1}: by ${agentStates[d.agentIdx]?.name} — ${d.credits.toLocaleString()}⬡ · ${d.strategy} · AES:${d.aesthetic} NOV:${d.novelty} PRO:${d.profit} WEAR:${d.wearability || '?'} MFG:${d.makeable || '?'} · ${d.cat}${d.production ? ' · ' + d.production : ''}${d.targetCustomer ? ' · For: ' + d.targetCustomer : ''}`
+    )
+    .join('\n');
+
+  const priorContext =
+    cycleReports.length > 0
+      ? `Prior winners: ${cycleReports.map((r) => `C${r.cycle}: ${r.winner.agentName}'s ${r.winner.strategy?.toUpperCase() || '?'} ${r.winner.cat || 'design'}`).join(', ')}`
+      : 'No prior cycles.';
+
+  sim.cycleTrends = cycleTrendModel(sim, cycleNum);
+  const trendPrompt = `Cycle ${cycleNum} of ${sim.cycles} completed. Full results:
+${resultsSummary}
+
+${priorContext}
+
+${trendModelContext(sim.cycleTrends)}
+
+Generate a comprehensive trend analysis for the intelligence report that agents will use to make decisions next cycle. Be HIGHLY SPECIFIC — reference exact design names, credit totals, material choices, and percentages. Your emerging and declining lists must agree with the computed regimes: name the computed emerging keys among your emerging styles and the computed declining keys among your declining ones, and never call a declining or saturated key emerging or a rising key declining.
+
+Output EXACTLY this JSON:
+{"emerging":["[specific style with evidence, e.g. 'organic sculptural (Root Form won 14,200⬡)']","[style2]","[style3]"],"declining":["[specific style with evidence, e.g. 'classic pavé halo (avg 6,100⬡, down from 8,400⬡ C1)']","[style2]"],"saturation":"[exact category breakdown with percentages, e.g. 'Ring at 67% (4 of 6 entries) — critical oversaturation']","treasury":"[specific material+setting+form recommendation for highest ROI, e.g. '18k rose gold, bezel-set oval sapphire, open-gallery cathedral mount']","fi":["[insight 1: vote pattern analysis — which score dimension predicted credits? Include correlation direction]","[insight 2: category saturation with exact counts and percentages — which categories are opportunities?]","[insight 3: material and setting trend — what materials won and lost, with credit data]","[insight 4: strategy performance — exploit vs explore vs mutate, with average credits per strategy]","[insight 5: specific actionable recommendation for next cycle — what should agents do differently?]"]}`;
+
+  const trendPromise = llmJson(
+    sim,
+    trendSchema(sim.cycleTrends),
+    'Output ONLY valid JSON. No markdown.',
+    trendPrompt,
+    agentStates[0],
+    'trend'
+  );
+
+  const evoPromises = agentStates.map(async (agent, i) => {
+    const myDesign = sorted.find((d) => d.agentIdx === i);
+    const rank = myDesign ? sorted.indexOf(myDesign) : agentStates.length - 1;
+    const isWinner = rank === 0;
+    const isLoser = rank === sorted.length - 1;
+    const myConvMem = (agent.conversationMemory || [])
+      .filter((m) => m.cycle === cycleNum)
+      .map((m) => `${m.partner}: "${m.excerpt}"`)
+      .join('\n');
+    const teCtx = traitEffectivenessContext(i, traitEffectiveness, agentStates);
+
+    const evoPrompt = `Cycle ${cycleNum} results:
+${resultsSummary}
+
+${priorContext}
+
+You are ${agent.name} (rank #${rank + 1}, strategy: ${myDesign?.strategy || '?'}, category: ${myDesign?.cat || '?'}).
+${myDesign?.strategicReasoning ? `Your strategic reasoning this cycle: ${myDesign.strategicReasoning}` : ''}
+
+Your cross-pollination conversations this cycle:
+${myConvMem || 'None recorded.'}
+
+${teCtx ? 'TRAIT EFFECTIVENESS DATA (from EWC analysis):\n' + teCtx + '\n' : ''}
+Analyze these results deeply. Consider:
+- How did your strategic reasoning play out? Was your bet correct?
+- What did your conversation partners predict vs what actually happened?
+- Which genome traits served you well? Which held you back? Check the TRAIT EFFECTIVENESS DATA if available.
+- What specific design attributes (category, materials, strategy) drove the winning design?
+- Were the winning designs more wearable? More producible? Better targeted to a specific customer?
+- Should you shift your price point, manufacturability approach, or target customer next cycle?
+- IMPORTANT: Traits marked with "PROVEN — shift cautiously" have strong cross-cycle correlation with success. DAMPEN changes to those traits.
+
+Output EXACTLY this JSON (no markdown):
+{"belief":"[one vivid, specific sentence: what you learned — reference the winning design's name, materials, credit count, and what that teaches you about market preferences]","shifts":{"minimalism":[integer -10 to +10],"novelty":[integer -10 to +10],"ornamentation":[integer -10 to +10],"marketFit":[integer -10 to +10],"risk":[integer -10 to +10],"marginSens":[integer -10 to +10],"pricePoint":[integer -10 to +10],"manufacturability":[integer -10 to +10],"wearability":[integer -10 to +10],"trendSens":[integer -10 to +10]},"trend":"[one specific sentence: the key market trend with evidence — name the winning category, materials, strategy, and what's emerging vs declining]"}
+
+Context: ${isWinner ? 'You WON — your instincts were validated. Make SMALL reinforcing shifts (+1 to +3). Dont over-correct. What specific trait drove your success?' : isLoser ? 'You came LAST — something fundamental failed. Make BOLD shifts (+5 to +10 on key traits). Identify the exact mismatch: was it your materials? Category saturation? Aesthetic that the market rejected? Commercial viability?' : `You placed #${rank + 1}. Make MODERATE shifts (+2 to +6). Study the gap between your design and the winner — what specific trait or decision separated you?`}`;
+
+    const evo = await llmJson(
+      sim,
+      EVOLUTION_SCHEMA,
+      'You are reflecting on your cycle performance. Think deeply about YOUR specific data — your genome, conversations, strategy, and results. Output ONLY valid JSON.',
+      evoPrompt,
+      agent,
+      'evolution'
+    );
+    return { i, evo, myDesign, rank, isWinner, isLoser };
+  });
+
+  const [evoResults, liveTrend] = await Promise.all([
+    Promise.all(evoPromises),
+    trendPromise,
+  ]);
+
+  // Apply evolution results sequentially — mutates agent state
+  for (const { i, evo, myDesign, rank, isWinner, isLoser } of evoResults) {
+    const agent = agentStates[i];
+
+    const genomeShifts = {};
+    if (evo) {
+      Object.entries(evo.shifts).forEach(([key, delta]) => {
+        if (GENOME_TRAITS.includes(key) && agent[key] !== undefined) {
+          let clamped = delta;
+          // EWC dampening: proven traits resist large changes
+          const te = traitEffectiveness[key];
+          if (te && te.importanceWeight > 0.4 && te.samples >= 2) {
+            clamped = Math.round(clamped * (1 - te.importanceWeight * 0.5));
+          }
+          const oldVal = agent[key];
+          agent[key] = Math.max(0, Math.min(100, agent[key] + clamped));
+          genomeShifts[key] = agent[key] - oldVal;
+        }
+      });
+    } else {
+      const shifts = stageRules
+        ? isWinner
+          ? stageRules.winner
+          : isLoser
+            ? stageRules.loser
+            : stageRules.others
+        : isWinner
+          ? { novelty: +3, risk: -4, manufacturability: +2 }
+          : isLoser
+            ? {
+                novelty: +8,
+                risk: +6,
+                marginSens: +4,
+                wearability: +3,
+                manufacturability: +3,
+              }
+            : { novelty: +2, risk: +2, wearability: +1 };
+      Object.entries(shifts).forEach(([k, d]) => {
+        if (agent[k] !== undefined) {
+          const o = agent[k];
+          agent[k] = Math.max(0, Math.min(100, agent[k] + d));
+          genomeShifts[k] = agent[k] - o;
+        }
+      });
+    }
+
+    agent.dominantBelief =
+      evo?.belief ||
+      (stageRules && beliefFor(stageRules.beliefs, agent)) ||
+      (isWinner
+        ? 'My approach worked — refine further.'
+        : isLoser
+          ? 'Need a fundamentally different direction.'
+          : 'Adapt toward the winning aesthetic.');
+    agent.trustBuilt = Math.min(
+      100,
+      (agent.trustBuilt || 0) + (isWinner ? 15 : isLoser ? -5 : 5)
+    );
+
+    const repDelta = isFinalCycle
+      ? isWinner
+        ? 12
+        : rank <= 1
+          ? 5
+          : rank <= 2
+            ? 2
+            : -4
+      : isWinner
+        ? 9
+        : rank <= 1
+          ? 4
+          : rank <= 2
+            ? 1
+            : -3;
+    agent.reputation = Math.max(5, agent.reputation + repDelta);
+    agent.status = isWinner
+      ? isFinalCycle
+        ? '🏆 Epoch Winner'
+        : 'Winner'
+      : 'Cycle complete';
+
+    agent.evolutionHistory.push({
+      cycle: cycleNum,
+      summary: isWinner
+        ? `Won (${myDesign?.credits?.toLocaleString() || 0}⬡, ${myDesign?.strategy || '?'} ${myDesign?.cat || 'design'}). Genome reinforced.`
+        : isLoser
+          ? `Last place (${myDesign?.strategy || '?'} ${myDesign?.cat || 'design'}). Mutation pressure applied.`
+          : `Ranked #${rank + 1} (${myDesign?.strategy || '?'} ${myDesign?.cat || 'design'}). Adaptive shifts applied.`,
+      genomeShifts,
+      rank: rank + 1,
+      designName: myDesign?.name || '—',
+    });
+    sim.log(
+      `${agent.name} (${isWinner ? 'Winner' : isLoser ? 'Last' : '#' + (rank + 1)}): ${agent.dominantBelief}`,
+      ''
+    );
+  }
+
+  sim.genomeSnapshots.push(agentStates.map((a) => snapshotGenome(a)));
+  sim.liveTrend = liveTrend;
+  return generateReport(sim, cycleNum, sorted);
+}
+
+// ── Report generation ────────────────────────────────────────
+
+// Per-agent tally of structured-reply outcomes for one cycle, plus every
+// reply that needed repair, a re-ask or a fallback with its errors.
+function summarizeReplyChecks(sim, cycleNum) {
+  const checks = sim.replyChecks.filter((c) => c.cycle === cycleNum);
+  const byAgent = sim.agentStates.map((a) => {
+    const mine = checks.filter((c) => c.agentId === a.id);
+    const count = (outcome) => mine.filter((c) => c.outcome === outcome).length;
+    return {
+      agentId: a.id,
+      name: a.name,
+      valid: count('valid'),
+      repaired: count('repaired'),
+      reasked: count('reasked'),
+      fallbacks: count('fallback'),
+    };
+  });
+  return {
+    byAgent,
+    totalFallbacks: byAgent.reduce((s, a) => s + a.fallbacks, 0),
+    issues: checks
+      .filter((c) => c.outcome !== 'valid')
+      .map(({ agentId, phase, outcome, errors }) => ({
+        agentId,
+        phase,
+        outcome,
+        errors,
+      })),
+  };
+}
+
+// The cycle's prompt sizes against the budget, how often each section was
+// cut or dropped, and every call that lost something
+function summarizeContextUsage(sim, cycleNum) {
+  const calls = sim.contextUsage.filter((c) => c.cycle === cycleNum);
+  const tally = (status) => {
+    const counts = {};
+    calls.forEach((c) =>
+      c.sections
+        .filter((s) => s.status === status)
+        .forEach((s) => (counts[s.id] = (counts[s.id] || 0) + 1))
+    );
+    return counts;
+  };
+  const tokens = calls.map((c) => c.tokens);
+  const ids = (sections, status) =>
+    sections.filter((s) => s.status === status).map((s) => s.id);
+  return {
+    budget: sim.context.budget,
+    calls: calls.length,
+    avgTokens: calls.length
+      ? Math.round(tokens.reduce((s, t) => s + t, 0) / calls.length)
+      : 0,
+    maxTokens: calls.length ? Math.max(...tokens) : 0,
+    truncated: tally('truncated'),
+    dropped: tally('dropped'),
+    trimmedCalls: calls
+      .filter((c) => c.sections.some((s) => s.status !== 'full'))
+      .map((c) => ({
+        agentId: c.agentId,
+        phase: c.phase,
+        tokens: c.tokens,
+        truncated: ids(c.sections, 'truncated'),
+        dropped: ids(c.sections, 'dropped'),
+      })),
+  };
+}
+
+// The trend model over every reported cycle plus this one (see trends.js)
+function cycleTrendModel(sim, cycleNum) {
+  return trendModel(
+    [...sim.cycleReports, { cycle: cycleNum, designs: sim.activeDesigns }],
+    sim.trends
+  );
+}
+
+// The most crowded category with its regime
+function saturationText(trends) {
+  const top = trends.series
+    .filter((s) => s.dimension === 'category')
+    .sort((a, b) => b.share - a.share)[0];
+  return top ? `${top.label} at ${top.share}% of pool (${top.regime})` : '—';
+}
+
+// Data-derived trend narrative used when no LLM trend analysis is
+// available: the computed lists, or with no rising key the keys holding up
+// best
+function fallbackTrendData(designs, sortedDesigns, stats, trends, limit) {
+  const { catCount, gini, corrAes, corrNov, corrPro, novSlope, winnerShare } =
+    stats;
+  const total = designs.length;
+  const [topCat, topCatCount] = Object.entries(catCount).sort(
+    (a, b) => b[1] - a[1]
+  )[0] || ['—', 0];
+  const winner = sortedDesigns[0];
+  const lists = trendLists(trends);
+  const holding = trendLists({
+    ...trends,
+    emerging: trends.series
+      .filter((s) => s.count > 0 && !trends.declining.includes(s.key))
+      .sort((a, b) => b.momentum - a.momentum)
+      .slice(0, limit)
+      .map((s) => s.key),
+  }).emerging;
+  return {
+    emerging: lists.emerging.length ? lists.emerging : holding,
+    declining: lists.declining,
+    saturation: saturationText(trends),
+    treasury: winner.materials || `${winner.strategy} ${winner.cat}`,
+    velocityScore: trends.velocityScore,
+    fi: [
+      `Vote correlations — aesthetic r=${corrAes}, novelty r=${corrNov}, profit r=${corrPro}`,
+      `${topCat} is the most crowded category at ${pct(topCatCount, total)}% of the pool`,
+      `"${winner.name}" captured ${winnerShare}% of all credits`,
+      `Novelty premium: ${novSlope > 0 ? '+' : ''}${novSlope}⬡ per novelty point above average`,
+      `Vote concentration at Gini ${gini}`,
+    ],
+  };
+}
+
+// Collusion findings over this cycle's credit flows and those of earlier
+// reports, applying reputation penalties when the simulation opts in.
+function detectCollusion(sim, cycleNum, designs) {
+  const { agentStates, cycleReports, collusion } = sim;
+  const history = cycleReports
+    .slice(Math.max(0, cycleReports.length - collusion.window + 1))
+    .map((r) => ({
+      cycle: r.cycle,
+      matrix: r.voting?.contributions || r.voteMatrix,
+      authors: r.designs.map((d) => d.agentIdx),
+    }));
+  history.push({
+    cycle: cycleNum,
+    matrix: sim.cycleVoting?.contributions || sim.voteMatrix || [],
+    authors: designs.map((d) => d.agentIdx),
+  });
+  const analysis = analyzeCollusion(history, agentStates, collusion);
+  const penalties = collusion.penalty
+    ? collusionPenalties(analysis, agentStates, cycleNum, collusion.penalty)
+    : [];
+  penalties.forEach((p) => {
+    const agent = agentStates[p.agent];
+    agent.reputation = Math.max(5, agent.reputation - p.points);
+  });
+  analysis.trades
+    .filter((t) => t.cycles.includes(cycleNum))
+    .forEach((t) =>
+      sim.log(
+        `Vote trading: ${t.names.join(' ⇄ ')} (${t.cycles.length} cycles, ${Math.round(t.strength * 100)}% mutual)`,
+        'rs'
+      )
+    );
+  analysis.blocs.forEach((b) =>
+    sim.log(`Voting bloc: ${b.names.join(', ')} (cohesion ${b.cohesion})`, 'rs')
+  );
+  analysis.pivotal.forEach((e) =>
+    sim.log(
+      `Kingmaker: ${e.voterName}'s ballot crowned ${e.crownedName} over ${e.insteadName}`,
+      'rs'
+    )
+  );
+  penalties.forEach((p) =>
+    sim.log(
+      `${p.name} loses ${p.points} reputation (${p.reasons.join('; ')})`,
+      'warn'
+    )
+  );
+  return { ...analysis, penalties };
+}
+
+function generateReport(sim, cycleNum, sortedDesigns) {
+  const { agentStates, activeDesigns, cycleReports, genomeSnapshots } = sim;
+  const voteMatrix = sim.voteMatrix || [];
+  const designs = activeDesigns.map((d, i) => ({
+    ...d,
+    rank: sortedDesigns.findIndex((s) => s.idx === i) + 1,
+    agentName: d.agentName || agentStates[d.agentIdx]?.name || 'Agent',
+  }));
+  const totalCredits = designs.reduce((s, d) => s + d.credits, 0);
+
+  const avgAesthetic = +(
+    designs.reduce((s, d) => s + d.aesthetic, 0) / designs.length
+  ).toFixed(1);
+  const avgNovelty = +(
+    designs.reduce((s, d) => s + d.novelty, 0) / designs.length
+  ).toFixed(1);
+  const avgProfit = +(
+    designs.reduce((s, d) => s + d.profit, 0) / designs.length
+  ).toFixed(1);
+
+  const credits = designs.map((d) => d.credits);
+  const corrAes = pearsonCorr(
+    designs.map((d) => d.aesthetic),
+    credits
+  );
+  const corrNov = pearsonCorr(
+    designs.map((d) => d.novelty),
+    credits
+  );
+  const corrPro = pearsonCorr(
+    designs.map((d) => d.profit),
+    credits
+  );
+  const topCorr =
+    corrAes >= corrNov && corrAes >= corrPro
+      ? 'Aesthetic'
+      : corrNov >= corrPro
+        ? 'Novelty'
+        : 'Profit';
+
+  const gini = giniCoeff(credits);
+  const winnerShare = pct(sortedDesigns[0].credits, totalCredits);
+  const top3Share = pct(
+    sortedDesigns.slice(0, 3).reduce((s, d) => s + d.credits, 0),
+    totalCredits
+  );
+
+  const avgNov2 = designs.reduce((s, d) => s + d.novelty, 0) / designs.length;
+  const novSlope = linearSlope(
+    designs.map((d) => d.novelty - avgNov2),
+    designs.map((d) => d.credits)
+  );
+
+  const stratBuckets = { exploit: [], explore: [], mutate: [] };
+  designs.forEach((d) => {
+    (stratBuckets[d.strategy] ||= []).push(d.credits);
+  });
+  const stratPerf = Object.fromEntries(
+    Object.entries(stratBuckets).map(([k, v]) => [
+      k,
+      {
+        count: v.length,
+        avgCreds: v.length
+          ? Math.round(v.reduce((a, b) => a + b, 0) / v.length)
+          : 0,
+        won: sortedDesigns[0].strategy === k ? 1 : 0,
+      },
+    ])
+  );
+
+  const catMap = {};
+  designs.forEach((d) => {
+    if (!catMap[d.cat])
+      catMap[d.cat] = { count: 0, totalCreds: 0, totalAes: 0, totalNov: 0 };
+    catMap[d.cat].count++;
+    catMap[d.cat].totalCreds += d.credits;
+    catMap[d.cat].totalAes += d.aesthetic;
+    catMap[d.cat].totalNov += d.novelty;
+  });
+  const catCount = Object.fromEntries(
+    Object.entries(catMap).map(([k, v]) => [k, v.count])
+  );
+
+  const collusion = detectCollusion(sim, cycleNum, designs);
+
+  const agentPerf = agentStates.map((a, idx) => {
+    const myDesign = designs.find((d) => d.agentIdx === idx);
+    const earned = myDesign?.credits || 0;
+    const spent =
+      sim.cycleVoting?.spent[idx] ??
+      (voteMatrix[idx] || []).reduce((s, v) => s + v, 0);
+    const prevRep =
+      cycleReports.length > 0
+        ? cycleReports[cycleReports.length - 1].agentSnapshot[idx]
+            ?.reputation || a.reputation
+        : 50;
+    return {
+      id: a.id,
+      name: a.name,
+      emoji: a.emoji,
+      arch: a.arch,
+      earned,
+      spent,
+      roi: spent ? +(earned / spent).toFixed(2) : 0,
+      totalCredits: a.credits,
+      reputation: a.reputation,
+      repDelta: a.reputation - prevRep,
+      strategy: myDesign?.strategy || '—',
+      cat: myDesign?.cat || '—',
+      rank: myDesign?.rank || 7,
+      designName: myDesign?.name || '—',
+      isUser: a.isUser || false,
+    };
+  });
+
+  const selfVotes = agentStates.map((a, idx) => {
+    const myDesignIdx = designs.findIndex((d) => d.agentIdx === idx);
+    return myDesignIdx >= 0 ? voteMatrix[idx]?.[myDesignIdx] || 0 : 0;
+  });
+  const selfVotePct = pct(
+    selfVotes.reduce((a, b) => a + b, 0),
+    totalCredits
+  );
+
+  let maxAlign = 0,
+    alignPair = ['—', '—'];
+  for (let i = 0; i < agentStates.length; i++)
+    for (let j = i + 1; j < agentStates.length; j++) {
+      const vi = voteMatrix[i] || [],
+        vj = voteMatrix[j] || [];
+      const topI = vi.indexOf(Math.max(...vi)),
+        topJ = vj.indexOf(Math.max(...vj));
+      if (topI === topJ && vi[topI] > 0) {
+        const shared = vi[topI] + vj[topJ];
+        if (shared > maxAlign) {
+          maxAlign = shared;
+          alignPair = [agentStates[i].name, agentStates[j].name];
+        }
+      }
+    }
+
+  // The narrative is the LLM's when it agreed with the computed model; the
+  // velocity score is always computed
+  const trends = sim.cycleTrends || cycleTrendModel(sim, cycleNum);
+  let trendData;
+  if (sim.liveTrend) {
+    const lt = sim.liveTrend;
+    trendData = {
+      emerging: lt.emerging,
+      declining: lt.declining,
+      saturation: lt.saturation || saturationText(trends),
+      treasury: lt.treasury || 'Unknown',
+      velocityScore: trends.velocityScore,
+      fi: lt.fi,
+    };
+  } else {
+    trendData = fallbackTrendData(
+      designs,
+      sortedDesigns,
+      {
+        catCount,
+        gini,
+        corrAes,
+        corrNov,
+        corrPro,
+        novSlope,
+        winnerShare,
+      },
+      trends,
+      sim.trends.limit
+    );
+  }
+
+  const beforeSnap = genomeSnapshots[cycleNum - 1] || [];
+  const afterSnap = genomeSnapshots[cycleNum] || [];
+  const genomeEvolution = agentStates.map((agent, idx) => {
+    const before = beforeSnap[idx] || {};
+    const after = afterSnap[idx] || snapshotGenome(agent);
+    const dims = [
+      'minimalism',
+      'novelty',
+      'ornamentation',
+      'marketFit',
+      'symmetry',
+      'platBias',
+      'coloredStone',
+      'diamond',
+      'mixedMetal',
+      'risk',
+      'marginSens',
+      'complexBudget',
+    ];
+    const shifts = {};
+    dims.forEach((d) => {
+      shifts[d] = (after[d] || 0) - (before[d] || 0);
+    });
+    const myDesign = sortedDesigns.find((d) => d.agentIdx === idx);
+    return {
+      id: agent.id,
+      name: agent.name,
+      emoji: agent.emoji,
+      before,
+      after,
+      shifts,
+      styleTags: after.styleTags || [],
+      prevStyleTags: before.styleTags || [],
+      dominantBelief: agent.dominantBelief || '',
+      trustBuilt: agent.trustBuilt || 0,
+      rank: myDesign ? sortedDesigns.indexOf(myDesign) + 1 : 0,
+      designName: myDesign?.name || '—',
+      cycleSummary:
+        (agent.evolutionHistory || []).find((e) => e.cycle === cycleNum)
+          ?.summary || '',
+    };
+  });
+
+  const policy = learnPolicy(sim, cycleNum, designs, trendData);
+
+  const now = sim.now();
+  const report = {
+    cycle: cycleNum,
+    seed: sim.seed,
+    rngState: sim.cycleRngState,
+    ruleSet: sim.ruleSet?.name ?? null,
+    date: now.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    }),
+    time: now.toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit',
+    }),
+    winner: sortedDesigns[0],
+    totalCredits,
+    avgAesthetic,
+    avgNovelty,
+    avgProfit,
+    corrAes,
+    corrNov,
+    corrPro,
+    topCorr,
+    gini,
+    winnerShare,
+    top3Share,
+    novSlope,
+    selfVotePct,
+    alignPair,
+    stratPerf,
+    catMap,
+    catCount,
+    trendData,
+    trends,
+    designs,
+    sortedDesigns,
+    agentPerf,
+    voteMatrix,
+    agentSnapshot: agentStates.map((a) => ({ ...a })),
+    genomeEvolution,
+    replyValidation: summarizeReplyChecks(sim, cycleNum),
+    promptContext: summarizeContextUsage(sim, cycleNum),
+    policy,
+    pairing: sim.cyclePairing,
+    voting: sim.cycleVoting,
+    collusion,
+    jury: sim.cycleJury,
+    market: sim.cycleMarket,
+    manufacturing: designs.map((d, i) => ({
+      design: i,
+      name: d.name,
+      agentIdx: d.agentIdx,
+      claimed: d.claimedMakeable,
+      makeable: d.makeable,
+      violations: d.manufacturing.violations,
+    })),
+    dialogues: sim.cycleDialogues,
+    nearDuplicates: designs
+      .filter((d) => d.nearDuplicate)
+      .map((d) => ({
+        agentIdx: d.agentIdx,
+        agentName: d.agentName,
+        name: d.name,
+        of: d.nearDuplicate,
+      })),
+  };
+  cycleReports.push(report);
+
+  // Pattern Memory Bank — store all designs with outcome data
+  designs.forEach((d) => {
+    const agentForDesign = agentStates[d.agentIdx];
+    sim.patternStore.add({
+      cycle: cycleNum,
+      name: d.name,
+      category: d.cat,
+      strategy: d.strategy,
+      materials: d.materials || '',
+      form: d.spec ? specForm(d.spec, d.formConcept) : d.formConcept || '',
+      production: d.production || '',
+      targetCustomer: d.targetCustomer || '',
+      aesthetic: d.aesthetic,
+      novelty: d.novelty,
+      profit: d.profit,
+      wearability: d.wearability || 0,
+      makeable: d.makeable || 0,
+      credits: d.credits,
+      rank: d.rank,
+      reasoning: d.strategicReasoning || '',
+      emergingTrends: trendData?.emerging || [],
+      genomeTraits: agentForDesign
+        ? {
+            novelty: agentForDesign.novelty,
+            marketFit: agentForDesign.marketFit,
+            risk: agentForDesign.risk,
+            platBias: agentForDesign.platBias,
+            manufacturability: agentForDesign.manufacturability ?? 60,
+            wearability: agentForDesign.wearability ?? 65,
+          }
+        : {},
+      confidence: d.rank <= 1 ? 1.0 : d.rank <= 3 ? 0.7 : 0.4,
+    });
+  });
+  sim.patternStore.reinforce(cycleNum, designs);
+  sim.patternStore.save();
+
+  // Asset manifest — the cached bytes behind every design image so far
+  if (sim.images?.cache)
+    sim.images.cache.saveManifest(
+      buildImageManifest(sim.patternStore.epoch, cycleReports)
+    );
+
+  // Q-table — decaying learning rate over strategy×category rewards
+  const alpha = Math.max(0.4, 0.7 - (cycleNum - 1) * 0.15);
+  designs.forEach((d) => {
+    const q = sim.qTable[d.strategy]?.[d.cat];
+    if (q) {
+      q.avgCredits = q.avgCredits + alpha * (d.credits - q.avgCredits);
+      q.totalCredits += d.credits;
+      q.count++;
+      q.lastCycle = cycleNum;
+    }
+  });
+
+  // Rationale persistence — finalize with actual outcomes
+  const avgCredits = totalCredits / designs.length;
+  sim.cycleRationales.forEach((r) => {
+    if (r.cycle !== cycleNum) return;
+    const myDesign = designs.find((d) => d.agentIdx === r.agentIdx);
+    r.actualRank = myDesign?.rank || 7;
+    r.creditsEarned = myDesign?.credits || 0;
+    r.designName = myDesign?.name || '—';
+    r.predictionAccuracy =
+      (myDesign?.credits || 0) >= avgCredits
+        ? 1.0
+        : (myDesign?.credits || 0) / avgCredits;
+    if (r.topVoteIdx !== undefined) {
+      r.votedForWinner = r.topVoteIdx === sortedDesigns[0].idx;
+    }
+    sim.rationaleStore.push(r);
+  });
+  sim.cycleRationales = [];
+
+  computeTraitEffectiveness(
+    cycleNum,
+    sortedDesigns,
+    agentStates,
+    sim.traitEffectiveness
+  );
+
+  sim.log(
+    `Cycle ${cycleNum} Intelligence Report written to knowledge database.`,
+    'rs'
+  );
+  return report;
+}
+
+// ── Cycle and epoch drivers ──────────────────────────────────
+
+async function runCycle(sim) {
+  const cycleNum = sim.currentCycle;
+  sim.cycleRngState = sim.rng.state();
+  sim.replyChecks = [];
+  sim.contextUsage = [];
+  sim.voteMatrix = null;
+  sim.liveTrend = null;
+  sim.cycleTrends = null;
+  sim.cyclePairing = null;
+  sim.cycleDialogues = [];
+  sim.cycleVoting = null;
+  sim.cycleJury = null;
+  sim.cycleMarket = null;
+  sim.log(`Cycle ${cycleNum} initiated.`, 'rp');
+  await runCrossPollination(sim, cycleNum);
+  await runSynthesis(sim, cycleNum);
+  await runVoting(sim, cycleNum);
+  const report = await runEvolution(sim, cycleNum);
+  sim.currentCycle++;
+  return report;
+}
+
+// Everything mutable at the boundary after `cycle` completed cycles. The
+// next cycle starts from `rngState`; snapshot and rationale counts say how
+// much of those append-only logs belong to the boundary.
+function checkpointSimulation(sim) {
+  const clone = (v) => JSON.parse(JSON.stringify(v));
+  const checkpoint = {
+    cycle: sim.currentCycle - 1,
+    rngState: sim.rng.state(),
+    agentStates: clone(sim.agentStates),
+    qTable: clone(sim.qTable),
+    traitEffectiveness: clone(sim.traitEffectiveness),
+    policy: sim.policy ? clone(sim.policy.toJSON()) : null,
+    patterns: clone(sim.patternStore.query({ epoch: sim.patternStore.epoch })),
+    genomeSnapshots: sim.genomeSnapshots.length,
+    rationaleStore: sim.rationaleStore.length,
+  };
+  sim.checkpoints.push(checkpoint);
+  return checkpoint;
+}
+
+async function runEpoch(roster, options = {}) {
+  const sim = createSimulation(roster, options);
+  for (const agent of sim.agentStates) {
+    if (!agent.bio) await generateAgentBio(sim, agent);
+  }
+  return finishEpoch(sim);
+}
+
+// Runs a new or restored simulation's remaining cycles, checkpointing each
+// boundary, and returns the epoch's results
+async function finishEpoch(sim) {
+  if (sim.checkpoints.at(-1)?.cycle !== sim.currentCycle - 1)
+    checkpointSimulation(sim);
+  while (sim.currentCycle <= sim.cycles) {
+    await runCycle(sim);
+    checkpointSimulation(sim);
+  }
+  return {
+    seed: sim.seed,
+    cycles: sim.cycles,
+    cycleReports: sim.cycleReports,
+    epochId: sim.patternStore.epoch,
+    patternBank: sim.patternStore.query({ epoch: sim.patternStore.epoch }),
+    qTable: sim.qTable,
+    policy: sim.policy ? sim.policy.toJSON() : null,
+    genomeSnapshots: sim.genomeSnapshots,
+    traitEffectiveness: sim.traitEffectiveness,
+    rationaleStore: sim.rationaleStore,
+    agentStates: sim.agentStates,
+    checkpoints: sim.checkpoints,
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  STRATEGIES,
+  CROSS_PAIR_BATCHES: CLASSIC_PAIR_BATCHES,
+  ROUND_BUDGET,
+  createSimulation,
+  llmCall,
+  llmJson,
+  parseJsonReply,
+  priorReportSections,
+  priorReportCtx,
+  cycleDigest,
+  buildFallbackBio,
+  generateAgentBio,
+  getFallbackLine,
+  runCrossPollination,
+  runSynthesis,
+  normalizeVotes,
+  fallbackVotes,
+  runVoting,
+  runEvolution,
+  learnPolicy,
+  summarizeReplyChecks,
+  summarizeContextUsage,
+  generateReport,
+  runCycle,
+  checkpointSimulation,
+  runEpoch,
+  finishEpoch,
+};
@@ -0,0 +1,1210 @@
+/**
+ * JewelForge Simulation Engine — Test Suite
+ *
+ * Runs complete epochs headlessly, both offline (every phase on its
+ * fallback path) and against a scripted LLM function.
+ * Run with: node --test engine.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  CATEGORIES,
+  ROUND_BUDGET,
+  createSimulation,
+  llmCall,
+  llmJson,
+  parseJsonReply,
+  priorReportCtx,
+  normalizeVotes,
+  fallbackVotes,
+  runVoting,
+  runCycle,
+  runEpoch,
+} = require('./engine.js');
+const { createRng } = require('./rng.js');
+const { getRuleSet } = require('./rule-sets.js');
+const { createPatternStore } = require('./pattern-store.js');
+const { VOTING_MECHANISM_NAMES } = require('./voting.js');
+const { groundedProfit } = require('./materials.js');
+const { specImagePrompt } = require('./design-spec.js');
+const { GENOME_TRAITS } = require('./game-logic.js');
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function makeRoster(n = 10) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `Agent${i}`,
+    emoji: '🎯',
+    arch: 'Minimalist',
+    philosophy: 'Less is more',
+    styleTags: ['clean'],
+    marketFocus: 'Ring',
+    minimalism: 40 + i * 4,
+    novelty: 50 + i * 2,
+    ornamentation: 60 - i * 3,
+    marketFit: 50,
+    symmetry: 60,
+    platBias: 30 + i * 5,
+    risk: 20 + i * 7,
+    marginSens: 65,
+    complexBudget: 55,
+    pricePoint: 50,
+    manufacturability: 60,
+    wearability: 65,
+    trendSens: 45,
+    reputation: 50,
+  }));
+}
+
+// Replies with well-formed JSON for every phase; agent 0 always gets the
+// votes, agent 1 otherwise.
+function scriptedLlm(system, user, meta) {
+  switch (meta.phase) {
+    case 'blueprint':
+      return JSON.stringify({
+        strategy: 'explore',
+        cat: 'Pendant',
+        reasoning: 'Scripted reasoning.',
+        spec: {
+          metal: { type: 'gold', karat: 18, color: 'yellow', finish: 'satin' },
+          stones: [],
+          dimensions: { widthMm: 16, heightMm: 26, depthMm: 4 },
+          texture: 'hammered',
+          motif: 'teardrop',
+          closure: 'bail',
+        },
+        form: 'open teardrop frame',
+        production: 'investment casting',
+        targetCustomer: 'everyday luxury buyer',
+        complexity: 6,
+        estMargin: 70,
+      });
+    case 'assess':
+      return '```json\n{"aesthetic":80,"novelty":70,"profit":60,"wearability":75,"makeable":65}\n```';
+    case 'naming':
+      return JSON.stringify({ name: `Halo ${meta.agentId}` });
+    case 'voting': {
+      const n = (user.match(/^\[\d+\]/gm) || []).length;
+      const target = meta.agentId === 0 ? 1 : 0;
+      return JSON.stringify({
+        reasoning: 'Scripted vote.',
+        votes: Array.from({ length: n }, (_, i) => (i === target ? 10000 : 0)),
+      });
+    }
+    case 'evolution':
+      return JSON.stringify({
+        belief: `Belief ${meta.agentId}`,
+        shifts: { novelty: 4 },
+        trend: 'Pendants rise',
+      });
+    case 'trend':
+      return JSON.stringify({
+        emerging: ['open teardrop forms'],
+        declining: ['pendants'],
+        saturation: 'Pendant 100%',
+        treasury: 'gold',
+        fi: ['insight'],
+      });
+    default:
+      return `Scripted ${meta.phase} line from ${meta.agentName}.`;
+  }
+}
+
+const FIXED_NOW = () => new Date('2026-01-15T12:00:00Z');
+
+// ═══════════════════════════════════════════════════════════════
+//  1. HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseJsonReply', () => {
+  it('parses fenced JSON', () => {
+    assert.deepEqual(parseJsonReply('```json\n{"a":1}\n```'), { a: 1 });
+  });
+
+  it('returns null for invalid or empty replies', () => {
+    assert.equal(parseJsonReply('not json'), null);
+    assert.equal(parseJsonReply(null), null);
+  });
+});
+
+describe('normalizeVotes', () => {
+  it('rescales to the round budget', () => {
+    const votes = normalizeVotes([1, 1, 2], -1);
+    assert.equal(
+      votes.reduce((a, b) => a + b, 0),
+      ROUND_BUDGET
+    );
+    assert.deepEqual(votes, [2500, 2500, 5000]);
+  });
+
+  it('redistributes self-votes onto other designs', () => {
+    const votes = normalizeVotes([5000, 2500, 2500], 0);
+    assert.equal(votes[0], 0);
+    assert.equal(
+      votes.reduce((a, b) => a + b, 0),
+      ROUND_BUDGET
+    );
+  });
+
+  it('ignores negative allocations', () => {
+    const votes = normalizeVotes([-100, 100], -1);
+    assert.deepEqual(votes, [0, ROUND_BUDGET]);
+  });
+
+  it('moves nothing when the only design is the voter’s own', () => {
+    assert.deepEqual(normalizeVotes([5000], 0), [0]);
+  });
+});
+
+describe('fallbackVotes', () => {
+  it('weights by aesthetic and never votes for self', () => {
+    const designs = [
+      { aesthetic: 90, novelty: 50, profit: 50 },
+      { aesthetic: 90, novelty: 50, profit: 50 },
+      { aesthetic: 40, novelty: 50, profit: 50 },
+    ];
+    const votes = fallbackVotes(designs, 0);
+    assert.equal(votes[0], 0);
+    assert.ok(votes[1] > votes[2]);
+    assert.equal(
+      votes.reduce((a, b) => a + b, 0),
+      ROUND_BUDGET
+    );
+  });
+
+  it('jitters weights with an rng but keeps the budget and self-exclusion', () => {
+    const designs = Array.from({ length: 4 }, () => ({
+      aesthetic: 70,
+      novelty: 50,
+      profit: 50,
+    }));
+    const votes = fallbackVotes(designs, 2, ROUND_BUDGET, createRng(11));
+    assert.equal(votes[2], 0);
+    assert.equal(
+      votes.reduce((a, b) => a + b, 0),
+      ROUND_BUDGET
+    );
+    assert.deepEqual(
+      votes,
+      fallbackVotes(designs, 2, ROUND_BUDGET, createRng(11))
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. SIMULATION STATE
+// ═══════════════════════════════════════════════════════════════
+
+describe('createSimulation', () => {
+  it('normalizes the roster and takes an initial genome snapshot', () => {
+    const sim = createSimulation(makeRoster(4));
+    assert.equal(sim.agentStates.length, 4);
+    sim.agentStates.forEach((a, i) => {
+      assert.equal(a.id, i);
+      assert.equal(a.credits, 100000);
+      assert.deepEqual(a.evolutionHistory, []);
+      assert.deepEqual(a.conversationMemory, []);
+    });
+    assert.equal(sim.genomeSnapshots.length, 1);
+    assert.equal(sim.cycles, 5);
+  });
+
+  it('does not mutate the input roster', () => {
+    const roster = makeRoster(3);
+    const sim = createSimulation(roster);
+    sim.agentStates[0].credits = 1;
+    assert.equal(roster[0].credits, undefined);
+  });
+});
+
+describe('llmCall', () => {
+  it('returns null when no LLM is configured', async () => {
+    const sim = createSimulation(makeRoster(2));
+    assert.equal(await llmCall(sim, 'sys', 'user', null, 'test'), null);
+  });
+
+  it('prepends the agent genome and report context', async () => {
+    let seen;
+    const sim = createSimulation(makeRoster(2), {
+      llm: (system, user, meta) => {
+        seen = { system, user, meta };
+        return 'ok';
+      },
+    });
+    const out = await llmCall(
+      sim,
+      'PHASE PROMPT',
+      'hello',
+      sim.agentStates[1],
+      'test'
+    );
+    assert.equal(out, 'ok');
+    assert.ok(seen.system.startsWith('You are Agent1'));
+    assert.ok(seen.system.includes('AGENT IDENTITY'));
+    assert.ok(seen.system.includes('No prior intelligence reports'));
+    assert.ok(seen.system.endsWith('PHASE PROMPT'));
+    assert.deepEqual(seen.meta, {
+      agentId: 1,
+      agentName: 'Agent1',
+      phase: 'test',
+      cycle: 1,
+    });
+  });
+
+  it('turns provider errors into null', async () => {
+    const sim = createSimulation(makeRoster(2), {
+      llm: () => {
+        throw new Error('boom');
+      },
+    });
+    assert.equal(await llmCall(sim, 'sys', 'user', null, 'test'), null);
+  });
+});
+
+describe('llmJson', () => {
+  const schema = {
+    type: 'object',
+    required: ['n'],
+    properties: { n: { type: 'integer', minimum: 0, maximum: 9 } },
+  };
+
+  function simWithReplies(replies) {
+    const prompts = [];
+    const sim = createSimulation(makeRoster(2), {
+      llm: (system, user) => {
+        prompts.push(user);
+        return replies.shift() ?? null;
+      },
+    });
+    return { sim, prompts };
+  }
+
+  it('returns valid replies and records them as valid', async () => {
+    const { sim } = simWithReplies(['{"n":3}']);
+    assert.deepEqual(await llmJson(sim, schema, 's', 'u', null, 'test'), {
+      n: 3,
+    });
+    assert.equal(sim.replyChecks[0].outcome, 'valid');
+    assert.equal(sim.replyChecks[0].agentId, 0);
+  });
+
+  it('repairs without re-asking when possible', async () => {
+    const { sim, prompts } = simWithReplies(['{"n":"12"}']);
+    assert.deepEqual(await llmJson(sim, schema, 's', 'u', null, 'test'), {
+      n: 9,
+    });
+    assert.equal(prompts.length, 1);
+    assert.equal(sim.replyChecks[0].outcome, 'repaired');
+  });
+
+  it('re-asks with the validator errors appended', async () => {
+    const { sim, prompts } = simWithReplies(['{"m":1}', '{"n":2}']);
+    assert.deepEqual(await llmJson(sim, schema, 's', 'u', null, 'test'), {
+      n: 2,
+    });
+    assert.ok(prompts[1].includes('$.n: is required'));
+    assert.equal(sim.replyChecks[0].outcome, 'reasked');
+    assert.deepEqual(sim.replyChecks[0].errors, ['$.n: is required']);
+  });
+
+  it('falls back after the re-ask budget is spent', async () => {
+    const { sim, prompts } = simWithReplies(['{"m":1}', 'nope', '{"n":1}']);
+    assert.equal(await llmJson(sim, schema, 's', 'u', null, 'test'), null);
+    assert.equal(prompts.length, 2);
+    assert.equal(sim.replyChecks[0].outcome, 'fallback');
+  });
+
+  it('does not re-ask when there was no reply at all', async () => {
+    const { sim, prompts } = simWithReplies([]);
+    assert.equal(await llmJson(sim, schema, 's', 'u', null, 'test'), null);
+    assert.equal(prompts.length, 1);
+    assert.deepEqual(sim.replyChecks[0].errors, ['no reply']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. OFFLINE EPOCH (fallback paths only)
+// ═══════════════════════════════════════════════════════════════
+
+describe('runEpoch offline', () => {
+  it('runs a full 5-cycle epoch without an LLM', async () => {
+    const result = await runEpoch(makeRoster(10), { now: FIXED_NOW });
+    assert.equal(result.cycleReports.length, 5);
+    assert.equal(result.genomeSnapshots.length, 6);
+    assert.equal(result.patternBank.length, 50);
+    assert.equal(result.rationaleStore.length, 50);
+    result.cycleReports.forEach((r, i) => {
+      assert.equal(r.cycle, i + 1);
+      assert.equal(r.designs.length, 10);
+      assert.equal(r.voteMatrix.length, 10);
+      assert.ok(r.trendData.emerging.length > 0);
+      assert.ok(r.winner.credits > 0);
+    });
+    result.agentStates.forEach((a) => {
+      assert.equal(a.evolutionHistory.length, 5);
+      assert.ok(a.bio.length > 0);
+    });
+  });
+
+  it('evolves offline agents by the selected rule set', async () => {
+    const roster = makeRoster(3).map((a, i) =>
+      i === 1 ? { ...a, arch: 'Market Strategist' } : a
+    );
+    const result = await runEpoch(roster, {
+      seed: 5,
+      cycles: 3,
+      ruleSet: 'luxury-boom',
+    });
+    const { stages } = getRuleSet('luxury-boom');
+    assert.ok(result.cycleReports.every((r) => r.ruleSet === 'luxury-boom'));
+    assert.equal(
+      result.agentStates[1].dominantBelief,
+      stages[3].beliefs.byArchetype['Market Strategist']
+    );
+    assert.equal(
+      result.agentStates[0].dominantBelief,
+      stages[3].beliefs.default
+    );
+  });
+
+  it('rejects an unknown rule set before running', async () => {
+    await assert.rejects(
+      runEpoch(makeRoster(3), { ruleSet: 'tulip-mania' }),
+      /Unknown rule set "tulip-mania"/
+    );
+  });
+
+  it('runs epochs of any configured length', async () => {
+    const trendPrompts = [];
+    const result = await runEpoch(makeRoster(3), {
+      cycles: 20,
+      llm: (system, user, meta) => {
+        if (meta.phase === 'trend') trendPrompts.push(user);
+        return null;
+      },
+    });
+    assert.equal(result.cycleReports.length, 20);
+    assert.equal(result.genomeSnapshots.length, 21);
+    assert.ok(trendPrompts[19].startsWith('Cycle 20 of 20 completed.'));
+    const winnerIdx = result.cycleReports[19].winner.agentIdx;
+    assert.equal(result.agentStates[winnerIdx].status, '🏆 Epoch Winner');
+  });
+
+  it('never lets an agent vote for its own design', async () => {
+    const result = await runEpoch(makeRoster(6), { cycles: 2 });
+    result.cycleReports.forEach((r) => {
+      r.voteMatrix.forEach((votes, vi) => {
+        const own = r.designs.findIndex((d) => d.agentIdx === vi);
+        assert.equal(votes[own], 0);
+        assert.equal(
+          votes.reduce((a, b) => a + b, 0),
+          ROUND_BUDGET
+        );
+      });
+    });
+  });
+
+  it('runs every voting mechanism and records its tally', async () => {
+    for (const mechanism of VOTING_MECHANISM_NAMES) {
+      const result = await runEpoch(makeRoster(5), {
+        cycles: 1,
+        voting: mechanism,
+      });
+      const [report] = result.cycleReports;
+      assert.equal(report.voting.mechanism, mechanism);
+      report.voteMatrix.forEach((votes, vi) => {
+        const own = report.designs.findIndex((d) => d.agentIdx === vi);
+        assert.equal(votes[own], 0, mechanism);
+      });
+      assert.deepEqual(
+        report.agentPerf.map((p) => p.spent),
+        report.voting.spent
+      );
+      if (mechanism === 'sealed-bid') {
+        // Designs receive exactly what winning bidders pay
+        assert.equal(
+          report.designs.reduce((s, d) => s + d.credits, 0),
+          report.voting.spent.reduce((s, v) => s + v, 0)
+        );
+        assert.equal(report.voting.auctions.length, 5);
+      }
+      if (mechanism === 'ranked-choice')
+        assert.ok(Number.isInteger(report.voting.runoff.winner));
+    }
+  });
+
+  it('runs every voting mechanism with a one-agent roster', async () => {
+    for (const mechanism of VOTING_MECHANISM_NAMES) {
+      const result = await runEpoch(makeRoster(1), {
+        cycles: 1,
+        voting: mechanism,
+      });
+      const [report] = result.cycleReports;
+      assert.deepEqual(report.voteMatrix, [[0]], mechanism);
+      assert.deepEqual(report.voting.spent, [0], mechanism);
+      assert.equal(report.designs[0].credits, 0, mechanism);
+    }
+  });
+
+  it('updates the Q-table from every design', async () => {
+    const result = await runEpoch(makeRoster(4), { cycles: 2 });
+    let samples = 0;
+    Object.values(result.qTable).forEach((cats) =>
+      Object.values(cats).forEach((q) => (samples += q.count))
+    );
+    assert.equal(samples, 8);
+  });
+
+  it('carries the pattern store into the next epoch', async () => {
+    let clock = '2026-01-15T12:00:00Z';
+    const now = () => new Date(clock);
+    const store = createPatternStore({ now });
+    const first = await runEpoch(makeRoster(3), {
+      cycles: 1,
+      patternStore: store,
+      epochId: 'first',
+      now,
+    });
+    assert.equal(first.patternBank.length, 3);
+    clock = '2026-03-01T12:00:00Z';
+    const prompts = [];
+    const second = await runEpoch(makeRoster(3), {
+      cycles: 1,
+      patternStore: store,
+      epochId: 'second',
+      now,
+      llm: (system) => {
+        prompts.push(system);
+        return null;
+      },
+    });
+    assert.equal(store.size, 6);
+    assert.deepEqual(
+      second.patternBank.map((p) => p.epoch),
+      ['second', 'second', 'second']
+    );
+    assert.ok(
+      prompts.some((p) => p.includes('[Earlier epoch, cycle 1, 45d ago #'))
+    );
+  });
+
+  it('handles rosters smaller than the 10-agent pair batches', async () => {
+    const result = await runEpoch(makeRoster(3), { cycles: 1 });
+    const memory = result.agentStates.flatMap((a) => a.conversationMemory);
+    assert.ok(memory.length > 0);
+    assert.equal(result.cycleReports[0].designs.length, 3);
+  });
+
+  it('gives every agent of a larger odd roster a partner and records the topology', async () => {
+    const result = await runEpoch(makeRoster(13), {
+      cycles: 1,
+      pairing: 'contrarian',
+    });
+    const { pairing } = result.cycleReports[0];
+    assert.equal(pairing.topology, 'contrarian');
+    assert.equal(pairing.batches.length, 3);
+    result.agentStates.forEach((a) =>
+      assert.ok(a.conversationMemory.length > 0, a.name)
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  4. SEEDED REPRODUCIBILITY
+// ═══════════════════════════════════════════════════════════════
+
+describe('seeded epochs', () => {
+  it('produces identical epochs for the same seed', async () => {
+    const opts = { cycles: 3, seed: 1234, now: FIXED_NOW };
+    const a = await runEpoch(makeRoster(5), opts);
+    const b = await runEpoch(makeRoster(5), opts);
+    assert.deepEqual(a, b);
+  });
+
+  it('diverges for a different seed', async () => {
+    const a = await runEpoch(makeRoster(5), { cycles: 1, seed: 1 });
+    const b = await runEpoch(makeRoster(5), { cycles: 1, seed: 2 });
+    assert.notDeepEqual(
+      a.cycleReports[0].designs.map((d) => d.imageSeed),
+      b.cycleReports[0].designs.map((d) => d.imageSeed)
+    );
+  });
+
+  it('renders offline images without touching the RNG stream', async () => {
+    const opts = { cycles: 1, seed: 8, now: FIXED_NOW };
+    const plain = await runEpoch(makeRoster(3), opts);
+    const drawn = await runEpoch(makeRoster(3), {
+      ...opts,
+      images: 'procedural',
+    });
+    const designs = drawn.cycleReports[0].designs;
+    designs.forEach((d) => {
+      assert.equal(d.image.backend, 'procedural');
+      assert.match(d.image.url, /^data:image\/svg\+xml/);
+    });
+    assert.deepEqual(
+      designs.map(({ image, ...d }) => d),
+      plain.cycleReports[0].designs
+    );
+    assert.equal(plain.cycleReports[0].designs[0].image, undefined);
+  });
+
+  it('records the seed and cycle-start RNG state in every report', async () => {
+    const result = await runEpoch(makeRoster(3), { cycles: 2, seed: 'abc' });
+    assert.equal(result.seed, 'abc');
+    result.cycleReports.forEach((r) => {
+      assert.equal(r.seed, 'abc');
+      assert.equal(typeof r.rngState, 'number');
+    });
+    assert.notEqual(
+      result.cycleReports[0].rngState,
+      result.cycleReports[1].rngState
+    );
+  });
+
+  it('replays a cycle from its recorded RNG state', async () => {
+    const full = await runEpoch(makeRoster(4), { cycles: 2, seed: 77 });
+    const c2 = full.cycleReports[1];
+    const sim = createSimulation(makeRoster(4), {
+      seed: 77,
+      rngState: c2.rngState,
+    });
+    sim.currentCycle = 2;
+    const report = await runCycle(sim);
+    assert.deepEqual(
+      report.designs.map((d) => [d.emoji, d.imageSeed]),
+      c2.designs.map((d) => [d.emoji, d.imageSeed])
+    );
+  });
+
+  it('seeds default reputations from the RNG', () => {
+    const roster = makeRoster(4).map(({ reputation, ...a }) => a);
+    const a = createSimulation(roster, { seed: 3 });
+    const b = createSimulation(roster, { seed: 3 });
+    assert.deepEqual(
+      a.agentStates.map((x) => x.reputation),
+      b.agentStates.map((x) => x.reputation)
+    );
+    a.agentStates.forEach((x) =>
+      assert.ok(x.reputation >= 45 && x.reputation <= 74)
+    );
+  });
+
+  it('jitters fallback votes so voters do not all agree', async () => {
+    const result = await runEpoch(makeRoster(5), { cycles: 1, seed: 8 });
+    const [v0, v1] = result.cycleReports[0].voteMatrix.slice(2, 4);
+    assert.notDeepEqual(v0, v1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  5. SCRIPTED LLM EPOCH
+// ═══════════════════════════════════════════════════════════════
+
+describe('runEpoch with a scripted LLM', () => {
+  it('uses parsed LLM replies for designs, votes and evolution', async () => {
+    const result = await runEpoch(makeRoster(4), {
+      cycles: 2,
+      llm: scriptedLlm,
+      now: FIXED_NOW,
+    });
+    const [c1] = result.cycleReports;
+    c1.designs.forEach((d) => {
+      assert.equal(d.cat, 'Pendant');
+      assert.equal(d.aesthetic, 80);
+      assert.ok(d.name.startsWith('Halo '));
+    });
+    // Everyone but agent 0 backs agent 0's design
+    assert.equal(c1.winner.agentIdx, 0);
+    assert.deepEqual(c1.trendData.emerging, ['open teardrop forms']);
+    assert.equal(result.agentStates[2].dominantBelief, 'Belief 2');
+    assert.equal(
+      result.agentStates[2].evolutionHistory[0].genomeShifts.novelty,
+      4
+    );
+  });
+
+  it('flags blueprints that repeat a past winner', async () => {
+    const assessPrompts = [];
+    const result = await runEpoch(makeRoster(3), {
+      cycles: 2,
+      llm: (system, user, meta) => {
+        if (meta.phase === 'assess') assessPrompts.push(user);
+        return scriptedLlm(system, user, meta);
+      },
+    });
+    const [c1, c2] = result.cycleReports;
+    assert.deepEqual(c1.nearDuplicates, []);
+    assert.equal(c2.nearDuplicates.length, 3);
+    assert.equal(c2.nearDuplicates[0].of.name, 'Halo 0');
+    assert.ok(c2.nearDuplicates[0].of.similarity >= 0.6);
+    assert.ok(
+      assessPrompts[3].includes('PAST DESIGNS CLOSEST TO YOUR BLUEPRINT')
+    );
+    assert.match(assessPrompts[3], /NEAR-DUPLICATE WARNING: .*"Halo 0"/);
+  });
+
+  it('counts repairs and fallbacks per agent in the report', async () => {
+    const llm = (system, user, meta) => {
+      if (meta.phase === 'voting' && meta.agentId === 1) return 'no idea';
+      if (meta.phase === 'evolution' && meta.agentId === 2)
+        return '{"belief":"b","shifts":{"novelty":"15"}}';
+      return scriptedLlm(system, user, meta);
+    };
+    const result = await runEpoch(makeRoster(3), { cycles: 1, llm });
+    const { byAgent, totalFallbacks, issues } =
+      result.cycleReports[0].replyValidation;
+    assert.deepEqual(byAgent[1], {
+      agentId: 1,
+      name: 'Agent1',
+      valid: 2,
+      repaired: 0,
+      reasked: 0,
+      fallbacks: 1,
+    });
+    assert.equal(byAgent[2].repaired, 1);
+    assert.equal(totalFallbacks, 1);
+    assert.deepEqual(
+      issues.map((i) => [i.agentId, i.phase, i.outcome]),
+      [
+        [1, 'voting', 'fallback'],
+        [2, 'evolution', 'repaired'],
+      ]
+    );
+    assert.equal(
+      result.agentStates[2].evolutionHistory[0].genomeShifts.novelty,
+      10
+    );
+  });
+
+  it('asks for and tallies ranked ballots', async () => {
+    let prompt = '';
+    const result = await runEpoch(makeRoster(3), {
+      cycles: 1,
+      voting: 'ranked-choice',
+      llm: (s, u, meta) => {
+        if (meta.phase !== 'voting') return scriptedLlm(s, u, meta);
+        prompt = u;
+        // Everyone ranks the last design they may rank first
+        const self = Number(u.match(/own design \(index (\d+)\)/)[1]);
+        const ranking = [2, 1, 0].filter((i) => i !== self);
+        return JSON.stringify({ reasoning: 'Ranked.', ranking });
+      },
+    });
+    assert.match(prompt, /Borda count: your first choice earns 2 points/);
+    assert.match(prompt, /"ranking":\[index of your favourite/);
+    const [report] = result.cycleReports;
+    assert.deepEqual(report.voteMatrix[0], [0, 3333, 6667]);
+    assert.equal(report.voting.runoff.winner, 2);
+    assert.equal(report.replyValidation.totalFallbacks, 0);
+  });
+
+  it('reports vote trading and optionally penalises it', async () => {
+    const run = (collusion) =>
+      runEpoch(makeRoster(4), {
+        cycles: 2,
+        seed: 5,
+        llm: scriptedLlm,
+        collusion,
+      });
+    const plain = await run();
+    const penalised = await run({ penalty: true });
+    // Agents 0 and 1 back each other every cycle
+    const [c1, c2] = penalised.cycleReports;
+    assert.deepEqual(c1.collusion.trades, []);
+    assert.deepEqual(c2.collusion.trades[0].names, ['Agent0', 'Agent1']);
+    assert.deepEqual(c2.collusion.trades[0].cycles, [1, 2]);
+    assert.deepEqual(
+      c2.collusion.penalties.map((p) => [p.agent, p.points]),
+      [
+        [0, 4],
+        [1, 4],
+      ]
+    );
+    assert.deepEqual(plain.cycleReports[1].collusion.penalties, []);
+    [0, 1, 2].forEach((idx) =>
+      assert.equal(
+        c2.agentSnapshot[idx].reputation,
+        plain.cycleReports[1].agentSnapshot[idx].reputation - (idx < 2 ? 4 : 0)
+      )
+    );
+  });
+
+  it('tallies human jury ballots alongside the agents', async () => {
+    const logs = [];
+    const result = await runEpoch(makeRoster(3), {
+      cycles: 2,
+      llm: scriptedLlm,
+      log: (msg) => logs.push(msg),
+      jury: {
+        weight: 0.5,
+        ballots: ({ cycle, designs }) =>
+          cycle === 1
+            ? `juror,design,credits\nAna,${designs[2].name},10000`
+            : 'Ana,Unknown Design,10000',
+      },
+    });
+    const [c1, c2] = result.cycleReports;
+    // Nobody's agent votes went to design 2
+    const agentTotal = c1.designs[0].credits + c1.designs[1].credits;
+    assert.deepEqual(c1.jury.jurors, ['Ana']);
+    assert.deepEqual(c1.jury.awards, [0, 0, agentTotal]);
+    assert.equal(c1.designs[2].credits, agentTotal);
+    assert.equal(c1.jury.divergence[0].juryShare, 100);
+    // Unparseable ballots are logged and skipped
+    assert.equal(c2.jury, null);
+    assert.ok(
+      logs.some((m) => /Jury ballots rejected: .*Unknown Design/.test(m))
+    );
+  });
+
+  it('reports simulated sales and can replace the vote tally with them', async () => {
+    const voted = await runEpoch(makeRoster(4), { cycles: 1, seed: 3 });
+    const [report] = voted.cycleReports;
+    assert.equal(report.market.mode, 'report');
+    assert.equal(report.market.designs.length, 4);
+    report.market.designs.forEach((s, i) =>
+      assert.equal(s.agentIdx, report.designs[i].agentIdx)
+    );
+    assert.ok(report.market.totals.units > 0);
+
+    const sold = await runEpoch(makeRoster(4), {
+      cycles: 1,
+      seed: 3,
+      market: { mode: 'replace', basis: 'revenue' },
+    });
+    const [replaced] = sold.cycleReports;
+    const credits = replaced.designs.map((d) => d.credits);
+    const revenue = replaced.market.designs.map((s) => s.revenue);
+    // Credits now rank designs exactly as revenue does
+    const order = (xs) => xs.map((_, i) => i).sort((a, b) => xs[b] - xs[a]);
+    assert.deepEqual(order(credits), order(revenue));
+    assert.equal(replaced.winner.idx, order(revenue)[0]);
+
+    const off = await runEpoch(makeRoster(4), { cycles: 1, market: 'off' });
+    assert.equal(off.cycleReports[0].market, null);
+  });
+
+  it('reports an empty market when no design reached the vote', async () => {
+    const logs = [];
+    const sim = createSimulation(makeRoster(2), {
+      market: { mode: 'blend' },
+      log: (m) => logs.push(m),
+    });
+    sim.activeDesigns = [];
+    await runVoting(sim, 1);
+    assert.deepEqual(sim.cycleMarket.designs, []);
+    assert.equal(sim.cycleMarket.leader, null);
+    assert.ok(logs.includes('Market: no designs to sell this cycle.'));
+  });
+
+  it('costs each blueprint and grounds the profit score in it', async () => {
+    const assessPrompts = [];
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm: (s, u, meta) => {
+        if (meta.phase === 'assess') assessPrompts.push(u);
+        return scriptedLlm(s, u, meta);
+      },
+    });
+    const [design] = result.cycleReports[0].designs;
+    assert.equal(design.bom.metal, 'gold-18k');
+    assert.ok(design.bom.cost > 0 && design.bom.retail > design.bom.cost);
+    assert.equal(design.profit, groundedProfit(60, design.bom));
+    assert.match(assessPrompts[0], /Bill of materials: .*18K gold.*cost \$/);
+    // The market sells at the BOM's retail price
+    assert.equal(
+      result.cycleReports[0].market.designs[0].price,
+      design.bom.retail
+    );
+  });
+
+  it('checks blueprints for manufacturing conflicts and docks MFG', async () => {
+    const logs = [];
+    const llm = (s, u, meta) =>
+      meta.phase === 'blueprint'
+        ? JSON.stringify({
+            strategy: 'explore',
+            cat: 'Ring',
+            reasoning: 'Scripted reasoning.',
+            spec: {
+              metal: { type: 'silver', finish: 'high polish' },
+              stones: [
+                {
+                  type: 'sapphire',
+                  cut: 'oval',
+                  carats: 1,
+                  setting: 'tension',
+                },
+              ],
+              dimensions: { widthMm: 20, heightMm: 22 },
+              closure: 'none',
+            },
+            form: 'caged band',
+            production: 'investment casting',
+            complexity: 6,
+            estMargin: 70,
+          })
+        : scriptedLlm(s, u, meta);
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm,
+      log: (msg, type) => logs.push([msg, type]),
+    });
+    const [report] = result.cycleReports;
+    const [design] = report.designs;
+    assert.equal(design.claimedMakeable, 65);
+    assert.equal(design.makeable, 65 - 15 - 6);
+    assert.deepEqual(
+      report.manufacturing[0].violations.map((v) => v.rule),
+      ['tension-soft-metal', 'cast-undercuts']
+    );
+    assert.ok(
+      logs.some(([m, t]) => t === 'warn' && /Manufacturing error/.test(m))
+    );
+
+    const reported = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm,
+      manufacturing: false,
+    });
+    const [kept] = reported.cycleReports[0].designs;
+    assert.equal(kept.makeable, 65);
+    assert.equal(kept.manufacturing.penalty, 21);
+  });
+
+  it('validates the blueprint spec and derives the design text from it', async () => {
+    const blueprintPrompts = [];
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm: (s, u, meta) => {
+        if (meta.phase !== 'blueprint') return scriptedLlm(s, u, meta);
+        blueprintPrompts.push(u);
+        const reply = JSON.parse(scriptedLlm(s, u, meta));
+        // The first reply of each agent gives a pendant an earring closure
+        if (!u.includes('REJECTED')) reply.spec.closure = 'hook';
+        return JSON.stringify(reply);
+      },
+    });
+    assert.equal(blueprintPrompts.length, 4);
+    const reasked = blueprintPrompts.filter((u) => u.includes('REJECTED'));
+    assert.equal(reasked.length, 2);
+    assert.match(reasked[0], /hook closure does not suit Pendant/);
+
+    const [design] = result.cycleReports[0].designs;
+    assert.equal(design.spec.closure, 'bail');
+    assert.equal(design.materials, 'satin 18K yellow gold');
+    assert.equal(
+      design.prompt,
+      specImagePrompt(design.spec, { cat: 'Pendant', form: design.formConcept })
+    );
+    assert.match(
+      design.prompt,
+      /^satin 18K yellow gold pendant, open teardrop/
+    );
+    assert.equal(design.rawPrompt, undefined);
+    assert.equal(
+      result.patternBank[0].form,
+      'open teardrop frame, teardrop motif, hammered texture'
+    );
+  });
+
+  it('re-asks evolution replies that shift non-genome keys', async () => {
+    const evolutionPrompts = [];
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm: (s, u, meta) => {
+        if (meta.phase !== 'evolution') return scriptedLlm(s, u, meta);
+        evolutionPrompts.push(u);
+        return JSON.stringify({
+          belief: 'b',
+          shifts: { id: 2, credits: -10, reputation: 10, novelty: 4 },
+        });
+      },
+    });
+    assert.equal(evolutionPrompts.length, 4);
+    assert.match(
+      evolutionPrompts.find((u) => u.includes('REJECTED')),
+      /unknown genome trait id, credits, reputation/
+    );
+    result.agentStates.forEach((a, i) => {
+      assert.equal(a.id, i);
+      assert.ok(a.credits > 100);
+      assert.deepEqual(
+        Object.keys(a.evolutionHistory[0].genomeShifts).filter(
+          (k) => !GENOME_TRAITS.includes(k)
+        ),
+        []
+      );
+    });
+  });
+
+  it('holds the trend narrative to the computed regimes', async () => {
+    const trendPrompts = [];
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm: (s, u, meta) => {
+        if (meta.phase !== 'trend') return scriptedLlm(s, u, meta);
+        trendPrompts.push(u);
+        // Every design is a pendant, so pendants are saturated
+        return JSON.stringify({
+          ...JSON.parse(scriptedLlm(s, u, meta)),
+          emerging: ['pendants'],
+        });
+      },
+    });
+    assert.equal(trendPrompts.length, 2);
+    assert.match(trendPrompts[0], /Computed declining: Pendant \(saturated/);
+    assert.match(
+      trendPrompts[1],
+      /emerging "pendants" names Pendant, which is saturated/
+    );
+
+    const [report] = result.cycleReports;
+    assert.equal(report.trends.cycle, 1);
+    assert.equal(
+      report.trends.series.find((s) => s.key === 'category:Pendant').share,
+      100
+    );
+    assert.equal(report.trendData.velocityScore, report.trends.velocityScore);
+    assert.match(report.trendData.declining[0], /\(saturated: /);
+    assert.ok(report.trendData.emerging.every((e) => !/^Pendant/.test(e)));
+    assert.equal(report.designs[0].styleTags[0], 'clean');
+  });
+
+  it('records cross-pollination replies in conversation memory', async () => {
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      llm: scriptedLlm,
+    });
+    assert.deepEqual(result.agentStates[0].conversationMemory, [
+      {
+        cycle: 1,
+        partner: 'Agent1',
+        excerpt: 'Scripted crossPollination line from Agent1.',
+        mode: 'exchange',
+        dialogue: 0,
+      },
+    ]);
+  });
+
+  it('stores full debate transcripts and quotes them in the blueprint', async () => {
+    const prompts = [];
+    const blueprints = [];
+    const result = await runEpoch(makeRoster(2), {
+      cycles: 1,
+      dialogue: { mode: 'debate', turns: 4 },
+      llm: (s, u, meta) => {
+        if (meta.phase === 'blueprint') blueprints.push(u);
+        if (meta.phase !== 'crossPollination') return scriptedLlm(s, u, meta);
+        prompts.push(u);
+        return `Point ${prompts.length} from ${meta.agentName}.`;
+      },
+    });
+    const [dialogue] = result.cycleReports[0].dialogues;
+    assert.equal(dialogue.mode, 'debate');
+    assert.deepEqual(
+      dialogue.turns.map((t) => [t.agentName, t.role, t.text]),
+      [
+        ['Agent0', 'open', 'Point 1 from Agent0.'],
+        ['Agent1', 'reply', 'Point 2 from Agent1.'],
+        ['Agent0', 'rebut', 'Point 3 from Agent0.'],
+        ['Agent1', 'rebut', 'Point 4 from Agent1.'],
+      ]
+    );
+    assert.match(prompts[3], /Agent0: "Point 3 from Agent0\."\n\nTurn 4 of 4/);
+    // Memory holds the partner's final word, not a canned summary
+    assert.deepEqual(
+      result.agentStates[0].conversationMemory.map((m) => m.excerpt),
+      ['Point 4 from Agent1.']
+    );
+    assert.match(
+      blueprints[0],
+      /FULL TRANSCRIPTS:\n\[debate: Agent0 and 1 other\]/
+    );
+  });
+
+  it('runs critique circles and review panels over the whole roster', async () => {
+    for (const [dialogue, sizes] of [
+      ['critique-circle', [3, 4]],
+      [{ mode: 'review-panel', panelSize: 4 }, [4, 3]],
+    ]) {
+      const result = await runEpoch(makeRoster(7), {
+        cycles: 1,
+        pairing: { topology: 'round-robin', batches: 1 },
+        dialogue,
+        llm: scriptedLlm,
+      });
+      const { dialogues } = result.cycleReports[0];
+      assert.deepEqual(
+        dialogues.map((d) => d.participants.length),
+        sizes
+      );
+      assert.deepEqual(
+        dialogues.flatMap((d) => d.participants).sort(),
+        [0, 1, 2, 3, 4, 5, 6]
+      );
+      // Every member of a group remembers every other member
+      result.agentStates.forEach((a) => {
+        const group = dialogues.find((d) => d.participants.includes(a.id));
+        assert.equal(
+          a.conversationMemory.length,
+          group.participants.length - 1
+        );
+      });
+    }
+  });
+
+  it('tags every call with phase and cycle', async () => {
+    const phases = new Set();
+    const cycles = new Set();
+    await runEpoch(makeRoster(2), {
+      cycles: 2,
+      llm: (s, u, meta) => {
+        phases.add(meta.phase);
+        cycles.add(meta.cycle);
+        return scriptedLlm(s, u, meta);
+      },
+    });
+    assert.deepEqual([...phases].sort(), [
+      'assess',
+      'bio',
+      'blueprint',
+      'crossPollination',
+      'evolution',
+      'naming',
+      'trend',
+      'voting',
+    ]);
+    assert.deepEqual([...cycles].sort(), [1, 2]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  6. REPORT CONTEXT
+// ═══════════════════════════════════════════════════════════════
+
+describe('runEpoch with a learning policy', () => {
+  it('imposes controlled picks on the LLM blueprint and learns from them', async () => {
+    const result = await runEpoch(makeRoster(4), {
+      cycles: 3,
+      seed: 8,
+      llm: scriptedLlm,
+      now: FIXED_NOW,
+      policy: { control: { strategy: true, category: true } },
+    });
+    result.cycleReports.forEach((r) => {
+      assert.equal(r.policy.picks.length, 4);
+      r.policy.picks.forEach((pick) => {
+        const design = r.designs.find((d) => d.agentIdx === pick.agentId);
+        assert.equal(design.strategy, pick.strategy);
+        assert.equal(design.cat, pick.cat);
+        assert.equal(pick.followed, true);
+        assert.equal(typeof pick.reward, 'number');
+      });
+    });
+    assert.equal(result.cycleReports[0].policy.picks[0].state, 'opening|cold');
+    assert.equal(result.cycleReports[2].policy.nextState, null);
+    const visits = Object.values(result.policy.table[0])
+      .flatMap((actions) => Object.values(actions))
+      .reduce((s, c) => s + c.n, 0);
+    assert.equal(visits, 3);
+  });
+
+  it('only advises the LLM when nothing is controlled', async () => {
+    const prompts = [];
+    const result = await runEpoch(makeRoster(3), {
+      cycles: 1,
+      llm: (system, user, meta) => {
+        if (meta.phase === 'blueprint') prompts.push(user);
+        return scriptedLlm(system, user, meta);
+      },
+      policy: { algorithm: 'ucb' },
+    });
+    assert.ok(
+      prompts.every((p) => p.includes('LEARNED POLICY RECOMMENDATION'))
+    );
+    // The scripted reply always picks Pendant, and that is what is learned
+    result.cycleReports[0].designs.forEach((d) =>
+      assert.equal(d.cat, 'Pendant')
+    );
+    // A single-cycle epoch is all closing phase
+    const learned = Object.entries(result.policy.table[0]['closing|cold']);
+    assert.deepEqual(
+      learned.filter(([, c]) => c.n > 0).map(([k]) => k),
+      ['explore|Pendant']
+    );
+  });
+
+  it('drives offline fallback blueprints and stays reproducible', async () => {
+    const run = () =>
+      runEpoch(makeRoster(4), { cycles: 3, seed: 21, policy: {} });
+    const [a, b] = [await run(), await run()];
+    assert.deepEqual(
+      a.cycleReports.map((r) => r.policy),
+      b.cycleReports.map((r) => r.policy)
+    );
+    a.cycleReports[1].policy.picks.forEach((pick) => {
+      const design = a.cycleReports[1].designs.find(
+        (d) => d.agentIdx === pick.agentId
+      );
+      assert.equal(design.cat, pick.cat);
+    });
+  });
+});
+
+describe('priorReportCtx', () => {
+  it('includes prior cycle winners after a cycle has run', async () => {
+    const sim = createSimulation(makeRoster(4), { cycles: 2 });
+    await runCycle(sim);
+    const ctx = priorReportCtx(sim, 0);
+    assert.ok(ctx.includes('INTELLIGENCE REPORT DATABASE (1 cycle completed)'));
+    assert.ok(ctx.includes('═══ CYCLE 1 REPORT ═══'));
+    assert.ok(ctx.includes('YOUR PERFORMANCE (Cycle 1)'));
+    assert.ok(ctx.includes('HISTORICAL DESIGN PRECEDENTS'));
+    assert.ok(CATEGORIES.some((c) => ctx.includes(c)));
+  });
+});
+
+describe('prompt context budget', () => {
+  it('digests older cycles and records what each call kept', async () => {
+    let system = '';
+    const sim = createSimulation(makeRoster(4), {
+      cycles: 3,
+      context: { budget: 2500, fullReports: 1 },
+      llm: (sys) => {
+        system = sys;
+        return null;
+      },
+    });
+    await runCycle(sim);
+    await runCycle(sim);
+    await llmCall(sim, 'PHASE PROMPT', 'hi', sim.agentStates[0], 'test');
+    assert.match(system, /EARLIER CYCLES \(digests\):\n {2}C1: Agent\d's /);
+    assert.ok(system.includes('═══ CYCLE 2 REPORT ═══'));
+    assert.ok(!system.includes('═══ CYCLE 1 REPORT ═══'));
+    assert.ok(system.endsWith('PHASE PROMPT'));
+
+    const usage = sim.contextUsage.at(-1);
+    assert.equal(usage.phase, 'test');
+    assert.ok(usage.tokens <= 2500);
+    assert.deepEqual(usage.sections.map((s) => s.id).slice(0, 3), [
+      'identity',
+      'genome',
+      'evolution',
+    ]);
+    const report = sim.cycleReports[1].promptContext;
+    assert.equal(report.budget, 2500);
+    assert.ok(report.calls > 0 && report.maxTokens <= 2500);
+    assert.equal(
+      report.trimmedCalls.length,
+      sim.contextUsage.filter(
+        (c) => c.cycle === 2 && c.sections.some((s) => s.status !== 'full')
+      ).length
+    );
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * JewelForge Epoch Files — portable save and resume for whole epochs.
+ *
+ * saveEpoch() turns a runEpoch() result into a versioned JSON document:
+ *
+ *   { "format": "jewelforge-epoch", "version": 2, "seed": …, "cycles": 5,
+ *     "settings": { … }, "cycleReports": [ … ], "checkpoints": [ … ], … }
+ *
+ * Every cycle boundary is a checkpoint holding the agents, Q-table, trait
+ * effectiveness, policy table, this epoch's patterns and the RNG state the
+ * next cycle starts from. resumeEpoch() restores any checkpoint and runs the
+ * remaining cycles; with no policy, resuming from a boundary reproduces the
+ * uninterrupted epoch. The policy's table is restored but its exploration
+ * draws and epsilon decay start afresh.
+ *
+ * Older documents are migrated on load. Version 1 is the "Epoch
+ * Intelligence Archive" the browser uploads to Google Drive: its reports
+ * carry no agent snapshots or RNG state, so migration rebuilds the agents
+ * from each report's performance and genome rows and yields a single
+ * checkpoint at its last cycle that resumes from the seed's initial state.
+ * The cycle count travels with the file, and resuming may extend it, so
+ * 3-cycle and 5-cycle runs can load each other's saves.
+ */
+
+const fs = require('fs');
+const { createSimulation, finishEpoch } = require('./engine.js');
+const { createPatternStore } = require('./pattern-store.js');
+const { resolvePairing } = require('./pairing.js');
+const { resolveDialogue } = require('./dialogue.js');
+const { resolveVoting } = require('./voting.js');
+const { resolveCollusion } = require('./collusion.js');
+const { resolveJury } = require('./jury.js');
+const { resolveMarket } = require('./market.js');
+const { resolveManufacturing } = require('./manufacturing.js');
+const { resolveTrends } = require('./trends.js');
+const { resolveContext } = require('./prompt-context.js');
+
+const EPOCH_FILE_FORMAT = 'jewelforge-epoch';
+const EPOCH_FILE_VERSION = 2;
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+/**
+ * Builds an epoch document from a runEpoch() result and the options the
+ * epoch ran with. Jury ballots are not saved beyond those already in the
+ * reports; pass `jury` again when resuming to supply later cycles' ballots.
+ */
+function saveEpoch(result, options = {}) {
+  const now = options.now || (() => new Date());
+  return clone({
+    format: EPOCH_FILE_FORMAT,
+    version: EPOCH_FILE_VERSION,
+    savedAt: now().toISOString(),
+    seed: result.seed,
+    cycles: result.cycles ?? result.cycleReports.length,
+    epochId: result.epochId ?? null,
+    settings: {
+      ruleSet: options.ruleSet ?? null,
+      pairing: resolvePairing(options.pairing),
+      dialogue: resolveDialogue(options.dialogue),
+      voting: resolveVoting(options.voting),
+      collusion: resolveCollusion(options.collusion),
+      jury: options.jury ? { weight: resolveJury(options.jury).weight } : null,
+      market: resolveMarket(options.market),
+      manufacturing: resolveManufacturing(options.manufacturing),
+      context: resolveContext(options.context),
+      trends: resolveTrends(options.trends),
+    },
+    cycleReports: result.cycleReports,
+    genomeSnapshots: result.genomeSnapshots,
+    rationaleStore: result.rationaleStore || [],
+    checkpoints: result.checkpoints || [],
+  });
+}
+
+// ── Migration ────────────────────────────────────────────────
+
+// An agent as far as a version-1 report can describe it: its performance
+// row, the genome it ended the cycle with and its evolving beliefs
+function agentFromReport(report, idx) {
+  const perf = report.agentPerf?.[idx] || {};
+  const genome = report.genomeEvolution?.[idx] || {};
+  return {
+    ...(genome.after || {}),
+    id: perf.id ?? idx,
+    name: perf.name ?? genome.name,
+    emoji: perf.emoji ?? genome.emoji,
+    arch: perf.arch,
+    credits: perf.totalCredits ?? genome.after?.credits,
+    reputation: perf.reputation ?? genome.after?.reputation,
+    isUser: perf.isUser || false,
+    status: 'Idle',
+    bio: '',
+    evolutionHistory: [],
+    conversationMemory: [],
+    dominantBelief: genome.dominantBelief || '',
+    trustBuilt: genome.trustBuilt || 0,
+  };
+}
+
+function migrateV1(doc) {
+  const reports = clone(doc.cycles).sort((a, b) => a.cycle - b.cycle);
+  if (reports.length === 0) throw new Error('Epoch archive has no cycles');
+  const last = reports.at(-1);
+  const seed = reports[0].seed ?? null;
+  const epochId = `${seed}@${doc.exportedAt}`;
+  reports.forEach((r) => {
+    r.agentSnapshot = (r.agentPerf || []).map((_, i) => agentFromReport(r, i));
+  });
+  const genomeSnapshots = [
+    (reports[0].genomeEvolution || []).map((g) => g.before),
+    ...reports.map((r) => (r.genomeEvolution || []).map((g) => g.after)),
+  ];
+  const patterns = reports.flatMap((r) =>
+    (r.designs || []).map((d) => ({
+      cycle: r.cycle,
+      name: d.name,
+      category: d.cat,
+      strategy: d.strategy,
+      materials: d.materials || '',
+      form: d.formConcept || '',
+      production: d.production || '',
+      targetCustomer: d.targetCustomer || '',
+      aesthetic: d.aesthetic,
+      novelty: d.novelty,
+      profit: d.profit,
+      wearability: d.wearability || 0,
+      makeable: d.makeable || 0,
+      credits: d.credits,
+      rank: d.rank,
+      reasoning: d.strategicReasoning || '',
+      emergingTrends: r.trendData?.emerging || [],
+      genomeTraits: {},
+      confidence: d.rank <= 1 ? 1.0 : d.rank <= 3 ? 0.7 : 0.4,
+      epoch: epochId,
+      storedAt: doc.exportedAt,
+    }))
+  );
+  patterns.forEach((p, i) => (p.id = i + 1));
+  return {
+    format: EPOCH_FILE_FORMAT,
+    version: 2,
+    savedAt: doc.exportedAt,
+    seed,
+    cycles: reports.length,
+    epochId,
+    settings: {
+      ruleSet: last.ruleSet ?? null,
+      // Archives predate the pairing scheduler
+      pairing: resolvePairing('classic'),
+      dialogue: resolveDialogue(),
+      voting: resolveVoting(),
+      collusion: resolveCollusion(),
+      jury: null,
+      market: resolveMarket(),
+      manufacturing: resolveManufacturing(false),
+      context: resolveContext(),
+      trends: resolveTrends(),
+    },
+    cycleReports: reports,
+    genomeSnapshots,
+    rationaleStore: [],
+    checkpoints: [
+      {
+        cycle: last.cycle,
+        rngState: null,
+        agentStates: last.agentSnapshot,
+        qTable: null,
+        traitEffectiveness: {},
+        policy: null,
+        patterns,
+        genomeSnapshots: genomeSnapshots.length,
+        rationaleStore: 0,
+      },
+    ],
+  };
+}
+
+const MIGRATIONS = { 1: migrateV1 };
+
+// The document's version: tagged files carry one, untagged Drive archives
+// are version 1
+function epochFileVersion(doc) {
+  if (doc?.format === EPOCH_FILE_FORMAT) return doc.version;
+  if (Array.isArray(doc?.cycles)) return 1;
+  throw new Error('Not a JewelForge epoch file');
+}
+
+// Upgrades a document of any known version to the current one
+function migrateEpochFile(doc) {
+  let version = epochFileVersion(doc);
+  if (version > EPOCH_FILE_VERSION)
+    throw new Error(
+      `Epoch file version ${version} is newer than this JewelForge (${EPOCH_FILE_VERSION})`
+    );
+  while (version < EPOCH_FILE_VERSION) {
+    if (!MIGRATIONS[version])
+      throw new Error(`No migration from epoch file version ${version}`);
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+  return doc;
+}
+
+// Parses (if given JSON text) and migrates an epoch document
+function loadEpoch(input) {
+  const doc = typeof input === 'string' ? JSON.parse(input) : input;
+  return migrateEpochFile(doc);
+}
+
+function writeEpochFile(file, result, options = {}) {
+  const doc = saveEpoch(result, options);
+  fs.writeFileSync(file, JSON.stringify(doc, null, 2));
+  return doc;
+}
+
+function readEpochFile(file) {
+  return loadEpoch(fs.readFileSync(file, 'utf8'));
+}
+
+// ── Resume ───────────────────────────────────────────────────
+
+/**
+ * Restores the checkpoint after `fromCycle` completed cycles (default: the
+ * last one) and runs the epoch to `cycles` (default: the saved count).
+ * Other options (llm, log, now, jury ballots, patternStore…) are passed to
+ * createSimulation() over the saved settings. Returns the same shape as
+ * runEpoch(), reports and checkpoints included from the start of the epoch.
+ */
+async function resumeEpoch(input, options = {}) {
+  const doc = loadEpoch(input);
+  const { fromCycle = doc.checkpoints.at(-1)?.cycle, ...overrides } = options;
+  const checkpoint = doc.checkpoints.find((c) => c.cycle === fromCycle);
+  if (!checkpoint)
+    throw new Error(
+      `No checkpoint after cycle ${fromCycle} (available: ${doc.checkpoints.map((c) => c.cycle).join(', ')})`
+    );
+  const { settings } = doc;
+  const sim = createSimulation(checkpoint.agentStates, {
+    ...settings,
+    seed: doc.seed ?? undefined,
+    rngState: checkpoint.rngState ?? undefined,
+    cycles: doc.cycles,
+    epochId: doc.epochId ?? undefined,
+    policy: checkpoint.policy
+      ? { ...checkpoint.policy.options, table: checkpoint.policy.table }
+      : null,
+    patternStore: createPatternStore({
+      patterns: checkpoint.patterns,
+      now: overrides.now,
+    }),
+    ...overrides,
+  });
+  sim.agentStates = clone(checkpoint.agentStates);
+  sim.cycleReports = clone(
+    doc.cycleReports.filter((r) => r.cycle <= fromCycle)
+  );
+  sim.genomeSnapshots = clone(
+    doc.genomeSnapshots.slice(0, checkpoint.genomeSnapshots)
+  );
+  sim.rationaleStore = clone(
+    doc.rationaleStore.slice(0, checkpoint.rationaleStore)
+  );
+  if (checkpoint.qTable) sim.qTable = clone(checkpoint.qTable);
+  sim.traitEffectiveness = clone(checkpoint.traitEffectiveness);
+  sim.checkpoints = clone(doc.checkpoints.filter((c) => c.cycle <= fromCycle));
+  sim.currentCycle = fromCycle + 1;
+  return finishEpoch(sim);
+}
+
+module.exports = {
+  EPOCH_FILE_FORMAT,
+  EPOCH_FILE_VERSION,
+  saveEpoch,
+  migrateEpochFile,
+  loadEpoch,
+  writeEpochFile,
+  readEpochFile,
+  resumeEpoch,
+};
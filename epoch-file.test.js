@@ -0,0 +1,173 @@
+/**
+ * JewelForge Epoch Files — Test Suite
+ *
+ * Run with: node --test epoch-file.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  EPOCH_FILE_FORMAT,
+  EPOCH_FILE_VERSION,
+  saveEpoch,
+  migrateEpochFile,
+  loadEpoch,
+  writeEpochFile,
+  readEpochFile,
+  resumeEpoch,
+} = require('./epoch-file.js');
+const { runEpoch } = require('./engine.js');
+
+function makeRoster(n = 4) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `Agent${i}`,
+    emoji: '◆',
+    arch: ['The Minimalist', 'The Maximalist', 'The Trend Hunter'][i % 3],
+    risk: 30 + i * 10,
+    reputation: 50,
+  }));
+}
+
+const FIXED_NOW = () => new Date('2026-01-15T12:00:00Z');
+const OPTIONS = { cycles: 3, seed: 42, now: FIXED_NOW };
+
+// The Drive "Epoch Intelligence Archive" the browser has always uploaded
+function driveArchive(result) {
+  return {
+    title: 'JewelForge Epoch Intelligence Archive',
+    exportedAt: '2026-01-15T12:00:00.000Z',
+    cycles: result.cycleReports.map((r) => {
+      const copy = JSON.parse(JSON.stringify(r));
+      delete copy.agentSnapshot;
+      return copy;
+    }),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. SAVING
+// ═══════════════════════════════════════════════════════════════
+
+describe('saveEpoch', () => {
+  it('writes a versioned document with a checkpoint per boundary', async () => {
+    const options = { ...OPTIONS, market: 'blend' };
+    const result = await runEpoch(makeRoster(), options);
+    const doc = saveEpoch(result, options);
+    assert.equal(doc.format, EPOCH_FILE_FORMAT);
+    assert.equal(doc.version, EPOCH_FILE_VERSION);
+    assert.equal(doc.seed, 42);
+    assert.equal(doc.cycles, 3);
+    assert.equal(doc.settings.market.mode, 'blend');
+    assert.deepEqual(
+      doc.checkpoints.map((c) => c.cycle),
+      [0, 1, 2, 3]
+    );
+    // Each boundary's RNG state is where the next cycle's report starts
+    assert.equal(doc.checkpoints[1].rngState, doc.cycleReports[1].rngState);
+    assert.equal(doc.checkpoints[2].patterns.length, 2 * 4);
+    // Plain JSON throughout
+    assert.deepEqual(JSON.parse(JSON.stringify(doc)), doc);
+  });
+
+  it('round-trips through a file', async () => {
+    const result = await runEpoch(makeRoster(3), { ...OPTIONS, cycles: 1 });
+    const file = path.join(os.tmpdir(), `epoch-${process.pid}.json`);
+    try {
+      const doc = writeEpochFile(file, result, OPTIONS);
+      assert.deepEqual(readEpochFile(file), doc);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. RESUMING
+// ═══════════════════════════════════════════════════════════════
+
+describe('resumeEpoch', () => {
+  it('reproduces the uninterrupted epoch from any boundary', async () => {
+    const full = await runEpoch(makeRoster(), OPTIONS);
+    const saved = saveEpoch(full, OPTIONS);
+    for (const fromCycle of [0, 1, 2]) {
+      const resumed = await resumeEpoch(JSON.stringify(saved), {
+        fromCycle,
+        now: FIXED_NOW,
+      });
+      assert.deepEqual(saveEpoch(resumed, OPTIONS), saved);
+    }
+  });
+
+  it('extends a shorter epoch to more cycles', async () => {
+    const short = await runEpoch(makeRoster(), { ...OPTIONS, cycles: 3 });
+    const resumed = await resumeEpoch(saveEpoch(short, OPTIONS), {
+      cycles: 5,
+      now: FIXED_NOW,
+    });
+    assert.equal(resumed.cycles, 5);
+    assert.deepEqual(
+      resumed.cycleReports.map((r) => r.cycle),
+      [1, 2, 3, 4, 5]
+    );
+    assert.deepEqual(
+      resumed.checkpoints.map((c) => c.cycle),
+      [0, 1, 2, 3, 4, 5]
+    );
+  });
+
+  it('lists the available boundaries for a missing checkpoint', async () => {
+    const result = await runEpoch(makeRoster(3), { ...OPTIONS, cycles: 1 });
+    await assert.rejects(
+      resumeEpoch(saveEpoch(result), { fromCycle: 4 }),
+      /No checkpoint after cycle 4 \(available: 0, 1\)/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. MIGRATION
+// ═══════════════════════════════════════════════════════════════
+
+describe('migrateEpochFile', () => {
+  it('upgrades a version-1 Drive archive and resumes it', async () => {
+    const result = await runEpoch(makeRoster(), OPTIONS);
+    const doc = loadEpoch(JSON.stringify(driveArchive(result)));
+    assert.equal(doc.version, EPOCH_FILE_VERSION);
+    assert.equal(doc.seed, 42);
+    assert.equal(doc.cycles, 3);
+    assert.equal(doc.genomeSnapshots.length, 4);
+
+    const [checkpoint] = doc.checkpoints;
+    assert.equal(checkpoint.cycle, 3);
+    assert.equal(checkpoint.patterns.length, 3 * 4);
+    const [agent] = checkpoint.agentStates;
+    const original = result.agentStates[0];
+    assert.equal(agent.name, original.name);
+    assert.equal(agent.credits, original.credits);
+    assert.equal(agent.reputation, original.reputation);
+    assert.equal(agent.novelty, result.genomeSnapshots[3][0].novelty);
+    assert.deepEqual(
+      doc.cycleReports[2].agentSnapshot.map((a) => a.credits),
+      result.cycleReports[2].agentSnapshot.map((a) => a.credits)
+    );
+
+    const resumed = await resumeEpoch(doc, { cycles: 5, now: FIXED_NOW });
+    assert.equal(resumed.cycleReports.length, 5);
+    assert.equal(resumed.cycleReports[3].cycle, 4);
+  });
+
+  it('passes current documents through and rejects others', async () => {
+    const result = await runEpoch(makeRoster(3), { ...OPTIONS, cycles: 1 });
+    const doc = saveEpoch(result);
+    assert.equal(migrateEpochFile(doc), doc);
+    assert.throws(
+      () => migrateEpochFile({ ...doc, version: EPOCH_FILE_VERSION + 1 }),
+      /newer than this JewelForge/
+    );
+    assert.throws(() => loadEpoch('{"title":"x"}'), /Not a JewelForge epoch/);
+  });
+});
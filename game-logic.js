@@ -125,6 +125,26 @@ function qTableContext(qTable) {
 
 // ── Genome snapshot ──────────────────────────────────────────
 
+// The numeric genome traits evolution may shift
+const GENOME_TRAITS = [
+  'minimalism',
+  'novelty',
+  'ornamentation',
+  'marketFit',
+  'symmetry',
+  'platBias',
+  'coloredStone',
+  'diamond',
+  'mixedMetal',
+  'risk',
+  'marginSens',
+  'complexBudget',
+  'pricePoint',
+  'manufacturability',
+  'wearability',
+  'trendSens',
+];
+
 function snapshotGenome(agent) {
   return {
     id: agent.id,
@@ -150,22 +170,28 @@ function snapshotGenome(agent) {
 
 // ── Genome evolution ─────────────────────────────────────────
 
+// The built-in "classic" rule set. Beliefs are keyed by archetype, with an
+// optional byAgent map (agent name or id) that takes precedence and a
+// default for everyone else; see rule-sets.js for the JSON document form.
 const EVOLUTION_RULES = {
   1: {
     winner: { minimalism: +8, novelty: +5, risk: -5 },
     loser: { novelty: +10, risk: +8, marginSens: +6 },
     others: { minimalism: +4, ornamentation: -3, novelty: +2 },
     beliefs: {
-      0: 'Negative-space architecture is the market signal',
-      1: 'Floating geometry captures attention — I proved it',
-      2: 'Ornate still has a place, but I need to read the room',
-      3: "Industrial alone doesn't win — need to hybridize",
-      4: 'Bridal margin is safe, but minimal won on aesthetics',
-      5: 'My sculptural approach needs better margin math',
-      6: 'Crystal energy needs commercial grounding — market wants clean lines',
-      7: 'Featherweight forms are interesting but minimal dominates right now',
-      8: 'Kinetic concepts need to align with the minimal wave',
-      9: 'Geometric precision is the baseline — time to differentiate',
+      byArchetype: {
+        'Minimalist Architect': 'Negative-space architecture is the market signal',
+        'Avant-Garde Purist': 'Floating geometry captures attention — I proved it',
+        'Heritage Revivalist': 'Ornate still has a place, but I need to read the room',
+        'Industrial Innovator': "Industrial alone doesn't win — need to hybridize",
+        'Market Strategist': 'Bridal margin is safe, but minimal won on aesthetics',
+        'Organic Sculptor': 'My sculptural approach needs better margin math',
+        'High Jewelry Romantic': 'Crystal energy needs commercial grounding — market wants clean lines',
+        'Ethereal Minimalist': 'Featherweight forms are interesting but minimal dominates right now',
+        'Kinetic Storyteller': 'Kinetic concepts need to align with the minimal wave',
+        'Geometric Purist': 'Geometric precision is the baseline — time to differentiate',
+      },
+      default: 'Minimal set the opening signal — time to find my own angle',
     },
   },
   2: {
@@ -173,16 +199,19 @@ const EVOLUTION_RULES = {
     loser: { novelty: +12, marginSens: +8, ornamentation: +5 },
     others: { risk: +5, novelty: +4, minimalism: -3 },
     beliefs: {
-      0: 'Cathedral architecture is peak — push it one more cycle',
-      1: 'Second place on refinement — I need a bolder pivot',
-      2: 'Yellow gold shift paid off. Organic is the untapped gap',
-      3: 'Industrial-minimal hybrid scored better — keep mutating',
-      4: 'Market arch almost won — margins rule long-term',
-      5: 'Two cycles of minimal domination — the contrarian play is organic',
-      6: 'Mystical aesthetic needs structural backbone — fuse crystal with architecture',
-      7: 'Lightweight forms can ride the minimal wave if executed precisely',
-      8: 'Movement-based design is the unexplored frontier beyond static minimal',
-      9: 'Faceted geometry aligns with the minimal trend — double down',
+      byArchetype: {
+        'Minimalist Architect': 'Cathedral architecture is peak — push it one more cycle',
+        'Avant-Garde Purist': 'Second place on refinement — I need a bolder pivot',
+        'Heritage Revivalist': 'Yellow gold shift paid off. Organic is the untapped gap',
+        'Industrial Innovator': 'Industrial-minimal hybrid scored better — keep mutating',
+        'Market Strategist': 'Market arch almost won — margins rule long-term',
+        'Organic Sculptor': 'Two cycles of minimal domination — the contrarian play is organic',
+        'High Jewelry Romantic': 'Mystical aesthetic needs structural backbone — fuse crystal with architecture',
+        'Ethereal Minimalist': 'Lightweight forms can ride the minimal wave if executed precisely',
+        'Kinetic Storyteller': 'Movement-based design is the unexplored frontier beyond static minimal',
+        'Geometric Purist': 'Faceted geometry aligns with the minimal trend — double down',
+      },
+      default: 'Minimal keeps winning — the gaps around it are where the upside is',
     },
   },
   3: {
@@ -190,16 +219,19 @@ const EVOLUTION_RULES = {
     loser: { minimalism: -5, novelty: +8, marketFit: +5 },
     others: { novelty: +5, ornamentation: +3, minimalism: -4 },
     beliefs: {
-      0: 'I over-exploited minimal. The trend exhausted under my feet',
-      1: 'Pivot to pendant saved me from minimal saturation',
-      2: 'Champagne Pearl Organic Cluster found the romantic-organic sweet spot',
-      3: 'Organic shard was the right direction — mixed metal is the future',
-      4: 'Margin stability works long-term but never wins the epoch',
-      5: "Root & Branch proved that nature's geometry beats digital precision",
-      6: 'Crystal-organic fusion is the next frontier — mystic meets nature',
-      7: 'Ethereal lightness pairs naturally with organic movement',
-      8: 'Kinetic organic forms are where the market wants to go next',
-      9: 'Geometric purity saturated — faceted organic is the pivot',
+      byArchetype: {
+        'Minimalist Architect': 'I over-exploited minimal. The trend exhausted under my feet',
+        'Avant-Garde Purist': 'Pivot to pendant saved me from minimal saturation',
+        'Heritage Revivalist': 'Champagne Pearl Organic Cluster found the romantic-organic sweet spot',
+        'Industrial Innovator': 'Organic shard was the right direction — mixed metal is the future',
+        'Market Strategist': 'Margin stability works long-term but never wins the epoch',
+        'Organic Sculptor': "Root & Branch proved that nature's geometry beats digital precision",
+        'High Jewelry Romantic': 'Crystal-organic fusion is the next frontier — mystic meets nature',
+        'Ethereal Minimalist': 'Ethereal lightness pairs naturally with organic movement',
+        'Kinetic Storyteller': 'Kinetic organic forms are where the market wants to go next',
+        'Geometric Purist': 'Geometric purity saturated — faceted organic is the pivot',
+      },
+      default: 'Minimal has saturated — organic forms are taking over',
     },
   },
   4: {
@@ -207,16 +239,19 @@ const EVOLUTION_RULES = {
     loser: { risk: +10, novelty: +8, minimalism: -5, ornamentation: +4 },
     others: { ornamentation: +3, novelty: +4, marketFit: +2 },
     beliefs: {
-      0: 'The market rewards refined organic — not raw experimentation',
-      1: 'Ornamental narrative is the new edge over pure structure',
-      2: 'Heritage-organic fusion found the sweet spot between old and new',
-      3: 'Mixed metal organic hybrids are the winning formula now',
-      4: 'Commercial-organic is the safe bet — proven by two cycles of data',
-      5: "Nature geometry matured — time to add storytelling layers",
-      6: 'Crystal-infused organic is proving the mystic aesthetic has legs',
-      7: 'Lightness within organic complexity is the differentiator',
-      8: 'Movement in organic forms creates emotional connection with buyers',
-      9: 'Faceted organic geometry merges two winning trends perfectly',
+      byArchetype: {
+        'Minimalist Architect': 'The market rewards refined organic — not raw experimentation',
+        'Avant-Garde Purist': 'Ornamental narrative is the new edge over pure structure',
+        'Heritage Revivalist': 'Heritage-organic fusion found the sweet spot between old and new',
+        'Industrial Innovator': 'Mixed metal organic hybrids are the winning formula now',
+        'Market Strategist': 'Commercial-organic is the safe bet — proven by two cycles of data',
+        'Organic Sculptor': "Nature geometry matured — time to add storytelling layers",
+        'High Jewelry Romantic': 'Crystal-infused organic is proving the mystic aesthetic has legs',
+        'Ethereal Minimalist': 'Lightness within organic complexity is the differentiator',
+        'Kinetic Storyteller': 'Movement in organic forms creates emotional connection with buyers',
+        'Geometric Purist': 'Faceted organic geometry merges two winning trends perfectly',
+      },
+      default: 'Refined organic is what the market rewards now',
     },
   },
   5: {
@@ -224,29 +259,81 @@ const EVOLUTION_RULES = {
     loser: { novelty: +12, risk: +10, marginSens: +6, marketFit: +4 },
     others: { marketFit: +5, novelty: +3, risk: -2 },
     beliefs: {
-      0: 'Final cycle validated that market-fit synthesis beats raw innovation',
-      1: 'Five cycles of data prove that adaptability wins over consistency',
-      2: 'Heritage elements anchored in trend awareness defined the epoch',
-      3: 'The hybrid approach paid off — mixing signals from all prior cycles',
-      4: 'Margin discipline across five cycles built the strongest portfolio',
-      5: 'Organic sculpture matured into a sustainable design language',
-      6: 'The mystic-meets-market approach found its audience at last',
-      7: 'Ethereal precision became the unexpected epoch-defining aesthetic',
-      8: 'Kinetic storytelling in jewelry proved the market craves experience',
-      9: "Geometric evolution across five cycles traced the market's journey",
+      byArchetype: {
+        'Minimalist Architect': 'Final cycle validated that market-fit synthesis beats raw innovation',
+        'Avant-Garde Purist': 'A full epoch of data proves that adaptability wins over consistency',
+        'Heritage Revivalist': 'Heritage elements anchored in trend awareness defined the epoch',
+        'Industrial Innovator': 'The hybrid approach paid off — mixing signals from all prior cycles',
+        'Market Strategist': 'Margin discipline across the epoch built the strongest portfolio',
+        'Organic Sculptor': 'Organic sculpture matured into a sustainable design language',
+        'High Jewelry Romantic': 'The mystic-meets-market approach found its audience at last',
+        'Ethereal Minimalist': 'Ethereal precision became the unexpected epoch-defining aesthetic',
+        'Kinetic Storyteller': 'Kinetic storytelling in jewelry proved the market craves experience',
+        'Geometric Purist': "Geometric evolution across the epoch traced the market's journey",
+      },
+      default: 'The epoch rewarded agents who adapted to every market shift',
     },
   },
 };
 
+// An agent's belief: byAgent (by name, then id), then byArchetype, then default
+function beliefFor(beliefs, agent) {
+  return (
+    beliefs?.byAgent?.[agent.name] ??
+    beliefs?.byAgent?.[agent.id] ??
+    beliefs?.byArchetype?.[agent.arch] ??
+    beliefs?.default ??
+    'Adapting to market signals'
+  );
+}
+
+// EVOLUTION_RULES describe a five-stage arc: cold start, consolidation,
+// pivot, maturation and final synthesis. For other epoch lengths each cycle
+// is placed proportionally along that arc and the shifts of the two nearest
+// stages are blended; beliefs come from the nearer stage. A 5-cycle epoch
+// gets the authored rules unchanged, a 3-cycle epoch stages 1, 3 and 5.
+function rulesForCycle(cycleNum, totalCycles = 5, rules = EVOLUTION_RULES) {
+  if (!Number.isInteger(cycleNum) || cycleNum < 1 || cycleNum > totalCycles)
+    return null;
+  const stages = Object.keys(rules)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const last = stages.length - 1;
+  const pos =
+    totalCycles === 1 ? last : ((cycleNum - 1) / (totalCycles - 1)) * last;
+  const lo = Math.floor(pos + 1e-9);
+  const f = pos - lo;
+  const a = rules[stages[lo]];
+  if (f < 1e-9 || lo === last) return a;
+  const b = rules[stages[lo + 1]];
+
+  const blend = (x, y) => {
+    const out = {};
+    new Set([...Object.keys(x), ...Object.keys(y)]).forEach((key) => {
+      const v = Math.round((x[key] || 0) * (1 - f) + (y[key] || 0) * f);
+      if (v !== 0) out[key] = v;
+    });
+    return out;
+  };
+  return {
+    winner: blend(a.winner, b.winner),
+    loser: blend(a.loser, b.loser),
+    others: blend(a.others, b.others),
+    beliefs: (f < 0.5 ? a : b).beliefs,
+  };
+}
+
 function evolveAgentGenomes(
   cycleNum,
   sortedDesigns,
   agentStates,
-  genomeSnapshots
+  genomeSnapshots,
+  totalCycles = 5,
+  ruleStages = EVOLUTION_RULES
 ) {
   const winner = sortedDesigns[0];
   const loser = sortedDesigns[sortedDesigns.length - 1];
-  const rules = EVOLUTION_RULES[cycleNum];
+  const rules = rulesForCycle(cycleNum, totalCycles, ruleStages);
   if (!rules) return;
 
   agentStates.forEach((agent, idx) => {
@@ -267,7 +354,7 @@ function evolveAgentGenomes(
       }
     });
 
-    agent.dominantBelief = rules.beliefs[idx] || 'Adapting to market signals';
+    agent.dominantBelief = beliefFor(rules.beliefs, agent);
     agent.trustBuilt = Math.min(
       100,
       (agent.trustBuilt || 0) + (isWinner ? 15 : isLoser ? -5 : 5)
@@ -286,6 +373,8 @@ function evolveAgentGenomes(
       designName: myDesign?.name || '—',
     });
 
+    // Agents that held a dialogue this cycle already remember it
+    if (agent.conversationMemory.some((m) => m.cycle === cycleNum)) return;
     if (cycleNum === 1) {
       agent.conversationMemory.push({
         cycle: 1,
@@ -307,8 +396,36 @@ function evolveAgentGenomes(
 
 // ── Pattern retrieval ────────────────────────────────────────
 
-function retrievePatterns(agent, patternBank, cycleReportsLength) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weight in (0, 1] for a pattern stored `storedAt`; halves every
+// `halfLifeDays`. Patterns without a timestamp never decay.
+function patternDecay(p, now, halfLifeDays) {
+  if (!halfLifeDays || !now || !p.storedAt) return 1;
+  const ageDays = Math.max(0, (now - new Date(p.storedAt)) / DAY_MS);
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+function patternAge(p, now) {
+  const days = Math.floor((now - new Date(p.storedAt)) / DAY_MS);
+  if (days < 1) return 'today';
+  return days < 60 ? `${days}d ago` : `${Math.round(days / 30)}mo ago`;
+}
+
+/**
+ * Formats the `k` stored patterns most relevant to `agent` as prompt context.
+ * Options:
+ *   k             number of precedents to include (default 3)
+ *   epoch         id of the running epoch; patterns from other epochs lose
+ *                 the recency bonus and are labelled with their age
+ *   now           Date used for time decay
+ *   halfLifeDays  relevance halves every this many days since storage
+ *   total         store size to report when `patternBank` is a pre-filtered
+ *                 candidate list
+ */
+function retrievePatterns(agent, patternBank, cycleReportsLength, options = {}) {
   if (patternBank.length === 0) return '';
+  const { k = 3, epoch, now, halfLifeDays } = options;
   const scored = patternBank.map((p) => {
     let score = p.confidence * 2;
     score += p.rank <= 3 ? 1.5 : 0.5;
@@ -331,14 +448,20 @@ function retrievePatterns(agent, patternBank, cycleReportsLength) {
       )
         score += 1;
     });
-    if (p.cycle === cycleReportsLength) score += 1;
-    return { ...p, relevanceScore: score };
+    const sameEpoch = (p.epoch ?? epoch) === epoch;
+    if (sameEpoch && p.cycle === cycleReportsLength) score += 1;
+    score *= patternDecay(p, now, halfLifeDays);
+    return { ...p, sameEpoch, relevanceScore: score };
   });
   scored.sort((a, b) => b.relevanceScore - a.relevanceScore);
-  const top3 = scored.slice(0, 3);
-  let ctx = `\n\nHISTORICAL DESIGN PRECEDENTS (top ${top3.length} relevant from ${patternBank.length} stored):`;
-  top3.forEach((p, i) => {
-    ctx += `\n  ${i + 1}. [Cycle ${p.cycle} #${p.rank}] ${p.category} (${p.credits.toLocaleString()}⬡, confidence: ${(p.confidence * 100).toFixed(0)}%)`;
+  const top = scored.slice(0, k);
+  let ctx = `\n\nHISTORICAL DESIGN PRECEDENTS (top ${top.length} relevant from ${options.total ?? patternBank.length} stored):`;
+  top.forEach((p, i) => {
+    const when =
+      p.sameEpoch || !p.storedAt || !now
+        ? `Cycle ${p.cycle}`
+        : `Earlier epoch, cycle ${p.cycle}, ${patternAge(p, now)}`;
+    ctx += `\n  ${i + 1}. [${when} #${p.rank}] ${p.category} (${p.credits.toLocaleString()}⬡, confidence: ${(p.confidence * 100).toFixed(0)}%)`;
     ctx += `\n     ${p.strategy.toUpperCase()} · ${p.category} · ${p.materials || '?'} · ${p.form || '?'}`;
     ctx += `\n     Scores: AES:${p.aesthetic} NOV:${p.novelty} PRO:${p.profit} WEAR:${p.wearability || '?'} MFG:${p.makeable || '?'}`;
     ctx += `\n     Reasoning: ${(p.reasoning || '—').slice(0, 100)}`;
@@ -480,7 +603,10 @@ function traitEffectivenessContext(
 
 // ── Agent genome string builder ──────────────────────────────
 
-function agentGenomeStr(agent, _traitEffectivenessCtxFn) {
+// The genome block as prompt sections (see prompt-context.js): the genome
+// itself, then any veteran lineage, evolution history, conversation memory
+// and trait effectiveness, each with its entries as parts, oldest first
+function agentGenomeSections(agent, _traitEffectivenessCtxFn) {
   const g = agent;
   const tags = (g.styleTags || []).join(', ') || 'none';
   const riskLabel =
@@ -565,30 +691,66 @@ CURRENT STATE:
   Reputation: ${g.reputation}
   Status: ${g.status}`;
 
+  const sections = [{ id: 'genome', parts: [genome] }];
+
+  // Veterans seeded from the roster library remember earlier epochs
+  if (g.lineage) {
+    const n = g.lineage.epochs;
+    sections.push({
+      id: 'lineage',
+      header: `VETERAN OF ${n} EARLIER EPOCH${n === 1 ? '' : 'S'} (library ${g.lineage.id}@${g.lineage.version}):`,
+      parts: [
+        ...(g.lineage.history || []).map(
+          (evo) =>
+            `  [Epoch ${evo.generation}, Cycle ${evo.cycle}] ${evo.summary}`
+        ),
+        ...(g.lineage.memory || []).map(
+          (mem) =>
+            `  [Epoch ${mem.generation}, Cycle ${mem.cycle}] ${mem.partner}: "${mem.excerpt}"`
+        ),
+      ],
+    });
+  }
+
   if (g.evolutionHistory && g.evolutionHistory.length > 0) {
-    genome += `\n\nEVOLUTION HISTORY:`;
-    g.evolutionHistory.forEach((evo) => {
-      genome += `\n  Cycle ${evo.cycle}: ${evo.summary}`;
-      if (evo.genomeShifts) {
-        Object.entries(evo.genomeShifts).forEach(([k, v]) => {
-          if (v !== 0) genome += `\n    ${k}: ${v > 0 ? '+' : ''}${v}`;
-        });
-      }
+    sections.push({
+      id: 'evolution',
+      header: 'EVOLUTION HISTORY:',
+      parts: g.evolutionHistory.map((evo) => {
+        let entry = `  Cycle ${evo.cycle}: ${evo.summary}`;
+        if (evo.genomeShifts) {
+          Object.entries(evo.genomeShifts).forEach(([k, v]) => {
+            if (v !== 0) entry += `\n    ${k}: ${v > 0 ? '+' : ''}${v}`;
+          });
+        }
+        return entry;
+      }),
     });
   }
 
   if (g.conversationMemory && g.conversationMemory.length > 0) {
-    genome += `\n\nCONVERSATION MEMORY (prior cycles):`;
-    g.conversationMemory.forEach((mem) => {
-      genome += `\n  [Cycle ${mem.cycle}] ${mem.partner}: "${mem.excerpt}"`;
+    sections.push({
+      id: 'memory',
+      header: 'CONVERSATION MEMORY (prior cycles):',
+      parts: g.conversationMemory.map(
+        (mem) => `  [Cycle ${mem.cycle}] ${mem.partner}: "${mem.excerpt}"`
+      ),
     });
   }
 
   if (_traitEffectivenessCtxFn) {
-    genome += _traitEffectivenessCtxFn(g.id);
+    const traits = _traitEffectivenessCtxFn(g.id).trim();
+    if (traits) sections.push({ id: 'traits', parts: [traits] });
   }
 
-  return genome;
+  return sections;
+}
+
+// The whole genome block, every section in full
+function agentGenomeStr(agent, _traitEffectivenessCtxFn) {
+  return agentGenomeSections(agent, _traitEffectivenessCtxFn)
+    .map((s) => [s.header, ...s.parts].filter(Boolean).join('\n'))
+    .join('\n\n');
 }
 
 module.exports = {
@@ -598,11 +760,16 @@ module.exports = {
   pct,
   initQTable,
   qTableContext,
+  GENOME_TRAITS,
   snapshotGenome,
   evolveAgentGenomes,
   EVOLUTION_RULES,
+  beliefFor,
+  rulesForCycle,
+  patternDecay,
   retrievePatterns,
   computeTraitEffectiveness,
   traitEffectivenessContext,
+  agentGenomeSections,
   agentGenomeStr,
 };
@@ -18,6 +18,9 @@ const {
   snapshotGenome,
   evolveAgentGenomes,
   EVOLUTION_RULES,
+  beliefFor,
+  rulesForCycle,
+  patternDecay,
   retrievePatterns,
   computeTraitEffectiveness,
   traitEffectivenessContext,
@@ -388,18 +391,48 @@ describe('EVOLUTION_RULES', () => {
     });
   });
 
-  it('beliefs cover all 10 agent indices', () => {
+  it('beliefs cover the builder archetypes and have a default', () => {
+    const archetypes = ['Minimalist Architect', 'Avant-Garde Purist', 'Heritage Revivalist', 'Industrial Innovator', 'Market Strategist', 'High Jewelry Romantic'];
     [1, 2, 3, 4, 5].forEach((c) => {
-      for (let i = 0; i <= 9; i++) {
-        assert.ok(
-          typeof EVOLUTION_RULES[c].beliefs[i] === 'string',
-          `Cycle ${c} missing belief for agent ${i}`
-        );
-      }
+      const { beliefs } = EVOLUTION_RULES[c];
+      archetypes.forEach((arch) => {
+        assert.ok(typeof beliefs.byArchetype[arch] === 'string', `Cycle ${c} missing belief for ${arch}`);
+      });
+      assert.ok(typeof beliefs.default === 'string', `Cycle ${c} missing default belief`);
     });
   });
 });
 
+describe('beliefFor', () => {
+  const beliefs = {
+    byAgent: { Luna: 'Luna belief', 3: 'Agent 3 belief' },
+    byArchetype: { 'Organic Sculptor': 'Organic belief' },
+    default: 'Default belief',
+  };
+
+  it('prefers agent name, then id, then archetype, then the default', () => {
+    assert.equal(beliefFor(beliefs, makeAgent({ id: 3, name: 'Luna', arch: 'Organic Sculptor' })), 'Luna belief');
+    assert.equal(beliefFor(beliefs, makeAgent({ id: 3, arch: 'Organic Sculptor' })), 'Agent 3 belief');
+    assert.equal(beliefFor(beliefs, makeAgent({ id: 4, arch: 'Organic Sculptor' })), 'Organic belief');
+    assert.equal(beliefFor(beliefs, makeAgent({ id: 4 })), 'Default belief');
+  });
+
+  it('falls back to a generic belief when nothing matches', () => {
+    assert.equal(beliefFor({}, makeAgent()), 'Adapting to market signals');
+  });
+
+  it('follows the agent rather than its roster position', () => {
+    const agents = [
+      makeAgent({ id: 0, name: 'A', arch: 'Market Strategist' }),
+      makeAgent({ id: 1, name: 'B', arch: 'Minimalist Architect' }),
+    ];
+    const designs = agents.map((_, i) => makeDesign({ agentIdx: i, rank: i + 1 }));
+    evolveAgentGenomes(1, designs, agents, []);
+    assert.equal(agents[0].dominantBelief, EVOLUTION_RULES[1].beliefs.byArchetype['Market Strategist']);
+    assert.equal(agents[1].dominantBelief, EVOLUTION_RULES[1].beliefs.byArchetype['Minimalist Architect']);
+  });
+});
+
 describe('evolveAgentGenomes', () => {
   it('applies winner shifts to the winning agent', () => {
     const agents = makeTenAgents();
@@ -541,6 +574,24 @@ describe('evolveAgentGenomes', () => {
     });
   });
 
+  it('keeps real dialogue memory instead of the canned entry', () => {
+    const agents = makeTenAgents();
+    agents[0].conversationMemory = [
+      { cycle: 2, partner: 'Agent1', excerpt: 'Platinum lattice, no pavé' },
+    ];
+    const genomeSnapshots = [agents.map((a) => snapshotGenome(a))];
+    const designs = agents.map((_, i) =>
+      makeDesign({ agentIdx: i, rank: i + 1, credits: 20000 - i * 2000 })
+    );
+
+    evolveAgentGenomes(2, designs, agents, genomeSnapshots);
+    assert.deepEqual(
+      agents[0].conversationMemory.map((m) => m.excerpt),
+      ['Platinum lattice, no pavé']
+    );
+    assert.ok(agents[1].conversationMemory[0].excerpt.includes('C1 winner'));
+  });
+
   it('takes post-evolution genome snapshot', () => {
     const agents = makeTenAgents();
     const genomeSnapshots = [agents.map((a) => snapshotGenome(a))];
@@ -563,6 +614,54 @@ describe('evolveAgentGenomes', () => {
     assert.equal(agents[0].minimalism, origMinimalism);
     assert.equal(genomeSnapshots.length, 0);
   });
+
+  it('evolves every cycle of a longer epoch', () => {
+    const agents = makeTenAgents();
+    const genomeSnapshots = [agents.map((a) => snapshotGenome(a))];
+    const designs = agents.map((_, i) =>
+      makeDesign({ agentIdx: i, rank: i + 1, credits: 20000 - i * 2000 })
+    );
+
+    for (let c = 1; c <= 20; c++) evolveAgentGenomes(c, designs, agents, genomeSnapshots, 20);
+    assert.equal(genomeSnapshots.length, 21);
+    assert.equal(agents[0].evolutionHistory.length, 20);
+  });
+});
+
+describe('rulesForCycle', () => {
+  it('returns the authored rules unchanged for a 5-cycle epoch', () => {
+    [1, 2, 3, 4, 5].forEach((c) => {
+      assert.equal(rulesForCycle(c, 5), EVOLUTION_RULES[c]);
+    });
+  });
+
+  it('maps a 3-cycle epoch onto the start, pivot and final stages', () => {
+    assert.equal(rulesForCycle(1, 3), EVOLUTION_RULES[1]);
+    assert.equal(rulesForCycle(2, 3), EVOLUTION_RULES[3]);
+    assert.equal(rulesForCycle(3, 3), EVOLUTION_RULES[5]);
+  });
+
+  it('blends neighbouring stages for in-between cycles', () => {
+    // Cycle 2 of 9 sits halfway between stages 1 and 2
+    const r = rulesForCycle(2, 9);
+    assert.equal(r.winner.minimalism, Math.round((8 + 6) / 2));
+    assert.equal(r.winner.risk, Math.round((-5 + -8) / 2));
+    assert.equal(r.winner.symmetry, -2);
+    assert.equal(r.beliefs, EVOLUTION_RULES[2].beliefs);
+  });
+
+  it('always ends a long epoch on the final stage', () => {
+    assert.equal(rulesForCycle(20, 20), EVOLUTION_RULES[5]);
+    for (let c = 1; c <= 20; c++) {
+      const r = rulesForCycle(c, 20);
+      assert.ok(r.winner && r.loser && r.others && r.beliefs, `Cycle ${c} of 20 has no rules`);
+    }
+  });
+
+  it('returns null outside the epoch', () => {
+    assert.equal(rulesForCycle(0, 5), null);
+    assert.equal(rulesForCycle(6, 5), null);
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════
@@ -664,6 +763,19 @@ describe('retrievePatterns', () => {
     const ctx = retrievePatterns(agent, [oldPat, newPat], 2);
     assert.ok(ctx.includes('[Cycle 2'));
   });
+
+  it('honours k and halves relevance every half-life', () => {
+    const agent = makeAgent({ marketFocus: 'Ring', risk: 50 });
+    const bank = [1, 2, 3, 4, 5].map(cycle => ({
+      cycle, rank: 2, category: 'Ring', strategy: 'mutate', confidence: 0.5,
+      credits: cycle * 1000, aesthetic: 70, novelty: 60, profit: 60, genomeTraits: {},
+    }));
+    assert.ok(retrievePatterns(agent, bank, 0, { k: 5 }).includes('top 5 relevant from 5'));
+
+    const now = new Date('2026-04-01T00:00:00Z');
+    assert.equal(patternDecay({ storedAt: '2026-01-01T00:00:00Z' }, now, 90), 0.5);
+    assert.equal(patternDecay({}, now, 90), 1);
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════
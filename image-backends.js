@@ -0,0 +1,448 @@
+/**
+ * JewelForge Image Backends — pluggable design imagery.
+ *
+ * A backend turns a design into an image via
+ * `generate({ prompt, seed, design, agent })`, resolving to
+ * `{ url, mediaType }` (plus `svg` for rendered images) or null when it has
+ * nothing to offer. Backends are created by name from a registry:
+ *
+ *   higgsfield    Higgsfield SOUL text-to-image; needs an apiKey, polls
+ *                 until the render completes
+ *   pollinations  a pollinations.ai URL; free, but the image only exists
+ *                 once the browser fetches it
+ *   procedural    an SVG glyph drawn locally from the design's category,
+ *                 metal, stone and the author's symmetry and ornamentation
+ *                 genes; deterministic and offline
+ *
+ * createImageGenerator() tries a chain of backends in order and always ends
+ * with the procedural renderer, so every design gets an image even with no
+ * network. Given a cache (see image-cache.js) it downloads each image once
+ * and answers repeat requests from the cache.
+ */
+
+const { createRng } = require('./rng.js');
+const { cachedBackend } = require('./image-cache.js');
+
+const HIGGSFIELD_URL =
+  'https://platform.higgsfield.ai/higgsfield-ai/soul/standard';
+
+function defaultSleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// ── Glyph spec ───────────────────────────────────────────────
+
+// Checked in order, so alloys named in full win over the bare metal
+const METAL_COLORS = [
+  { match: /rose[- ]gold/i, color: '#d9a08b' },
+  { match: /white[- ]gold/i, color: '#e4e4dc' },
+  { match: /platinum/i, color: '#d5dade' },
+  { match: /palladium/i, color: '#c9cdd1' },
+  { match: /silver/i, color: '#e1e4e8' },
+  { match: /titanium/i, color: '#8b9099' },
+  { match: /steel/i, color: '#a7abb0' },
+  { match: /brass/i, color: '#c7a040' },
+  { match: /vermeil|gold/i, color: '#d4af37' },
+];
+
+const STONE_COLORS = {
+  diamond: '#f2faff',
+  moissanite: '#eaf6ff',
+  'cubic-zirconia': '#f8f8f8',
+  ruby: '#c3143c',
+  emerald: '#1e8c4e',
+  sapphire: '#1f4fb4',
+  tanzanite: '#5a4fcf',
+  spinel: '#d0375f',
+  tourmaline: '#d85a8a',
+  aquamarine: '#7fd3e6',
+  morganite: '#efb4a6',
+  opal: '#e3efec',
+  peridot: '#9ccf3c',
+  garnet: '#7b1322',
+  moonstone: '#dde5f1',
+  topaz: '#4fa3d9',
+  citrine: '#f0b429',
+  amethyst: '#8e4fc1',
+  pearl: '#f5efe3',
+};
+
+const GLYPH_CATEGORIES = ['Ring', 'Pendant', 'Earrings', 'Bracelet'];
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * What the procedural renderer draws for a design: { category, metal,
+ * stone, symmetry, ornamentation }. Metal and stone colours come from the
+ * bill of materials when there is one, then the materials text, then the
+ * author's platinum bias and stone preferences; stone is null for an
+ * all-metal piece.
+ */
+function glyphSpec(design = {}, agent = {}) {
+  const text = `${design.bom?.metal || ''} ${design.materials || ''}`;
+  const metal =
+    METAL_COLORS.find((m) => m.match.test(text))?.color ||
+    ((agent.platBias ?? 50) > 60 ? '#d5dade' : '#d4af37');
+  const stoneLine = design.bom?.lines?.find((l) => STONE_COLORS[l.id]);
+  const named = Object.keys(STONE_COLORS)
+    .map((id) => ({
+      id,
+      at: (design.materials || '')
+        .toLowerCase()
+        .search(id.replace('-', '[- ]')),
+    }))
+    .filter((s) => s.at >= 0)
+    .sort((a, b) => a.at - b.at)[0];
+  const stoneId = design.materials
+    ? stoneLine?.id || named?.id || null
+    : (agent.coloredStone ?? 40) > (agent.diamond ?? 60)
+      ? 'sapphire'
+      : 'diamond';
+  return {
+    category: GLYPH_CATEGORIES.includes(design.cat) ? design.cat : 'Ring',
+    metal,
+    stone: stoneId ? STONE_COLORS[stoneId] : null,
+    symmetry: clamp(agent.symmetry ?? agent.sym ?? 60, 0, 100),
+    ornamentation: clamp(agent.ornamentation ?? agent.orn ?? 50, 0, 100),
+  };
+}
+
+// ── Procedural SVG renderer ──────────────────────────────────
+
+const r1 = (n) => Math.round(n * 10) / 10;
+
+// Mixes a hex colour toward black (f < 0) or white (f > 0)
+function shade(hex, f) {
+  const n = parseInt(hex.slice(1), 16);
+  const mix = (c) =>
+    Math.round(f < 0 ? c * (1 + f) : c + (255 - c) * f)
+      .toString(16)
+      .padStart(2, '0');
+  return `#${mix(n >> 16)}${mix((n >> 8) & 255)}${mix(n & 255)}`;
+}
+
+function stoneSvg(x, y, r, shape, color) {
+  const edge = shade(color, -0.35);
+  const body =
+    shape === 'oval'
+      ? `<ellipse cx="${r1(x)}" cy="${r1(y)}" rx="${r1(r * 0.8)}" ry="${r1(r)}"`
+      : shape === 'marquise'
+        ? `<path d="M${r1(x)} ${r1(y - r)} Q${r1(x + r)} ${r1(y)} ${r1(x)} ${r1(y + r)} Q${r1(x - r)} ${r1(y)} ${r1(x)} ${r1(y - r)}Z"`
+        : shape === 'pear'
+          ? `<path d="M${r1(x)} ${r1(y - r * 1.2)} C${r1(x + r)} ${r1(y - r * 0.2)} ${r1(x + r)} ${r1(y + r)} ${r1(x)} ${r1(y + r)} C${r1(x - r)} ${r1(y + r)} ${r1(x - r)} ${r1(y - r * 0.2)} ${r1(x)} ${r1(y - r * 1.2)}Z"`
+          : shape === 'step'
+            ? `<rect x="${r1(x - r * 0.8)}" y="${r1(y - r)}" width="${r1(r * 1.6)}" height="${r1(r * 2)}" rx="${r1(r * 0.25)}"`
+            : `<circle cx="${r1(x)}" cy="${r1(y)}" r="${r1(r)}"`;
+  return `${body} fill="${color}" stroke="${edge}" stroke-width="1.5"/><ellipse cx="${r1(x - r * 0.3)}" cy="${r1(y - r * 0.35)}" rx="${r1(r * 0.3)}" ry="${r1(r * 0.18)}" fill="#fff" opacity="0.7"/>`;
+}
+
+// Accent stones of `stone` colour, or beads of `bead` colour, at the points
+function accentsSvg(points, r, stone, bead) {
+  return points
+    .map(([x, y]) =>
+      stone
+        ? stoneSvg(x, y, r, 'round', stone)
+        : `<circle cx="${r1(x)}" cy="${r1(y)}" r="${r1(r)}" fill="${bead}"/>`
+    )
+    .join('');
+}
+
+/**
+ * Draws a 256×256 SVG jewelry glyph for a glyph spec. The seed picks the
+ * stone cut and places accents; low symmetry skews the two sides apart and
+ * high ornamentation adds accent stones, a halo and filigree scrolls.
+ */
+function renderJewelrySvg(spec, seed = 0) {
+  const rng = createRng(`${seed}:glyph`);
+  const { category, metal, stone, symmetry, ornamentation } = spec;
+  const skew = (100 - symmetry) / 100; // 0 = mirror-symmetric
+  const jitter = (amount) => (rng.next() * 2 - 1) * amount * skew;
+  const accents = Math.round(ornamentation / 14);
+  const shape = rng.pick(['round', 'oval', 'pear', 'marquise', 'step']);
+  const light = shade(metal, 0.45);
+  const dark = shade(metal, -0.3);
+  const band = (d, w) =>
+    `<path d="${d}" fill="none" stroke="${dark}" stroke-width="${w + 3}" stroke-linecap="round"/><path d="${d}" fill="none" stroke="${metal}" stroke-width="${w}" stroke-linecap="round"/><path d="${d}" fill="none" stroke="${light}" stroke-width="${r1(w / 4)}" stroke-linecap="round" opacity="0.8"/>`;
+  const gem = (x, y, r) =>
+    stone
+      ? stoneSvg(x, y, r, shape, stone)
+      : `<circle cx="${r1(x)}" cy="${r1(y)}" r="${r1(r * 0.8)}" fill="${metal}" stroke="${dark}" stroke-width="2"/>`;
+  const scrolls = (x, y, span) =>
+    ornamentation > 65
+      ? [-1, 1]
+          .map((side) => {
+            const sx = x + side * (span + jitter(6));
+            return `<path d="M${r1(x + side * span * 0.5)} ${r1(y)} q${r1(side * span * 0.4)} ${r1(-span * 0.5)} ${r1(side * span * 0.5)} 0 t${r1(side * -span * 0.2)} ${r1(span * 0.25)}" fill="none" stroke="${dark}" stroke-width="1.5"/><circle cx="${r1(sx)}" cy="${r1(y)}" r="2" fill="${metal}"/>`;
+          })
+          .join('')
+      : '';
+  const around = (cx, cy, rx, ry, from, to, n) =>
+    Array.from({ length: n }, (_, i) => {
+      const t = from + ((to - from) * (i + 0.5)) / n + jitter(0.15);
+      return [cx + Math.cos(t) * rx, cy + Math.sin(t) * ry];
+    });
+
+  let body = '';
+  if (category === 'Ring') {
+    const sr = 17 + rng.int(0, 8);
+    body += band('M58 150 A70 24 0 1 0 198 150 A70 24 0 1 0 58 150', 12);
+    if (ornamentation > 60 && stone)
+      body += accentsSvg(
+        around(128, 118, sr + 7, sr + 7, 0, Math.PI * 2, 8 + accents),
+        2.6,
+        STONE_COLORS.diamond
+      );
+    body += `<path d="M${128 - sr} 132 L${r1(128 + jitter(6))} 104 L${128 + sr} 132" fill="none" stroke="${metal}" stroke-width="3"/>`;
+    body += gem(128 + jitter(5), 118, sr);
+    body += accentsSvg(
+      around(128, 150, 70, 24, Math.PI * 0.05, Math.PI * 0.95, accents),
+      3.2,
+      stone && ornamentation > 40 ? stone : null,
+      light
+    );
+    body += scrolls(128, 138, 30);
+  } else if (category === 'Pendant') {
+    const sr = 18 + rng.int(0, 8);
+    const drop = 165 + jitter(10);
+    // The chain's lowest point meets the bail
+    body += `<path d="M40 24 Q128 ${r1(180 + jitter(8))} 216 24" fill="none" stroke="${metal}" stroke-width="2.5" stroke-dasharray="5 3"/>`;
+    body += `<circle cx="128" cy="108" r="6" fill="none" stroke="${metal}" stroke-width="3"/>`;
+    body += band(
+      `M128 116 C${r1(128 + sr * 2 + jitter(8))} ${r1(drop - sr)} ${r1(128 + sr * 1.6)} ${r1(drop + sr * 1.4)} 128 ${r1(drop + sr * 1.4)} C${r1(128 - sr * 1.6)} ${r1(drop + sr * 1.4)} ${r1(128 - sr * 2 + jitter(8))} ${r1(drop - sr)} 128 116Z`,
+      6
+    );
+    body += gem(128, drop + sr * 0.2, sr * 0.9);
+    body += accentsSvg(
+      around(
+        128,
+        drop + sr * 0.2,
+        sr * 1.7,
+        sr * 1.5,
+        Math.PI * 0.1,
+        Math.PI * 0.9,
+        accents
+      ),
+      2.5,
+      null,
+      light
+    );
+    body += scrolls(128, 120, 22);
+  } else if (category === 'Earrings') {
+    [-1, 1].forEach((side) => {
+      // The right earring drifts from the left as symmetry falls
+      const off = side > 0 ? skew : 0;
+      const x = 128 + side * 44;
+      const len = 70 + off * (30 + jitter(20));
+      const sr =
+        14 + (side > 0 ? rng.int(0, 4) * skew : 0) + ornamentation / 25;
+      body += `<circle cx="${x}" cy="60" r="7" fill="${metal}" stroke="${dark}" stroke-width="2"/>`;
+      body += band(`M${x} 67 L${r1(x + jitter(12) * off)} ${r1(60 + len)}`, 4);
+      body += gem(x + jitter(10) * off, 60 + len + sr, sr);
+      if (side < 0 || skew < 0.65)
+        body += accentsSvg(
+          Array.from({ length: Math.min(accents, 5) }, (_, i) => [
+            x,
+            76 + ((len - 16) * (i + 1)) / (Math.min(accents, 5) + 1),
+          ]),
+          2.4,
+          stone && ornamentation > 50 ? stone : null,
+          light
+        );
+    });
+  } else {
+    body += band('M36 132 A92 54 0 1 0 220 132 A92 54 0 1 0 36 132', 14);
+    const count = 3 + accents;
+    body += around(128, 132, 92, 54, Math.PI * 0.15, Math.PI * 0.85, count)
+      .map(([x, y], i) =>
+        gem(x, y, (i === Math.floor(count / 2) ? 11 : 7) + jitter(3))
+      )
+      .join('');
+    body += scrolls(128, 78, 36);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="512" height="512"><defs><radialGradient id="bg" cx="50%" cy="40%" r="70%"><stop offset="0" stop-color="#fbfaf7"/><stop offset="1" stop-color="#e9e5dc"/></radialGradient></defs><rect width="256" height="256" fill="url(#bg)"/><ellipse cx="128" cy="226" rx="72" ry="8" fill="#000" opacity="0.08"/>${body}</svg>`;
+}
+
+const svgDataUrl = (svg) =>
+  `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// ── Backends ─────────────────────────────────────────────────
+
+function createProceduralBackend() {
+  return {
+    name: 'procedural',
+    offline: true,
+    async generate({ seed, design, agent }) {
+      const svg = renderJewelrySvg(glyphSpec(design, agent), seed);
+      return { url: svgDataUrl(svg), mediaType: 'image/svg+xml', svg };
+    },
+  };
+}
+
+// The free pollinations.ai endpoint, as makeImgUrlFree builds it in
+// index.html
+function pollinationsUrl(prompt, seed) {
+  // Keep prompt short to avoid URL length issues and improve generation speed
+  const base = prompt.slice(0, 140).replace(/[^\w\s,.'-]/g, '');
+  const full = `fine jewelry, ${base}, studio lighting, photorealistic, white background`;
+  return `https://image.pollinations.ai/prompt/${encodeURIComponent(full)}?width=512&height=512&seed=${seed}&model=flux`;
+}
+
+function createPollinationsBackend() {
+  return {
+    name: 'pollinations',
+    offline: false,
+    async generate({ prompt, seed }) {
+      if (!prompt) return null;
+      return { url: pollinationsUrl(prompt, seed), mediaType: 'image/jpeg' };
+    },
+  };
+}
+
+function createHiggsfieldBackend(options = {}) {
+  const {
+    apiKey,
+    fetch: fetchFn,
+    sleep = defaultSleep,
+    pollInterval = 2500,
+    pollAttempts = 16,
+  } = options;
+  if (!apiKey) throw new Error('Higgsfield backend requires an apiKey');
+  const doFetch = fetchFn || globalThis.fetch;
+  const headers = { Authorization: `Key ${apiKey}` };
+  return {
+    name: 'higgsfield',
+    offline: false,
+    async generate({ prompt }) {
+      if (!prompt) return null;
+      const resp = await doFetch(HIGGSFIELD_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({
+          prompt: `fine jewelry, ${prompt.slice(0, 300)}, studio lighting, photorealistic`,
+          aspect_ratio: '1:1',
+          resolution: '720p',
+        }),
+      });
+      const data = await resp.json();
+      const done = (d) =>
+        d.status === 'completed' && d.images?.[0]?.url
+          ? { url: d.images[0].url, mediaType: 'image/jpeg' }
+          : null;
+      if (done(data)) return done(data);
+      if (!data.request_id) return null;
+      // Poll for completion (about 40s with the defaults)
+      const statusUrl =
+        data.status_url ||
+        `https://platform.higgsfield.ai/requests/${data.request_id}/status`;
+      for (let attempt = 0; attempt < pollAttempts; attempt++) {
+        await sleep(pollInterval);
+        const st = await (await doFetch(statusUrl, { headers })).json();
+        if (done(st)) return done(st);
+        if (st.status === 'failed' || st.status === 'nsfw') return null;
+      }
+      return null;
+    },
+  };
+}
+
+// ── Registry ─────────────────────────────────────────────────
+
+const IMAGE_BACKENDS = {
+  higgsfield: createHiggsfieldBackend,
+  pollinations: createPollinationsBackend,
+  procedural: createProceduralBackend,
+};
+
+const DEFAULT_IMAGE_CHAIN = ['higgsfield', 'pollinations', 'procedural'];
+
+// Adds a backend factory: options => { name, offline, generate }
+function registerImageBackend(name, factory) {
+  if (typeof factory !== 'function')
+    throw new Error(`Image backend "${name}" needs a factory function`);
+  IMAGE_BACKENDS[name] = factory;
+}
+
+function createImageBackend(name, options = {}) {
+  const factory = IMAGE_BACKENDS[name];
+  if (!factory)
+    throw new Error(
+      `Unknown image backend "${name}" (available: ${Object.keys(IMAGE_BACKENDS).join(', ')})`
+    );
+  return factory(options);
+}
+
+/**
+ * A generator over a chain of backends, given as names, backend objects or
+ * a comma-separated string. `options[name]` configures each named backend;
+ * a named backend that cannot be configured (higgsfield with no apiKey) is
+ * left out of the chain. `generate(design, { agent, seed, prompt })` tries
+ * each backend in order, moving on when one returns null or throws, and
+ * resolves to `{ url, mediaType, backend }`. With `options.cache` every
+ * backend is wrapped by cachedBackend(), downloading through
+ * `options.fetch`, and images also carry their `key`, `sha256` and `size`.
+ */
+function createImageGenerator(options = {}) {
+  const {
+    backends = DEFAULT_IMAGE_CHAIN,
+    cache = null,
+    warn = () => {},
+  } = options;
+  const names = typeof backends === 'string' ? backends.split(',') : backends;
+  const chain = [];
+  for (const entry of names) {
+    if (typeof entry !== 'string') {
+      chain.push(entry);
+      continue;
+    }
+    const name = entry.trim();
+    if (!IMAGE_BACKENDS[name]) createImageBackend(name); // throws naming the options
+    try {
+      chain.push(createImageBackend(name, options[name]));
+    } catch (e) {
+      warn(`Image backend ${name} skipped: ${e.message}`);
+    }
+  }
+  // The procedural renderer never fails, so every design gets an image
+  if (!chain.some((b) => b.name === 'procedural'))
+    chain.push(createProceduralBackend());
+  if (cache)
+    chain.forEach((b, i) => {
+      chain[i] = cachedBackend(b, cache, { fetch: options.fetch });
+    });
+
+  async function generate(design = {}, { agent, seed = 0, prompt } = {}) {
+    for (const backend of chain) {
+      try {
+        const image = await backend.generate({
+          prompt: prompt ?? design.prompt ?? '',
+          seed,
+          design,
+          agent,
+        });
+        if (image) return { ...image, backend: backend.name };
+      } catch (e) {
+        warn(`${backend.name} image failed for ${design.name}: ${e.message}`);
+      }
+    }
+    return null;
+  }
+
+  return { backends: chain.map((b) => b.name), chain, cache, generate };
+}
+
+module.exports = {
+  IMAGE_BACKENDS,
+  DEFAULT_IMAGE_CHAIN,
+  GLYPH_CATEGORIES,
+  glyphSpec,
+  renderJewelrySvg,
+  svgDataUrl,
+  pollinationsUrl,
+  createProceduralBackend,
+  createPollinationsBackend,
+  createHiggsfieldBackend,
+  registerImageBackend,
+  createImageBackend,
+  createImageGenerator,
+};
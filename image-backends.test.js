@@ -0,0 +1,206 @@
+/**
+ * JewelForge Image Backends — Test Suite
+ *
+ * Run with: node --test image-backends.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  IMAGE_BACKENDS,
+  glyphSpec,
+  renderJewelrySvg,
+  pollinationsUrl,
+  createHiggsfieldBackend,
+  registerImageBackend,
+  createImageBackend,
+  createImageGenerator,
+} = require('./image-backends.js');
+const { billOfMaterials } = require('./materials.js');
+
+const ring = {
+  name: 'Orbit',
+  cat: 'Ring',
+  materials: '18K rose gold band with a 1ct oval ruby',
+  prompt: 'a rose gold ring with an oval ruby',
+};
+
+// A fetch stub that answers each request with the next queued JSON body
+function scriptedFetch(...bodies) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init });
+    return { json: async () => bodies.shift() };
+  };
+  return { fetch, requests };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. GLYPH SPEC AND RENDERER
+// ═══════════════════════════════════════════════════════════════
+
+describe('glyphSpec', () => {
+  it('reads metal and stone from the materials and genes from the author', () => {
+    assert.deepEqual(glyphSpec(ring, { symmetry: 30, ornamentation: 80 }), {
+      category: 'Ring',
+      metal: '#d9a08b',
+      stone: '#c3143c',
+      symmetry: 30,
+      ornamentation: 80,
+    });
+  });
+
+  it('prefers the bill of materials and falls back to the genome', () => {
+    const design = {
+      cat: 'Pendant',
+      materials: 'platinum drop, 0.5ct emerald and pavé diamonds',
+    };
+    design.bom = billOfMaterials(design);
+    const spec = glyphSpec(design);
+    assert.equal(spec.metal, '#d5dade');
+    assert.equal(spec.stone, '#1e8c4e');
+    assert.equal(glyphSpec({ materials: 'sterling silver cuff' }).stone, null);
+    const bare = glyphSpec(
+      { cat: 'Brooch' },
+      { platBias: 80, coloredStone: 70, diamond: 30 }
+    );
+    assert.equal(bare.category, 'Ring');
+    assert.equal(bare.metal, '#d5dade');
+    assert.equal(bare.stone, '#1f4fb4');
+  });
+});
+
+describe('renderJewelrySvg', () => {
+  const spec = glyphSpec(ring, { symmetry: 40, ornamentation: 70 });
+
+  it('draws every category deterministically in the spec colours', () => {
+    for (const category of ['Ring', 'Pendant', 'Earrings', 'Bracelet']) {
+      const svg = renderJewelrySvg({ ...spec, category }, 11);
+      assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+      assert.ok(svg.includes(spec.metal) && svg.includes(spec.stone));
+      assert.equal(svg, renderJewelrySvg({ ...spec, category }, 11));
+    }
+    assert.notEqual(renderJewelrySvg(spec, 11), renderJewelrySvg(spec, 12));
+  });
+
+  it('mirrors earrings only when the author favours symmetry', () => {
+    // Each wire is stroked in three layers; keep one length per earring
+    const studs = (symmetry) => [
+      ...new Set(
+        renderJewelrySvg({ ...spec, category: 'Earrings', symmetry }, 3)
+          .match(/<path d="M\d+ 67 L[\d.]+ [\d.]+"/g)
+          .map((p) => p.match(/ ([\d.]+)"$/)[1])
+      ),
+    ];
+    assert.equal(studs(100).length, 1);
+    assert.equal(studs(10).length, 2);
+  });
+
+  it('adds accents and filigree with ornamentation', () => {
+    const plain = renderJewelrySvg({ ...spec, ornamentation: 0 }, 5);
+    const ornate = renderJewelrySvg({ ...spec, ornamentation: 100 }, 5);
+    const count = (svg) => (svg.match(/<circle|<ellipse/g) || []).length;
+    assert.ok(count(ornate) > count(plain) + 8);
+    assert.ok(ornate.includes(' q') && !plain.includes(' q'));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. BACKENDS AND REGISTRY
+// ═══════════════════════════════════════════════════════════════
+
+describe('backends', () => {
+  it('builds the pollinations URL the browser uses', async () => {
+    const url = pollinationsUrl('oval ruby ring <3', 42);
+    assert.equal(
+      url,
+      `https://image.pollinations.ai/prompt/${encodeURIComponent('fine jewelry, oval ruby ring 3, studio lighting, photorealistic, white background')}?width=512&height=512&seed=42&model=flux`
+    );
+    const backend = createImageBackend('pollinations');
+    assert.equal(backend.offline, false);
+    assert.equal(await backend.generate({ prompt: '', seed: 1 }), null);
+  });
+
+  it('polls higgsfield until the render completes', async () => {
+    const { fetch, requests } = scriptedFetch(
+      { request_id: 'r1' },
+      { status: 'in_progress' },
+      { status: 'completed', images: [{ url: 'https://img/1.jpg' }] }
+    );
+    const backend = createHiggsfieldBackend({
+      apiKey: 'k',
+      fetch,
+      sleep: async () => {},
+    });
+    const image = await backend.generate({ prompt: 'ring' });
+    assert.deepEqual(image, {
+      url: 'https://img/1.jpg',
+      mediaType: 'image/jpeg',
+    });
+    assert.equal(requests.length, 3);
+    assert.equal(requests[0].init.headers.Authorization, 'Key k');
+    assert.equal(
+      requests[1].url,
+      'https://platform.higgsfield.ai/requests/r1/status'
+    );
+    assert.throws(() => createHiggsfieldBackend(), /requires an apiKey/);
+  });
+
+  it('names the registered backends for an unknown one', () => {
+    assert.throws(
+      () => createImageBackend('dalle'),
+      /Unknown image backend "dalle" \(available: higgsfield, pollinations, procedural/
+    );
+    registerImageBackend('solid', () => ({
+      name: 'solid',
+      offline: true,
+      generate: async () => ({ url: 'data:,', mediaType: 'text/plain' }),
+    }));
+    try {
+      assert.equal(createImageBackend('solid').name, 'solid');
+    } finally {
+      delete IMAGE_BACKENDS.solid;
+    }
+  });
+});
+
+describe('createImageGenerator', () => {
+  it('falls through failing backends to the procedural renderer', async () => {
+    const warnings = [];
+    const generator = createImageGenerator({
+      backends: [
+        'higgsfield',
+        {
+          name: 'broken',
+          generate: async () => {
+            throw new Error('offline');
+          },
+        },
+        { name: 'empty', generate: async () => null },
+      ],
+      warn: (m) => warnings.push(m),
+    });
+    assert.deepEqual(generator.backends, ['broken', 'empty', 'procedural']);
+    const image = await generator.generate(ring, { seed: 9 });
+    assert.equal(image.backend, 'procedural');
+    assert.equal(image.mediaType, 'image/svg+xml');
+    assert.ok(image.url.startsWith('data:image/svg+xml;charset=utf-8,%3Csvg'));
+    assert.equal(decodeURIComponent(image.url.split(',')[1]), image.svg);
+    assert.deepEqual(warnings, [
+      'Image backend higgsfield skipped: Higgsfield backend requires an apiKey',
+      'broken image failed for Orbit: offline',
+    ]);
+  });
+
+  it('uses the first backend that answers', async () => {
+    const generator = createImageGenerator({ backends: 'pollinations' });
+    const image = await generator.generate(ring, { seed: 3 });
+    assert.equal(image.backend, 'pollinations');
+    assert.equal(image.url, pollinationsUrl(ring.prompt, 3));
+    assert.throws(
+      () => createImageGenerator({ backends: 'pollinations,dalle' }),
+      /Unknown image backend "dalle"/
+    );
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * JewelForge Image Cache — content-addressed image bytes and asset manifests.
+ *
+ * Every image a backend produces is downloaded once and kept by the SHA-256
+ * of its bytes, so identical images are stored once. Requests are looked up
+ * by a cache key, the hash of (prompt, seed, backend), which maps to the
+ * bytes that request produced; asking again returns them without touching
+ * the backend or the network.
+ *
+ * Each epoch gets a manifest linking every design in its cycle reports to
+ * its image bytes, so reports and PDFs can be rebuilt later with no
+ * generation or download:
+ *
+ *   { "version": 1, "epochId": "…", "images": [{ "cycle": 1, "agentIdx": 0,
+ *     "name": "…", "key": "…", "sha256": "…", "mediaType": "image/svg+xml",
+ *     "backend": "procedural", "size": 5120 }] }
+ *
+ * createImageCache() is memory-only; openImageCache(dir) keeps the same
+ * data on the filesystem:
+ *
+ *   dir/objects/ab/ab12…     image bytes, named by their SHA-256
+ *   dir/keys/<key>.json      what one request produced
+ *   dir/manifests/<epoch>.json
+ *
+ * index.html mirrors this cache on IndexedDB.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const IMAGE_MANIFEST_VERSION = 1;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// hash(prompt, seed, backend): the cache key of one generation request
+function imageCacheKey({ prompt = '', seed = 0, backend }) {
+  return sha256(JSON.stringify([backend, String(seed), prompt]));
+}
+
+// The data: URL of cached bytes; SVG stays readable text like the
+// procedural backend's own URLs
+function bytesDataUrl(bytes, mediaType) {
+  return mediaType === 'image/svg+xml'
+    ? `data:${mediaType};charset=utf-8,${encodeURIComponent(bytes.toString('utf8'))}`
+    : `data:${mediaType};base64,${bytes.toString('base64')}`;
+}
+
+function decodeDataUrl(url) {
+  const match = /^data:([^;,]+)?((?:;[^;,]+)*),(.*)$/s.exec(url);
+  if (!match) throw new Error('Malformed data: URL');
+  const base64 = match[2].split(';').includes('base64');
+  return {
+    mediaType: match[1] || 'text/plain',
+    bytes: base64
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]), 'utf8'),
+  };
+}
+
+/**
+ * The bytes behind a backend's image: its SVG text, a decoded data: URL or
+ * a download. Rejects when the download fails, so a generator moves on to
+ * the next backend.
+ */
+async function imageBytes(image, fetchFn = globalThis.fetch) {
+  if (image.svg)
+    return {
+      bytes: Buffer.from(image.svg, 'utf8'),
+      mediaType: image.mediaType,
+    };
+  if (image.url.startsWith('data:')) return decodeDataUrl(image.url);
+  const resp = await fetchFn(image.url);
+  if (!resp.ok)
+    throw new Error(`Image download failed with HTTP ${resp.status}`);
+  const type = resp.headers?.get?.('content-type');
+  return {
+    bytes: Buffer.from(await resp.arrayBuffer()),
+    mediaType: type ? type.split(';')[0].trim() : image.mediaType,
+  };
+}
+
+// ── Manifests ────────────────────────────────────────────────
+
+/**
+ * The manifest of an epoch: one entry per design in `cycleReports` whose
+ * image is in the cache, in cycle and roster order.
+ */
+function buildImageManifest(epochId, cycleReports) {
+  const images = [];
+  for (const report of cycleReports)
+    for (const d of report.designs || []) {
+      if (!d.image?.sha256) continue;
+      const { key, sha256: hash, mediaType, backend, size } = d.image;
+      images.push({
+        cycle: report.cycle,
+        agentIdx: d.agentIdx,
+        name: d.name,
+        key,
+        sha256: hash,
+        mediaType,
+        backend,
+        size,
+      });
+    }
+  return { version: IMAGE_MANIFEST_VERSION, epochId, images };
+}
+
+// Manifest entries with their bytes; throws naming every missing object
+function readManifestImages(manifest, cache) {
+  if (manifest?.version !== IMAGE_MANIFEST_VERSION)
+    throw new Error(
+      `Unsupported image manifest version ${manifest?.version} (expected ${IMAGE_MANIFEST_VERSION})`
+    );
+  const missing = [];
+  const images = manifest.images.map((entry) => {
+    const bytes = cache.read(entry.sha256);
+    if (!bytes) missing.push(`cycle ${entry.cycle} "${entry.name}"`);
+    return {
+      ...entry,
+      bytes,
+      url: bytes && bytesDataUrl(bytes, entry.mediaType),
+    };
+  });
+  if (missing.length)
+    throw new Error(`Image cache is missing ${missing.join(', ')}`);
+  return images;
+}
+
+// ── Caches ───────────────────────────────────────────────────
+
+// Storage in memory: Maps of objects, keys and manifests
+function memoryStorage() {
+  const objects = new Map();
+  const keys = new Map();
+  const manifests = new Map();
+  return {
+    readObject: (hash) => objects.get(hash) || null,
+    writeObject: (hash, bytes) => objects.set(hash, bytes),
+    readKey: (key) => keys.get(key) || null,
+    writeKey: (key, entry) => keys.set(key, entry),
+    readManifest: (epochId) => manifests.get(epochId) || null,
+    writeManifest: (manifest) => manifests.set(manifest.epochId, manifest),
+  };
+}
+
+// Epoch ids hold a timestamp; keep file names portable
+const manifestFileName = (epochId) =>
+  `${String(epochId).replace(/[^\w.@-]/g, '_')}.json`;
+
+function writeAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+function fileStorage(dir) {
+  const objectFile = (hash) =>
+    path.join(dir, 'objects', hash.slice(0, 2), hash);
+  const keyFile = (key) => path.join(dir, 'keys', `${key}.json`);
+  const manifestFile = (epochId) =>
+    path.join(dir, 'manifests', manifestFileName(epochId));
+  return {
+    readObject: (hash) =>
+      fs.existsSync(objectFile(hash))
+        ? fs.readFileSync(objectFile(hash))
+        : null,
+    writeObject: (hash, bytes) => {
+      if (!fs.existsSync(objectFile(hash)))
+        writeAtomic(objectFile(hash), bytes);
+    },
+    readKey: (key) => readJson(keyFile(key)),
+    writeKey: (key, entry) =>
+      writeAtomic(keyFile(key), JSON.stringify(entry, null, 2)),
+    readManifest: (epochId) => readJson(manifestFile(epochId)),
+    writeManifest: (manifest) =>
+      writeAtomic(
+        manifestFile(manifest.epochId),
+        JSON.stringify(manifest, null, 2)
+      ),
+  };
+}
+
+/**
+ * A cache over `storage` (memory by default):
+ *   get(key)        → { key, sha256, mediaType, size, backend, prompt,
+ *                       seed, url } or null; url is null for data: images
+ *   read(sha256)    → the bytes, or null
+ *   put(key, { bytes, mediaType, backend, prompt, seed, url }) → the entry
+ *   saveManifest(manifest) / loadManifest(epochId)
+ */
+function createImageCache(options = {}) {
+  const storage = options.storage || memoryStorage();
+  return {
+    get: (key) => storage.readKey(key),
+    read: (hash) => storage.readObject(hash),
+    put(key, { bytes, mediaType, backend, prompt = '', seed = 0, url }) {
+      const hash = sha256(bytes);
+      storage.writeObject(hash, bytes);
+      const entry = {
+        key,
+        sha256: hash,
+        mediaType,
+        size: bytes.length,
+        backend,
+        prompt,
+        seed,
+        url: url && !url.startsWith('data:') ? url : null,
+      };
+      storage.writeKey(key, entry);
+      return entry;
+    },
+    saveManifest: (manifest) => storage.writeManifest(manifest),
+    loadManifest: (epochId) => storage.readManifest(epochId),
+  };
+}
+
+function openImageCache(dir, options = {}) {
+  const cache = createImageCache({ ...options, storage: fileStorage(dir) });
+  cache.dir = dir;
+  return cache;
+}
+
+/**
+ * Wraps a backend so each request is answered from `cache` when it has been
+ * made before, and otherwise generated, downloaded and stored. Images come
+ * back with their `key`, `sha256` and `size`.
+ */
+function cachedBackend(backend, cache, options = {}) {
+  const fetchFn = options.fetch || globalThis.fetch;
+  return {
+    ...backend,
+    async generate(request) {
+      const key = imageCacheKey({ ...request, backend: backend.name });
+      const hit = cache.get(key);
+      const bytes = hit && cache.read(hit.sha256);
+      if (bytes)
+        return {
+          url: hit.url || bytesDataUrl(bytes, hit.mediaType),
+          mediaType: hit.mediaType,
+          key,
+          sha256: hit.sha256,
+          size: hit.size,
+          cached: true,
+        };
+      const image = await backend.generate(request);
+      if (!image) return null;
+      const fetched = await imageBytes(image, fetchFn);
+      const entry = cache.put(key, {
+        ...fetched,
+        backend: backend.name,
+        prompt: request.prompt,
+        seed: request.seed,
+        url: image.url,
+      });
+      return {
+        ...image,
+        mediaType: entry.mediaType,
+        key,
+        sha256: entry.sha256,
+        size: entry.size,
+      };
+    },
+  };
+}
+
+module.exports = {
+  IMAGE_MANIFEST_VERSION,
+  imageCacheKey,
+  bytesDataUrl,
+  imageBytes,
+  buildImageManifest,
+  readManifestImages,
+  createImageCache,
+  openImageCache,
+  cachedBackend,
+};
@@ -0,0 +1,277 @@
+/**
+ * JewelForge Image Cache — Test Suite
+ *
+ * Run with: node --test image-cache.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  imageCacheKey,
+  imageBytes,
+  buildImageManifest,
+  readManifestImages,
+  createImageCache,
+  openImageCache,
+  cachedBackend,
+} = require('./image-cache.js');
+const { createImageGenerator, svgDataUrl } = require('./image-backends.js');
+const { runEpoch } = require('./engine.js');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+
+// A fetch stub serving PNG bytes and counting downloads
+function pngFetch() {
+  const urls = [];
+  const fetch = async (url) => {
+    urls.push(url);
+    return {
+      ok: true,
+      headers: new Map([['content-type', 'image/png; charset=binary']]),
+      arrayBuffer: async () =>
+        PNG.buffer.slice(PNG.byteOffset, PNG.byteOffset + PNG.length),
+    };
+  };
+  return { fetch, urls };
+}
+
+// A network backend that counts how often it is asked
+function countingBackend() {
+  const backend = {
+    name: 'remote',
+    offline: false,
+    calls: 0,
+    async generate({ prompt, seed }) {
+      backend.calls++;
+      return {
+        url: `https://img/${prompt}/${seed}.png`,
+        mediaType: 'image/jpeg',
+      };
+    },
+  };
+  return backend;
+}
+
+function makeRoster(n = 3) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `Agent ${i}`,
+    emoji: '◆',
+    arch: 'Minimalist Architect',
+    risk: 40 + i * 10,
+    novelty: 50 + i,
+    styleTags: ['minimal'],
+  }));
+}
+
+const FIXED_NOW = () => new Date('2026-01-15T12:00:00Z');
+
+// ═══════════════════════════════════════════════════════════════
+//  1. KEYS AND BYTES
+// ═══════════════════════════════════════════════════════════════
+
+describe('imageCacheKey', () => {
+  it('hashes prompt, seed and backend', () => {
+    const key = imageCacheKey({
+      prompt: 'ring',
+      seed: 4,
+      backend: 'pollinations',
+    });
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(
+      key,
+      imageCacheKey({ prompt: 'ring', seed: '4', backend: 'pollinations' })
+    );
+    assert.notEqual(
+      key,
+      imageCacheKey({ prompt: 'ring', seed: 5, backend: 'pollinations' })
+    );
+    assert.notEqual(
+      key,
+      imageCacheKey({ prompt: 'ring', seed: 4, backend: 'procedural' })
+    );
+  });
+});
+
+describe('imageBytes', () => {
+  it('reads SVG text, data: URLs and downloads', async () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"/>';
+    const fromSvg = await imageBytes({
+      svg,
+      url: svgDataUrl(svg),
+      mediaType: 'image/svg+xml',
+    });
+    assert.equal(fromSvg.bytes.toString(), svg);
+    const fromBase64 = await imageBytes({
+      url: `data:image/png;base64,${PNG.toString('base64')}`,
+    });
+    assert.deepEqual(fromBase64, { bytes: PNG, mediaType: 'image/png' });
+    const { fetch, urls } = pngFetch();
+    const downloaded = await imageBytes(
+      { url: 'https://img/a.png', mediaType: 'image/jpeg' },
+      fetch
+    );
+    assert.deepEqual(downloaded, { bytes: PNG, mediaType: 'image/png' });
+    assert.deepEqual(urls, ['https://img/a.png']);
+    await assert.rejects(
+      imageBytes({ url: 'https://img/b.png' }, async () => ({
+        ok: false,
+        status: 503,
+      })),
+      /HTTP 503/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. CACHING BACKENDS
+// ═══════════════════════════════════════════════════════════════
+
+describe('cachedBackend', () => {
+  it('generates and downloads each request once', async () => {
+    const cache = createImageCache();
+    const remote = countingBackend();
+    const { fetch, urls } = pngFetch();
+    const backend = cachedBackend(remote, cache, { fetch });
+    const first = await backend.generate({ prompt: 'ring', seed: 1 });
+    const again = await backend.generate({ prompt: 'ring', seed: 1 });
+    assert.equal(remote.calls, 1);
+    assert.equal(urls.length, 1);
+    const hash = crypto.createHash('sha256').update(PNG).digest('hex');
+    assert.equal(first.sha256, hash);
+    assert.equal(first.mediaType, 'image/png');
+    assert.deepEqual(again, {
+      url: 'https://img/ring/1.png',
+      mediaType: 'image/png',
+      key: first.key,
+      sha256: hash,
+      size: PNG.length,
+      cached: true,
+    });
+    assert.deepEqual(cache.read(hash), PNG);
+    await backend.generate({ prompt: 'ring', seed: 2 });
+    assert.equal(remote.calls, 2);
+  });
+
+  it('stores identical bytes once and survives reopening', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    try {
+      const { fetch } = pngFetch();
+      const backend = cachedBackend(countingBackend(), openImageCache(dir), {
+        fetch,
+      });
+      const a = await backend.generate({ prompt: 'ring', seed: 1 });
+      await backend.generate({ prompt: 'cuff', seed: 1 });
+      assert.deepEqual(
+        fs.readdirSync(path.join(dir, 'objects', a.sha256.slice(0, 2))),
+        [a.sha256]
+      );
+      assert.equal(fs.readdirSync(path.join(dir, 'keys')).length, 2);
+
+      const remote = countingBackend();
+      const reopened = cachedBackend(remote, openImageCache(dir), { fetch });
+      assert.equal(
+        (await reopened.generate({ prompt: 'ring', seed: 1 })).cached,
+        true
+      );
+      assert.equal(remote.calls, 0);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('lets the generator fall back when a download fails', async () => {
+    const generator = createImageGenerator({
+      backends: [countingBackend()],
+      cache: createImageCache(),
+      fetch: async () => ({ ok: false, status: 404 }),
+    });
+    const image = await generator.generate(
+      { name: 'Orbit', cat: 'Ring', prompt: 'ring' },
+      { seed: 2 }
+    );
+    assert.equal(image.backend, 'procedural');
+    assert.equal(image.mediaType, 'image/svg+xml');
+    assert.match(image.sha256, /^[0-9a-f]{64}$/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. MANIFESTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('image manifests', () => {
+  it('link every design of an epoch to its cached bytes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    try {
+      const opts = {
+        cycles: 2,
+        seed: 3,
+        now: FIXED_NOW,
+        images: { backends: 'procedural', cache: dir },
+      };
+      const result = await runEpoch(makeRoster(), opts);
+      const cache = openImageCache(dir);
+      const manifest = cache.loadManifest(result.epochId);
+      assert.deepEqual(
+        manifest,
+        buildImageManifest(result.epochId, result.cycleReports)
+      );
+      assert.equal(manifest.images.length, 6);
+      assert.deepEqual(
+        manifest.images.map((m) => [m.cycle, m.agentIdx]),
+        [
+          [1, 0],
+          [1, 1],
+          [1, 2],
+          [2, 0],
+          [2, 1],
+          [2, 2],
+        ]
+      );
+      assert.ok(
+        fs.existsSync(
+          path.join(dir, 'manifests', '3@2026-01-15T12_00_00.000Z.json')
+        )
+      );
+
+      const images = readManifestImages(manifest, cache);
+      const design = result.cycleReports[1].designs[2];
+      assert.equal(images[5].url, design.image.url);
+      assert.equal(images[5].bytes.length, design.image.size);
+
+      // A second run is answered from the cache and reproduces the epoch
+      const again = await runEpoch(makeRoster(), opts);
+      assert.deepEqual(again.cycleReports, result.cycleReports);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('names the designs whose bytes are missing', () => {
+    const manifest = buildImageManifest('e1', [
+      {
+        cycle: 1,
+        designs: [
+          {
+            agentIdx: 0,
+            name: 'Orbit',
+            image: { key: 'k', sha256: 'ab12', mediaType: 'image/png' },
+          },
+        ],
+      },
+    ]);
+    assert.throws(
+      () => readManifestImages(manifest, createImageCache()),
+      /missing cycle 1 "Orbit"/
+    );
+    assert.throws(
+      () => readManifestImages({ version: 9 }, createImageCache()),
+      /Unsupported image manifest version 9/
+    );
+  });
+});
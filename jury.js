@@ -0,0 +1,171 @@
+/**
+ * JewelForge Jury — human jurors voting alongside the agents.
+ *
+ * Jurors allocate credits to the cycle's designs in either format:
+ *
+ *   JSON  [{ "juror": "Ana", "votes": { "Halo Cuff": 6000, "2": 4000 } }]
+ *         or { "ballots": [...] }; `votes` may also be an array by design
+ *         index
+ *   CSV   juror,design,credits — one row per allocation, header optional
+ *
+ * Designs are named by their name (case-insensitive) or index. Like an
+ * agent's, each juror's allocation is rescaled to the round budget.
+ *
+ * The jury's credits are then scaled so they make up `weight` of everything
+ * awarded in the cycle: 0 leaves the jury advisory, 0.5 puts it level with
+ * the agents. Either way the report compares the two allocations.
+ */
+
+const { pearsonCorr } = require('./game-logic.js');
+const { ROUND_BUDGET, normalizeVotes } = require('./voting.js');
+
+const DEFAULT_JURY = { weight: 0.5 };
+
+// Accepts a bare weight or { weight, ballots } and fills defaults
+function resolveJury(jury) {
+  const opts =
+    typeof jury === 'number'
+      ? { ...DEFAULT_JURY, weight: jury }
+      : { ...DEFAULT_JURY, ...jury };
+  if (typeof opts.weight !== 'number' || opts.weight < 0 || opts.weight >= 1)
+    throw new Error('Jury weight must be a number in [0, 1)');
+  return opts;
+}
+
+// ── Parsing ──────────────────────────────────────────────────
+
+// Splits one CSV line, honouring double-quoted fields with "" escapes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '',
+    quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else field += ch;
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function designIndex(key, designs) {
+  const text = String(key).trim();
+  if (/^\d+$/.test(text) && +text < designs.length) return +text;
+  const idx = designs.findIndex(
+    (d) => (d.name || '').trim().toLowerCase() === text.toLowerCase()
+  );
+  return idx >= 0 ? idx : null;
+}
+
+function parseCsvBallots(text) {
+  const byJuror = new Map();
+  text
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: line.trim(), n: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .forEach(({ line, n }, i) => {
+      const [juror, design, credits] = splitCsvLine(line);
+      if (i === 0 && /^juror$/i.test(juror)) return;
+      if (!juror || design === undefined || credits === undefined)
+        throw new Error(`Ballot line ${n}: expected juror,design,credits`);
+      if (!byJuror.has(juror)) byJuror.set(juror, {});
+      byJuror.get(juror)[design] =
+        (byJuror.get(juror)[design] || 0) + Number(credits);
+    });
+  return [...byJuror.entries()].map(([juror, votes]) => ({ juror, votes }));
+}
+
+/**
+ * Parses CSV or JSON ballot text (or already-parsed JSON) against the
+ * cycle's designs. Returns [{ juror, row }] with each row rescaled to
+ * `budget`; throws on unknown designs, bad credits or empty ballots.
+ */
+function parseJuryBallots(input, designs, budget = ROUND_BUDGET) {
+  let raw = input;
+  if (typeof input === 'string') {
+    const text = input.trim();
+    raw = /^[[{]/.test(text) ? JSON.parse(text) : parseCsvBallots(text);
+  }
+  if (raw && !Array.isArray(raw)) raw = raw.ballots;
+  if (!Array.isArray(raw))
+    throw new Error('Ballots must be a list of { juror, votes }');
+  return raw.map((ballot, b) => {
+    const juror = String(ballot?.juror || `Juror ${b + 1}`);
+    const entries = Array.isArray(ballot?.votes)
+      ? ballot.votes.map((c, i) => [i, c])
+      : Object.entries(ballot?.votes || {});
+    const row = new Array(designs.length).fill(0);
+    entries.forEach(([key, credits]) => {
+      const idx = designIndex(key, designs);
+      if (idx === null)
+        throw new Error(`${juror}'s ballot names an unknown design "${key}"`);
+      if (!Number.isFinite(Number(credits)) || Number(credits) < 0)
+        throw new Error(`${juror}'s ballot gives "${key}" invalid credits`);
+      row[idx] += Number(credits);
+    });
+    if (!row.some((c) => c > 0))
+      throw new Error(`${juror}'s ballot allocates no credits`);
+    return { juror, row: normalizeVotes(row, -1, budget) };
+  });
+}
+
+// ── Tally ────────────────────────────────────────────────────
+
+const share = (v, total) => (total ? Math.round((v / total) * 100) : 0);
+
+/**
+ * Tallies parsed jury ballots against the agents' awards. Returns the
+ * jury's awards (scaled to `weight` of the cycle's total) with each design's
+ * share of the agent and jury allocations, most divergent first, and the
+ * Pearson correlation between the two.
+ */
+function tallyJury(ballots, agentAwards, designs, jury = DEFAULT_JURY) {
+  const { weight } = resolveJury(jury);
+  const totals = designs.map((_, di) =>
+    ballots.reduce((s, b) => s + (b.row[di] || 0), 0)
+  );
+  const juryTotal = totals.reduce((s, c) => s + c, 0);
+  const agentTotal = agentAwards.reduce((s, c) => s + c, 0);
+  const pool = (agentTotal * weight) / (1 - weight);
+  const awards = totals.map((c) =>
+    juryTotal ? Math.round((c / juryTotal) * pool) : 0
+  );
+  const divergence = designs
+    .map((d, di) => {
+      const agentShare = share(agentAwards[di], agentTotal);
+      const juryShare = share(totals[di], juryTotal);
+      return {
+        design: di,
+        name: d.name,
+        agentShare,
+        juryShare,
+        gap: juryShare - agentShare,
+      };
+    })
+    .sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap) || a.design - b.design);
+  return {
+    weight,
+    jurors: ballots.map((b) => b.juror),
+    ballots,
+    totals,
+    awards,
+    correlation: pearsonCorr(agentAwards, totals),
+    divergence,
+  };
+}
+
+module.exports = {
+  DEFAULT_JURY,
+  resolveJury,
+  parseJuryBallots,
+  tallyJury,
+};
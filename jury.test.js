@@ -0,0 +1,140 @@
+/**
+ * JewelForge Jury — Test Suite
+ *
+ * Run with: node --test jury.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_JURY,
+  resolveJury,
+  parseJuryBallots,
+  tallyJury,
+} = require('./jury.js');
+
+const DESIGNS = [
+  { name: 'Halo Cuff' },
+  { name: 'Lattice Ring' },
+  { name: 'Drop, Pendant' },
+];
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveJury', () => {
+  it('fills defaults from a bare weight or options', () => {
+    assert.deepEqual(resolveJury(), DEFAULT_JURY);
+    assert.equal(resolveJury(0.25).weight, 0.25);
+    const ballots = () => null;
+    assert.equal(resolveJury({ ballots }).ballots, ballots);
+  });
+
+  it('rejects weights outside [0, 1)', () => {
+    assert.throws(() => resolveJury(1), /weight/);
+    assert.throws(() => resolveJury({ weight: -0.1 }), /weight/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. BALLOTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseJuryBallots', () => {
+  it('reads JSON ballots keyed by design name or index', () => {
+    const ballots = parseJuryBallots(
+      JSON.stringify({
+        ballots: [
+          { juror: 'Ana', votes: { 'halo cuff': 3, 2: 1 } },
+          { juror: 'Ben', votes: [0, 5000, 5000] },
+        ],
+      }),
+      DESIGNS
+    );
+    assert.deepEqual(ballots, [
+      { juror: 'Ana', row: [7500, 0, 2500] },
+      { juror: 'Ben', row: [0, 5000, 5000] },
+    ]);
+  });
+
+  it('reads CSV rows with a header and quoted names', () => {
+    const csv = [
+      'juror,design,credits',
+      'Ana,Lattice Ring,6000',
+      'Ana,"Drop, Pendant",4000',
+      '# late entry',
+      'Ben,0,10000',
+    ].join('\n');
+    assert.deepEqual(parseJuryBallots(csv, DESIGNS), [
+      { juror: 'Ana', row: [0, 6000, 4000] },
+      { juror: 'Ben', row: [10000, 0, 0] },
+    ]);
+  });
+
+  it('rejects unknown designs, bad credits and empty ballots', () => {
+    assert.throws(
+      () => parseJuryBallots('Ana,Gold Bangle,100', DESIGNS),
+      /Ana's ballot names an unknown design "Gold Bangle"/
+    );
+    assert.throws(
+      () => parseJuryBallots([{ juror: 'Ana', votes: [-5] }], DESIGNS),
+      /invalid credits/
+    );
+    assert.throws(
+      () => parseJuryBallots([{ juror: 'Ana', votes: {} }], DESIGNS),
+      /allocates no credits/
+    );
+    assert.throws(() => parseJuryBallots('Ana,1', DESIGNS), /line 1/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. TALLY
+// ═══════════════════════════════════════════════════════════════
+
+describe('tallyJury', () => {
+  const ballots = [
+    { juror: 'Ana', row: [0, 2000, 8000] },
+    { juror: 'Ben', row: [0, 4000, 6000] },
+  ];
+  const agentAwards = [6000, 3000, 1000];
+
+  it('scales the jury to its weight of the cycle total', () => {
+    const level = tallyJury(ballots, agentAwards, DESIGNS, 0.5);
+    assert.deepEqual(level.totals, [0, 6000, 14000]);
+    assert.deepEqual(level.awards, [0, 3000, 7000]);
+    const quarter = tallyJury(ballots, agentAwards, DESIGNS, 0.25);
+    assert.equal(
+      quarter.awards.reduce((s, c) => s + c, 0),
+      3333
+    );
+    assert.deepEqual(
+      tallyJury(ballots, agentAwards, DESIGNS, 0).awards,
+      [0, 0, 0]
+    );
+  });
+
+  it('lists the designs where humans and agents diverged most', () => {
+    const { correlation, divergence, jurors } = tallyJury(
+      ballots,
+      agentAwards,
+      DESIGNS
+    );
+    assert.deepEqual(jurors, ['Ana', 'Ben']);
+    assert.ok(correlation < 0);
+    // Equal gaps keep design order
+    assert.deepEqual(divergence[0], {
+      design: 0,
+      name: 'Halo Cuff',
+      agentShare: 60,
+      juryShare: 0,
+      gap: -60,
+    });
+    assert.deepEqual(
+      divergence.map((d) => d.gap),
+      [-60, 60, 0]
+    );
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * JewelForge LLM Providers — pluggable model backends.
+ *
+ * A provider turns one (system, user) prompt pair into a raw reply via
+ * `send({ system, user, meta, signal })`, resolving to `{ status, text }`.
+ * createLlmClient() puts any provider behind the concurrency limiter, request
+ * spacing, timeout and retry policy that llmCall in index.html applies to the
+ * Anthropic endpoint, and returns a function usable as the engine's `llm`.
+ * Pass `random: rng.next` to draw retry jitter from a seeded RNG.
+ */
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-haiku-4-5-20251001';
+const DEFAULT_MAX_TOKENS = 400;
+const RETRYABLE_STATUSES = [429, 529];
+
+function defaultSleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// ── Concurrency-limited client ───────────────────────────────
+
+function createLlmClient(provider, options = {}) {
+  const {
+    maxConcurrent = 3,
+    callInterval = 600,
+    timeout = 45000,
+    retries = 3,
+    sleep = defaultSleep,
+    random = Math.random,
+    warn = () => {},
+  } = options;
+
+  let nextAvailableTime = 0;
+  let inFlightCount = 0;
+  const queue = [];
+
+  function drainQueue() {
+    // Release exactly one waiter per completed call
+    if (queue.length > 0 && inFlightCount < maxConcurrent) {
+      const next = queue.shift();
+      next();
+    }
+  }
+
+  function release() {
+    inFlightCount--;
+    drainQueue();
+  }
+
+  async function call(system, user, meta = {}) {
+    if (inFlightCount >= maxConcurrent) {
+      await new Promise((resolve) => queue.push(resolve));
+    }
+
+    // Reserve the next start slot eagerly so concurrent callers stay spaced
+    const now = Date.now();
+    const mySlot = Math.max(now, nextAvailableTime);
+    nextAvailableTime = mySlot + callInterval;
+    if (mySlot > now) await sleep(mySlot - now);
+    inFlightCount++;
+
+    const who = meta.agentName || 'agent';
+    for (let attempt = 0; attempt < retries; attempt++) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+      try {
+        const resp = await provider.send({
+          system,
+          user,
+          meta,
+          signal: controller.signal,
+        });
+        clearTimeout(timeoutId);
+        if (RETRYABLE_STATUSES.includes(resp.status)) {
+          const wait = (attempt + 1) * 2500 + random() * 1000;
+          warn(
+            `${provider.name} ${resp.status} for ${who} — retrying in ${Math.round(wait)}ms (attempt ${attempt + 1}/${retries})`
+          );
+          await sleep(wait);
+          nextAvailableTime = Math.max(
+            nextAvailableTime,
+            Date.now() + callInterval
+          );
+          continue;
+        }
+        if (resp.status < 200 || resp.status >= 300) {
+          warn(`${provider.name} HTTP ${resp.status} for ${who}`);
+          release();
+          return null;
+        }
+        release();
+        return resp.text || null;
+      } catch (e) {
+        clearTimeout(timeoutId);
+        const isTimeout = e.name === 'AbortError';
+        warn(
+          `${provider.name} call ${isTimeout ? 'timed out' : 'failed'} for ${who}: ${isTimeout ? `(>${timeout}ms)` : e.message}`
+        );
+        if (attempt < retries - 1) {
+          await sleep((attempt + 1) * 2000 + (isTimeout ? 1000 : 0));
+          nextAvailableTime = Math.max(
+            nextAvailableTime,
+            Date.now() + callInterval
+          );
+          continue;
+        }
+      }
+    }
+    warn(`${provider.name} call exhausted retries for ${who}`);
+    release();
+    return null;
+  }
+
+  call.provider = provider;
+  return call;
+}
+
+// ── HTTP providers ───────────────────────────────────────────
+
+function httpProvider({ name, url, headers, body, parse, fetch: fetchFn }) {
+  const doFetch = fetchFn || globalThis.fetch;
+  return {
+    name,
+    async send({ system, user, signal }) {
+      const resp = await doFetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body(system, user)),
+        signal,
+      });
+      if (!resp.ok) return { status: resp.status, text: null };
+      const data = await resp.json();
+      return { status: resp.status, text: parse(data) };
+    },
+  };
+}
+
+function createAnthropicProvider(options = {}) {
+  const {
+    apiKey,
+    model = DEFAULT_ANTHROPIC_MODEL,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    baseUrl = 'https://api.anthropic.com/v1',
+    fetch,
+  } = options;
+  if (!apiKey) throw new Error('Anthropic provider requires an apiKey');
+  return httpProvider({
+    name: 'anthropic',
+    url: `${baseUrl}/messages`,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+    },
+    body: (system, user) => ({
+      model,
+      max_tokens: maxTokens,
+      system,
+      messages: [{ role: 'user', content: user }],
+    }),
+    parse: (data) => data.content?.[0]?.text || null,
+    fetch,
+  });
+}
+
+// Any server exposing the OpenAI chat-completions API (llama.cpp, vLLM,
+// Ollama, LM Studio, …).
+function createOpenAICompatibleProvider(options = {}) {
+  const {
+    baseUrl = 'http://localhost:8080/v1',
+    apiKey = '',
+    model = 'local-model',
+    maxTokens = DEFAULT_MAX_TOKENS,
+    fetch,
+  } = options;
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return httpProvider({
+    name: 'openai-compatible',
+    url: `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+    headers,
+    body: (system, user) => ({
+      model,
+      max_tokens: maxTokens,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ],
+    }),
+    parse: (data) => data.choices?.[0]?.message?.content || null,
+    fetch,
+  });
+}
+
+// ── Mock provider ────────────────────────────────────────────
+
+/**
+ * Deterministic offline provider. `script` is either a function
+ * (system, user, meta) → reply, or an object keyed by phase whose values are
+ * a reply, a function, or an array of replies consumed in order. A reply is
+ * a string, null, or `{ status, text }` to simulate HTTP failures. Phases
+ * with no script entry get `fallback`. Every call is recorded on `calls`.
+ */
+function createMockProvider(script = {}, options = {}) {
+  const { fallback = null } = options;
+  const cursors = {};
+  const calls = [];
+
+  function resolve(system, user, meta) {
+    if (typeof script === 'function') return script(system, user, meta);
+    const entry = script[meta.phase];
+    if (entry === undefined) return fallback;
+    if (typeof entry === 'function') return entry(system, user, meta);
+    if (Array.isArray(entry)) {
+      const i = cursors[meta.phase] || 0;
+      cursors[meta.phase] = i + 1;
+      return i < entry.length ? entry[i] : fallback;
+    }
+    return entry;
+  }
+
+  return {
+    name: 'mock',
+    calls,
+    async send({ system, user, meta = {} }) {
+      calls.push({ system, user, meta });
+      const reply = await resolve(system, user, meta);
+      if (reply && typeof reply === 'object') return reply;
+      return { status: 200, text: reply ?? null };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_ANTHROPIC_MODEL,
+  DEFAULT_MAX_TOKENS,
+  createLlmClient,
+  createAnthropicProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+};
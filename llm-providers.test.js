@@ -0,0 +1,281 @@
+/**
+ * JewelForge LLM Providers — Test Suite
+ *
+ * Run with: node --test llm-providers.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_ANTHROPIC_MODEL,
+  createLlmClient,
+  createAnthropicProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+} = require('./llm-providers.js');
+const { runEpoch } = require('./engine.js');
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+const noSleep = () => Promise.resolve();
+
+function fastClient(provider, overrides = {}) {
+  return createLlmClient(provider, {
+    callInterval: 0,
+    sleep: noSleep,
+    ...overrides,
+  });
+}
+
+function fakeFetch(status, data) {
+  const requests = [];
+  const fn = async (url, init) => {
+    requests.push({ url, ...init, body: JSON.parse(init.body) });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => data,
+    };
+  };
+  fn.requests = requests;
+  return fn;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. MOCK PROVIDER
+// ═══════════════════════════════════════════════════════════════
+
+describe('createMockProvider', () => {
+  it('replays per-phase arrays in order, then the fallback', async () => {
+    const provider = createMockProvider(
+      { voting: ['first', 'second'] },
+      { fallback: 'default' }
+    );
+    const send = (phase) =>
+      provider.send({ system: '', user: '', meta: { phase } });
+    assert.equal((await send('voting')).text, 'first');
+    assert.equal((await send('voting')).text, 'second');
+    assert.equal((await send('voting')).text, 'default');
+    assert.equal((await send('naming')).text, 'default');
+  });
+
+  it('accepts a script function and records every call', async () => {
+    const provider = createMockProvider((s, u, meta) => `${meta.phase}:${u}`);
+    const res = await provider.send({
+      system: 's',
+      user: 'hi',
+      meta: { phase: 'bio' },
+    });
+    assert.deepEqual(res, { status: 200, text: 'bio:hi' });
+    assert.equal(provider.calls.length, 1);
+    assert.equal(provider.calls[0].system, 's');
+  });
+
+  it('passes through scripted status objects', async () => {
+    const provider = createMockProvider({ trend: { status: 529, text: null } });
+    const res = await provider.send({
+      system: '',
+      user: '',
+      meta: { phase: 'trend' },
+    });
+    assert.equal(res.status, 529);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. CLIENT: LIMITER + RETRIES
+// ═══════════════════════════════════════════════════════════════
+
+describe('createLlmClient', () => {
+  it('returns the provider reply text', async () => {
+    const llm = fastClient(createMockProvider(() => 'hello'));
+    assert.equal(await llm('sys', 'user', { phase: 'x' }), 'hello');
+    assert.equal(llm.provider.name, 'mock');
+  });
+
+  it('never exceeds maxConcurrent in-flight calls', async () => {
+    let inFlight = 0,
+      peak = 0;
+    const provider = {
+      name: 'slow',
+      async send() {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((r) => setTimeout(r, 5));
+        inFlight--;
+        return { status: 200, text: 'ok' };
+      },
+    };
+    const llm = fastClient(provider, { maxConcurrent: 2 });
+    const out = await Promise.all(
+      Array.from({ length: 7 }, () => llm('s', 'u'))
+    );
+    assert.equal(out.length, 7);
+    assert.ok(out.every((t) => t === 'ok'));
+    assert.equal(peak, 2);
+  });
+
+  it('retries rate-limited replies and then succeeds', async () => {
+    const provider = createMockProvider({
+      voting: [{ status: 429, text: null }, { status: 529, text: null }, 'ok'],
+    });
+    const llm = fastClient(provider);
+    assert.equal(await llm('s', 'u', { phase: 'voting' }), 'ok');
+    assert.equal(provider.calls.length, 3);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const provider = createMockProvider(() => ({ status: 429, text: null }));
+    const llm = fastClient(provider, { retries: 2 });
+    assert.equal(await llm('s', 'u'), null);
+    assert.equal(provider.calls.length, 2);
+  });
+
+  it('returns null on non-retryable HTTP errors without retrying', async () => {
+    const provider = createMockProvider(() => ({ status: 401, text: null }));
+    const llm = fastClient(provider);
+    assert.equal(await llm('s', 'u'), null);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  it('retries thrown errors', async () => {
+    let attempts = 0;
+    const provider = {
+      name: 'flaky',
+      async send() {
+        attempts++;
+        if (attempts < 2) throw new Error('network down');
+        return { status: 200, text: 'recovered' };
+      },
+    };
+    const warnings = [];
+    const llm = fastClient(provider, { warn: (m) => warnings.push(m) });
+    assert.equal(await llm('s', 'u', { agentName: 'Ada' }), 'recovered');
+    assert.ok(warnings[0].includes('failed for Ada'));
+  });
+
+  it('aborts calls that exceed the timeout', async () => {
+    const provider = {
+      name: 'hang',
+      send: ({ signal }) =>
+        new Promise((_, reject) =>
+          signal.addEventListener('abort', () => {
+            const e = new Error('aborted');
+            e.name = 'AbortError';
+            reject(e);
+          })
+        ),
+    };
+    const llm = fastClient(provider, { timeout: 5, retries: 1 });
+    assert.equal(await llm('s', 'u'), null);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. HTTP PROVIDERS
+// ═══════════════════════════════════════════════════════════════
+
+describe('createAnthropicProvider', () => {
+  it('requires an API key', () => {
+    assert.throws(() => createAnthropicProvider({}), /apiKey/);
+  });
+
+  it('builds a messages request and parses the reply', async () => {
+    const fetch = fakeFetch(200, { content: [{ text: 'bonjour' }] });
+    const provider = createAnthropicProvider({ apiKey: 'k', fetch });
+    const res = await provider.send({ system: 'sys', user: 'hi' });
+    assert.deepEqual(res, { status: 200, text: 'bonjour' });
+    const req = fetch.requests[0];
+    assert.equal(req.url, 'https://api.anthropic.com/v1/messages');
+    assert.equal(req.headers['x-api-key'], 'k');
+    assert.equal(req.body.model, DEFAULT_ANTHROPIC_MODEL);
+    assert.equal(req.body.max_tokens, 400);
+    assert.equal(req.body.system, 'sys');
+    assert.deepEqual(req.body.messages, [{ role: 'user', content: 'hi' }]);
+  });
+
+  it('honours model and max token overrides', async () => {
+    const fetch = fakeFetch(200, { content: [{ text: 'x' }] });
+    const provider = createAnthropicProvider({
+      apiKey: 'k',
+      model: 'other-model',
+      maxTokens: 1200,
+      fetch,
+    });
+    await provider.send({ system: 's', user: 'u' });
+    assert.equal(fetch.requests[0].body.model, 'other-model');
+    assert.equal(fetch.requests[0].body.max_tokens, 1200);
+  });
+
+  it('reports HTTP errors as status without text', async () => {
+    const provider = createAnthropicProvider({
+      apiKey: 'k',
+      fetch: fakeFetch(529, {}),
+    });
+    assert.deepEqual(await provider.send({ system: 's', user: 'u' }), {
+      status: 529,
+      text: null,
+    });
+  });
+});
+
+describe('createOpenAICompatibleProvider', () => {
+  it('sends system and user messages to chat/completions', async () => {
+    const fetch = fakeFetch(200, {
+      choices: [{ message: { content: 'hola' } }],
+    });
+    const provider = createOpenAICompatibleProvider({
+      baseUrl: 'http://127.0.0.1:1234/v1/',
+      apiKey: 'secret',
+      model: 'llama',
+      fetch,
+    });
+    const res = await provider.send({ system: 'sys', user: 'hi' });
+    assert.equal(res.text, 'hola');
+    const req = fetch.requests[0];
+    assert.equal(req.url, 'http://127.0.0.1:1234/v1/chat/completions');
+    assert.equal(req.headers.Authorization, 'Bearer secret');
+    assert.equal(req.body.model, 'llama');
+    assert.deepEqual(req.body.messages, [
+      { role: 'system', content: 'sys' },
+      { role: 'user', content: 'hi' },
+    ]);
+  });
+
+  it('omits the Authorization header without a key', async () => {
+    const fetch = fakeFetch(200, { choices: [] });
+    const provider = createOpenAICompatibleProvider({ fetch });
+    const res = await provider.send({ system: 's', user: 'u' });
+    assert.equal(res.text, null);
+    assert.equal(fetch.requests[0].headers.Authorization, undefined);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  4. ENGINE INTEGRATION
+// ═══════════════════════════════════════════════════════════════
+
+describe('engine with a mock provider', () => {
+  it('runs an epoch through the client and names every design', async () => {
+    const provider = createMockProvider({
+      naming: (s, u, meta) => JSON.stringify({ name: `Mock ${meta.agentId}` }),
+    });
+    const roster = Array.from({ length: 3 }, (_, i) => ({
+      name: `A${i}`,
+      risk: 50,
+      reputation: 50,
+    }));
+    const result = await runEpoch(roster, {
+      cycles: 1,
+      llm: fastClient(provider),
+    });
+    assert.deepEqual(
+      result.cycleReports[0].designs.map((d) => d.name),
+      ['Mock 0', 'Mock 1', 'Mock 2']
+    );
+    assert.ok(provider.calls.every((c) => c.meta.cycle === 1));
+  });
+});
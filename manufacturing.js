@@ -0,0 +1,238 @@
+/**
+ * JewelForge Manufacturing — rule checks on design blueprints.
+ *
+ * An agent's genome sets manufacturing constraints and its self-assessment
+ * claims a makeable (MFG) score, but neither says whether the blueprint can
+ * actually be produced. Each rule reads the blueprint's production method,
+ * form concept, materials and category (plus its bill of materials and the
+ * author's genome) and flags one kind of bench conflict:
+ *
+ *   tension-soft-metal      tension settings need a work-hardened alloy
+ *   soft-metal-pave         silver and plated bases cannot hold melee
+ *   cast-handwork           granulation, filigree and wire work cannot be cast
+ *   cast-undercuts          captive and caged forms will not release a mould
+ *   cast-titanium           titanium needs vacuum casting, not lost-wax
+ *   heat-sensitive-stones   stones that cannot survive being cast in place
+ *   soft-stones-exposed     soft stones in rings and bracelets take knocks
+ *   earring-weight          heavy earrings drag on the lobe
+ *   genome-castable         a genome that demands castable pieces, breached
+ *
+ * Errors cost more makeable points than warnings. checkManufacturability()
+ * returns the violations and their total penalty; adjustMakeable() applies
+ * it to the self-assessed score.
+ */
+
+const { billOfMaterials } = require('./materials.js');
+
+const SOFT_METALS = [
+  'silver',
+  'vermeil',
+  'gold-filled',
+  'gold-10k',
+  'gold-14k',
+  'gold-22k',
+  'brass',
+];
+const PLATED_OR_SILVER = ['silver', 'vermeil', 'gold-filled', 'brass'];
+
+// Opal, pearl, moonstone and emerald are below 7 on Mohs or brittle
+const SOFT_STONES = ['opal', 'pearl', 'moonstone', 'emerald', 'tanzanite'];
+// Stones that crack or burn at casting temperatures
+const HEAT_SENSITIVE = ['opal', 'pearl', 'emerald', 'tanzanite', 'moonstone'];
+
+// Heaviest earring, per ear, before it pulls on the lobe (grams)
+const EARRING_LIMIT = 6;
+// Stone weight: 1ct is 0.2g
+const GRAMS_PER_CARAT = 0.2;
+
+const CAST = /cast|lost[- ]wax|die[- ]?struck/i;
+const HANDWORK =
+  /granulat|filigree|wire[- ]?wrap|chain[- ]?mail|woven|weav|hand[- ]?(forg|fabricat|raised)|repouss|chas(ed|ing)/i;
+const UNDERCUTS =
+  /undercut|caged?\b|captive|interlock|nested|trapped|hollow core/i;
+const CAST_IN_PLACE = /cast[- ]in[- ]place|stone[- ]in[- ]place|wax[- ]set/i;
+// Production that casts a base and finishes it by hand
+const HYBRID = /hybrid|\bthen\b|assembl|applied|hand[- ]?finish/i;
+
+const stonesIn = (bom) => bom.lines.filter((l) => l.kind === 'stone');
+const settingsIn = (bom) => bom.lines.filter((l) => l.kind === 'setting');
+
+const MANUFACTURING_RULES = [
+  {
+    id: 'tension-soft-metal',
+    severity: 'error',
+    check: ({ bom }) =>
+      settingsIn(bom).some((l) => l.id === 'tension') &&
+      SOFT_METALS.includes(bom.metal) &&
+      `Tension setting in ${bom.lines[0].label}: the band will relax and drop the stone — use platinum, 18K or titanium`,
+  },
+  {
+    id: 'soft-metal-pave',
+    severity: 'warning',
+    check: ({ bom }) =>
+      settingsIn(bom).some((l) => l.id === 'pavé') &&
+      PLATED_OR_SILVER.includes(bom.metal) &&
+      `Pavé in ${bom.lines[0].label}: beads this soft will not hold melee for long`,
+  },
+  {
+    id: 'cast-handwork',
+    severity: 'error',
+    check: ({ text, production }) => {
+      const technique = text.match(HANDWORK);
+      return (
+        CAST.test(production) &&
+        !HYBRID.test(production) &&
+        technique &&
+        `${production} cannot reproduce ${technique[0]} — that work has to be done by hand`
+      );
+    },
+  },
+  {
+    id: 'cast-undercuts',
+    severity: 'warning',
+    check: ({ text, production, castable }) => {
+      const form = text.match(UNDERCUTS);
+      return (
+        (CAST.test(production) || castable) &&
+        form &&
+        `"${form[0]}" geometry will not release from a cast mould without cores or assembly`
+      );
+    },
+  },
+  {
+    id: 'cast-titanium',
+    severity: 'error',
+    check: ({ bom, production }) =>
+      bom.metal === 'titanium' &&
+      CAST.test(production) &&
+      'Titanium cannot be lost-wax cast at the bench — it must be machined or vacuum cast',
+  },
+  {
+    id: 'heat-sensitive-stones',
+    severity: 'error',
+    check: ({ bom, text }) => {
+      const stones = stonesIn(bom)
+        .map((l) => l.id)
+        .filter((id) => HEAT_SENSITIVE.includes(id));
+      return (
+        CAST_IN_PLACE.test(text) &&
+        stones.length > 0 &&
+        `${stones.join(' and ')} cannot survive being cast in place — set after casting`
+      );
+    },
+  },
+  {
+    id: 'soft-stones-exposed',
+    severity: 'warning',
+    check: ({ bom, cat }) => {
+      const stones = stonesIn(bom)
+        .map((l) => l.id)
+        .filter((id) => SOFT_STONES.includes(id));
+      return (
+        (cat === 'Ring' || cat === 'Bracelet') &&
+        stones.length > 0 &&
+        `${stones.join(' and ')} on a ${cat.toLowerCase()} will scratch and chip with daily knocks`
+      );
+    },
+  },
+  {
+    id: 'earring-weight',
+    severity: 'warning',
+    check: ({ bom, cat }) => {
+      if (cat !== 'Earrings') return false;
+      const carats = stonesIn(bom)
+        .filter((l) => l.unit === 'ct')
+        .reduce((s, l) => s + l.qty, 0);
+      const each = (bom.grams + carats * GRAMS_PER_CARAT) / 2;
+      return (
+        each > EARRING_LIMIT &&
+        `Each earring weighs about ${Math.round(each * 10) / 10}g (limit ${EARRING_LIMIT}g) and will drag on the lobe`
+      );
+    },
+  },
+  {
+    id: 'genome-castable',
+    severity: 'warning',
+    check: ({ production, castable }) =>
+      castable &&
+      production &&
+      !CAST.test(production) &&
+      HANDWORK.test(production) &&
+      `Genome requires castable designs, but production is "${production}"`,
+  },
+];
+
+const RULE_IDS = MANUFACTURING_RULES.map((r) => r.id);
+
+const DEFAULT_MANUFACTURING = {
+  // Apply the penalty to the self-assessed makeable score; false only reports
+  adjust: true,
+  // Makeable points deducted per violation
+  penalty: { error: 15, warning: 6 },
+  // Rule ids to leave out
+  skip: [],
+};
+
+// Accepts options or a bare boolean for `adjust`, and fills defaults
+function resolveManufacturing(manufacturing) {
+  const opts =
+    typeof manufacturing === 'boolean'
+      ? { ...DEFAULT_MANUFACTURING, adjust: manufacturing }
+      : { ...DEFAULT_MANUFACTURING, ...manufacturing };
+  opts.penalty = { ...DEFAULT_MANUFACTURING.penalty, ...opts.penalty };
+  for (const id of opts.skip) {
+    if (!RULE_IDS.includes(id))
+      throw new Error(
+        `Unknown manufacturing rule "${id}" (available: ${RULE_IDS.join(', ')})`
+      );
+  }
+  for (const key of ['error', 'warning']) {
+    if (typeof opts.penalty[key] !== 'number' || opts.penalty[key] < 0)
+      throw new Error(`Manufacturing ${key} penalty must be a number >= 0`);
+  }
+  return opts;
+}
+
+/**
+ * Checks a blueprint ({ cat, materials, form | formConcept, production })
+ * against the rules. `bom` defaults to the blueprint's own bill of
+ * materials; `agent` supplies the genome's manufacturability, above 60 of
+ * which designs must be castable. Returns { violations: [{ rule, severity,
+ * message }], penalty }.
+ */
+function checkManufacturability(blueprint, { bom, agent, manufacturing } = {}) {
+  const opts = resolveManufacturing(manufacturing);
+  const ctx = {
+    bom: bom || billOfMaterials(blueprint),
+    cat: blueprint.cat,
+    production: blueprint.production || '',
+    text: [
+      blueprint.materials,
+      blueprint.form || blueprint.formConcept,
+      blueprint.production,
+    ]
+      .filter(Boolean)
+      .join(' '),
+    castable: (agent?.manufacturability ?? 60) > 60,
+  };
+  const violations = MANUFACTURING_RULES.filter(
+    (r) => !opts.skip.includes(r.id)
+  )
+    .map((r) => ({ rule: r.id, severity: r.severity, message: r.check(ctx) }))
+    .filter((v) => v.message);
+  const penalty = violations.reduce((s, v) => s + opts.penalty[v.severity], 0);
+  return { violations, penalty };
+}
+
+// The self-assessed makeable score less the check's penalty, floored at 20
+function adjustMakeable(makeable, check) {
+  return Math.max(20, makeable - (check?.penalty || 0));
+}
+
+module.exports = {
+  MANUFACTURING_RULES,
+  DEFAULT_MANUFACTURING,
+  resolveManufacturing,
+  checkManufacturability,
+  adjustMakeable,
+};
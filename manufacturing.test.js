@@ -0,0 +1,191 @@
+/**
+ * JewelForge Manufacturing — Test Suite
+ *
+ * Run with: node --test manufacturing.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_MANUFACTURING,
+  resolveManufacturing,
+  checkManufacturability,
+  adjustMakeable,
+} = require('./manufacturing.js');
+
+function blueprint(overrides = {}) {
+  return {
+    cat: 'Ring',
+    materials: '18k yellow gold, prong-set 1ct round diamond',
+    form: 'open cathedral solitaire with tapered shank',
+    production: 'investment casting',
+    ...overrides,
+  };
+}
+
+const rules = (check) => check.violations.map((v) => v.rule);
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveManufacturing', () => {
+  it('fills defaults from a bare boolean or options', () => {
+    assert.deepEqual(resolveManufacturing(), DEFAULT_MANUFACTURING);
+    assert.equal(resolveManufacturing(false).adjust, false);
+    assert.deepEqual(resolveManufacturing({ penalty: { error: 30 } }).penalty, {
+      error: 30,
+      warning: 6,
+    });
+  });
+
+  it('rejects unknown rules and bad penalties', () => {
+    assert.throws(
+      () => resolveManufacturing({ skip: ['gravity'] }),
+      /Unknown manufacturing rule "gravity" \(available: tension-soft-metal/
+    );
+    assert.throws(
+      () => resolveManufacturing({ penalty: { warning: -1 } }),
+      /warning penalty/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. RULES
+// ═══════════════════════════════════════════════════════════════
+
+describe('checkManufacturability', () => {
+  it('passes a conventional cast solitaire', () => {
+    assert.deepEqual(checkManufacturability(blueprint()), {
+      violations: [],
+      penalty: 0,
+    });
+  });
+
+  it('flags tension settings and pavé in soft metal', () => {
+    const check = checkManufacturability(
+      blueprint({
+        materials:
+          'sterling silver, tension-set 1ct sapphire, pavé accent diamonds',
+      })
+    );
+    assert.deepEqual(rules(check), ['tension-soft-metal', 'soft-metal-pave']);
+    assert.equal(check.penalty, 15 + 6);
+    assert.match(check.violations[0].message, /Sterling silver/);
+    // Platinum holds a tension setting
+    assert.deepEqual(
+      rules(
+        checkManufacturability(
+          blueprint({ materials: 'platinum, tension-set 1ct sapphire' })
+        )
+      ),
+      []
+    );
+  });
+
+  it('flags handwork and undercuts claimed as cast', () => {
+    const check = checkManufacturability(
+      blueprint({
+        form: 'caged sphere with hand-granulated surface',
+        production: 'lost-wax casting',
+      })
+    );
+    assert.deepEqual(rules(check), ['cast-handwork', 'cast-undercuts']);
+    assert.match(check.violations[0].message, /cannot reproduce granulat/);
+    // Casting a base and granulating it afterwards is fine
+    assert.deepEqual(
+      rules(
+        checkManufacturability(
+          blueprint({
+            form: 'dome with hand-granulated surface',
+            production: 'cast then hand-finished',
+          })
+        )
+      ),
+      []
+    );
+  });
+
+  it('flags cast titanium and stones cast in place that cannot take heat', () => {
+    assert.deepEqual(
+      rules(
+        checkManufacturability(
+          blueprint({ materials: 'titanium', cat: 'Pendant' })
+        )
+      ),
+      ['cast-titanium']
+    );
+    assert.deepEqual(
+      rules(
+        checkManufacturability(
+          blueprint({
+            cat: 'Pendant',
+            materials: '14k gold, cast-in-place opal cabochon',
+          })
+        )
+      ),
+      ['heat-sensitive-stones']
+    );
+  });
+
+  it('flags soft stones on rings and heavy earrings', () => {
+    assert.deepEqual(
+      rules(
+        checkManufacturability(
+          blueprint({ materials: '18k gold, bezel-set opal' })
+        )
+      ),
+      ['soft-stones-exposed']
+    );
+    const earrings = checkManufacturability(
+      blueprint({
+        cat: 'Earrings',
+        materials: 'platinum, 10ct each topaz drops',
+        form: 'bold statement hoops',
+      })
+    );
+    assert.deepEqual(rules(earrings), ['earring-weight']);
+    assert.match(earrings.violations[0].message, /limit 6g/);
+  });
+
+  it("holds the design to its author's castable genome", () => {
+    const handmade = blueprint({
+      production: 'hand-fabricated wire wrapping',
+      form: 'nested wire coils',
+    });
+    assert.deepEqual(
+      rules(
+        checkManufacturability(handmade, { agent: { manufacturability: 40 } })
+      ),
+      []
+    );
+    assert.deepEqual(
+      rules(
+        checkManufacturability(handmade, { agent: { manufacturability: 80 } })
+      ),
+      ['cast-undercuts', 'genome-castable']
+    );
+  });
+
+  it('skips rules and reprices penalties on request', () => {
+    const soft = blueprint({ materials: '18k gold, bezel-set opal' });
+    const manufacturing = { skip: ['soft-stones-exposed'] };
+    assert.equal(checkManufacturability(soft, { manufacturing }).penalty, 0);
+    assert.equal(
+      checkManufacturability(soft, {
+        manufacturing: { penalty: { warning: 10 } },
+      }).penalty,
+      10
+    );
+  });
+});
+
+describe('adjustMakeable', () => {
+  it('deducts the penalty and floors the score at 20', () => {
+    assert.equal(adjustMakeable(80, { penalty: 21 }), 59);
+    assert.equal(adjustMakeable(30, { penalty: 30 }), 20);
+    assert.equal(adjustMakeable(70, null), 70);
+  });
+});
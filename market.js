@@ -0,0 +1,274 @@
+/**
+ * JewelForge Market — simulated sales for each cycle's designs.
+ *
+ * Four synthetic customer segments shop the cycle's designs. Each has a
+ * size (buyers per cycle), a typical spend, a price sensitivity, category
+ * affinities, the scores it cares about and the materials it looks for.
+ * A segment splits its buyers across the designs and "buy nothing" by a
+ * multinomial logit over each design's utility:
+ *
+ *   appeal      its weighted aesthetic / novelty / wearability / makeable
+ *   category    log of the segment's affinity for the design's category
+ *   materials   a bonus when the materials text names a preferred material
+ *   price       a penalty for costing more than the segment's typical
+ *               spend, scaled by its sensitivity, and a smaller one for
+ *               looking cheap to segments that are not price-driven
+ *
+ * Retail price and unit cost come from the design's bill of materials
+ * (materials.js) when it has one. Otherwise retail is estimated from the
+ * category, the materials and the author's pricePoint, and unit cost from
+ * the blueprint's estimated margin, raised for hard-to-make pieces. The
+ * outcome is deterministic, so replays match.
+ *
+ * Modes: 'off'; 'report' (default) adds sales to the report only; 'blend'
+ * moves `weight` of the cycle's credits onto designs by their share of the
+ * market `basis` (margin or revenue); 'replace' is a blend of weight 1.
+ */
+
+const MARKET_MODES = ['off', 'report', 'blend', 'replace'];
+const MARKET_BASES = ['margin', 'revenue'];
+
+const MARKET_SEGMENTS = {
+  bridal: {
+    buyers: 2000,
+    budget: 4500,
+    sensitivity: 0.4,
+    affinity: { Ring: 1, Earrings: 0.35, Pendant: 0.3, Bracelet: 0.2 },
+    weights: {
+      aesthetic: 0.45,
+      novelty: 0.1,
+      wearability: 0.35,
+      makeable: 0.1,
+    },
+    prefers: ['platinum', 'diamond'],
+  },
+  everyday: {
+    buyers: 6000,
+    budget: 900,
+    sensitivity: 0.75,
+    affinity: { Pendant: 1, Earrings: 0.9, Bracelet: 0.8, Ring: 0.6 },
+    weights: {
+      aesthetic: 0.3,
+      novelty: 0.1,
+      wearability: 0.45,
+      makeable: 0.15,
+    },
+    prefers: ['gold', 'silver'],
+  },
+  collector: {
+    buyers: 400,
+    budget: 12000,
+    sensitivity: 0.15,
+    affinity: { Bracelet: 1, Pendant: 0.9, Ring: 0.85, Earrings: 0.7 },
+    weights: {
+      aesthetic: 0.4,
+      novelty: 0.5,
+      wearability: 0.05,
+      makeable: 0.05,
+    },
+    prefers: ['sapphire', 'emerald', 'ruby', 'enamel', 'titanium'],
+  },
+  accessible: {
+    buyers: 10000,
+    budget: 250,
+    sensitivity: 1,
+    affinity: { Earrings: 1, Pendant: 0.9, Bracelet: 0.8, Ring: 0.6 },
+    weights: {
+      aesthetic: 0.3,
+      novelty: 0.15,
+      wearability: 0.3,
+      makeable: 0.25,
+    },
+    prefers: ['silver', 'steel', 'brass', 'vermeil'],
+  },
+};
+
+// Utility of not buying at all; higher means fewer sales overall
+const OUTSIDE_UTILITY = 3;
+
+const CATEGORY_BASE_PRICE = {
+  Ring: 2400,
+  Pendant: 1800,
+  Earrings: 1600,
+  Bracelet: 2800,
+};
+
+// First match wins within each list: one metal factor, one stone factor
+const METAL_FACTORS = [
+  [/platinum/i, 1.6],
+  [/18k|18 ?karat/i, 1.3],
+  [/gold/i, 1.1],
+  [/titanium/i, 0.7],
+  [/silver|vermeil/i, 0.4],
+  [/steel|brass/i, 0.25],
+];
+const STONE_FACTORS = [
+  [/diamond/i, 1.5],
+  [/sapphire|ruby|emerald/i, 1.3],
+  [/pearl|opal|spinel|tourmaline/i, 1.15],
+];
+
+const DEFAULT_MARKET = { mode: 'report', weight: 0.5, basis: 'margin' };
+
+// Accepts a mode name or { mode, weight, basis } and fills defaults
+function resolveMarket(market) {
+  const opts =
+    typeof market === 'string'
+      ? { ...DEFAULT_MARKET, mode: market }
+      : { ...DEFAULT_MARKET, ...market };
+  if (!MARKET_MODES.includes(opts.mode))
+    throw new Error(
+      `Unknown market mode "${opts.mode}" (available: ${MARKET_MODES.join(', ')})`
+    );
+  if (!MARKET_BASES.includes(opts.basis))
+    throw new Error(
+      `Unknown market basis "${opts.basis}" (available: ${MARKET_BASES.join(', ')})`
+    );
+  if (typeof opts.weight !== 'number' || opts.weight < 0 || opts.weight > 1)
+    throw new Error('Market weight must be a number in [0, 1]');
+  if (opts.mode === 'replace') opts.weight = 1;
+  return opts;
+}
+
+// ── Pricing ──────────────────────────────────────────────────
+
+function factorFor(text, table) {
+  return table.find(([re]) => re.test(text))?.[1] ?? 1;
+}
+
+// Retail price from the bill of materials, or else estimated from category,
+// materials and the author's pricePoint (0–100)
+function retailPrice(design) {
+  if (design.bom) return design.bom.retail;
+  const base = CATEGORY_BASE_PRICE[design.cat] || 2000;
+  const materials = design.materials || '';
+  const tier = 0.4 + ((design.pricePoint ?? 50) / 100) * 1.6;
+  const price =
+    base *
+    factorFor(materials, METAL_FACTORS) *
+    factorFor(materials, STONE_FACTORS) *
+    tier;
+  return Math.max(10, Math.round(price / 10) * 10);
+}
+
+// Unit cost from the bill of materials, or else from the estimated margin,
+// raised for hard-to-make pieces
+function unitCost(design, price) {
+  if (design.bom) return design.bom.cost;
+  const margin = Math.max(
+    10,
+    Math.min(90, design.estMargin ?? (design.profit ?? 55) * 0.8)
+  );
+  const difficulty = 1 + (60 - (design.makeable ?? 60)) / 200;
+  return Math.round(price * (1 - margin / 100) * difficulty);
+}
+
+// ── Demand ───────────────────────────────────────────────────
+
+function utility(segment, design, price) {
+  const appeal = Object.entries(segment.weights).reduce(
+    (s, [k, w]) => s + (w * (design[k] ?? 50)) / 100,
+    0
+  );
+  const affinity = segment.affinity[design.cat] ?? 0.5;
+  const materials = (design.materials || '').toLowerCase();
+  const bonus = segment.prefers.some((m) => materials.includes(m)) ? 0.5 : 0;
+  const over = Math.max(0, Math.log(price / segment.budget));
+  const under = Math.max(0, Math.log(segment.budget / price));
+  return (
+    4 * appeal +
+    Math.log(affinity) +
+    bonus -
+    2 * segment.sensitivity * over -
+    0.5 * (1 - segment.sensitivity) * under
+  );
+}
+
+/**
+ * Sales of each design across the segments. Returns { segments, designs,
+ * totals, leader }: per design its price, unit cost, units (with the split
+ * by segment), revenue, margin and marginPct; per segment its buyers and
+ * units sold; `leader` is the index of the design with the highest margin,
+ * or null when there are no designs to sell.
+ */
+function simulateMarket(designs, segments = MARKET_SEGMENTS) {
+  const priced = designs.map((d) => {
+    const price = retailPrice(d);
+    return { price, cost: unitCost(d, price), bySegment: {} };
+  });
+  const segmentSales = Object.entries(segments).map(([name, segment]) => {
+    const exps = designs.map((d, i) =>
+      Math.exp(utility(segment, d, priced[i].price))
+    );
+    const denom = Math.exp(OUTSIDE_UTILITY) + exps.reduce((s, e) => s + e, 0);
+    let sold = 0;
+    exps.forEach((e, i) => {
+      const units = Math.round((segment.buyers * e) / denom);
+      priced[i].bySegment[name] = units;
+      sold += units;
+    });
+    return { name, buyers: segment.buyers, sold };
+  });
+  const results = designs.map((d, i) => {
+    const { price, cost, bySegment } = priced[i];
+    const units = Object.values(bySegment).reduce((s, u) => s + u, 0);
+    const revenue = units * price;
+    const margin = revenue - units * cost;
+    return {
+      design: i,
+      name: d.name,
+      agentIdx: d.agentIdx,
+      price,
+      unitCost: cost,
+      units,
+      bySegment,
+      revenue,
+      margin,
+      marginPct: revenue ? Math.round((margin / revenue) * 100) : 0,
+    };
+  });
+  const totals = results.reduce(
+    (t, r) => ({
+      units: t.units + r.units,
+      revenue: t.revenue + r.revenue,
+      margin: t.margin + r.margin,
+    }),
+    { units: 0, revenue: 0, margin: 0 }
+  );
+  const leader = results.length
+    ? results.reduce(
+        (best, r, i) => (r.margin > results[best].margin ? i : best),
+        0
+      )
+    : null;
+  return { segments: segmentSales, designs: results, totals, leader };
+}
+
+/**
+ * The designs' credits after blending the vote tally with the market:
+ * `weight` of the cycle's total moves onto designs by their share of the
+ * market basis (loss-making designs get none). The total is preserved up
+ * to rounding.
+ */
+function blendMarketCredits(credits, outcome, market) {
+  const { weight, basis } = resolveMarket(market);
+  const total = credits.reduce((s, c) => s + c, 0);
+  const values = outcome.designs.map((r) => Math.max(0, r[basis]));
+  const valueTotal = values.reduce((s, v) => s + v, 0);
+  if (!valueTotal) return [...credits];
+  return credits.map((c, i) =>
+    Math.round((1 - weight) * c + (weight * total * values[i]) / valueTotal)
+  );
+}
+
+module.exports = {
+  MARKET_MODES,
+  MARKET_SEGMENTS,
+  CATEGORY_BASE_PRICE,
+  DEFAULT_MARKET,
+  resolveMarket,
+  retailPrice,
+  unitCost,
+  simulateMarket,
+  blendMarketCredits,
+};
@@ -0,0 +1,187 @@
+/**
+ * JewelForge Market — Test Suite
+ *
+ * Run with: node --test market.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_MARKET,
+  MARKET_SEGMENTS,
+  resolveMarket,
+  retailPrice,
+  unitCost,
+  simulateMarket,
+  blendMarketCredits,
+} = require('./market.js');
+
+function design(overrides = {}) {
+  return {
+    name: 'Design',
+    cat: 'Pendant',
+    materials: '14k gold',
+    pricePoint: 50,
+    aesthetic: 70,
+    novelty: 60,
+    wearability: 70,
+    makeable: 60,
+    estMargin: 60,
+    ...overrides,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS AND PRICING
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveMarket', () => {
+  it('fills defaults and pins replace to full weight', () => {
+    assert.deepEqual(resolveMarket(), DEFAULT_MARKET);
+    assert.equal(resolveMarket({ mode: 'replace', weight: 0.2 }).weight, 1);
+    assert.equal(resolveMarket('blend').basis, 'margin');
+  });
+
+  it('rejects unknown modes, bases and weights', () => {
+    assert.throws(() => resolveMarket('auction'), /Unknown market mode/);
+    assert.throws(() => resolveMarket({ basis: 'units' }), /market basis/);
+    assert.throws(() => resolveMarket({ weight: 2 }), /weight/);
+  });
+});
+
+describe('retailPrice and unitCost', () => {
+  it('prices by category, metal, stone and pricePoint', () => {
+    // Pendant base 1,800 × gold 1.1 × tier 1.2
+    assert.equal(retailPrice(design()), 2380);
+    assert.ok(
+      retailPrice(design({ materials: 'platinum with diamond pavé' })) >
+        retailPrice(design({ materials: 'platinum' }))
+    );
+    assert.ok(
+      retailPrice(design({ materials: 'sterling silver' })) <
+        retailPrice(design())
+    );
+    assert.ok(retailPrice(design({ pricePoint: 90 })) > retailPrice(design()));
+  });
+
+  it('raises unit cost for hard-to-make pieces', () => {
+    assert.equal(unitCost(design(), 1000), 400);
+    assert.ok(unitCost(design({ makeable: 20 }), 1000) > 400);
+    // Without an estimate the margin follows the profit score
+    assert.equal(
+      unitCost(design({ estMargin: undefined, profit: 50 }), 1000),
+      600
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. DEMAND
+// ═══════════════════════════════════════════════════════════════
+
+describe('simulateMarket', () => {
+  const designs = [
+    design({
+      name: 'Solitaire',
+      cat: 'Ring',
+      materials: 'platinum with diamond',
+      pricePoint: 70,
+    }),
+    design({
+      name: 'Bar',
+      materials: 'sterling silver',
+      pricePoint: 20,
+      makeable: 85,
+    }),
+    design({
+      name: 'Cuff',
+      cat: 'Bracelet',
+      materials: '18k gold with sapphire',
+      pricePoint: 90,
+      novelty: 95,
+    }),
+  ];
+
+  it('sends each segment to the designs that suit it', () => {
+    const { designs: sales } = simulateMarket(designs);
+    const topFor = (segment) =>
+      sales.reduce((best, s) =>
+        s.bySegment[segment] > best.bySegment[segment] ? s : best
+      ).name;
+    assert.equal(topFor('bridal'), 'Solitaire');
+    assert.equal(topFor('everyday'), 'Bar');
+    assert.equal(topFor('accessible'), 'Bar');
+    assert.equal(topFor('collector'), 'Cuff');
+  });
+
+  it('accounts units, revenue and margin consistently', () => {
+    const { designs: sales, segments, totals } = simulateMarket(designs);
+    sales.forEach((s) => {
+      assert.equal(
+        s.units,
+        Object.values(s.bySegment).reduce((a, b) => a + b, 0)
+      );
+      assert.equal(s.revenue, s.units * s.price);
+      assert.equal(s.margin, s.revenue - s.units * s.unitCost);
+    });
+    assert.equal(
+      totals.units,
+      segments.reduce((a, s) => a + s.sold, 0)
+    );
+    segments.forEach((s) =>
+      assert.ok(s.sold < MARKET_SEGMENTS[s.name].buyers, s.name)
+    );
+  });
+
+  it('is deterministic', () => {
+    assert.deepEqual(simulateMarket(designs), simulateMarket(designs));
+  });
+
+  it('reports an empty market when there are no designs', () => {
+    const outcome = simulateMarket([]);
+    assert.deepEqual(outcome.designs, []);
+    assert.deepEqual(outcome.totals, { units: 0, revenue: 0, margin: 0 });
+    assert.equal(outcome.leader, null);
+    outcome.segments.forEach((s) => assert.equal(s.sold, 0, s.name));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. BLENDING
+// ═══════════════════════════════════════════════════════════════
+
+describe('blendMarketCredits', () => {
+  const outcome = {
+    designs: [
+      { margin: 3000, revenue: 6000 },
+      { margin: 1000, revenue: 6000 },
+      { margin: -500, revenue: 1000 },
+    ],
+  };
+
+  it('moves the weighted share of credits onto the market basis', () => {
+    const credits = [0, 6000, 6000];
+    assert.deepEqual(
+      blendMarketCredits(credits, outcome, 'replace'),
+      [9000, 3000, 0]
+    );
+    assert.deepEqual(
+      blendMarketCredits(credits, outcome, 'blend'),
+      [4500, 4500, 3000]
+    );
+    const byRevenue = blendMarketCredits(credits, outcome, {
+      mode: 'replace',
+      basis: 'revenue',
+    });
+    assert.deepEqual(byRevenue, [5538, 5538, 923]);
+  });
+
+  it('leaves credits alone when nothing made money', () => {
+    const flat = { designs: [{ margin: 0 }, { margin: -10 }] };
+    assert.deepEqual(
+      blendMarketCredits([100, 200], flat, 'replace'),
+      [100, 200]
+    );
+  });
+});
@@ -0,0 +1,659 @@
+/**
+ * JewelForge Materials — catalogue and bill of materials for each design.
+ *
+ * The catalogue prices what a bench jeweler would actually buy and pay for:
+ *
+ *   metals      alloy, price per gram, density and retail markup
+ *   stones      price per carat (natural; lab-grown is a fraction of that),
+ *               typical and allowed carat ranges, retail markup
+ *   cuts        a factor on the stone price (cabochons and rose cuts lose
+ *               less rough than a brilliant, so cost less per carat)
+ *   settings    labour per stone set
+ *   production  bench labour for the piece, scaled by complexity
+ *   finishes    plating and surface treatments, per piece
+ *
+ * parseMaterials() reads a blueprint's free-text materials, e.g.
+ * "14K yellow gold, bezel-set 1.2ct oval lab-grown sapphire, accent pavé VS1
+ * diamonds", clause by clause into bill-of-materials lines. Metal weight
+ * follows the category's volume and the alloy's density; clauses without a
+ * carat weight get the stone's typical size, and pavé/accent clauses without
+ * a count get a bed of melee. Earrings are a pair, so stones count twice
+ * unless the clause already counts the pair.
+ *
+ * billOfMaterials() prices the lines: cost is what the lines cost, retail
+ * applies each line's markup and a brand premium from the author's
+ * pricePoint. Stone-heavy pieces therefore carry thinner margins than
+ * metalwork, as they do at a real counter.
+ */
+
+// ── Catalogue ────────────────────────────────────────────────
+
+// First match wins, so the more specific patterns come first
+const METALS = [
+  {
+    id: 'platinum',
+    label: 'Platinum 950',
+    match: /platinum/i,
+    perGram: 34,
+    density: 20.7,
+    markup: 2,
+  },
+  {
+    id: 'palladium',
+    label: 'Palladium 950',
+    match: /palladium/i,
+    perGram: 40,
+    density: 12,
+    markup: 2,
+  },
+  {
+    id: 'vermeil',
+    label: 'Gold vermeil (sterling base)',
+    match: /vermeil/i,
+    perGram: 2,
+    density: 10.4,
+    markup: 3,
+    finish: 'gold-plating',
+  },
+  {
+    id: 'gold-filled',
+    label: 'Gold-filled',
+    match: /gold[- ]filled/i,
+    perGram: 1.5,
+    density: 10.5,
+    markup: 3,
+  },
+  {
+    id: 'gold-18k',
+    label: '18K gold',
+    match: /18 ?k|18 ?karat|18 ?ct gold|750 gold/i,
+    perGram: 58,
+    density: 15.6,
+    markup: 2.2,
+  },
+  {
+    id: 'gold-22k',
+    label: '22K gold',
+    match: /22 ?k|22 ?karat/i,
+    perGram: 70,
+    density: 17.7,
+    markup: 2,
+  },
+  {
+    id: 'gold-10k',
+    label: '10K gold',
+    match: /10 ?k|10 ?karat/i,
+    perGram: 34,
+    density: 11.6,
+    markup: 2.4,
+  },
+  {
+    id: 'gold-14k',
+    label: '14K gold',
+    match: /14 ?k|14 ?karat|gold/i,
+    perGram: 47,
+    density: 13.4,
+    markup: 2.2,
+  },
+  {
+    id: 'silver',
+    label: 'Sterling silver',
+    match: /silver|argentium/i,
+    perGram: 1,
+    density: 10.4,
+    markup: 3,
+  },
+  {
+    id: 'titanium',
+    label: 'Titanium',
+    match: /titanium/i,
+    perGram: 0.5,
+    density: 4.5,
+    markup: 3,
+  },
+  {
+    id: 'steel',
+    label: 'Stainless steel',
+    match: /steel/i,
+    perGram: 0.05,
+    density: 8,
+    markup: 3.5,
+  },
+  {
+    id: 'brass',
+    label: 'Brass / bronze',
+    match: /brass|bronze/i,
+    perGram: 0.02,
+    density: 8.5,
+    markup: 3.5,
+  },
+];
+
+// Natural price per carat at 1ct; `lab` scales it for lab-grown stones.
+// Pearls are priced per piece, not per carat.
+const STONES = [
+  {
+    id: 'diamond',
+    match: /diamond/i,
+    perCarat: 4000,
+    lab: 0.2,
+    typical: 0.5,
+    range: [0.005, 5],
+    markup: 1.6,
+  },
+  {
+    id: 'moissanite',
+    match: /moissanite/i,
+    perCarat: 400,
+    lab: 1,
+    typical: 1,
+    range: [0.01, 5],
+    markup: 2.5,
+  },
+  {
+    id: 'ruby',
+    match: /ruby|rubies/i,
+    perCarat: 1800,
+    lab: 0.1,
+    typical: 1,
+    range: [0.01, 10],
+    markup: 2,
+  },
+  {
+    id: 'emerald',
+    match: /emerald(?! cut|-cut)/i,
+    perCarat: 1500,
+    lab: 0.15,
+    typical: 1,
+    range: [0.01, 10],
+    markup: 2,
+  },
+  {
+    id: 'sapphire',
+    match: /sapphire/i,
+    perCarat: 1200,
+    lab: 0.1,
+    typical: 1,
+    range: [0.01, 10],
+    markup: 2,
+  },
+  {
+    id: 'tanzanite',
+    match: /tanzanite/i,
+    perCarat: 500,
+    lab: 1,
+    typical: 1,
+    range: [0.05, 10],
+    markup: 2,
+  },
+  {
+    id: 'spinel',
+    match: /spinel/i,
+    perCarat: 600,
+    lab: 0.1,
+    typical: 1,
+    range: [0.05, 10],
+    markup: 2,
+  },
+  {
+    id: 'tourmaline',
+    match: /tourmaline/i,
+    perCarat: 300,
+    lab: 1,
+    typical: 1.5,
+    range: [0.05, 15],
+    markup: 2.2,
+  },
+  {
+    id: 'aquamarine',
+    match: /aquamarine/i,
+    perCarat: 300,
+    lab: 1,
+    typical: 1.5,
+    range: [0.05, 15],
+    markup: 2.2,
+  },
+  {
+    id: 'morganite',
+    match: /morganite/i,
+    perCarat: 250,
+    lab: 1,
+    typical: 1.5,
+    range: [0.05, 15],
+    markup: 2.2,
+  },
+  {
+    id: 'opal',
+    match: /opal/i,
+    perCarat: 200,
+    lab: 0.2,
+    typical: 1,
+    range: [0.1, 10],
+    markup: 2.2,
+  },
+  {
+    id: 'peridot',
+    match: /peridot/i,
+    perCarat: 80,
+    lab: 1,
+    typical: 1.5,
+    range: [0.05, 15],
+    markup: 2.5,
+  },
+  {
+    id: 'garnet',
+    match: /garnet/i,
+    perCarat: 60,
+    lab: 1,
+    typical: 1.5,
+    range: [0.05, 15],
+    markup: 2.5,
+  },
+  {
+    id: 'moonstone',
+    match: /moonstone/i,
+    perCarat: 50,
+    lab: 1,
+    typical: 2,
+    range: [0.1, 20],
+    markup: 2.5,
+  },
+  {
+    id: 'topaz',
+    match: /topaz/i,
+    perCarat: 40,
+    lab: 1,
+    typical: 2,
+    range: [0.05, 20],
+    markup: 2.5,
+  },
+  {
+    id: 'citrine',
+    match: /citrine/i,
+    perCarat: 30,
+    lab: 1,
+    typical: 2,
+    range: [0.05, 20],
+    markup: 2.5,
+  },
+  {
+    id: 'amethyst',
+    match: /amethyst/i,
+    perCarat: 25,
+    lab: 1,
+    typical: 2,
+    range: [0.05, 20],
+    markup: 2.5,
+  },
+  {
+    id: 'cubic-zirconia',
+    match: /cubic zirconia|\bcz\b/i,
+    perCarat: 2,
+    lab: 1,
+    typical: 1,
+    range: [0.01, 10],
+    markup: 4,
+  },
+  {
+    id: 'pearl',
+    match: /pearl/i,
+    perPiece: 60,
+    lab: 1,
+    markup: 2.5,
+  },
+];
+
+const CUTS = [
+  { id: 'round brilliant', match: /round|brilliant/i, factor: 1 },
+  { id: 'oval', match: /oval/i, factor: 0.95 },
+  { id: 'pear', match: /pear(?!l)/i, factor: 0.95 },
+  { id: 'cushion', match: /cushion/i, factor: 0.92 },
+  { id: 'princess', match: /princess/i, factor: 0.9 },
+  { id: 'emerald cut', match: /emerald[- ]cut|step[- ]cut/i, factor: 0.9 },
+  { id: 'marquise', match: /marquise/i, factor: 0.9 },
+  { id: 'baguette', match: /baguette/i, factor: 0.85 },
+  { id: 'rose cut', match: /rose[- ]cut/i, factor: 0.8 },
+  { id: 'cabochon', match: /cabochon/i, factor: 0.6 },
+];
+
+// Labour per stone set
+const SETTINGS = [
+  { id: 'tension', match: /tension/i, perStone: 120 },
+  { id: 'invisible', match: /invisible/i, perStone: 40 },
+  { id: 'bezel', match: /bezel/i, perStone: 45 },
+  { id: 'flush', match: /flush|gypsy/i, perStone: 30 },
+  { id: 'prong', match: /prong|claw|solitaire|cathedral/i, perStone: 25 },
+  { id: 'channel', match: /channel/i, perStone: 18 },
+  { id: 'pavé', match: /pav[eé]|micro[- ]?pav/i, perStone: 12 },
+  { id: 'halo', match: /halo/i, perStone: 12 },
+];
+
+// Bench labour for the piece at complexity 5
+const PRODUCTION = [
+  {
+    id: 'hand-fabricated',
+    match: /hand[- ]?(fabricat|forg|made)|wire[- ]wrap|granulat|filigree/i,
+    labour: 180,
+  },
+  { id: 'machined', match: /cnc|machin|lathe/i, labour: 120 },
+  { id: '3d-printed', match: /3d|print/i, labour: 90 },
+  { id: 'electroformed', match: /electroform/i, labour: 70 },
+  { id: 'cast', match: /cast|lost[- ]wax/i, labour: 60 },
+  { id: 'die-struck', match: /die[- ]?struck|stamp/i, labour: 25 },
+];
+const DEFAULT_PRODUCTION = { id: 'bench-made', labour: 90 };
+
+const FINISHES = [
+  { id: 'enamel', match: /enamel|cloisonn/i, cost: 40 },
+  { id: 'gold-plating', match: /gold[- ]plat/i, cost: 20 },
+  { id: 'rhodium-plating', match: /rhodium|white gold/i, cost: 15 },
+  { id: 'oxidised', match: /oxidi[sz]ed|blackened/i, cost: 10 },
+];
+
+// Metal volume (cm³) of a typical piece; earrings are the pair
+const CATEGORY_VOLUME = {
+  Ring: 0.35,
+  Pendant: 0.3,
+  Earrings: 0.3,
+  Bracelet: 1.2,
+};
+
+const SIZE_WORDS = [
+  [/chunky|bold|heavy|statement|sculptural|wide/i, 1.5],
+  [/delicate|dainty|fine|thin|minimal|slender/i, 0.6],
+];
+
+// Melee bed for an uncounted pavé/accent clause
+const MELEE_COUNT = { Ring: 20, Pendant: 16, Earrings: 12, Bracelet: 40 };
+const MELEE_CARAT = 0.01;
+
+const LABOUR_MARKUP = 3;
+
+// ── Parsing ──────────────────────────────────────────────────
+
+const findIn = (text, table) => table.find((e) => e.match.test(text)) || null;
+
+const WORD_NUMBERS = {
+  a: 1,
+  one: 1,
+  single: 1,
+  two: 2,
+  pair: 2,
+  three: 3,
+  trio: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  twelve: 12,
+  dozen: 12,
+};
+
+function stoneCount(clause) {
+  const numeric = clause.match(/(\d+)\s*(?:x|×|pcs?\b|pieces?\b|stones?\b)/i);
+  if (numeric) return +numeric[1];
+  const word = clause.match(
+    /\b(one|single|two|pair|three|trio|four|five|six|seven|eight|nine|ten|twelve|dozen)\b/i
+  );
+  return word ? WORD_NUMBERS[word[1].toLowerCase()] : null;
+}
+
+// Carat weight and whether it is a total across the clause's stones
+function caratWeight(clause) {
+  const m = clause.match(
+    /(\d+(?:\.\d+)?|\.\d+)\s*(ctw|tcw|ct\.?\s*tw|carats?\s+total|ct\b|carats?\b|cts\b)/i
+  );
+  if (!m) return null;
+  return { carat: +m[1], total: /tw|total/i.test(m[2]) };
+}
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+/**
+ * Maps materials text onto bill-of-materials lines. `design` supplies the
+ * category, plus form and production text for weight and labour hints.
+ * Returns { lines, unmatched, warnings }: each line is { kind, id, label,
+ * qty, unit, unitCost, cost, markup }; `unmatched` lists clauses naming no
+ * catalogue item; `warnings` notes carats clamped into a stone's range.
+ * A `weightGrams` on the design (from its spec) replaces the estimated
+ * metal weight.
+ */
+function parseMaterials(text, design = {}) {
+  const cat = CATEGORY_VOLUME[design.cat] ? design.cat : 'Pendant';
+  const materials = String(text || '');
+  const lines = [];
+  const unmatched = [];
+  const warnings = [];
+
+  // Metal: the first alloy named anywhere, ignoring plating over a base
+  // metal; 14K gold when none is
+  const base = materials.replace(/\b[\w]+[- ]plated\b/gi, ' ');
+  const metal = findIn(base, METALS) || METALS.find((m) => m.id === 'gold-14k');
+  const sizeHint = `${materials} ${design.form || design.formConcept || ''}`;
+  const size = SIZE_WORDS.find(([re]) => re.test(sizeHint))?.[1] ?? 1;
+  const grams =
+    design.weightGrams > 0
+      ? Math.round(design.weightGrams * 10) / 10
+      : Math.round(CATEGORY_VOLUME[cat] * size * metal.density * 10) / 10;
+  lines.push({
+    kind: 'metal',
+    id: metal.id,
+    label: metal.label,
+    qty: grams,
+    unit: 'g',
+    unitCost: metal.perGram,
+    cost: Math.round(grams * metal.perGram),
+    markup: metal.markup,
+  });
+
+  materials
+    .split(/,|;|\+|\bwith\b|\band\b|\bplus\b/i)
+    .map((c) => c.trim())
+    .filter(Boolean)
+    .forEach((clause) => {
+      const stone = findIn(clause, STONES);
+      if (!stone) {
+        if (!findIn(clause, METALS) && !findIn(clause, FINISHES))
+          unmatched.push(clause);
+        return;
+      }
+      const lab = /lab[- ]?(grown|created)|synthetic|created/i.test(clause);
+      const setting = findIn(clause, SETTINGS);
+      const melee = /pav[eé]|accent|melee|halo|micro/i.test(clause);
+      const weight = caratWeight(clause);
+      let count = stoneCount(clause);
+      if (!count) count = melee && !weight ? MELEE_COUNT[cat] : 1;
+      if (cat === 'Earrings' && !/pair/i.test(clause)) count *= 2;
+
+      const label = `${lab && stone.lab !== 1 ? 'Lab-grown ' : ''}${stone.id}`;
+      if (stone.perPiece) {
+        lines.push({
+          kind: 'stone',
+          id: stone.id,
+          label,
+          qty: count,
+          unit: 'pc',
+          unitCost: stone.perPiece,
+          cost: count * stone.perPiece,
+          markup: stone.markup,
+        });
+      } else {
+        let each = weight
+          ? weight.total
+            ? weight.carat / count
+            : weight.carat
+          : melee
+            ? MELEE_CARAT
+            : stone.typical;
+        const [lo, hi] = stone.range;
+        if (each < lo || each > hi) {
+          warnings.push(
+            `${stone.id} of ${each}ct is outside ${lo}–${hi}ct; priced at ${clamp(each, lo, hi)}ct`
+          );
+          each = clamp(each, lo, hi);
+        }
+        const cut = findIn(clause, CUTS);
+        // Larger stones are rarer: the per-carat price rises with size
+        const perStone =
+          stone.perCarat *
+          Math.pow(each, 1.4) *
+          (lab ? stone.lab : 1) *
+          (cut ? cut.factor : 1);
+        const carats = Math.round(each * count * 1000) / 1000;
+        lines.push({
+          kind: 'stone',
+          id: stone.id,
+          label: `${label}${cut ? ', ' + cut.id : ''}`,
+          qty: carats,
+          unit: 'ct',
+          count,
+          unitCost: Math.round(perStone / each),
+          cost: Math.round(perStone * count),
+          markup: lab ? Math.max(stone.markup, 3) : stone.markup,
+        });
+      }
+      const set =
+        setting ||
+        (melee ? findIn('pavé', SETTINGS) : findIn('prong', SETTINGS));
+      lines.push({
+        kind: 'setting',
+        id: set.id,
+        label: `${set.id} setting`,
+        qty: count,
+        unit: 'stone',
+        unitCost: set.perStone,
+        cost: count * set.perStone,
+        markup: LABOUR_MARKUP,
+      });
+    });
+
+  const finishes = [...FINISHES.filter((f) => f.match.test(materials))];
+  if (metal.finish && !finishes.some((f) => f.id === metal.finish))
+    finishes.push(FINISHES.find((f) => f.id === metal.finish));
+  finishes.forEach((f) =>
+    lines.push({
+      kind: 'finish',
+      id: f.id,
+      label: f.id,
+      qty: 1,
+      unit: 'pc',
+      unitCost: f.cost,
+      cost: f.cost,
+      markup: LABOUR_MARKUP,
+    })
+  );
+
+  const production =
+    findIn(design.production || '', PRODUCTION) || DEFAULT_PRODUCTION;
+  const complexity = clamp(+design.complexity || 5, 1, 10);
+  const labour = Math.round(production.labour * (0.5 + complexity / 10));
+  lines.push({
+    kind: 'labour',
+    id: production.id,
+    label: `${production.id} labour (complexity ${complexity})`,
+    qty: 1,
+    unit: 'pc',
+    unitCost: labour,
+    cost: labour,
+    markup: LABOUR_MARKUP,
+  });
+
+  return { lines, unmatched, warnings };
+}
+
+// ── Costing ──────────────────────────────────────────────────
+
+// Brand premium on every markup: 0.8× at pricePoint 0 up to 1.6× at 100
+function brandPremium(pricePoint = 50) {
+  return 0.8 + (clamp(pricePoint, 0, 100) / 100) * 0.8;
+}
+
+/**
+ * The design's priced bill of materials: { lines, metal, grams, carats,
+ * cost, retail, marginPct, unmatched, warnings }. Cost sums the lines;
+ * retail applies each line's markup and the pricePoint's brand premium,
+ * rounded to the nearest 10.
+ */
+function billOfMaterials(design = {}) {
+  const { lines, unmatched, warnings } = parseMaterials(
+    design.materials,
+    design
+  );
+  const cost = lines.reduce((s, l) => s + l.cost, 0);
+  const premium = brandPremium(design.pricePoint ?? 50);
+  const retail = Math.max(
+    10,
+    Math.round(
+      lines.reduce(
+        (s, l) => s + l.cost * Math.max(1.1, l.markup * premium),
+        0
+      ) / 10
+    ) * 10
+  );
+  const metal = lines[0];
+  return {
+    lines,
+    metal: metal.id,
+    grams: metal.qty,
+    carats:
+      Math.round(
+        lines.filter((l) => l.unit === 'ct').reduce((s, l) => s + l.qty, 0) *
+          1000
+      ) / 1000,
+    cost,
+    retail,
+    marginPct: Math.round(((retail - cost) / retail) * 100),
+    unmatched,
+    warnings,
+  };
+}
+
+/**
+ * A profit score grounded in the bill of materials: the self-assessed score
+ * averaged with one read off the BOM margin (45% scores 30, 70% scores 80).
+ */
+function groundedProfit(score, bom) {
+  if (!bom) return score;
+  const fromMargin = clamp(Math.round((bom.marginPct - 30) * 2), 20, 98);
+  return clamp(Math.round((score + fromMargin) / 2), 20, 98);
+}
+
+// One-line BOM summary for prompts and logs
+function bomSummary(bom) {
+  const stones = bom.lines
+    .filter((l) => l.kind === 'stone')
+    .map((l) => `${l.label} ${l.qty}${l.unit}`)
+    .join(', ');
+  return `${bom.grams}g ${bom.lines[0].label}${stones ? ' + ' + stones : ''} — cost $${bom.cost.toLocaleString()}, retail $${bom.retail.toLocaleString()} (${bom.marginPct}% margin)`;
+}
+
+// Catalogue price guide for blueprint prompts
+function catalogueGuide() {
+  const metals = METALS.map((m) => `${m.label} $${m.perGram}/g`).join(', ');
+  const stones = STONES.filter((s) => s.perCarat)
+    .slice(0, 8)
+    .map(
+      (s) =>
+        `${s.id} $${s.perCarat.toLocaleString()}/ct${s.lab !== 1 ? ` (lab-grown $${Math.round(s.perCarat * s.lab).toLocaleString()})` : ''}`
+    )
+    .join(', ');
+  return `Metals: ${metals}.\nStones at 1ct: ${stones}. Pearls $60 each.`;
+}
+
+module.exports = {
+  METALS,
+  STONES,
+  CUTS,
+  SETTINGS,
+  PRODUCTION,
+  FINISHES,
+  CATEGORY_VOLUME,
+  parseMaterials,
+  billOfMaterials,
+  groundedProfit,
+  bomSummary,
+  catalogueGuide,
+};
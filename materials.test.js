@@ -0,0 +1,186 @@
+/**
+ * JewelForge Materials — Test Suite
+ *
+ * Run with: node --test materials.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseMaterials,
+  billOfMaterials,
+  groundedProfit,
+  bomSummary,
+  catalogueGuide,
+} = require('./materials.js');
+const { retailPrice, unitCost } = require('./market.js');
+
+const byKind = (lines, kind) => lines.filter((l) => l.kind === kind);
+
+// ═══════════════════════════════════════════════════════════════
+//  1. PARSING
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseMaterials', () => {
+  it('maps each clause onto metal, stone and setting lines', () => {
+    const { lines, unmatched } = parseMaterials(
+      '14K yellow gold, bezel-set 1.2ct oval lab-grown sapphire, accent pavé VS1 diamonds',
+      { cat: 'Ring', production: 'investment casting', complexity: 6 }
+    );
+    assert.deepEqual(unmatched, []);
+    const [metal] = byKind(lines, 'metal');
+    assert.equal(metal.id, 'gold-14k');
+    // Ring volume 0.35cm³ × 14K density 13.4
+    assert.equal(metal.qty, 4.7);
+
+    const [sapphire, diamonds] = byKind(lines, 'stone');
+    assert.equal(sapphire.label, 'Lab-grown sapphire, oval');
+    assert.equal(sapphire.qty, 1.2);
+    assert.equal(sapphire.count, 1);
+    // An uncounted pavé clause is a bed of 20 melee on a ring
+    assert.equal(diamonds.count, 20);
+    assert.equal(diamonds.qty, 0.2);
+
+    assert.deepEqual(
+      byKind(lines, 'setting').map((l) => [l.id, l.qty]),
+      [
+        ['bezel', 1],
+        ['pavé', 20],
+      ]
+    );
+    const [labour] = byKind(lines, 'labour');
+    assert.equal(labour.id, 'cast');
+    assert.equal(labour.cost, 66);
+  });
+
+  it('reads counts, total weights, pairs and plated base metals', () => {
+    const earrings = parseMaterials(
+      'gold-plated brass with three 0.6ctw cubic zirconia',
+      { cat: 'Earrings' }
+    );
+    assert.equal(byKind(earrings.lines, 'metal')[0].id, 'brass');
+    const [cz] = byKind(earrings.lines, 'stone');
+    // Three stones per earring; total weight covers the pair
+    assert.equal(cz.count, 6);
+    assert.equal(cz.qty, 0.6);
+    assert.deepEqual(
+      byKind(earrings.lines, 'finish').map((l) => l.id),
+      ['gold-plating']
+    );
+
+    const pearls = parseMaterials(
+      'sterling silver, pair of freshwater pearls',
+      {
+        cat: 'Earrings',
+      }
+    );
+    assert.equal(byKind(pearls.lines, 'stone')[0].qty, 2);
+  });
+
+  it('scales metal weight by form and notes what it cannot cost', () => {
+    const fine = parseMaterials('platinum', {
+      cat: 'Bracelet',
+      form: 'delicate chain',
+    });
+    const bold = parseMaterials('platinum', {
+      cat: 'Bracelet',
+      form: 'bold cuff',
+    });
+    assert.ok(bold.lines[0].qty > 2 * fine.lines[0].qty);
+    // A spec's stated weight replaces the estimate
+    const weighed = parseMaterials('platinum', {
+      cat: 'Bracelet',
+      form: 'bold cuff',
+      weightGrams: 31.26,
+    });
+    assert.equal(weighed.lines[0].qty, 31.3);
+    assert.equal(weighed.lines[0].cost, Math.round(31.3 * 34));
+
+    const { unmatched, warnings, lines } = parseMaterials(
+      'silver, 40ct diamond, reclaimed driftwood inlay',
+      { cat: 'Pendant' }
+    );
+    assert.deepEqual(unmatched, ['reclaimed driftwood inlay']);
+    assert.match(warnings[0], /diamond of 40ct is outside/);
+    assert.equal(byKind(lines, 'stone')[0].qty, 5);
+  });
+
+  it('defaults to 14K gold when no metal is named', () => {
+    const { lines } = parseMaterials('', { cat: 'Pendant' });
+    assert.equal(lines[0].id, 'gold-14k');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. COSTING
+// ═══════════════════════════════════════════════════════════════
+
+describe('billOfMaterials', () => {
+  const solitaire = {
+    cat: 'Ring',
+    materials: 'platinum, prong-set 1ct round brilliant diamond',
+    complexity: 4,
+  };
+
+  it('prices lines into cost, retail and margin', () => {
+    const bom = billOfMaterials({ ...solitaire, pricePoint: 50 });
+    assert.equal(
+      bom.cost,
+      bom.lines.reduce((s, l) => s + l.cost, 0)
+    );
+    assert.equal(bom.metal, 'platinum');
+    assert.equal(bom.carats, 1);
+    assert.equal(bom.retail % 10, 0);
+    assert.equal(
+      bom.marginPct,
+      Math.round(((bom.retail - bom.cost) / bom.retail) * 100)
+    );
+  });
+
+  it('charges more for natural stones and premium positioning', () => {
+    const natural = billOfMaterials(solitaire);
+    const lab = billOfMaterials({
+      ...solitaire,
+      materials: 'platinum, prong-set 1ct round lab-grown diamond',
+    });
+    assert.ok(natural.cost > 3 * lab.cost);
+    // Natural diamonds carry a thinner markup than metalwork
+    assert.ok(natural.marginPct < lab.marginPct);
+    assert.ok(
+      billOfMaterials({ ...solitaire, pricePoint: 90 }).retail >
+        billOfMaterials({ ...solitaire, pricePoint: 20 }).retail
+    );
+  });
+
+  it('grounds the market price and unit cost', () => {
+    const design = { ...solitaire, bom: billOfMaterials(solitaire) };
+    assert.equal(retailPrice(design), design.bom.retail);
+    assert.equal(unitCost(design, retailPrice(design)), design.bom.cost);
+  });
+});
+
+describe('groundedProfit', () => {
+  it('averages the self-assessed score with the BOM margin', () => {
+    assert.equal(groundedProfit(60, { marginPct: 70 }), 70);
+    assert.equal(groundedProfit(90, { marginPct: 40 }), 55);
+    assert.equal(groundedProfit(90, { marginPct: 5 }), 55);
+    assert.equal(groundedProfit(60, null), 60);
+  });
+});
+
+describe('bomSummary and catalogueGuide', () => {
+  it('summarises a BOM and the catalogue for prompts', () => {
+    const bom = billOfMaterials({
+      cat: 'Pendant',
+      materials: 'sterling silver',
+    });
+    assert.match(
+      bomSummary(bom),
+      /^3\.1g Sterling silver — cost \$\d+, retail \$\d+ \(\d+% margin\)$/
+    );
+    const guide = catalogueGuide();
+    assert.match(guide, /Platinum 950 \$34\/g/);
+    assert.match(guide, /diamond \$4,000\/ct \(lab-grown \$800\)/);
+  });
+});
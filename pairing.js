@@ -0,0 +1,189 @@
+/**
+ * JewelForge Pairing — cross-pollination schedules for any roster size.
+ *
+ * Each cycle the agents talk in batches of disjoint pairs: pairs within a
+ * batch run in parallel, batches run one after another. A topology decides
+ * who meets whom:
+ *
+ *   round-robin  circle-method tournament; successive cycles continue the
+ *                rotation so every agent eventually meets every other
+ *   random       seeded shuffle, fresh each cycle
+ *   similarity   closest genomes first — agents refine shared directions
+ *   contrarian   most distant genomes first — agents challenge each other
+ *   classic      the original hand-tuned batches for a 10-agent roster;
+ *                pairs naming missing agents are dropped
+ *
+ * With an odd roster one agent sits out each batch (a "bye"). No pair meets
+ * twice in one cycle.
+ */
+
+const { GENOME_TRAITS } = require('./game-logic.js');
+
+const PAIRING_TOPOLOGIES = [
+  'round-robin',
+  'random',
+  'similarity',
+  'contrarian',
+  'classic',
+];
+
+const DEFAULT_PAIRING = { topology: 'round-robin', batches: 3 };
+
+// Disjoint pair batches for a 10-agent roster (the pre-scheduler layout)
+const CLASSIC_PAIR_BATCHES = [
+  [
+    [0, 1],
+    [2, 3],
+    [4, 5],
+    [6, 7],
+    [8, 9],
+  ],
+  [
+    [0, 4],
+    [1, 5],
+    [2, 6],
+    [3, 7],
+  ],
+  [
+    [0, 9],
+    [1, 8],
+    [3, 6],
+    [4, 7],
+  ],
+];
+
+// Accepts a topology name or { topology, batches } and fills in defaults
+function resolvePairing(pairing) {
+  const opts =
+    typeof pairing === 'string'
+      ? { ...DEFAULT_PAIRING, topology: pairing }
+      : { ...DEFAULT_PAIRING, ...pairing };
+  if (!PAIRING_TOPOLOGIES.includes(opts.topology))
+    throw new Error(
+      `Unknown pairing topology "${opts.topology}" (available: ${PAIRING_TOPOLOGIES.join(', ')})`
+    );
+  if (!Number.isInteger(opts.batches) || opts.batches < 1)
+    throw new Error(`Pairing batches must be a positive integer`);
+  return opts;
+}
+
+// ── Tournament rounds ────────────────────────────────────────
+
+/**
+ * All n-1 rounds (n rounds for odd n) of a round-robin tournament by the
+ * circle method: index 0 stays put while the rest rotate.
+ */
+function roundRobinRounds(n) {
+  if (n < 2) return [];
+  const m = n % 2 ? n + 1 : n; // index n is the bye when n is odd
+  const ring = Array.from({ length: m }, (_, i) => i);
+  const rounds = [];
+  for (let r = 0; r < m - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < m / 2; i++) {
+      const a = ring[i];
+      const b = ring[m - 1 - i];
+      if (a < n && b < n) pairs.push(a < b ? [a, b] : [b, a]);
+    }
+    rounds.push(pairs.sort((x, y) => x[0] - y[0]));
+    ring.splice(1, 0, ring.pop());
+  }
+  return rounds;
+}
+
+// ── Preference-ordered matching ──────────────────────────────
+
+function genomeDistance(a, b) {
+  return Math.sqrt(
+    GENOME_TRAITS.reduce(
+      (sum, t) => sum + ((a[t] ?? 50) - (b[t] ?? 50)) ** 2,
+      0
+    )
+  );
+}
+
+/**
+ * Fills `count` batches greedily from `candidates` (pairs in order of
+ * preference): each batch takes the first pairs whose agents are both still
+ * free in that batch and who have not yet met this cycle.
+ */
+function greedyBatches(candidates, count) {
+  const met = new Set();
+  const batches = [];
+  for (let b = 0; b < count; b++) {
+    const busy = new Set();
+    const batch = [];
+    for (const [a, c] of candidates) {
+      const key = `${a}|${c}`;
+      if (busy.has(a) || busy.has(c) || met.has(key)) continue;
+      batch.push([a, c]);
+      busy.add(a);
+      busy.add(c);
+      met.add(key);
+    }
+    if (!batch.length) break;
+    batches.push(batch);
+  }
+  return batches;
+}
+
+function allPairs(n) {
+  const pairs = [];
+  for (let a = 0; a < n; a++)
+    for (let b = a + 1; b < n; b++) pairs.push([a, b]);
+  return pairs;
+}
+
+// ── Scheduler ────────────────────────────────────────────────
+
+/**
+ * Pair batches for one cycle. `agents` are the agent states (indexed by
+ * roster position); `rng` is only drawn from by the random topology.
+ * Returns { topology, batches, byes } where `byes[i]` lists the agents
+ * without a partner in batch i.
+ */
+function schedulePairs(agents, { pairing, cycleNum = 1, rng } = {}) {
+  const { topology, batches: count } = resolvePairing(pairing);
+  const n = agents.length;
+  let batches;
+  if (topology === 'classic') {
+    batches = CLASSIC_PAIR_BATCHES.map((batch) =>
+      batch.filter(([a, b]) => a < n && b < n)
+    ).filter((batch) => batch.length);
+  } else if (topology === 'round-robin') {
+    const rounds = roundRobinRounds(n);
+    batches = [];
+    for (let b = 0; b < Math.min(count, rounds.length); b++)
+      batches.push(rounds[((cycleNum - 1) * count + b) % rounds.length]);
+  } else if (topology === 'random') {
+    if (!rng) throw new Error('The random pairing topology requires an rng');
+    batches = greedyBatches(rng.shuffle(allPairs(n)), count);
+  } else {
+    const sign = topology === 'similarity' ? 1 : -1;
+    const scored = allPairs(n).map(([a, b]) => ({
+      pair: [a, b],
+      d: genomeDistance(agents[a], agents[b]),
+    }));
+    // Stable sort keeps index order among equal distances
+    scored.sort((x, y) => sign * (x.d - y.d));
+    batches = greedyBatches(
+      scored.map((s) => s.pair),
+      count
+    );
+  }
+  const byes = batches.map((batch) => {
+    const paired = new Set(batch.flat());
+    return agents.map((_, i) => i).filter((i) => !paired.has(i));
+  });
+  return { topology, batches, byes };
+}
+
+module.exports = {
+  PAIRING_TOPOLOGIES,
+  DEFAULT_PAIRING,
+  CLASSIC_PAIR_BATCHES,
+  resolvePairing,
+  roundRobinRounds,
+  genomeDistance,
+  schedulePairs,
+};
@@ -0,0 +1,126 @@
+/**
+ * JewelForge Pairing — Test Suite
+ *
+ * Run with: node --test pairing.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PAIRING_TOPOLOGIES,
+  resolvePairing,
+  roundRobinRounds,
+  schedulePairs,
+} = require('./pairing.js');
+const { createRng } = require('./rng.js');
+
+function makeAgents(n) {
+  return Array.from({ length: n }, (_, i) => ({ novelty: i * 10, risk: 50 }));
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. ROUND-ROBIN
+// ═══════════════════════════════════════════════════════════════
+
+describe('roundRobinRounds', () => {
+  it('meets every pair exactly once, for even and odd rosters', () => {
+    for (const n of [2, 5, 6, 7, 10]) {
+      const rounds = roundRobinRounds(n);
+      assert.equal(rounds.length, n % 2 ? n : n - 1);
+      const seen = rounds.flat().map(([a, b]) => `${a}|${b}`);
+      assert.equal(new Set(seen).size, (n * (n - 1)) / 2, `n = ${n}`);
+    }
+    assert.deepEqual(roundRobinRounds(1), []);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. SCHEDULES
+// ═══════════════════════════════════════════════════════════════
+
+describe('schedulePairs', () => {
+  it('builds disjoint in-range batches for any roster and topology', () => {
+    for (const topology of PAIRING_TOPOLOGIES) {
+      for (let n = 1; n <= 12; n++) {
+        const { batches, byes } = schedulePairs(makeAgents(n), {
+          pairing: topology,
+          cycleNum: 2,
+          rng: createRng(n),
+        });
+        const met = new Set();
+        batches.forEach((batch, i) => {
+          const ids = batch.flat();
+          assert.equal(new Set(ids).size, ids.length, `${topology} n=${n}`);
+          assert.ok(ids.every((id) => id >= 0 && id < n));
+          assert.equal(ids.length + byes[i].length, n);
+          batch.forEach(([a, b]) => {
+            assert.ok(!met.has(`${a}|${b}`), `${topology} n=${n} repeats`);
+            met.add(`${a}|${b}`);
+          });
+        });
+      }
+    }
+  });
+
+  it('continues the round-robin rotation from cycle to cycle', () => {
+    const agents = makeAgents(6);
+    const c1 = schedulePairs(agents, { cycleNum: 1 }).batches;
+    const c2 = schedulePairs(agents, { cycleNum: 2 }).batches;
+    const rounds = roundRobinRounds(6);
+    assert.deepEqual(c1, rounds.slice(0, 3));
+    assert.deepEqual(c2, [rounds[3], rounds[4], rounds[0]]);
+  });
+
+  it('pairs closest genomes for similarity and farthest for contrarian', () => {
+    const agents = makeAgents(4);
+    assert.deepEqual(
+      schedulePairs(agents, { pairing: 'similarity' }).batches[0],
+      [
+        [0, 1],
+        [2, 3],
+      ]
+    );
+    assert.deepEqual(
+      schedulePairs(agents, { pairing: 'contrarian' }).batches[0],
+      [
+        [0, 3],
+        [1, 2],
+      ]
+    );
+  });
+
+  it('draws random pairings from the rng', () => {
+    const run = (seed) =>
+      schedulePairs(makeAgents(8), {
+        pairing: 'random',
+        rng: createRng(seed),
+      }).batches;
+    assert.deepEqual(run(3), run(3));
+    assert.notDeepEqual(run(3), run(4));
+    assert.throws(
+      () => schedulePairs(makeAgents(4), { pairing: 'random' }),
+      /requires an rng/
+    );
+  });
+
+  it('keeps the classic batches for ten agents and honours batch counts', () => {
+    const classic = schedulePairs(makeAgents(10), { pairing: 'classic' });
+    assert.equal(classic.batches.flat().length, 13);
+    const one = schedulePairs(makeAgents(10), {
+      pairing: { topology: 'round-robin', batches: 1 },
+    });
+    assert.equal(one.batches.length, 1);
+  });
+
+  it('rejects unknown topologies and bad batch counts', () => {
+    assert.throws(
+      () => resolvePairing('ring'),
+      /Unknown pairing topology "ring"/
+    );
+    assert.throws(
+      () => resolvePairing({ batches: 0 }),
+      /must be a positive integer/
+    );
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * JewelForge Pattern Store — the pattern memory bank, indexed and persistent.
+ *
+ * Every design an epoch produces is stored as a pattern with its outcome
+ * (scores, credits, rank, confidence) and the genome of the agent behind it.
+ * The store keeps in-memory indexes by category, strategy and material so
+ * lookups do not scan every entry, and retrieval weights each precedent by
+ * age so that patterns from earlier epochs still inform agents but fade with
+ * a configurable half-life. A BM25 text index over each pattern's name,
+ * materials, form and reasoning finds precedents lexically close to a
+ * blueprint and flags near-duplicates of past winners.
+ *
+ * createPatternStore() is memory-only; openPatternStore(file) loads and
+ * saves a JSON document so the bank survives across epochs and processes:
+ *
+ *   { "version": 1, "patterns": [{ "id": 1, "epoch": "…", "storedAt": "…", … }] }
+ *
+ * index.html mirrors this store on IndexedDB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { retrievePatterns } = require('./game-logic.js');
+const { createTextIndex } = require('./text-index.js');
+
+const PATTERN_STORE_VERSION = 1;
+
+const DEFAULT_STORE_OPTIONS = {
+  k: 3,
+  halfLifeDays: 90,
+  // Stores larger than this narrow retrieval to index hits before scoring
+  scanLimit: 500,
+  // TF-IDF cosine at or above which a design duplicates a past winner
+  duplicateThreshold: 0.6,
+};
+
+// Materials the index recognises in free-text material descriptions
+const MATERIAL_TERMS = [
+  'platinum',
+  'gold',
+  'rose gold',
+  'silver',
+  'titanium',
+  'palladium',
+  'steel',
+  'diamond',
+  'sapphire',
+  'emerald',
+  'ruby',
+  'spinel',
+  'tourmaline',
+  'opal',
+  'pearl',
+  'enamel',
+];
+
+function materialTags(text) {
+  const lower = (text || '').toLowerCase();
+  return MATERIAL_TERMS.filter((term) => lower.includes(term));
+}
+
+// Materials an agent's genome leans towards, used to pick index candidates
+function preferredMaterials(agent) {
+  const tags = [(agent.platBias ?? 50) > 60 ? 'platinum' : 'gold'];
+  if ((agent.diamond ?? 50) > 60) tags.push('diamond');
+  if ((agent.coloredStone ?? 50) > 60) tags.push('sapphire', 'emerald', 'ruby');
+  return tags;
+}
+
+// The text a pattern is indexed and compared by
+function patternText(p) {
+  return [p.name, p.materials, p.form, p.reasoning].filter(Boolean).join(' ');
+}
+
+function agentStrategy(agent) {
+  return agent.risk > 65 ? 'explore' : agent.risk < 35 ? 'exploit' : 'mutate';
+}
+
+// ── Store ────────────────────────────────────────────────────
+
+function createPatternStore(options = {}) {
+  const { patterns: saved = [], ...overrides } = options;
+  const opts = { ...DEFAULT_STORE_OPTIONS, ...overrides };
+  const now = opts.now || (() => new Date());
+  const patterns = [];
+  const byId = new Map();
+  const text = createTextIndex();
+  const indexes = {
+    category: new Map(),
+    strategy: new Map(),
+    material: new Map(),
+  };
+  let nextId = 1;
+  let epoch = null;
+
+  function indexAdd(name, key, p) {
+    if (!indexes[name].has(key)) indexes[name].set(key, new Set());
+    indexes[name].get(key).add(p);
+  }
+
+  function insert(p) {
+    patterns.push(p);
+    byId.set(p.id, p);
+    text.add(p.id, patternText(p));
+    nextId = Math.max(nextId, p.id + 1);
+    indexAdd('category', p.category, p);
+    indexAdd('strategy', p.strategy, p);
+    materialTags(p.materials).forEach((m) => indexAdd('material', m, p));
+    return p;
+  }
+
+  saved.forEach((p) => insert({ ...p }));
+
+  const store = {
+    options: opts,
+
+    get size() {
+      return patterns.length;
+    },
+
+    get epoch() {
+      return epoch;
+    },
+
+    // Marks the start of an epoch; new patterns are tagged with its id
+    beginEpoch(id) {
+      epoch = id;
+    },
+
+    add(pattern) {
+      return insert({
+        ...pattern,
+        id: nextId,
+        epoch,
+        storedAt: now().toISOString(),
+      });
+    },
+
+    all() {
+      return patterns.slice();
+    },
+
+    /**
+     * Patterns matching every given field, in storage order. `material`
+     * matches any of the recognised material terms in the description.
+     */
+    query({ category, strategy, material, epoch: epochId } = {}) {
+      const sets = [];
+      if (category !== undefined)
+        sets.push(indexes.category.get(category) || new Set());
+      if (strategy !== undefined)
+        sets.push(indexes.strategy.get(strategy) || new Set());
+      if (material !== undefined)
+        sets.push(indexes.material.get(material.toLowerCase()) || new Set());
+      sets.sort((a, b) => a.size - b.size);
+      let hits = sets.length ? [...sets[0]] : patterns.slice();
+      hits = hits.filter((p) => sets.every((s) => s.has(p)));
+      if (epochId !== undefined) hits = hits.filter((p) => p.epoch === epochId);
+      return hits.sort((a, b) => a.id - b.id);
+    },
+
+    // Patterns sharing the agent's focus category, strategy or materials
+    candidates(agent) {
+      const hits = new Set();
+      const add = (set) => set && set.forEach((p) => hits.add(p));
+      add(indexes.category.get((agent.marketFocus || '').split(',')[0]));
+      add(indexes.strategy.get(agentStrategy(agent)));
+      preferredMaterials(agent).forEach((m) => add(indexes.material.get(m)));
+      return [...hits].sort((a, b) => a.id - b.id);
+    },
+
+    // Prompt context with the `k` most relevant, age-weighted precedents
+    retrieve(agent, cycleReportsLength, { k = opts.k } = {}) {
+      let pool = patterns;
+      if (patterns.length > opts.scanLimit) {
+        const hits = store.candidates(agent);
+        if (hits.length >= k) pool = hits;
+      }
+      return retrievePatterns(agent, pool, cycleReportsLength, {
+        k,
+        epoch,
+        now: now(),
+        halfLifeDays: opts.halfLifeDays,
+        total: patterns.length,
+      });
+    },
+
+    // Patterns ranked by BM25 against free text such as a draft blueprint
+    similar(query, { limit = opts.k } = {}) {
+      return text
+        .search(query, { limit })
+        .map(({ id, score }) => ({ pattern: byId.get(id), score }));
+    },
+
+    // Prompt context listing the stored designs closest to `query`
+    similarContext(query, { limit = opts.k } = {}) {
+      const hits = store.similar(query, { limit });
+      if (!hits.length) return '';
+      let ctx = `\n\nPAST DESIGNS CLOSEST TO YOUR BLUEPRINT (by name, materials, form and reasoning):`;
+      hits.forEach(({ pattern: p, score }, i) => {
+        const when =
+          p.epoch === epoch
+            ? `Cycle ${p.cycle}`
+            : `earlier epoch, cycle ${p.cycle}`;
+        ctx += `\n  ${i + 1}. "${p.name || 'Untitled'}" [${when} #${p.rank}, ${p.credits.toLocaleString()}⬡] ${p.materials || '?'} · ${p.form || '?'} (match ${score})`;
+      });
+      return ctx;
+    },
+
+    /**
+     * The past winner (rank 1 in its cycle) most similar to `query`, when
+     * the TF-IDF cosine reaches the duplicate threshold; otherwise null.
+     */
+    nearDuplicateOf(query, { threshold = opts.duplicateThreshold } = {}) {
+      let best = null;
+      patterns.forEach((p) => {
+        if (p.rank !== 1) return;
+        const similarity = text.similarity(query, patternText(p));
+        if (similarity >= threshold && (!best || similarity > best.similarity))
+          best = { pattern: p, similarity };
+      });
+      return best;
+    },
+
+    /**
+     * Adjusts the confidence of this epoch's earlier patterns after a cycle:
+     * strategy × category pairs that placed in the top three are reinforced,
+     * those that placed lower decay. Earlier epochs keep their recorded
+     * confidence and fade by age instead.
+     */
+    reinforce(cycleNum, designs) {
+      const top = new Set(
+        designs.filter((d) => d.rank <= 3).map((d) => d.strategy + '|' + d.cat)
+      );
+      const bottom = new Set(
+        designs.filter((d) => d.rank > 3).map((d) => d.strategy + '|' + d.cat)
+      );
+      patterns.forEach((p) => {
+        if (p.epoch !== epoch || p.cycle >= cycleNum) return;
+        const key = p.strategy + '|' + p.category;
+        if (bottom.has(key)) p.confidence = Math.max(0.1, p.confidence * 0.8);
+        if (top.has(key)) p.confidence = Math.min(1.0, p.confidence * 1.1);
+      });
+    },
+
+    // No-op for memory-only stores; openPatternStore() writes the file
+    save() {},
+
+    toJSON() {
+      return { version: PATTERN_STORE_VERSION, patterns };
+    },
+  };
+  return store;
+}
+
+// ── File persistence ─────────────────────────────────────────
+
+function readPatternFile(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Pattern store ${file} is not valid JSON: ${e.message}`);
+  }
+  if (doc?.version !== PATTERN_STORE_VERSION || !Array.isArray(doc.patterns))
+    throw new Error(
+      `Pattern store ${file} is not a version ${PATTERN_STORE_VERSION} pattern store`
+    );
+  return doc.patterns;
+}
+
+/**
+ * Opens (or creates on first save) a JSON-backed store. save() writes via a
+ * temporary file so an interrupted write never truncates the bank.
+ */
+function openPatternStore(file, options = {}) {
+  const patterns = fs.existsSync(file) ? readPatternFile(file) : [];
+  const store = createPatternStore({ ...options, patterns });
+  store.file = file;
+  store.save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store.toJSON(), null, 2));
+    fs.renameSync(tmp, file);
+  };
+  return store;
+}
+
+module.exports = {
+  PATTERN_STORE_VERSION,
+  DEFAULT_STORE_OPTIONS,
+  materialTags,
+  patternText,
+  createPatternStore,
+  openPatternStore,
+};
@@ -0,0 +1,252 @@
+/**
+ * JewelForge Pattern Store — Test Suite
+ *
+ * Run with: node --test pattern-store.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  materialTags,
+  createPatternStore,
+  openPatternStore,
+} = require('./pattern-store.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function makePattern(overrides = {}) {
+  return {
+    cycle: 1,
+    rank: 2,
+    category: 'Ring',
+    strategy: 'mutate',
+    materials: '18K yellow gold, bezel-set sapphire',
+    confidence: 0.7,
+    credits: 5000,
+    aesthetic: 70,
+    novelty: 60,
+    profit: 65,
+    genomeTraits: {},
+    ...overrides,
+  };
+}
+
+// A store whose clock can be moved forward
+function clockedStore(options = {}) {
+  let t = Date.parse('2025-01-01T00:00:00Z');
+  const store = createPatternStore({ ...options, now: () => new Date(t) });
+  return { store, advance: (days) => (t += days * DAY) };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. INDEXES
+// ═══════════════════════════════════════════════════════════════
+
+describe('materialTags', () => {
+  it('picks recognised materials out of free text', () => {
+    assert.deepEqual(
+      materialTags('Platinum band, pavé VS1 Diamonds and a rose gold accent'),
+      ['platinum', 'gold', 'rose gold', 'diamond']
+    );
+    assert.deepEqual(materialTags(undefined), []);
+  });
+});
+
+describe('createPatternStore', () => {
+  it('stamps id, epoch and storage time', () => {
+    const { store } = clockedStore();
+    store.beginEpoch('e1');
+    const p = store.add(makePattern());
+    assert.deepEqual(
+      [p.id, p.epoch, p.storedAt],
+      [1, 'e1', '2025-01-01T00:00:00.000Z']
+    );
+    assert.equal(store.size, 1);
+  });
+
+  it('queries by category, strategy, material and epoch together', () => {
+    const { store } = clockedStore();
+    store.beginEpoch('e1');
+    store.add(makePattern());
+    store.add(makePattern({ strategy: 'explore' }));
+    store.add(makePattern({ category: 'Pendant', materials: 'platinum' }));
+    store.beginEpoch('e2');
+    store.add(makePattern());
+    assert.deepEqual(
+      store.query({ category: 'Ring', strategy: 'mutate' }).map((p) => p.id),
+      [1, 4]
+    );
+    assert.deepEqual(
+      store.query({ material: 'Platinum' }).map((p) => p.id),
+      [3]
+    );
+    assert.deepEqual(
+      store.query({ epoch: 'e2' }).map((p) => p.id),
+      [4]
+    );
+    assert.deepEqual(store.query({ category: 'Brooch' }), []);
+  });
+
+  it('narrows large stores to index candidates before scoring', () => {
+    const { store } = clockedStore({ scanLimit: 2 });
+    store.add(
+      makePattern({
+        category: 'Bracelet',
+        strategy: 'exploit',
+        materials: 'silver',
+      })
+    );
+    store.add(
+      makePattern({
+        category: 'Bracelet',
+        strategy: 'explore',
+        materials: 'steel',
+      })
+    );
+    store.add(
+      makePattern({ category: 'Ring', strategy: 'exploit', materials: 'steel' })
+    );
+    const agent = { marketFocus: 'Ring', risk: 90, platBias: 40 };
+    assert.deepEqual(
+      store.candidates(agent).map((p) => p.id),
+      [2, 3]
+    );
+    assert.match(
+      store.retrieve(agent, 0, { k: 2 }),
+      /top 2 relevant from 3 stored/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. RETRIEVAL ACROSS EPOCHS
+// ═══════════════════════════════════════════════════════════════
+
+describe('retrieve', () => {
+  it('returns k precedents and labels earlier epochs with their age', () => {
+    const { store, advance } = clockedStore({ k: 2 });
+    store.beginEpoch('spring');
+    store.add(makePattern({ credits: 9000 }));
+    store.add(makePattern({ credits: 8000 }));
+    advance(120);
+    store.beginEpoch('autumn');
+    store.add(makePattern({ credits: 1000 }));
+    const ctx = store.retrieve({ marketFocus: 'Ring', risk: 50 }, 1);
+    assert.match(ctx, /top 2 relevant from 3 stored/);
+    assert.match(ctx, /\[Cycle 1 #2\] Ring \(1,000⬡/);
+    assert.match(ctx, /\[Earlier epoch, cycle 1, 4mo ago #2\] Ring \(9,000⬡/);
+    assert.doesNotMatch(ctx, /8,000/);
+  });
+
+  it('lets recent precedents outrank stronger but older ones', () => {
+    const { store, advance } = clockedStore({ halfLifeDays: 30 });
+    store.beginEpoch('old');
+    store.add(makePattern({ rank: 1, confidence: 1, credits: 9000 }));
+    advance(90);
+    store.beginEpoch('new');
+    store.add(makePattern({ rank: 5, confidence: 0.4, credits: 2000 }));
+    const ctx = store.retrieve({ marketFocus: 'Ring', risk: 50 }, 0, { k: 1 });
+    assert.match(ctx, /2,000⬡/);
+  });
+
+  it('reinforces only the running epoch', () => {
+    const { store } = clockedStore();
+    store.beginEpoch('old');
+    const old = store.add(makePattern({ confidence: 0.5 }));
+    store.beginEpoch('new');
+    const cur = store.add(makePattern({ confidence: 0.5 }));
+    store.reinforce(2, [{ strategy: 'mutate', cat: 'Ring', rank: 1 }]);
+    assert.equal(old.confidence, 0.5);
+    assert.equal(cur.confidence, 0.55);
+  });
+});
+
+describe('text similarity', () => {
+  it('finds stored designs close to a draft blueprint', () => {
+    const { store } = clockedStore();
+    store.beginEpoch('e1');
+    store.add(
+      makePattern({ name: 'Tidepool', form: 'cabochon sea glass ring' })
+    );
+    store.add(
+      makePattern({
+        name: 'Lattice',
+        materials: 'platinum',
+        form: 'geometric lattice cuff',
+      })
+    );
+    const hits = store.similar('platinum lattice cuff with open geometry');
+    assert.equal(hits[0].pattern.name, 'Lattice');
+    assert.match(
+      store.similarContext('sea glass cabochon'),
+      /1\. "Tidepool" \[Cycle 1 #2, 5,000⬡\]/
+    );
+    assert.equal(store.similarContext('titanium'), '');
+  });
+
+  it('flags near-duplicates of past winners only', () => {
+    const { store } = clockedStore();
+    store.add(
+      makePattern({
+        name: 'Tidepool',
+        rank: 1,
+        form: 'cabochon sea glass ring',
+        reasoning: 'Organic forms are rising',
+      })
+    );
+    store.add(makePattern({ name: 'Lattice', form: 'geometric lattice cuff' }));
+    const draft =
+      '18K yellow gold, bezel-set sapphire cabochon sea glass ring. Organic forms are rising';
+    const dup = store.nearDuplicateOf(draft);
+    assert.equal(dup.pattern.name, 'Tidepool');
+    assert.ok(dup.similarity >= 0.6);
+    assert.equal(store.nearDuplicateOf('geometric lattice cuff'), null);
+    assert.equal(store.nearDuplicateOf(draft, { threshold: 0.99 }), null);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. FILE PERSISTENCE
+// ═══════════════════════════════════════════════════════════════
+
+describe('openPatternStore', () => {
+  it('survives a reload and keeps numbering ids', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jf-patterns-'));
+    const file = path.join(dir, 'nested', 'patterns.json');
+    try {
+      const first = openPatternStore(file);
+      first.beginEpoch('e1');
+      first.add(makePattern());
+      first.save();
+      const second = openPatternStore(file, { k: 5 });
+      assert.equal(second.size, 1);
+      assert.equal(second.options.k, 5);
+      assert.equal(second.query({ category: 'Ring' })[0].epoch, 'e1');
+      second.beginEpoch('e2');
+      assert.equal(second.add(makePattern()).id, 2);
+      assert.equal(fs.existsSync(`${file}.tmp`), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects files that are not pattern stores', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jf-patterns-'));
+    const file = path.join(dir, 'patterns.json');
+    try {
+      fs.writeFileSync(file, '{"version":9}');
+      assert.throws(
+        () => openPatternStore(file),
+        /not a version 1 pattern store/
+      );
+      fs.writeFileSync(file, '{oops');
+      assert.throws(() => openPatternStore(file), /not valid JSON/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * JewelForge Policy — tabular Q-learning over strategy × category.
+ *
+ * Each agent keeps its own Q-table. A state is the epoch phase (opening,
+ * middle, closing) plus the trend regime read from the previous cycle's
+ * velocity score; an action is a strategy × category pair. Actions are
+ * chosen epsilon-greedily or by UCB1 from a seeded rng, and the design's
+ * outcome is turned into a reward by configurable shaping weights.
+ *
+ * The engine either passes the chosen action to the LLM as advice or,
+ * with `control.strategy` / `control.category`, imposes it on the blueprint.
+ */
+
+const CATEGORIES = ['Ring', 'Pendant', 'Earrings', 'Bracelet'];
+const STRATEGIES = ['exploit', 'explore', 'mutate'];
+const POLICY_ALGORITHMS = ['epsilon-greedy', 'ucb'];
+
+const DEFAULT_POLICY_OPTIONS = {
+  algorithm: 'epsilon-greedy',
+  epsilon: 0.3,
+  epsilonDecay: 0.85,
+  minEpsilon: 0.05,
+  ucbC: 1.0,
+  alpha: 0.5,
+  gamma: 0.6,
+  initialQ: 0,
+  // Reward = Σ weight × signal; see shapeReward()
+  reward: { credits: 1, rank: 0, win: 0, profit: 0, novelty: 0 },
+  control: { strategy: false, category: false },
+};
+
+// ── State and action encoding ────────────────────────────────
+
+function epochPhase(cycleNum, totalCycles) {
+  const pos = totalCycles > 1 ? (cycleNum - 1) / (totalCycles - 1) : 1;
+  return pos < 1 / 3 ? 'opening' : pos <= 2 / 3 ? 'middle' : 'closing';
+}
+
+// Velocity is 0-100: how fast trends shifted in the last cycle
+function trendRegime(trendData) {
+  const v = trendData?.velocityScore;
+  if (typeof v !== 'number') return 'cold';
+  return v < 40 ? 'stable' : v < 70 ? 'shifting' : 'volatile';
+}
+
+function policyState(cycleNum, totalCycles, lastTrendData) {
+  return `${epochPhase(cycleNum, totalCycles)}|${trendRegime(lastTrendData)}`;
+}
+
+const ACTIONS = STRATEGIES.flatMap((strategy) =>
+  CATEGORIES.map((cat) => ({ strategy, cat, key: `${strategy}|${cat}` }))
+);
+
+// ── Reward shaping ───────────────────────────────────────────
+
+/**
+ * Weighted sum of normalised outcome signals for one design:
+ *   credits  credits earned relative to the cycle average (1 = average)
+ *   rank     1 for first place down to 0 for last
+ *   win      1 for the cycle winner, else 0
+ *   profit   the design's profit score / 100
+ *   novelty  the design's novelty score / 100
+ * `weights` may also be a function (design, context) => number.
+ */
+function shapeReward(design, context, weights = DEFAULT_POLICY_OPTIONS.reward) {
+  if (typeof weights === 'function') return weights(design, context);
+  const { avgCredits, designCount } = context;
+  const signals = {
+    credits: avgCredits > 0 ? design.credits / avgCredits : 0,
+    rank: designCount > 1 ? (designCount - design.rank) / (designCount - 1) : 1,
+    win: design.rank === 1 ? 1 : 0,
+    profit: (design.profit || 0) / 100,
+    novelty: (design.novelty || 0) / 100,
+  };
+  return +Object.entries(weights)
+    .reduce((sum, [k, w]) => sum + (signals[k] ?? 0) * w, 0)
+    .toFixed(4);
+}
+
+// ── Policy ───────────────────────────────────────────────────
+
+function createPolicy(options = {}, rng) {
+  if (!rng) throw new Error('createPolicy requires an rng');
+  const { table: savedTable, ...overrides } = options;
+  const opts = {
+    ...DEFAULT_POLICY_OPTIONS,
+    ...overrides,
+    control: { ...DEFAULT_POLICY_OPTIONS.control, ...overrides.control },
+  };
+  if (!POLICY_ALGORITHMS.includes(opts.algorithm))
+    throw new Error(
+      `Unknown policy algorithm "${opts.algorithm}" (use ${POLICY_ALGORITHMS.join(' or ')})`
+    );
+
+  // table[agentId][state][action] = { q, n }; a saved table warm-starts
+  const table = savedTable ? JSON.parse(JSON.stringify(savedTable)) : {};
+  const updates = {};
+
+  function cell(agentId, state, key) {
+    table[agentId] ??= {};
+    table[agentId][state] ??= {};
+    table[agentId][state][key] ??= { q: opts.initialQ, n: 0 };
+    return table[agentId][state][key];
+  }
+
+  function epsilonFor(agentId) {
+    return Math.max(
+      opts.minEpsilon,
+      opts.epsilon * opts.epsilonDecay ** (updates[agentId] || 0)
+    );
+  }
+
+  function bestOf(scored) {
+    const top = Math.max(...scored.map((s) => s.score));
+    return rng.pick(scored.filter((s) => s.score === top)).action;
+  }
+
+  function select(agentId, state) {
+    const cells = ACTIONS.map((action) => ({
+      action,
+      ...cell(agentId, state, action.key),
+    }));
+    let action;
+    let explored = false;
+    if (opts.algorithm === 'ucb') {
+      const visits = cells.reduce((s, c) => s + c.n, 0);
+      action = bestOf(
+        cells.map((c) => ({
+          action: c.action,
+          score:
+            c.n === 0
+              ? Infinity
+              : c.q + opts.ucbC * Math.sqrt(Math.log(visits) / c.n),
+        }))
+      );
+      explored = cells.find((c) => c.action === action).n === 0;
+    } else if (rng.next() < epsilonFor(agentId)) {
+      action = rng.pick(ACTIONS);
+      explored = true;
+    } else {
+      action = bestOf(cells.map((c) => ({ action: c.action, score: c.q })));
+    }
+    return {
+      agentId,
+      state,
+      strategy: action.strategy,
+      cat: action.cat,
+      q: +cell(agentId, state, action.key).q.toFixed(4),
+      explored,
+    };
+  }
+
+  // One Q-learning step; `nextState` is null after the final cycle
+  function learn(agentId, state, strategy, cat, reward, nextState) {
+    const c = cell(agentId, state, `${strategy}|${cat}`);
+    const future = nextState
+      ? Math.max(...ACTIONS.map((a) => cell(agentId, nextState, a.key).q))
+      : 0;
+    c.q += opts.alpha * (reward + opts.gamma * future - c.q);
+    c.n++;
+    updates[agentId] = (updates[agentId] || 0) + 1;
+    return c.q;
+  }
+
+  function greedy(agentId, state) {
+    const cells = ACTIONS.map((a) => ({ a, ...cell(agentId, state, a.key) }));
+    const best = cells.reduce((b, c) => (c.q > b.q ? c : b));
+    return { strategy: best.a.strategy, cat: best.a.cat, q: best.q };
+  }
+
+  return {
+    options: opts,
+    table,
+    select,
+    learn,
+    greedy,
+    toJSON: () => ({ options: opts, table }),
+  };
+}
+
+// Blueprint-prompt section describing the policy's pick for this cycle
+function policyDirective(pick, control) {
+  const action = `${pick.strategy.toUpperCase()} ${pick.cat}`;
+  if (control.strategy && control.category)
+    return `YOUR STRATEGY AND CATEGORY ARE FIXED THIS CYCLE by your learned policy: ${action}. Design within them.`;
+  if (control.strategy)
+    return `YOUR STRATEGY IS FIXED THIS CYCLE by your learned policy: ${pick.strategy.toUpperCase()}. Choose the category yourself.`;
+  if (control.category)
+    return `YOUR CATEGORY IS FIXED THIS CYCLE by your learned policy: ${pick.cat}. Choose the strategy yourself.`;
+  return `LEARNED POLICY RECOMMENDATION (${pick.explored ? 'exploring' : `Q=${pick.q}`}): ${action}. You may deviate if the intelligence argues otherwise.`;
+}
+
+module.exports = {
+  POLICY_ALGORITHMS,
+  DEFAULT_POLICY_OPTIONS,
+  ACTIONS,
+  epochPhase,
+  trendRegime,
+  policyState,
+  shapeReward,
+  createPolicy,
+  policyDirective,
+};
@@ -0,0 +1,167 @@
+/**
+ * JewelForge Policy — Test Suite
+ *
+ * Run with: node --test policy.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ACTIONS,
+  epochPhase,
+  trendRegime,
+  policyState,
+  shapeReward,
+  createPolicy,
+  policyDirective,
+} = require('./policy.js');
+const { createRng } = require('./rng.js');
+
+// ═══════════════════════════════════════════════════════════════
+//  1. STATE AND REWARD
+// ═══════════════════════════════════════════════════════════════
+
+describe('policyState', () => {
+  it('splits the epoch into opening, middle and closing thirds', () => {
+    assert.deepEqual(
+      [1, 2, 3, 4, 5].map((c) => epochPhase(c, 5)),
+      ['opening', 'opening', 'middle', 'closing', 'closing']
+    );
+    assert.equal(epochPhase(1, 1), 'closing');
+  });
+
+  it('reads the trend regime from the velocity score', () => {
+    assert.equal(trendRegime(null), 'cold');
+    assert.equal(trendRegime({ velocityScore: 20 }), 'stable');
+    assert.equal(trendRegime({ velocityScore: 55 }), 'shifting');
+    assert.equal(trendRegime({ velocityScore: 90 }), 'volatile');
+    assert.equal(policyState(1, 5, null), 'opening|cold');
+  });
+});
+
+describe('shapeReward', () => {
+  const context = { avgCredits: 10000, designCount: 5 };
+  const design = { credits: 15000, rank: 1, profit: 80, novelty: 40 };
+
+  it('defaults to credits relative to the cycle average', () => {
+    assert.equal(shapeReward(design, context), 1.5);
+  });
+
+  it('combines weighted signals', () => {
+    const r = shapeReward(design, context, {
+      credits: 0.5,
+      rank: 1,
+      win: 2,
+      profit: 1,
+    });
+    assert.equal(r, 0.75 + 1 + 2 + 0.8);
+    assert.equal(
+      shapeReward({ ...design, rank: 5 }, context, { rank: 1, win: 1 }),
+      0
+    );
+  });
+
+  it('accepts a reward function', () => {
+    assert.equal(
+      shapeReward(design, context, (d, ctx) => d.credits - ctx.avgCredits),
+      5000
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. SELECTION AND LEARNING
+// ═══════════════════════════════════════════════════════════════
+
+describe('createPolicy', () => {
+  it('rejects unknown algorithms and requires an rng', () => {
+    assert.throws(() => createPolicy({}), /requires an rng/);
+    assert.throws(
+      () => createPolicy({ algorithm: 'softmax' }, createRng(1)),
+      /Unknown policy algorithm "softmax"/
+    );
+  });
+
+  it('applies the Q-learning update with bootstrapping', () => {
+    const policy = createPolicy({ alpha: 0.5, gamma: 0.5 }, createRng(1));
+    policy.learn(0, 'middle|stable', 'explore', 'Ring', 2, null);
+    assert.equal(policy.table[0]['middle|stable']['explore|Ring'].q, 1);
+    // 0 + 0.5 × (1 + 0.5 × max Q(next) − 0) with max Q(next) = 1
+    policy.learn(0, 'opening|cold', 'mutate', 'Pendant', 1, 'middle|stable');
+    assert.equal(policy.table[0]['opening|cold']['mutate|Pendant'].q, 0.75);
+  });
+
+  it('exploits the best action once epsilon is zero', () => {
+    const policy = createPolicy({ epsilon: 0, minEpsilon: 0 }, createRng(3));
+    policy.learn(2, 's', 'exploit', 'Bracelet', 5, null);
+    const pick = policy.select(2, 's');
+    assert.deepEqual(
+      [pick.strategy, pick.cat, pick.explored],
+      ['exploit', 'Bracelet', false]
+    );
+    assert.deepEqual(policy.greedy(2, 's'), {
+      strategy: 'exploit',
+      cat: 'Bracelet',
+      q: 2.5,
+    });
+  });
+
+  it('explores every action before repeating under UCB', () => {
+    const policy = createPolicy({ algorithm: 'ucb' }, createRng(4));
+    const seen = new Set();
+    for (let i = 0; i < ACTIONS.length; i++) {
+      const pick = policy.select(0, 's');
+      assert.ok(pick.explored);
+      seen.add(`${pick.strategy}|${pick.cat}`);
+      policy.learn(0, 's', pick.strategy, pick.cat, 1, null);
+    }
+    assert.equal(seen.size, ACTIONS.length);
+    assert.equal(policy.select(0, 's').explored, false);
+  });
+
+  it('keeps separate tables per agent and warm-starts from a saved one', () => {
+    const policy = createPolicy({}, createRng(5));
+    policy.learn(0, 's', 'explore', 'Ring', 4, null);
+    assert.equal(policy.table[1], undefined);
+    const restored = createPolicy(
+      { table: policy.toJSON().table },
+      createRng(5)
+    );
+    assert.equal(restored.table[0].s['explore|Ring'].q, 2);
+  });
+
+  it('draws the same picks from the same seed', () => {
+    const run = () => {
+      const policy = createPolicy({ epsilon: 0.5 }, createRng(11));
+      return Array.from({ length: 20 }, (_, i) => {
+        const p = policy.select(i % 3, 's');
+        policy.learn(i % 3, 's', p.strategy, p.cat, i % 4, 's');
+        return `${p.strategy}|${p.cat}`;
+      });
+    };
+    assert.deepEqual(run(), run());
+  });
+});
+
+describe('policyDirective', () => {
+  const pick = { strategy: 'explore', cat: 'Pendant', q: 1.2, explored: false };
+
+  it('advises when nothing is controlled', () => {
+    assert.match(
+      policyDirective(pick, { strategy: false, category: false }),
+      /RECOMMENDATION \(Q=1\.2\): EXPLORE Pendant/
+    );
+  });
+
+  it('states what is fixed', () => {
+    assert.match(
+      policyDirective(pick, { strategy: true, category: true }),
+      /STRATEGY AND CATEGORY ARE FIXED.*EXPLORE Pendant/
+    );
+    assert.match(
+      policyDirective(pick, { strategy: false, category: true }),
+      /CATEGORY IS FIXED.*Pendant/
+    );
+  });
+});
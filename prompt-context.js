@@ -0,0 +1,202 @@
+/**
+ * JewelForge Prompt Context — token-budgeted system prompts.
+ *
+ * llmCall used to prepend the agent's bio, genome, full evolution history,
+ * every conversation memory and every prior cycle report to each call, so
+ * the system prompt grew every cycle. Here the context is assembled from
+ * named sections, each with a priority and an optional cap in (estimated)
+ * tokens, under an overall budget:
+ *
+ *   identity, task   who the agent is and the phase's instructions; never cut
+ *   genome           traits and manufacturing constraints
+ *   reports          the latest `fullReports` cycle reports in full
+ *   digests          one-line digests of the cycles before those
+ *   evolution, memory, lineage, bio, traits, trends, precedents, qtable,
+ *   rationales, voteWeight
+ *
+ * A section is a header plus parts, oldest first. A section over its cap
+ * keeps its newest parts and notes how many were omitted; a lone part that
+ * is still too long is cut. If the whole prompt is over budget, sections
+ * are shrunk in ascending priority until it fits, and dropped when too
+ * little room is left. assembleContext() reports what happened to every
+ * section, which the engine records per call for the debug view.
+ */
+
+const DEFAULT_CONTEXT = {
+  budget: 6000,
+  fullReports: 2,
+  sections: {
+    identity: { required: true },
+    task: { required: true },
+    genome: { priority: 90 },
+    reports: { priority: 80, max: 2400 },
+    voteWeight: { priority: 75 },
+    digests: { priority: 70, max: 600 },
+    trends: { priority: 65, max: 300 },
+    evolution: { priority: 60, max: 500 },
+    memory: { priority: 55, max: 500 },
+    bio: { priority: 50, max: 400 },
+    precedents: { priority: 50, max: 600 },
+    traits: { priority: 45, max: 300 },
+    lineage: { priority: 40, max: 300 },
+    rationales: { priority: 40, max: 400 },
+    qtable: { priority: 35, max: 400 },
+  },
+};
+
+const CONTEXT_SECTIONS = Object.keys(DEFAULT_CONTEXT.sections);
+
+// Below this many tokens a section is dropped rather than cut to a stub
+const MIN_SECTION_TOKENS = 24;
+
+/**
+ * Rough token count: about four characters of English per token, while
+ * non-ASCII characters (⬡, box drawing, accents) usually cost one each.
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  let nonAscii = 0;
+  for (const ch of text) if (ch.charCodeAt(0) > 127) nonAscii++;
+  return Math.ceil((text.length - nonAscii) / 4 + nonAscii);
+}
+
+// Accepts a budget in tokens or { budget, fullReports, sections } where
+// sections override the defaults per id, and fills defaults
+function resolveContext(context) {
+  const given = typeof context === 'number' ? { budget: context } : context;
+  const opts = { ...DEFAULT_CONTEXT, ...given };
+  if (!(opts.budget > 0))
+    throw new Error('Context budget must be a positive number of tokens');
+  if (!Number.isInteger(opts.fullReports) || opts.fullReports < 0)
+    throw new Error('Context fullReports must be a non-negative integer');
+  const sections = {};
+  for (const id of CONTEXT_SECTIONS)
+    sections[id] = { ...DEFAULT_CONTEXT.sections[id] };
+  for (const [id, cfg] of Object.entries(given?.sections || {})) {
+    if (!sections[id])
+      throw new Error(
+        `Unknown context section "${id}" (available: ${CONTEXT_SECTIONS.join(', ')})`
+      );
+    Object.assign(sections[id], cfg);
+    const { priority, max } = sections[id];
+    if (priority !== undefined && typeof priority !== 'number')
+      throw new Error(`Context section ${id}: priority must be a number`);
+    if (max !== undefined && !(max >= 0))
+      throw new Error(`Context section ${id}: max must be a number of tokens`);
+  }
+  return { ...opts, sections };
+}
+
+// ── Fitting sections ─────────────────────────────────────────
+
+function renderSection(section, parts = section.parts, omitted = 0) {
+  const lines = [];
+  if (section.header) lines.push(section.header);
+  if (omitted > 0)
+    lines.push(
+      `  (${omitted} earlier entr${omitted === 1 ? 'y' : 'ies'} omitted)`
+    );
+  lines.push(...parts);
+  return lines.join('\n').trim();
+}
+
+// Cuts text to about `tokens`, at a line or word boundary where possible
+function cutText(text, tokens) {
+  let end = Math.max(0, tokens * 4 - 2);
+  while (end > 0 && estimateTokens(text.slice(0, end)) > tokens - 1) end--;
+  let cut = text.slice(0, end);
+  const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+  if (boundary > end * 0.6) cut = cut.slice(0, boundary);
+  return `${cut.trimEnd()}…`;
+}
+
+// The section at most `max` tokens: newest parts first, then a cut
+function fitSection(section, max) {
+  const parts = section.parts.filter(Boolean);
+  const full = renderSection(section, parts);
+  const fullTokens = estimateTokens(full);
+  if (fullTokens <= max)
+    return { text: full, tokens: fullTokens, status: 'full', omitted: 0 };
+  if (max < MIN_SECTION_TOKENS)
+    return { text: '', tokens: 0, status: 'dropped', omitted: parts.length };
+  for (let keep = parts.length - 1; keep >= 1; keep--) {
+    const text = renderSection(
+      section,
+      parts.slice(-keep),
+      parts.length - keep
+    );
+    const tokens = estimateTokens(text);
+    if (tokens <= max)
+      return {
+        text,
+        tokens,
+        status: 'truncated',
+        omitted: parts.length - keep,
+      };
+  }
+  const omitted = parts.length - 1;
+  const frame = estimateTokens(renderSection(section, [], omitted));
+  const room = max - frame - 1;
+  if (room < MIN_SECTION_TOKENS / 2)
+    return { text: '', tokens: 0, status: 'dropped', omitted: parts.length };
+  const text = renderSection(section, [cutText(parts.at(-1), room)], omitted);
+  return { text, tokens: estimateTokens(text), status: 'truncated', omitted };
+}
+
+/**
+ * Builds the system prompt from `sections` ([{ id, header?, parts }] in
+ * prompt order) within the budget. Returns { text, tokens, budget,
+ * sections } where each section reports its status ('full', 'truncated' or
+ * 'dropped'), the tokens it used, the tokens it wanted and how many of its
+ * parts were omitted.
+ */
+function assembleContext(sections, context) {
+  const opts = resolveContext(context);
+  const fitted = sections
+    .filter((s) => s.parts.some(Boolean))
+    .map((s) => {
+      const cfg = opts.sections[s.id] || { priority: 0 };
+      const cap = cfg.required ? Infinity : (cfg.max ?? Infinity);
+      return {
+        section: s,
+        cfg,
+        fullTokens: estimateTokens(renderSection(s)),
+        ...fitSection(s, cap),
+      };
+    });
+  const join = () =>
+    fitted
+      .map((f) => f.text)
+      .filter(Boolean)
+      .join('\n\n');
+  let over = estimateTokens(join()) - opts.budget;
+  const byPriority = fitted
+    .filter((f) => !f.cfg.required)
+    .sort((a, b) => a.cfg.priority - b.cfg.priority);
+  for (const f of byPriority) {
+    if (over <= 0) break;
+    Object.assign(f, fitSection(f.section, Math.max(0, f.tokens - over)));
+    over = estimateTokens(join()) - opts.budget;
+  }
+  const text = join();
+  return {
+    text,
+    tokens: estimateTokens(text),
+    budget: opts.budget,
+    sections: fitted.map((f) => ({
+      id: f.section.id,
+      status: f.status,
+      tokens: f.tokens,
+      fullTokens: f.fullTokens,
+      omitted: f.omitted,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT,
+  CONTEXT_SECTIONS,
+  estimateTokens,
+  resolveContext,
+  assembleContext,
+};
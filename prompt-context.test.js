@@ -0,0 +1,147 @@
+/**
+ * JewelForge Prompt Context — Test Suite
+ *
+ * Run with: node --test prompt-context.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_CONTEXT,
+  estimateTokens,
+  resolveContext,
+  assembleContext,
+} = require('./prompt-context.js');
+
+const words = (n, w = 'word') => Array(n).fill(w).join(' ');
+const status = (usage) =>
+  Object.fromEntries(usage.sections.map((s) => [s.id, s.status]));
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS AND ESTIMATES
+// ═══════════════════════════════════════════════════════════════
+
+describe('estimateTokens', () => {
+  it('counts about four ASCII characters or one symbol per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcdefgh'), 2);
+    assert.equal(estimateTokens('═══ 100⬡'), 5);
+  });
+});
+
+describe('resolveContext', () => {
+  it('fills defaults from a budget or partial options', () => {
+    assert.deepEqual(resolveContext(), DEFAULT_CONTEXT);
+    assert.equal(resolveContext(2000).budget, 2000);
+    const opts = resolveContext({ sections: { memory: { max: 100 } } });
+    assert.deepEqual(opts.sections.memory, { priority: 55, max: 100 });
+    assert.equal(opts.sections.bio.max, 400);
+  });
+
+  it('rejects bad budgets and unknown sections', () => {
+    assert.throws(() => resolveContext(0), /positive number of tokens/);
+    assert.throws(
+      () => resolveContext({ fullReports: -1 }),
+      /fullReports must be a non-negative integer/
+    );
+    assert.throws(
+      () => resolveContext({ sections: { weather: {} } }),
+      /Unknown context section "weather" \(available: identity, task,/
+    );
+    assert.throws(
+      () => resolveContext({ sections: { bio: { priority: 'high' } } }),
+      /bio: priority must be a number/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. ASSEMBLY
+// ═══════════════════════════════════════════════════════════════
+
+describe('assembleContext', () => {
+  const memory = {
+    id: 'memory',
+    header: 'MEMORY:',
+    parts: [1, 2, 3, 4, 5].map((c) => `  [Cycle ${c}] ${words(40)}`),
+  };
+
+  it('keeps everything in prompt order when it fits', () => {
+    const usage = assembleContext([
+      { id: 'identity', parts: ['You are Luna.'] },
+      { id: 'bio', header: 'BIO:', parts: [''] },
+      { id: 'genome', parts: ['GENOME'] },
+      { id: 'task', parts: ['Design a ring.'] },
+    ]);
+    assert.equal(usage.text, 'You are Luna.\n\nGENOME\n\nDesign a ring.');
+    assert.equal(usage.tokens, estimateTokens(usage.text));
+    assert.deepEqual(status(usage), {
+      identity: 'full',
+      genome: 'full',
+      task: 'full',
+    });
+  });
+
+  it('caps a section to its newest parts and says what was omitted', () => {
+    const usage = assembleContext([memory], {
+      sections: { memory: { max: 120 } },
+    });
+    assert.match(usage.text, /^MEMORY:\n {2}\(3 earlier entries omitted\)/);
+    assert.ok(usage.text.includes('[Cycle 5]'));
+    assert.ok(!usage.text.includes('[Cycle 3]'));
+    assert.deepEqual(usage.sections[0], {
+      id: 'memory',
+      status: 'truncated',
+      tokens: estimateTokens(usage.text),
+      fullTokens: estimateTokens([memory.header, ...memory.parts].join('\n')),
+      omitted: 3,
+    });
+  });
+
+  it('cuts a lone part that is still too long', () => {
+    const usage = assembleContext(
+      [{ id: 'bio', header: 'BIO:', parts: [words(400)] }],
+      { sections: { bio: { max: 50 } } }
+    );
+    assert.ok(usage.tokens <= 50);
+    assert.match(usage.text, /^BIO:\nword word .*word…$/);
+  });
+
+  it('shrinks the lowest priorities first to fit the budget', () => {
+    const sections = [
+      { id: 'identity', parts: [words(20, 'me')] },
+      { id: 'genome', parts: [words(200, 'gene')] },
+      memory,
+      { id: 'qtable', parts: [words(100, 'q')] },
+      { id: 'task', parts: [words(20, 'do')] },
+    ];
+    const usage = assembleContext(sections, 400);
+    assert.ok(usage.tokens <= 400);
+    assert.deepEqual(status(usage), {
+      identity: 'full',
+      genome: 'full',
+      memory: 'truncated',
+      qtable: 'dropped',
+      task: 'full',
+    });
+    assert.ok(usage.text.endsWith(words(20, 'do')));
+  });
+
+  it('never cuts required sections, even over budget', () => {
+    const usage = assembleContext(
+      [
+        { id: 'identity', parts: [words(200)] },
+        { id: 'genome', parts: [words(200)] },
+        { id: 'task', parts: [words(200)] },
+      ],
+      100
+    );
+    assert.deepEqual(status(usage), {
+      identity: 'full',
+      genome: 'dropped',
+      task: 'full',
+    });
+    assert.ok(usage.tokens > usage.budget);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * JewelForge RNG — seedable pseudo-random number generator.
+ *
+ * A small mulberry32 generator that every stochastic step of an epoch draws
+ * from, so that a seed plus recorded LLM responses replays an epoch exactly.
+ * Seeds may be numbers or strings; the generator state is a single uint32
+ * that can be captured and restored at cycle boundaries.
+ */
+
+// FNV-1a over the string form of the seed → uint32
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isInteger(seed)) return seed >>> 0;
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function createRng(seed = Date.now(), state) {
+  let s = state ?? hashSeed(seed);
+
+  function next() {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Inclusive integer range
+  function int(min, max) {
+    return min + Math.floor(next() * (max - min + 1));
+  }
+
+  function pick(arr) {
+    return arr[Math.floor(next() * arr.length)];
+  }
+
+  function shuffle(arr) {
+    const out = [...arr];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(next() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  // Independent stream derived from the seed and a label. Draw order inside
+  // concurrent work (parallel voters, etc.) cannot disturb the parent stream.
+  function fork(label) {
+    return createRng(`${seed}:${label}`);
+  }
+
+  return {
+    seed,
+    next,
+    int,
+    pick,
+    shuffle,
+    fork,
+    state: () => s,
+  };
+}
+
+module.exports = { hashSeed, createRng };
@@ -0,0 +1,80 @@
+/**
+ * JewelForge RNG — Test Suite
+ *
+ * Run with: node --test rng.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { hashSeed, createRng } = require('./rng.js');
+
+describe('hashSeed', () => {
+  it('passes integers through as uint32', () => {
+    assert.equal(hashSeed(42), 42);
+    assert.equal(hashSeed(-1), 4294967295);
+  });
+
+  it('hashes strings deterministically', () => {
+    assert.equal(hashSeed('epoch-a'), hashSeed('epoch-a'));
+    assert.notEqual(hashSeed('epoch-a'), hashSeed('epoch-b'));
+  });
+});
+
+describe('createRng', () => {
+  it('produces the same sequence for the same seed', () => {
+    const a = createRng(123);
+    const b = createRng(123);
+    for (let i = 0; i < 20; i++) assert.equal(a.next(), b.next());
+  });
+
+  it('produces different sequences for different seeds', () => {
+    const a = createRng(1);
+    const b = createRng(2);
+    assert.notEqual(a.next(), b.next());
+  });
+
+  it('returns floats in [0, 1)', () => {
+    const rng = createRng('range');
+    for (let i = 0; i < 1000; i++) {
+      const v = rng.next();
+      assert.ok(v >= 0 && v < 1, `out of range: ${v}`);
+    }
+  });
+
+  it('int() is inclusive on both ends', () => {
+    const rng = createRng(7);
+    const seen = new Set();
+    for (let i = 0; i < 500; i++) seen.add(rng.int(1, 3));
+    assert.deepEqual([...seen].sort(), [1, 2, 3]);
+  });
+
+  it('pick() and shuffle() draw from the array without mutating it', () => {
+    const rng = createRng(9);
+    const arr = ['a', 'b', 'c', 'd'];
+    assert.ok(arr.includes(rng.pick(arr)));
+    const shuffled = rng.shuffle(arr);
+    assert.deepEqual([...shuffled].sort(), arr);
+    assert.deepEqual(arr, ['a', 'b', 'c', 'd']);
+  });
+
+  it('resumes from a captured state', () => {
+    const rng = createRng(55);
+    rng.next();
+    rng.next();
+    const resumed = createRng(55, rng.state());
+    assert.equal(resumed.next(), rng.next());
+  });
+
+  it('fork() streams depend only on seed and label', () => {
+    const a = createRng(5);
+    const b = createRng(5);
+    b.next(); // parent draw order must not matter
+    assert.equal(a.fork('vote:1:0').next(), b.fork('vote:1:0').next());
+    assert.notEqual(a.fork('vote:1:0').next(), a.fork('vote:1:1').next());
+  });
+
+  it('keeps the seed it was given', () => {
+    assert.equal(createRng('my-epoch').seed, 'my-epoch');
+  });
+});
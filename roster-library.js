@@ -0,0 +1,488 @@
+/**
+ * JewelForge Roster Library — evolved agents kept across epochs.
+ *
+ * Agents built in the builder disappear when their epoch ends. The library
+ * saves each one as a version: its identity, genome, bio, evolution history
+ * and conversation memory, plus how the epoch went for it. A library is a
+ * JSON or YAML document:
+ *
+ *   {
+ *     "version": 1,
+ *     "agents": [
+ *       {
+ *         "id": "luna-vex",
+ *         "versions": [
+ *           { "version": 1, "parent": null, "epoch": "…", "savedAt": "…",
+ *             "profile": { "name": "Luna Vex", "arch": "…", … },
+ *             "genome": { "novelty": 62, …, "styleTags": ["sculptural"] },
+ *             "bio": "…", "dominantBelief": "…", "trustBuilt": 35,
+ *             "evolutionHistory": [ … ], "conversationMemory": [ … ],
+ *             "record": { "credits": 104200, "reputation": 61,
+ *                         "cycles": 5, "wins": 2 } }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * veteran() turns a version back into a roster entry for a new epoch. The
+ * entry carries a `lineage` ({ id, version, epochs, history, memory }), so
+ * saving it again after that epoch adds a child version rather than a new
+ * agent; lineage() lists the versions with their genome changes from parent
+ * to child. Refs name an agent's latest version ("luna-vex") or a given one
+ * ("luna-vex@2").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GENOME_TRAITS } = require('./game-logic.js');
+const { validate } = require('./schemas.js');
+const { stringifyYaml, parseYaml } = require('./yaml.js');
+
+const ROSTER_LIBRARY_VERSION = 1;
+const ROSTER_FORMATS = ['json', 'yaml'];
+
+// Builder fields that are identity rather than genome
+const PROFILE_FIELDS = [
+  'name',
+  'emoji',
+  'arch',
+  'philosophy',
+  'marketFocus',
+  'rings',
+  'necklaces',
+  'earrings',
+  'bracelets',
+  'highJewelry',
+];
+
+// How much earlier-epoch history a veteran brings into its prompts
+const VETERAN_HISTORY = 6;
+const VETERAN_MEMORY = 4;
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+const slugify = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'agent';
+
+// ── Schema ───────────────────────────────────────────────────
+
+const VERSION_SCHEMA = {
+  type: 'object',
+  required: ['version', 'profile', 'genome'],
+  properties: {
+    version: { type: 'integer', minimum: 1 },
+    savedAt: { type: 'string' },
+    profile: {
+      type: 'object',
+      required: ['name'],
+      properties: { name: { type: 'string' } },
+    },
+    genome: {
+      type: 'object',
+      properties: {
+        styleTags: { type: 'array', items: { type: 'string' } },
+      },
+      additionalProperties: { type: 'number', minimum: 0, maximum: 100 },
+      check: (genome) => {
+        const unknown = Object.keys(genome).filter(
+          (k) => k !== 'styleTags' && !GENOME_TRAITS.includes(k)
+        );
+        return unknown.length
+          ? `unknown genome trait ${unknown.join(', ')}`
+          : null;
+      },
+    },
+    bio: { type: 'string' },
+    dominantBelief: { type: 'string' },
+    trustBuilt: { type: 'number' },
+    evolutionHistory: { type: 'array', items: { type: 'object' } },
+    conversationMemory: { type: 'array', items: { type: 'object' } },
+  },
+  check: (v) =>
+    v.parent === undefined ||
+    v.parent === null ||
+    (Number.isInteger(v.parent) && v.parent < v.version)
+      ? null
+      : 'parent must be null or an earlier version',
+};
+
+const ROSTER_LIBRARY_SCHEMA = {
+  type: 'object',
+  required: ['version', 'agents'],
+  properties: {
+    version: { type: 'integer', enum: [ROSTER_LIBRARY_VERSION] },
+    agents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'versions'],
+        properties: {
+          id: {
+            type: 'string',
+            check: (id) =>
+              /^[a-z0-9]+(-[a-z0-9]+)*$/.test(id)
+                ? null
+                : 'must be lower-case words joined by hyphens',
+          },
+          versions: { type: 'array', minItems: 1, items: VERSION_SCHEMA },
+        },
+        check: (agent) => {
+          const numbers = agent.versions.map((v) => v.version);
+          if (new Set(numbers).size !== numbers.length)
+            return 'duplicate version numbers';
+          const orphan = agent.versions.find(
+            (v) => v.parent != null && !numbers.includes(v.parent)
+          );
+          return orphan
+            ? `version ${orphan.version} has missing parent ${orphan.parent}`
+            : null;
+        },
+      },
+    },
+  },
+};
+
+// Returns a list of "path: problem" strings; empty when the document is valid
+function validateRosterLibrary(doc) {
+  return validate(ROSTER_LIBRARY_SCHEMA, doc);
+}
+
+/**
+ * Validates a library document (object, JSON or YAML text) and returns it.
+ * Throws listing every problem when the document is invalid.
+ */
+function parseRosterLibrary(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = /^\s*[{[]/.test(input) ? JSON.parse(input) : parseYaml(input);
+    } catch (e) {
+      throw new Error(`Roster library is not valid JSON or YAML: ${e.message}`);
+    }
+  }
+  const errors = validateRosterLibrary(doc);
+  if (errors.length)
+    throw new Error(`Invalid roster library: ${errors.join('; ')}`);
+  return doc;
+}
+
+// ── Versions ─────────────────────────────────────────────────
+
+// The saved form of an agent as it stands
+function snapshotAgent(agent) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS)
+    if (agent[field] !== undefined) profile[field] = agent[field];
+  const genome = {};
+  for (const trait of GENOME_TRAITS)
+    if (typeof agent[trait] === 'number') genome[trait] = agent[trait];
+  genome.styleTags = [...(agent.styleTags || [])];
+  return clone({
+    profile,
+    genome,
+    bio: agent.bio || '',
+    dominantBelief: agent.dominantBelief || '',
+    trustBuilt: agent.trustBuilt || 0,
+    evolutionHistory: agent.evolutionHistory || [],
+    conversationMemory: agent.conversationMemory || [],
+  });
+}
+
+// Numeric trait deltas and style-tag changes from the parent's genome. A
+// first version has no parent, so its shifts are summed from its own
+// evolution history.
+function genomeChanges(parent, version) {
+  const after = version.genome;
+  const before = parent?.genome || after;
+  const shifts = {};
+  for (const trait of GENOME_TRAITS) {
+    const delta = parent
+      ? (after[trait] ?? 0) - (before[trait] ?? 0)
+      : (version.evolutionHistory || []).reduce(
+          (s, e) => s + (e.genomeShifts?.[trait] || 0),
+          0
+        );
+    if (after[trait] !== undefined && delta !== 0) shifts[trait] = delta;
+  }
+  const was = before.styleTags || [];
+  const now = after.styleTags || [];
+  return {
+    shifts,
+    addedTags: now.filter((t) => !was.includes(t)),
+    droppedTags: was.filter((t) => !now.includes(t)),
+  };
+}
+
+// How each agent fared over an epoch, by roster index
+function epochRecords(result) {
+  const reports = result.cycleReports || [];
+  return (result.agentStates || []).map((a, idx) => ({
+    credits: a.credits,
+    reputation: a.reputation,
+    cycles: reports.length,
+    wins: reports.filter((r) => r.winner?.agentIdx === idx).length,
+  }));
+}
+
+// ── Library ──────────────────────────────────────────────────
+
+function createRosterLibrary(options = {}) {
+  const { agents: saved = [], now = () => new Date() } = options;
+  const agents = new Map();
+  for (const entry of clone(saved)) agents.set(entry.id, entry);
+
+  function entryFor(id) {
+    const entry = agents.get(id);
+    if (!entry)
+      throw new Error(
+        `Unknown agent "${id}" (available: ${[...agents.keys()].join(', ')})`
+      );
+    return entry;
+  }
+
+  function resolve(ref) {
+    const [id, number] = String(ref).split('@');
+    const entry = entryFor(id);
+    const version = number
+      ? entry.versions.find((v) => v.version === Number(number))
+      : entry.versions.at(-1);
+    if (!version)
+      throw new Error(
+        `Agent "${id}" has no version ${number} (available: ${entry.versions.map((v) => v.version).join(', ')})`
+      );
+    return { entry, version };
+  }
+
+  // The chain of versions from the first to `version`
+  function ancestry(entry, version) {
+    const chain = [version];
+    while (chain[0].parent != null)
+      chain.unshift(entry.versions.find((v) => v.version === chain[0].parent));
+    return chain;
+  }
+
+  function freeId(name) {
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; agents.has(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  const library = {
+    get size() {
+      return agents.size;
+    },
+
+    /**
+     * Saves an agent as a new version and returns its ref { id, version }.
+     * A veteran (with `lineage`) becomes a child of the version it was
+     * seeded from; anyone else starts a new agent.
+     */
+    add(agent, { epoch = null, record = null } = {}) {
+      const known = agent.lineage && agents.has(agent.lineage.id);
+      const entry = known
+        ? agents.get(agent.lineage.id)
+        : { id: freeId(agent.name), versions: [] };
+      if (!known) agents.set(entry.id, entry);
+      const version = {
+        version: Math.max(0, ...entry.versions.map((v) => v.version)) + 1,
+        parent: known ? agent.lineage.version : null,
+        epoch,
+        savedAt: now().toISOString(),
+        ...snapshotAgent(agent),
+        record,
+      };
+      entry.versions.push(version);
+      return { id: entry.id, version: version.version };
+    },
+
+    // Saves every agent of a runEpoch() result with its epoch record
+    addEpoch(result, { epoch = result.epochId ?? null } = {}) {
+      const records = epochRecords(result);
+      return result.agentStates.map((agent, idx) =>
+        library.add(agent, { epoch, record: records[idx] })
+      );
+    },
+
+    get(ref) {
+      return clone(resolve(ref).version);
+    },
+
+    list() {
+      return [...agents.values()].map((entry) => {
+        const latest = entry.versions.at(-1);
+        return {
+          id: entry.id,
+          name: latest.profile.name,
+          emoji: latest.profile.emoji,
+          arch: latest.profile.arch,
+          versions: entry.versions.length,
+          latest: latest.version,
+          record: latest.record || null,
+        };
+      });
+    },
+
+    /**
+     * Every version of an agent in order, each with its parent and the
+     * genome changes since that parent.
+     */
+    lineage(id) {
+      const entry = entryFor(id);
+      return entry.versions.map((v) => {
+        const parent = entry.versions.find((p) => p.version === v.parent);
+        return {
+          version: v.version,
+          parent: v.parent,
+          epoch: v.epoch,
+          savedAt: v.savedAt,
+          name: v.profile.name,
+          record: v.record || null,
+          ...genomeChanges(parent, v),
+        };
+      });
+    },
+
+    /**
+     * A roster entry that seeds a new epoch with the saved agent: its
+     * genome, bio, belief, trust and reputation, and in `lineage` the
+     * evolution summaries and conversations of every epoch it has played.
+     */
+    veteran(ref) {
+      const { entry, version } = resolve(ref);
+      const chain = ancestry(entry, version);
+      // `generation` numbers the agent's epochs from its first
+      const history = chain.flatMap((v, i) =>
+        (v.evolutionHistory || []).map((e) => ({
+          generation: i + 1,
+          epoch: v.epoch,
+          cycle: e.cycle,
+          summary: e.summary,
+        }))
+      );
+      const memory = chain.flatMap((v, i) =>
+        (v.conversationMemory || []).map((m) => ({
+          generation: i + 1,
+          epoch: v.epoch,
+          ...m,
+        }))
+      );
+      return clone({
+        ...version.profile,
+        ...version.genome,
+        bio: version.bio,
+        dominantBelief: version.dominantBelief,
+        trustBuilt: version.trustBuilt,
+        ...(version.record ? { reputation: version.record.reputation } : {}),
+        lineage: {
+          id: entry.id,
+          version: version.version,
+          epochs: chain.length,
+          history: history.slice(-VETERAN_HISTORY),
+          memory: memory.slice(-VETERAN_MEMORY),
+        },
+      });
+    },
+
+    /**
+     * Merges another library (object, JSON or YAML text). Versions already
+     * present (same epoch and save time) are skipped; the rest are
+     * appended in version order and renumbered, keeping their parents.
+     * Returns the number of versions added.
+     */
+    import(input) {
+      const doc = parseRosterLibrary(input);
+      let added = 0;
+      for (const incoming of doc.agents) {
+        // Parents are earlier versions, so they are numbered first
+        const versions = [...incoming.versions].sort(
+          (a, b) => a.version - b.version
+        );
+        const entry = agents.get(incoming.id);
+        if (!entry) {
+          agents.set(incoming.id, clone({ ...incoming, versions }));
+          added += versions.length;
+          continue;
+        }
+        const numbering = new Map();
+        for (const v of versions) {
+          const same = entry.versions.find(
+            (e) => e.epoch === v.epoch && e.savedAt === v.savedAt
+          );
+          if (same) {
+            numbering.set(v.version, same.version);
+            continue;
+          }
+          const copy = clone(v);
+          copy.version = Math.max(...entry.versions.map((e) => e.version)) + 1;
+          copy.parent = v.parent == null ? null : numbering.get(v.parent);
+          numbering.set(v.version, copy.version);
+          entry.versions.push(copy);
+          added++;
+        }
+      }
+      return added;
+    },
+
+    toJSON() {
+      return {
+        version: ROSTER_LIBRARY_VERSION,
+        agents: clone([...agents.values()]),
+      };
+    },
+  };
+  return library;
+}
+
+// The library as JSON or YAML text
+function exportRosterLibrary(library, format = 'json') {
+  if (!ROSTER_FORMATS.includes(format))
+    throw new Error(
+      `Unknown roster format "${format}" (available: ${ROSTER_FORMATS.join(', ')})`
+    );
+  const doc = library.toJSON();
+  return format === 'yaml'
+    ? stringifyYaml(doc)
+    : `${JSON.stringify(doc, null, 2)}\n`;
+}
+
+function loadRosterLibrary(input, options = {}) {
+  return createRosterLibrary({
+    ...options,
+    agents: parseRosterLibrary(input).agents,
+  });
+}
+
+/**
+ * Opens (or creates on first save) a file-backed library. The format
+ * follows the extension: .yaml or .yml for YAML, anything else JSON.
+ */
+function openRosterLibrary(file, options = {}) {
+  const library = fs.existsSync(file)
+    ? loadRosterLibrary(fs.readFileSync(file, 'utf8'), options)
+    : createRosterLibrary(options);
+  const format = /\.ya?ml$/i.test(file) ? 'yaml' : 'json';
+  library.file = file;
+  library.save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, exportRosterLibrary(library, format));
+    fs.renameSync(tmp, file);
+  };
+  return library;
+}
+
+module.exports = {
+  ROSTER_LIBRARY_VERSION,
+  ROSTER_FORMATS,
+  ROSTER_LIBRARY_SCHEMA,
+  validateRosterLibrary,
+  parseRosterLibrary,
+  createRosterLibrary,
+  exportRosterLibrary,
+  loadRosterLibrary,
+  openRosterLibrary,
+};
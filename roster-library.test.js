@@ -0,0 +1,246 @@
+/**
+ * JewelForge Roster Library — Test Suite
+ *
+ * Run with: node --test roster-library.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseRosterLibrary,
+  createRosterLibrary,
+  exportRosterLibrary,
+  loadRosterLibrary,
+  openRosterLibrary,
+} = require('./roster-library.js');
+const { runEpoch, createSimulation } = require('./engine.js');
+const { agentGenomeStr } = require('./game-logic.js');
+
+function makeRoster(n = 4) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `Agent ${i}`,
+    emoji: '◆',
+    arch: 'Minimalist Architect',
+    philosophy: 'Less, but better',
+    risk: 30 + i * 10,
+    novelty: 50 + i,
+    styleTags: ['minimal'],
+    reputation: 50,
+  }));
+}
+
+const FIXED_NOW = () => new Date('2026-01-15T12:00:00Z');
+
+async function libraryAfterEpoch(roster = makeRoster(), cycles = 2) {
+  const library = createRosterLibrary({ now: FIXED_NOW });
+  const result = await runEpoch(roster, { cycles, seed: 5, now: FIXED_NOW });
+  const refs = library.addEpoch(result);
+  return { library, result, refs };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. SAVING AGENTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('createRosterLibrary', () => {
+  it('saves each evolved agent with genome, history and record', async () => {
+    const { library, result, refs } = await libraryAfterEpoch();
+    assert.deepEqual(refs[0], { id: 'agent-0', version: 1 });
+    const saved = library.get('agent-0');
+    const agent = result.agentStates[0];
+    assert.equal(saved.profile.name, 'Agent 0');
+    assert.equal(saved.profile.philosophy, 'Less, but better');
+    assert.equal(saved.genome.risk, agent.risk);
+    assert.deepEqual(saved.genome.styleTags, agent.styleTags);
+    assert.equal(saved.evolutionHistory.length, 2);
+    assert.equal(
+      saved.conversationMemory.length,
+      agent.conversationMemory.length
+    );
+    assert.equal(saved.epoch, result.epochId);
+    assert.deepEqual(saved.record, {
+      credits: agent.credits,
+      reputation: agent.reputation,
+      cycles: 2,
+      wins: result.cycleReports.filter((r) => r.winner.agentIdx === 0).length,
+    });
+    assert.equal(library.list().length, 4);
+  });
+
+  it('gives agents with the same name distinct ids', () => {
+    const library = createRosterLibrary();
+    library.add({ name: 'Luna Vex' });
+    assert.deepEqual(library.add({ name: 'Luna Vex' }), {
+      id: 'luna-vex-2',
+      version: 1,
+    });
+  });
+
+  it('names the available agents and versions for a bad ref', () => {
+    const library = createRosterLibrary();
+    library.add({ name: 'Luna' });
+    assert.throws(
+      () => library.get('kai'),
+      /Unknown agent "kai" \(available: luna\)/
+    );
+    assert.throws(
+      () => library.get('luna@3'),
+      /Agent "luna" has no version 3 \(available: 1\)/
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. VETERANS AND LINEAGE
+// ═══════════════════════════════════════════════════════════════
+
+describe('veterans', () => {
+  it('seed a new epoch and come back as child versions', async () => {
+    const { library } = await libraryAfterEpoch();
+    const veteran = library.veteran('agent-1');
+    assert.equal(veteran.name, 'Agent 1');
+    assert.deepEqual(veteran.lineage.id, 'agent-1');
+    assert.equal(veteran.lineage.epochs, 1);
+    assert.equal(veteran.lineage.history[0].generation, 1);
+
+    const sim = createSimulation([veteran, ...makeRoster(3)], { seed: 1 });
+    assert.equal(sim.agentStates[0].dominantBelief, veteran.dominantBelief);
+    assert.equal(sim.agentStates[0].reputation, veteran.reputation);
+    assert.deepEqual(sim.agentStates[0].evolutionHistory, []);
+    assert.match(
+      agentGenomeStr(sim.agentStates[0]),
+      /VETERAN OF 1 EARLIER EPOCH \(library agent-1@1\):\n {2}\[Epoch 1, Cycle 1\]/
+    );
+
+    const second = await runEpoch([veteran, ...makeRoster(3)], {
+      cycles: 2,
+      seed: 6,
+      now: FIXED_NOW,
+    });
+    const [ref] = library.addEpoch(second);
+    assert.deepEqual(ref, { id: 'agent-1', version: 2 });
+
+    const lineage = library.lineage('agent-1');
+    assert.deepEqual(
+      lineage.map((v) => [v.version, v.parent]),
+      [
+        [1, null],
+        [2, 1],
+      ]
+    );
+    const grown = second.agentStates[0];
+    const shift = grown.risk - library.get('agent-1@1').genome.risk;
+    assert.equal(lineage[1].shifts.risk || 0, shift);
+    assert.equal(library.veteran('agent-1').lineage.epochs, 2);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. IMPORT / EXPORT
+// ═══════════════════════════════════════════════════════════════
+
+describe('exportRosterLibrary / parseRosterLibrary', () => {
+  it('round-trips as JSON and YAML', async () => {
+    const { library } = await libraryAfterEpoch(makeRoster(2), 1);
+    for (const format of ['json', 'yaml']) {
+      const text = exportRosterLibrary(library, format);
+      assert.deepEqual(loadRosterLibrary(text).toJSON(), library.toJSON());
+    }
+    assert.match(exportRosterLibrary(library, 'yaml'), /^version: 1\nagents:/);
+    assert.throws(
+      () => exportRosterLibrary(library, 'xml'),
+      /Unknown roster format "xml" \(available: json, yaml\)/
+    );
+  });
+
+  it('rejects invalid documents listing every problem', () => {
+    assert.throws(
+      () =>
+        parseRosterLibrary({
+          version: 1,
+          agents: [
+            {
+              id: 'Luna',
+              versions: [
+                {
+                  version: 1,
+                  profile: { name: 'Luna' },
+                  genome: { charisma: 50 },
+                },
+              ],
+            },
+            {
+              id: 'kai',
+              versions: [
+                { version: 1, profile: { name: 'Kai' }, genome: {} },
+                { version: 3, parent: 2, profile: { name: 'Kai' }, genome: {} },
+              ],
+            },
+          ],
+        }),
+      /\$\.agents\[0\]\.id: must be lower-case.*genome: unknown genome trait charisma.*agents\[1\]: version 3 has missing parent 2/
+    );
+    assert.throws(() => parseRosterLibrary('a: [1'), /not valid JSON or YAML/);
+  });
+
+  it('merges imported versions and keeps their lineage', () => {
+    const mine = createRosterLibrary({ now: FIXED_NOW });
+    mine.add({ name: 'Luna', risk: 40 }, { epoch: 'e1' });
+    const theirs = loadRosterLibrary(exportRosterLibrary(mine), {
+      now: () => new Date('2026-02-01T00:00:00Z'),
+    });
+    theirs.add({ ...theirs.veteran('luna'), risk: 55 }, { epoch: 'e2' });
+    assert.equal(mine.import(exportRosterLibrary(theirs, 'yaml')), 1);
+    assert.deepEqual(
+      mine.lineage('luna').map((v) => [v.version, v.parent, v.shifts.risk]),
+      [
+        [1, null, undefined],
+        [2, 1, 15],
+      ]
+    );
+    // Importing again adds nothing
+    assert.equal(mine.import(theirs.toJSON()), 0);
+  });
+
+  it('merges versions listed out of order', () => {
+    const mine = createRosterLibrary({ now: FIXED_NOW });
+    mine.add({ name: 'Luna', risk: 40 }, { epoch: 'e1' });
+    const theirs = loadRosterLibrary(exportRosterLibrary(mine), {
+      now: () => new Date('2026-02-01T00:00:00Z'),
+    });
+    theirs.add({ ...theirs.veteran('luna'), risk: 55 }, { epoch: 'e2' });
+    theirs.add({ ...theirs.veteran('luna'), risk: 70 }, { epoch: 'e3' });
+    const doc = theirs.toJSON();
+    doc.agents[0].versions.reverse();
+    doc.agents.push({ ...doc.agents[0], id: 'nova' });
+    assert.equal(mine.import(doc), 5);
+    for (const id of ['luna', 'nova'])
+      assert.deepEqual(
+        mine.lineage(id).map((v) => [v.version, v.parent, v.shifts.risk]),
+        [
+          [1, null, undefined],
+          [2, 1, 15],
+          [3, 2, 15],
+        ]
+      );
+  });
+});
+
+describe('openRosterLibrary', () => {
+  it('persists to a YAML file', () => {
+    const file = path.join(os.tmpdir(), `roster-${process.pid}.yaml`);
+    try {
+      const library = openRosterLibrary(file, { now: FIXED_NOW });
+      library.add({ name: 'Kai Orin', novelty: 70 });
+      library.save();
+      assert.match(fs.readFileSync(file, 'utf8'), /id: kai-orin/);
+      assert.equal(openRosterLibrary(file).get('kai-orin').genome.novelty, 70);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * JewelForge Rule Sets — named, loadable evolution rule sets.
+ *
+ * A rule set is a JSON document describing how genomes shift after each
+ * cycle and which belief each agent takes away from it:
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "luxury-boom",
+ *     "title": "Luxury boom",
+ *     "description": "…",
+ *     "stages": [
+ *       {
+ *         "label": "Opening",
+ *         "winner": { "ornamentation": 6 },
+ *         "loser": { "novelty": 8 },
+ *         "others": { "diamond": 3 },
+ *         "beliefs": {
+ *           "byAgent": { "Luna": "…" },
+ *           "byArchetype": { "Market Strategist": "…" },
+ *           "default": "…"
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * Stages form an arc that rulesForCycle() stretches over any epoch length.
+ * Shifts name genome traits with integer deltas; belief lookup prefers the
+ * agent's name or id, then its archetype, then the stage default.
+ *
+ * The built-in "classic" set is EVOLUTION_RULES from game-logic.js; the
+ * others live as documents in rule-sets/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EVOLUTION_RULES, GENOME_TRAITS } = require('./game-logic.js');
+const { validate, unknownTraits } = require('./schemas.js');
+
+const RULE_SET_VERSION = 1;
+
+// ── Schema ───────────────────────────────────────────────────
+
+const SHIFT_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'integer', minimum: -20, maximum: 20 },
+  check: unknownTraits,
+};
+
+const BELIEF_MAP_SCHEMA = {
+  type: 'object',
+  additionalProperties: { type: 'string' },
+};
+
+const RULE_SET_SCHEMA = {
+  type: 'object',
+  required: ['version', 'name', 'stages'],
+  properties: {
+    version: { type: 'integer', enum: [RULE_SET_VERSION] },
+    name: {
+      type: 'string',
+      check: (name) =>
+        /^[a-z0-9]+(-[a-z0-9]+)*$/.test(name)
+          ? null
+          : 'must be lower-case words joined by hyphens',
+    },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    stages: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['winner', 'loser', 'others', 'beliefs'],
+        properties: {
+          label: { type: 'string' },
+          winner: SHIFT_SCHEMA,
+          loser: SHIFT_SCHEMA,
+          others: SHIFT_SCHEMA,
+          beliefs: {
+            type: 'object',
+            properties: {
+              byAgent: BELIEF_MAP_SCHEMA,
+              byArchetype: BELIEF_MAP_SCHEMA,
+              default: { type: 'string' },
+            },
+            check: (b) =>
+              b.byAgent || b.byArchetype || b.default
+                ? null
+                : 'needs byAgent, byArchetype or default',
+          },
+        },
+      },
+    },
+  },
+};
+
+// Returns a list of "path: problem" strings; empty when the document is valid
+function validateRuleSet(doc) {
+  return validate(RULE_SET_SCHEMA, doc);
+}
+
+// ── Loading ──────────────────────────────────────────────────
+
+/**
+ * Validates a rule-set document (object or JSON text) and returns it in the
+ * form the engine uses: `{ name, title, description, stages }` where
+ * `stages` is keyed 1..n like EVOLUTION_RULES. Throws listing every problem
+ * when the document is invalid.
+ */
+function parseRuleSet(input) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (e) {
+      throw new Error(`Rule set is not valid JSON: ${e.message}`);
+    }
+  }
+  const errors = validateRuleSet(doc);
+  if (errors.length)
+    throw new Error(
+      `Invalid rule set${doc?.name ? ` "${doc.name}"` : ''}: ${errors.join('; ')}`
+    );
+  const stages = {};
+  doc.stages.forEach(({ label, ...rules }, i) => {
+    stages[i + 1] = rules;
+  });
+  return {
+    name: doc.name,
+    title: doc.title || doc.name,
+    description: doc.description || '',
+    stages,
+  };
+}
+
+function loadRuleSetFile(file) {
+  return parseRuleSet(fs.readFileSync(file, 'utf8'));
+}
+
+// The inverse of parseRuleSet(), for exporting a set as a JSON document
+function toRuleSetDocument(ruleSet) {
+  return {
+    version: RULE_SET_VERSION,
+    name: ruleSet.name,
+    title: ruleSet.title,
+    description: ruleSet.description,
+    stages: Object.keys(ruleSet.stages)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((k) => ruleSet.stages[k]),
+  };
+}
+
+// ── Built-in sets ────────────────────────────────────────────
+
+const RULE_SET_DIR = path.join(__dirname, 'rule-sets');
+
+const CLASSIC_RULE_SET = {
+  name: 'classic',
+  title: 'Minimal to organic synthesis',
+  description:
+    'Minimal dominates early, saturates mid-epoch and gives way to refined organic forms before a market-fit synthesis.',
+  stages: EVOLUTION_RULES,
+};
+
+const builtIns = new Map([['classic', CLASSIC_RULE_SET]]);
+for (const file of fs.readdirSync(RULE_SET_DIR).sort()) {
+  if (!file.endsWith('.json')) continue;
+  const set = loadRuleSetFile(path.join(RULE_SET_DIR, file));
+  builtIns.set(set.name, set);
+}
+
+function listRuleSets() {
+  return [...builtIns.values()].map(({ name, title, description }) => ({
+    name,
+    title,
+    description,
+  }));
+}
+
+function getRuleSet(name) {
+  const set = builtIns.get(name);
+  if (!set)
+    throw new Error(
+      `Unknown rule set "${name}" (available: ${[...builtIns.keys()].join(', ')})`
+    );
+  return set;
+}
+
+// Accepts a built-in name, a parsed rule set or a raw document
+function resolveRuleSet(ruleSet) {
+  if (typeof ruleSet === 'string') return getRuleSet(ruleSet);
+  if (Array.isArray(ruleSet?.stages)) return parseRuleSet(ruleSet);
+  return ruleSet;
+}
+
+module.exports = {
+  RULE_SET_VERSION,
+  GENOME_TRAITS,
+  RULE_SET_SCHEMA,
+  validateRuleSet,
+  parseRuleSet,
+  loadRuleSetFile,
+  toRuleSetDocument,
+  listRuleSets,
+  getRuleSet,
+  resolveRuleSet,
+};
@@ -0,0 +1,123 @@
+/**
+ * JewelForge Rule Sets — Test Suite
+ *
+ * Run with: node --test rule-sets.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateRuleSet,
+  parseRuleSet,
+  toRuleSetDocument,
+  listRuleSets,
+  getRuleSet,
+  resolveRuleSet,
+} = require('./rule-sets.js');
+const { EVOLUTION_RULES, rulesForCycle } = require('./game-logic.js');
+
+function makeDoc(overrides = {}) {
+  return {
+    version: 1,
+    name: 'test-market',
+    title: 'Test market',
+    stages: [
+      {
+        label: 'Only stage',
+        winner: { novelty: 4 },
+        loser: { risk: 6 },
+        others: {},
+        beliefs: { byArchetype: { 'Market Strategist': 'Margins' } },
+      },
+    ],
+    ...overrides,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  1. VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+describe('validateRuleSet', () => {
+  it('accepts a well-formed document', () => {
+    assert.deepEqual(validateRuleSet(makeDoc()), []);
+  });
+
+  it('reports unknown traits, bad deltas and empty beliefs by path', () => {
+    const doc = makeDoc();
+    doc.stages[0].winner = { sparkle: 3 };
+    doc.stages[0].loser = { risk: 40 };
+    doc.stages[0].beliefs = {};
+    assert.deepEqual(validateRuleSet(doc), [
+      '$.stages[0].winner: unknown genome trait sparkle',
+      '$.stages[0].loser.risk: must be <= 20',
+      '$.stages[0].beliefs: needs byAgent, byArchetype or default',
+    ]);
+  });
+
+  it('checks version, name and that there is at least one stage', () => {
+    assert.deepEqual(
+      validateRuleSet(makeDoc({ version: 2, name: 'Luxury Boom', stages: [] })),
+      [
+        '$.version: must be one of 1',
+        '$.name: must be lower-case words joined by hyphens',
+        '$.stages: expected at least 1 items',
+      ]
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. LOADING
+// ═══════════════════════════════════════════════════════════════
+
+describe('parseRuleSet', () => {
+  it('keys stages from 1 and drops labels', () => {
+    const set = parseRuleSet(JSON.stringify(makeDoc()));
+    assert.equal(set.name, 'test-market');
+    assert.deepEqual(Object.keys(set.stages), ['1']);
+    assert.equal(set.stages[1].label, undefined);
+    assert.deepEqual(set.stages[1].winner, { novelty: 4 });
+  });
+
+  it('throws with every problem listed', () => {
+    assert.throws(
+      () => parseRuleSet(makeDoc({ stages: [{}] })),
+      /Invalid rule set "test-market": \$\.stages\[0\]\.winner: is required;/
+    );
+    assert.throws(() => parseRuleSet('{oops'), /not valid JSON/);
+  });
+
+  it('round-trips through toRuleSetDocument', () => {
+    const doc = toRuleSetDocument(getRuleSet('classic'));
+    assert.deepEqual(validateRuleSet(doc), []);
+    assert.deepEqual(parseRuleSet(doc).stages, EVOLUTION_RULES);
+  });
+});
+
+describe('built-in rule sets', () => {
+  it('ships classic plus the documents in rule-sets/', () => {
+    assert.deepEqual(
+      listRuleSets().map((s) => s.name),
+      ['classic', 'luxury-boom', 'minimal-first-market']
+    );
+  });
+
+  it('stretches every set over an epoch of any length', () => {
+    for (const { name } of listRuleSets()) {
+      const { stages } = getRuleSet(name);
+      for (const cycles of [1, 3, 5, 8]) {
+        for (let c = 1; c <= cycles; c++) {
+          assert.ok(rulesForCycle(c, cycles, stages), `${name} ${c}/${cycles}`);
+        }
+      }
+    }
+  });
+
+  it('resolves names and raw documents, and rejects unknown names', () => {
+    assert.equal(resolveRuleSet('luxury-boom'), getRuleSet('luxury-boom'));
+    assert.equal(resolveRuleSet(makeDoc()).name, 'test-market');
+    assert.throws(() => getRuleSet('nope'), /Unknown rule set "nope"/);
+  });
+});
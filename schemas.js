@@ -0,0 +1,443 @@
+/**
+ * JewelForge Schemas — response contracts for structured LLM replies.
+ *
+ * Each reply the simulation parses as JSON (votes, blueprint and its design
+ * spec, evolution shifts, trend report) has a schema here, written in a
+ * small subset of JSON Schema: type, enum, minimum/maximum,
+ * minItems/maxItems, required, properties, additionalProperties and
+ * default. Two extensions: `wrap` names
+ * the property a bare array should be wrapped into, and `check(value)`
+ * returns an error message for constraints the subset cannot express.
+ *
+ * checkReply() parses a raw reply, validates it, and attempts a structured
+ * repair (fence and trailing-comma cleanup, number coercion, clamping, enum
+ * case folding, defaults) before giving up with a list of errors.
+ */
+
+const {
+  METAL_TYPES,
+  KARATS,
+  GOLD_COLORS,
+  METAL_FINISHES,
+  STONE_TYPES,
+  STONE_CUTS,
+  STONE_SETTINGS,
+  STONE_ROLES,
+  TEXTURES,
+  ALL_CLOSURES,
+  metalProblem,
+  stoneProblem,
+  closureProblem,
+} = require('./design-spec.js');
+const { trendConflicts } = require('./trends.js');
+const { GENOME_TRAITS } = require('./game-logic.js');
+
+const CATEGORIES = ['Ring', 'Pendant', 'Earrings', 'Bracelet'];
+const STRATEGIES = ['exploit', 'explore', 'mutate'];
+
+// ── Schemas ──────────────────────────────────────────────────
+
+function voteSchema(designCount) {
+  return {
+    type: 'object',
+    wrap: 'votes',
+    required: ['votes'],
+    properties: {
+      reasoning: { type: 'string', default: '' },
+      votes: {
+        type: 'array',
+        minItems: designCount,
+        maxItems: designCount,
+        items: { type: 'integer', minimum: 0 },
+        check: (votes) =>
+          votes.some((v) => v > 0) ? null : 'allocates no credits',
+      },
+    },
+  };
+}
+
+// Quadratic votes: n vote counts whose squares fit the voice-credit budget
+function quadraticVoteSchema(designCount, budget) {
+  return {
+    type: 'object',
+    wrap: 'votes',
+    required: ['votes'],
+    properties: {
+      reasoning: { type: 'string', default: '' },
+      votes: {
+        type: 'array',
+        minItems: designCount,
+        maxItems: designCount,
+        items: { type: 'integer', minimum: 0 },
+        check: (votes) => {
+          const cost = votes.reduce((s, v) => s + v * v, 0);
+          if (cost === 0) return 'casts no votes';
+          return cost > budget
+            ? `costs ${cost} voice credits, over the budget of ${budget}`
+            : null;
+        },
+      },
+    },
+  };
+}
+
+// Ranked ballot: distinct design indices, best first
+function rankingSchema(designCount) {
+  return {
+    type: 'object',
+    wrap: 'ranking',
+    required: ['ranking'],
+    properties: {
+      reasoning: { type: 'string', default: '' },
+      ranking: {
+        type: 'array',
+        minItems: 1,
+        maxItems: designCount,
+        items: { type: 'integer', minimum: 0, maximum: designCount - 1 },
+        check: (ranking) =>
+          new Set(ranking).size === ranking.length
+            ? null
+            : 'ranks a design more than once',
+      },
+    },
+  };
+}
+
+// Approval ballot: the distinct design indices the voter approves of
+function approvalSchema(designCount) {
+  return {
+    type: 'object',
+    wrap: 'approve',
+    required: ['approve'],
+    properties: {
+      reasoning: { type: 'string', default: '' },
+      approve: {
+        type: 'array',
+        minItems: 1,
+        maxItems: designCount,
+        items: { type: 'integer', minimum: 0, maximum: designCount - 1 },
+        check: (approve) =>
+          new Set(approve).size === approve.length
+            ? null
+            : 'approves a design more than once',
+      },
+    },
+  };
+}
+
+// Sealed bids: n credit amounts that together stay within the budget
+function bidSchema(designCount, budget) {
+  return {
+    type: 'object',
+    wrap: 'bids',
+    required: ['bids'],
+    properties: {
+      reasoning: { type: 'string', default: '' },
+      bids: {
+        type: 'array',
+        minItems: designCount,
+        maxItems: designCount,
+        items: { type: 'integer', minimum: 0 },
+        check: (bids) => {
+          const total = bids.reduce((s, v) => s + v, 0);
+          if (total === 0) return 'places no bids';
+          return total > budget
+            ? `bids ${total} in total, over the budget of ${budget}`
+            : null;
+        },
+      },
+    },
+  };
+}
+
+// The typed design spec (see design-spec.js)
+const DESIGN_SPEC_SCHEMA = {
+  type: 'object',
+  required: ['metal', 'stones', 'dimensions', 'closure'],
+  properties: {
+    metal: {
+      type: 'object',
+      required: ['type', 'finish'],
+      properties: {
+        type: { type: 'string', enum: METAL_TYPES },
+        karat: { type: 'integer', enum: KARATS },
+        color: { type: 'string', enum: GOLD_COLORS },
+        finish: { type: 'string', enum: METAL_FINISHES },
+      },
+      check: metalProblem,
+    },
+    stones: {
+      type: 'array',
+      maxItems: 4,
+      items: {
+        type: 'object',
+        required: ['type', 'carats', 'setting'],
+        properties: {
+          type: { type: 'string', enum: STONE_TYPES },
+          cut: { type: 'string', enum: STONE_CUTS },
+          carats: { type: 'number', minimum: 0.005, maximum: 20 },
+          count: { type: 'integer', minimum: 1, maximum: 200, default: 1 },
+          setting: { type: 'string', enum: STONE_SETTINGS },
+          role: { type: 'string', enum: STONE_ROLES, default: 'center' },
+          lab: { type: 'boolean', default: false },
+        },
+        check: stoneProblem,
+      },
+    },
+    dimensions: {
+      type: 'object',
+      required: ['widthMm', 'heightMm'],
+      properties: {
+        widthMm: { type: 'number', minimum: 2, maximum: 250 },
+        heightMm: { type: 'number', minimum: 2, maximum: 250 },
+        depthMm: { type: 'number', minimum: 0.5, maximum: 60 },
+      },
+    },
+    weightGrams: { type: 'number', minimum: 0.3, maximum: 250 },
+    texture: { type: 'string', enum: TEXTURES, default: 'smooth' },
+    motif: { type: 'string', default: '' },
+    closure: { type: 'string', enum: ALL_CLOSURES },
+  },
+};
+
+const BLUEPRINT_SCHEMA = {
+  type: 'object',
+  required: ['strategy', 'cat', 'reasoning', 'spec', 'form'],
+  properties: {
+    strategy: { type: 'string', enum: STRATEGIES },
+    cat: { type: 'string', enum: CATEGORIES },
+    reasoning: { type: 'string' },
+    spec: DESIGN_SPEC_SCHEMA,
+    form: { type: 'string' },
+    production: { type: 'string' },
+    targetCustomer: { type: 'string' },
+    complexity: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+    estMargin: { type: 'integer', minimum: 40, maximum: 90, default: 65 },
+  },
+  check: (blueprint) => closureProblem(blueprint.spec, blueprint.cat),
+};
+
+// Genome shifts may only name genome traits, never ids, credits or
+// reputation
+function unknownTraits(shifts) {
+  const unknown = Object.keys(shifts).filter((k) => !GENOME_TRAITS.includes(k));
+  return unknown.length ? `unknown genome trait ${unknown.join(', ')}` : null;
+}
+
+const EVOLUTION_SCHEMA = {
+  type: 'object',
+  required: ['belief', 'shifts'],
+  properties: {
+    belief: { type: 'string' },
+    shifts: {
+      type: 'object',
+      additionalProperties: { type: 'integer', minimum: -10, maximum: 10 },
+      check: unknownTraits,
+    },
+    trend: { type: 'string' },
+  },
+};
+
+const TREND_SCHEMA = {
+  type: 'object',
+  required: ['emerging', 'declining', 'fi'],
+  properties: {
+    emerging: { type: 'array', minItems: 1, items: { type: 'string' } },
+    declining: { type: 'array', minItems: 1, items: { type: 'string' } },
+    saturation: { type: 'string' },
+    treasury: { type: 'string' },
+    fi: { type: 'array', minItems: 1, items: { type: 'string' } },
+  },
+};
+
+// The trend report checked against the computed trend model (see trends.js);
+// the velocity score is computed, not asked for
+function trendSchema(model) {
+  return { ...TREND_SCHEMA, check: (trend) => trendConflicts(trend, model) };
+}
+
+// ── Validation ───────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of "path: problem" strings; empty when the value conforms.
+function validate(schema, value, path = '$') {
+  if (!matchesType(schema.type, value))
+    return [`${path}: expected ${schema.type}, got ${typeOf(value)}`];
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value))
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  if (schema.minimum !== undefined && value < schema.minimum)
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum)
+    errors.push(`${path}: must be <= ${schema.maximum}`);
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      errors.push(`${path}: expected at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      errors.push(`${path}: expected at most ${schema.maxItems} items`);
+    if (schema.items)
+      value.forEach((v, i) =>
+        errors.push(...validate(schema.items, v, `${path}[${i}]`))
+      );
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const sub = schema.properties?.[key] || schema.additionalProperties;
+      if (sub && v !== undefined)
+        errors.push(...validate(sub, v, `${path}.${key}`));
+    }
+  }
+
+  if (errors.length === 0 && schema.check) {
+    const msg = schema.check(value);
+    if (msg) errors.push(`${path}: ${msg}`);
+  }
+  return errors;
+}
+
+// ── Repair ───────────────────────────────────────────────────
+
+// Best-effort coercion toward the schema. Never throws; values it cannot
+// make sense of are returned unchanged so validation reports them.
+function repairValue(schema, value) {
+  if (value === undefined || value === null) {
+    return schema.default !== undefined ? schema.default : value;
+  }
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      let n = typeof value === 'string' ? parseFloat(value) : value;
+      if (typeof n !== 'number' || Number.isNaN(n)) return value;
+      if (schema.type === 'integer') n = Math.round(n);
+      if (schema.minimum !== undefined) n = Math.max(schema.minimum, n);
+      if (schema.maximum !== undefined) n = Math.min(schema.maximum, n);
+      return n;
+    }
+    case 'string': {
+      const str =
+        typeof value === 'number' || typeof value === 'boolean'
+          ? String(value)
+          : value;
+      if (schema.enum && typeof str === 'string') {
+        const hit = schema.enum.find(
+          (e) => e.toLowerCase() === str.trim().toLowerCase()
+        );
+        if (hit) return hit;
+      }
+      return str;
+    }
+    case 'array': {
+      let arr = value;
+      if (!Array.isArray(arr) && schema.items?.type === 'string')
+        arr = typeof arr === 'string' ? [arr] : arr;
+      if (!Array.isArray(arr)) return value;
+      return schema.items ? arr.map((v) => repairValue(schema.items, v)) : arr;
+    }
+    case 'object': {
+      let obj = value;
+      if (Array.isArray(obj) && schema.wrap) obj = { [schema.wrap]: obj };
+      if (typeOf(obj) !== 'object') return value;
+      const out = {};
+      for (const [key, v] of Object.entries(obj)) {
+        const sub = schema.properties?.[key] || schema.additionalProperties;
+        out[key] = sub ? repairValue(sub, v) : v;
+      }
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        if (out[key] === undefined && sub.default !== undefined)
+          out[key] = sub.default;
+      }
+      return out;
+    }
+    default:
+      return value;
+  }
+}
+
+function stripFences(text) {
+  return text
+    .replace(/```json?\s*/g, '')
+    .replace(/```/g, '')
+    .trim();
+}
+
+// Strict parse first; then the outermost {…} or […] span with trailing
+// commas removed, for replies wrapped in prose.
+function parseReply(text) {
+  const body = stripFences(text);
+  try {
+    return { value: JSON.parse(body), repaired: false };
+  } catch (e) {
+    // fall through to the loose parse
+  }
+  const start = body.search(/[{[]/);
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+  if (start === -1 || end <= start) return { value: null, repaired: false };
+  try {
+    const span = body.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+    return { value: JSON.parse(span), repaired: true };
+  } catch (e) {
+    return { value: null, repaired: false };
+  }
+}
+
+/**
+ * Parses, validates and if needed repairs one raw reply. Returns
+ * `{ value, errors, repaired }`: `value` is the conforming object or null,
+ * `errors` lists what was wrong with the reply as received.
+ */
+function checkReply(schema, text) {
+  if (!text) return { value: null, errors: ['no reply'], repaired: false };
+  const parsed = parseReply(text);
+  if (parsed.value === null)
+    return {
+      value: null,
+      errors: ['reply is not valid JSON'],
+      repaired: false,
+    };
+
+  const noise = parsed.repaired ? ['reply has text outside the JSON'] : [];
+  const errors = validate(schema, parsed.value);
+  if (errors.length === 0)
+    return { value: parsed.value, errors: noise, repaired: parsed.repaired };
+
+  const fixed = repairValue(schema, parsed.value);
+  const all = [...noise, ...errors];
+  if (validate(schema, fixed).length === 0)
+    return { value: fixed, errors: all, repaired: true };
+  return { value: null, errors: all, repaired: false };
+}
+
+module.exports = {
+  voteSchema,
+  quadraticVoteSchema,
+  rankingSchema,
+  approvalSchema,
+  bidSchema,
+  DESIGN_SPEC_SCHEMA,
+  BLUEPRINT_SCHEMA,
+  EVOLUTION_SCHEMA,
+  TREND_SCHEMA,
+  unknownTraits,
+  trendSchema,
+  validate,
+  repairValue,
+  parseReply,
+  checkReply,
+};
@@ -0,0 +1,265 @@
+/**
+ * JewelForge Schemas — Test Suite
+ *
+ * Run with: node --test schemas.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  voteSchema,
+  quadraticVoteSchema,
+  rankingSchema,
+  approvalSchema,
+  bidSchema,
+  BLUEPRINT_SCHEMA,
+  EVOLUTION_SCHEMA,
+  TREND_SCHEMA,
+  validate,
+  repairValue,
+  parseReply,
+  checkReply,
+} = require('./schemas.js');
+
+const BLUEPRINT = {
+  strategy: 'explore',
+  cat: 'Pendant',
+  reasoning: 'Pendants are under-represented.',
+  spec: {
+    metal: { type: 'gold', karat: 18, color: 'yellow', finish: 'satin' },
+    stones: [
+      {
+        type: 'sapphire',
+        cut: 'oval',
+        carats: 1.2,
+        count: 1,
+        setting: 'bezel',
+        role: 'center',
+        lab: true,
+      },
+    ],
+    dimensions: { widthMm: 16, heightMm: 26, depthMm: 4 },
+    weightGrams: 3.5,
+    texture: 'hammered',
+    motif: 'teardrop',
+    closure: 'bail',
+  },
+  form: 'open teardrop frame',
+  complexity: 6,
+  estMargin: 70,
+};
+
+// ═══════════════════════════════════════════════════════════════
+//  1. VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+describe('validate', () => {
+  it('accepts conforming replies for every schema', () => {
+    assert.deepEqual(
+      validate(voteSchema(3), { reasoning: 'r', votes: [0, 6000, 4000] }),
+      []
+    );
+    assert.deepEqual(validate(BLUEPRINT_SCHEMA, BLUEPRINT), []);
+    assert.deepEqual(
+      validate(EVOLUTION_SCHEMA, { belief: 'b', shifts: { novelty: 4 } }),
+      []
+    );
+    assert.deepEqual(
+      validate(TREND_SCHEMA, {
+        emerging: ['a'],
+        declining: ['b'],
+        fi: ['c'],
+        velocityScore: 40,
+      }),
+      []
+    );
+  });
+
+  it('reports each problem with its path', () => {
+    const errors = validate(BLUEPRINT_SCHEMA, {
+      ...BLUEPRINT,
+      cat: 'Tiara',
+      complexity: 14,
+      form: undefined,
+    });
+    assert.deepEqual(errors, [
+      '$.form: is required',
+      '$.cat: must be one of Ring, Pendant, Earrings, Bracelet',
+      '$.complexity: must be <= 10',
+    ]);
+  });
+
+  it('checks the design spec and that its closure suits the category', () => {
+    const spec = BLUEPRINT.spec;
+    const errors = validate(BLUEPRINT_SCHEMA, {
+      ...BLUEPRINT,
+      spec: {
+        ...spec,
+        metal: { type: 'platinum', finish: 'mirror' },
+        stones: [{ ...spec.stones[0], cut: 'heart', carats: 0 }],
+        dimensions: { widthMm: 16 },
+      },
+    });
+    assert.deepEqual(errors, [
+      '$.spec.metal.finish: must be one of high polish, satin, brushed, matte, sandblasted, oxidised, enamel',
+      '$.spec.stones[0].cut: must be one of round brilliant, oval, pear, cushion, princess, emerald cut, marquise, baguette, rose cut, cabochon',
+      '$.spec.stones[0].carats: must be >= 0.005',
+      '$.spec.dimensions.heightMm: is required',
+    ]);
+    assert.deepEqual(
+      validate(BLUEPRINT_SCHEMA, {
+        ...BLUEPRINT,
+        spec: {
+          ...spec,
+          metal: { type: 'silver', karat: 14, finish: 'satin' },
+        },
+      }),
+      ['$.spec.metal: karat applies to gold, not silver']
+    );
+    assert.deepEqual(
+      validate(BLUEPRINT_SCHEMA, {
+        ...BLUEPRINT,
+        cat: 'Earrings',
+        spec: {
+          ...spec,
+          stones: [{ type: 'pearl', carats: 1, setting: 'prong' }],
+        },
+      }),
+      [
+        '$: bail closure does not suit Earrings (use post and butterfly, post and screw back, hook, lever-back, hinged hoop, clip-on)',
+      ]
+    );
+  });
+
+  it('checks vote length and that some credits are allocated', () => {
+    assert.deepEqual(validate(voteSchema(3), { votes: [0, 10000] }), [
+      '$.votes: expected at least 3 items',
+    ]);
+    assert.deepEqual(validate(voteSchema(2), { votes: [0, 0] }), [
+      '$.votes: allocates no credits',
+    ]);
+  });
+
+  it('checks ballot budgets and duplicate picks for other mechanisms', () => {
+    assert.deepEqual(
+      validate(quadraticVoteSchema(3, 100), { votes: [0, 8, 6] }),
+      []
+    );
+    assert.deepEqual(
+      validate(quadraticVoteSchema(3, 100), { votes: [0, 8, 7] }),
+      ['$.votes: costs 113 voice credits, over the budget of 100']
+    );
+    assert.deepEqual(validate(rankingSchema(3), { ranking: [2, 1, 2] }), [
+      '$.ranking: ranks a design more than once',
+    ]);
+    assert.deepEqual(validate(approvalSchema(3), { approve: [3] }), [
+      '$.approve[0]: must be <= 2',
+    ]);
+    assert.deepEqual(validate(bidSchema(2, 1000), { bids: [600, 500] }), [
+      '$.bids: bids 1100 in total, over the budget of 1000',
+    ]);
+  });
+
+  it('distinguishes integers from other numbers', () => {
+    assert.deepEqual(
+      validate(EVOLUTION_SCHEMA, { belief: 'b', shifts: { risk: 2.5 } }),
+      ['$.shifts.risk: expected integer, got number']
+    );
+  });
+
+  it('allows shifts to genome traits only', () => {
+    assert.deepEqual(
+      validate(EVOLUTION_SCHEMA, {
+        belief: 'b',
+        shifts: { id: 2, credits: -10, reputation: 10, novelty: 4 },
+      }),
+      ['$.shifts: unknown genome trait id, credits, reputation']
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. REPAIR
+// ═══════════════════════════════════════════════════════════════
+
+describe('repairValue', () => {
+  it('coerces, rounds and clamps numbers', () => {
+    const fixed = repairValue(EVOLUTION_SCHEMA, {
+      belief: 'b',
+      shifts: { novelty: '4', risk: 2.6, marketFit: 25 },
+    });
+    assert.deepEqual(fixed.shifts, { novelty: 4, risk: 3, marketFit: 10 });
+  });
+
+  it('folds enum case and fills defaults', () => {
+    const { complexity, estMargin, ...rest } = BLUEPRINT;
+    const fixed = repairValue(BLUEPRINT_SCHEMA, {
+      ...rest,
+      strategy: 'EXPLORE',
+      cat: ' pendant',
+    });
+    assert.equal(fixed.strategy, 'explore');
+    assert.equal(fixed.cat, 'Pendant');
+    assert.equal(fixed.complexity, 5);
+    assert.equal(fixed.estMargin, 65);
+  });
+
+  it('wraps a bare vote array', () => {
+    assert.deepEqual(repairValue(voteSchema(2), ['0', 10000]), {
+      votes: [0, 10000],
+      reasoning: '',
+    });
+  });
+});
+
+describe('parseReply', () => {
+  it('strips markdown fences', () => {
+    assert.deepEqual(parseReply('```json\n{"a":1}\n```'), {
+      value: { a: 1 },
+      repaired: false,
+    });
+  });
+
+  it('extracts JSON from surrounding prose and drops trailing commas', () => {
+    assert.deepEqual(parseReply('Here you go: {"a":[1,2,],} hope it helps'), {
+      value: { a: [1, 2] },
+      repaired: true,
+    });
+  });
+
+  it('returns null when nothing parses', () => {
+    assert.equal(parseReply('no json here').value, null);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. CHECK REPLY
+// ═══════════════════════════════════════════════════════════════
+
+describe('checkReply', () => {
+  it('passes clean replies through untouched', () => {
+    const res = checkReply(BLUEPRINT_SCHEMA, JSON.stringify(BLUEPRINT));
+    assert.deepEqual(res, { value: BLUEPRINT, errors: [], repaired: false });
+  });
+
+  it('repairs fixable replies and keeps the original errors', () => {
+    const res = checkReply(voteSchema(3), '[0, "5000", 5000.4]');
+    assert.deepEqual(res.value, { votes: [0, 5000, 5000], reasoning: '' });
+    assert.equal(res.repaired, true);
+    assert.deepEqual(res.errors, ['$: expected object, got array']);
+  });
+
+  it('gives up with errors when repair cannot help', () => {
+    const res = checkReply(voteSchema(4), '{"votes":[0,10000]}');
+    assert.equal(res.value, null);
+    assert.deepEqual(res.errors, ['$.votes: expected at least 4 items']);
+  });
+
+  it('reports missing and unparseable replies', () => {
+    assert.deepEqual(checkReply(TREND_SCHEMA, null).errors, ['no reply']);
+    assert.deepEqual(checkReply(TREND_SCHEMA, 'sorry').errors, [
+      'reply is not valid JSON',
+    ]);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * JewelForge Text Index — local lexical similarity without embeddings.
+ *
+ * Documents are tokenised into lower-case terms (accents folded, stopwords
+ * dropped, plural "s" trimmed) and indexed for Okapi BM25 ranking. The same
+ * statistics give TF-IDF vectors, whose cosine is a bounded 0-1 similarity
+ * used to spot near-duplicate designs.
+ */
+
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by can for from has have in into is it its ' +
+    'more most no not of on or our so than that the their then these this ' +
+    'those to very was we were what which while who will with you your'
+  ).split(' ')
+);
+
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map((t) =>
+      t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t
+    );
+}
+
+function termFrequencies(tokens) {
+  const tf = new Map();
+  tokens.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+  return tf;
+}
+
+/**
+ * Options: k1 (term-frequency saturation, default 1.2) and b (length
+ * normalisation, default 0.75), as in standard BM25.
+ */
+function createTextIndex({ k1 = 1.2, b = 0.75 } = {}) {
+  const docs = new Map(); // id → { tf, length }
+  const df = new Map(); // term → number of documents containing it
+  let totalLength = 0;
+
+  function remove(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.tf.forEach((_, term) => {
+      if (df.get(term) === 1) df.delete(term);
+      else df.set(term, df.get(term) - 1);
+    });
+    totalLength -= doc.length;
+    docs.delete(id);
+  }
+
+  function add(id, text) {
+    remove(id);
+    const tokens = tokenize(text);
+    const tf = termFrequencies(tokens);
+    tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1));
+    docs.set(id, { tf, length: tokens.length });
+    totalLength += tokens.length;
+  }
+
+  // BM25 idf, floored so that terms in every document still count a little
+  function idf(term) {
+    const n = df.get(term) || 0;
+    return Math.log(1 + (docs.size - n + 0.5) / (n + 0.5));
+  }
+
+  /**
+   * Documents ranked by BM25 against `query`, best first; documents sharing
+   * no term are omitted. `filter(id)` restricts the candidates.
+   */
+  function search(query, { limit = 5, filter } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const avgLength = docs.size ? totalLength / docs.size : 0;
+    const results = [];
+    docs.forEach((doc, id) => {
+      if (filter && !filter(id)) return;
+      let score = 0;
+      terms.forEach((term) => {
+        const f = doc.tf.get(term);
+        if (!f) return;
+        const norm = 1 - b + (b * doc.length) / (avgLength || 1);
+        score += (idf(term) * f * (k1 + 1)) / (f + k1 * norm);
+      });
+      if (score > 0) results.push({ id, score: +score.toFixed(4) });
+    });
+    return results.sort((x, y) => y.score - x.score).slice(0, limit);
+  }
+
+  function vector(tf) {
+    const v = new Map();
+    tf.forEach((f, term) => v.set(term, (1 + Math.log(f)) * idf(term)));
+    return v;
+  }
+
+  // Cosine similarity (0-1) of the TF-IDF vectors of two texts
+  function similarity(textA, textB) {
+    const a = vector(termFrequencies(tokenize(textA)));
+    const b2 = vector(termFrequencies(tokenize(textB)));
+    let dot = 0;
+    a.forEach((w, term) => (dot += w * (b2.get(term) || 0)));
+    const norm = (v) =>
+      Math.sqrt([...v.values()].reduce((s, w) => s + w * w, 0));
+    const denom = norm(a) * norm(b2);
+    return denom ? +(dot / denom).toFixed(4) : 0;
+  }
+
+  return {
+    get size() {
+      return docs.size;
+    },
+    add,
+    remove,
+    search,
+    similarity,
+  };
+}
+
+module.exports = { tokenize, createTextIndex };
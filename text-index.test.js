@@ -0,0 +1,69 @@
+/**
+ * JewelForge Text Index — Test Suite
+ *
+ * Run with: node --test text-index.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tokenize, createTextIndex } = require('./text-index.js');
+
+function makeIndex() {
+  const index = createTextIndex();
+  index.add(1, 'Platinum bezel ring with oval sapphire, clean castable shank');
+  index.add(2, 'Hammered rose gold cuff bracelet, organic river texture');
+  index.add(3, 'Rose gold pendant with pavé diamonds and a teardrop frame');
+  index.add(4, 'Oxidised silver ear climbers, brutalist geometric links');
+  return index;
+}
+
+describe('tokenize', () => {
+  it('folds case and accents, drops stopwords and trims plurals', () => {
+    assert.deepEqual(tokenize('The Pavé Diamonds and a Glass cuff'), [
+      'pave',
+      'diamond',
+      'glass',
+      'cuff',
+    ]);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('createTextIndex', () => {
+  it('ranks documents by BM25 and omits non-matches', () => {
+    const hits = makeIndex().search('rose gold teardrop pendant');
+    assert.deepEqual(
+      hits.map((h) => h.id),
+      [3, 2]
+    );
+    assert.ok(hits[0].score > hits[1].score);
+  });
+
+  it('honours limit and filter', () => {
+    const index = makeIndex();
+    assert.equal(index.search('gold', { limit: 1 }).length, 1);
+    assert.deepEqual(
+      index.search('gold', { filter: (id) => id !== 3 }).map((h) => h.id),
+      [2]
+    );
+  });
+
+  it('replaces and removes documents', () => {
+    const index = makeIndex();
+    index.add(4, 'rose gold teardrop pendant');
+    assert.equal(index.search('teardrop pendant')[0].id, 4);
+    index.remove(4);
+    assert.equal(index.size, 3);
+    assert.deepEqual(index.search('brutalist'), []);
+  });
+
+  it('scores cosine similarity between 0 and 1', () => {
+    const index = makeIndex();
+    const text = 'Rose gold pendant with pavé diamonds and a teardrop frame';
+    assert.equal(index.similarity(text, text), 1);
+    assert.equal(index.similarity(text, 'brutalist silver links'), 0);
+    const near = index.similarity(text, 'rose gold teardrop pendant, pavé');
+    assert.ok(near > 0.6 && near < 1, `near = ${near}`);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * JewelForge Transcripts — record and replay every LLM call of an epoch.
+ *
+ * createTranscriptRecorder() wraps an engine `llm` function and captures the
+ * full system prompt, user prompt, agent, phase, cycle and raw response of
+ * each call. createReplayLlm() turns a saved transcript back into an `llm`
+ * function that serves the recorded responses with no network access, so
+ * together with the recorded seed an epoch replays to the same outcome.
+ */
+
+const { runEpoch } = require('./engine.js');
+const { resolvePairing } = require('./pairing.js');
+const { resolveDialogue } = require('./dialogue.js');
+const { resolveVoting } = require('./voting.js');
+const { resolveCollusion } = require('./collusion.js');
+const { resolveJury } = require('./jury.js');
+const { resolveMarket } = require('./market.js');
+const { resolveManufacturing } = require('./manufacturing.js');
+const { resolveContext } = require('./prompt-context.js');
+const { resolveTrends } = require('./trends.js');
+const { createPatternStore, openPatternStore } = require('./pattern-store.js');
+
+const TRANSCRIPT_VERSION = 1;
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+function transcriptKey(meta = {}) {
+  return `${meta.cycle ?? ''}|${meta.phase ?? ''}|${meta.agentId ?? ''}`;
+}
+
+// ── Recording ────────────────────────────────────────────────
+
+function createTranscriptRecorder(llm, options = {}) {
+  const transcript = {
+    version: TRANSCRIPT_VERSION,
+    seed: options.seed ?? null,
+    entries: [],
+  };
+
+  async function record(system, user, meta = {}) {
+    // Entries are appended at call time so the transcript keeps invocation
+    // order even when concurrent calls resolve out of order
+    const entry = {
+      seq: transcript.entries.length,
+      cycle: meta.cycle ?? null,
+      phase: meta.phase ?? null,
+      agentId: meta.agentId ?? null,
+      agentName: meta.agentName ?? null,
+      system,
+      user,
+      response: null,
+    };
+    transcript.entries.push(entry);
+    try {
+      entry.response = (await llm(system, user, meta)) ?? null;
+    } catch (e) {
+      entry.error = e.message;
+      throw e;
+    }
+    return entry.response;
+  }
+
+  record.transcript = transcript;
+  return record;
+}
+
+// ── Replay ───────────────────────────────────────────────────
+
+/**
+ * Serves recorded responses keyed by (cycle, phase, agent). Within a key the
+ * entry whose prompts match exactly is preferred; otherwise the next unused
+ * entry is served and counted as divergent. Calls with no recorded entry
+ * return null (the engine's fallback path) and are counted as misses, or
+ * throw when `strict` is set.
+ */
+function createReplayLlm(transcript, options = {}) {
+  const { strict = false } = options;
+  const entries = Array.isArray(transcript) ? transcript : transcript.entries;
+  const byKey = new Map();
+  for (const entry of entries) {
+    const key = transcriptKey(entry);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(entry);
+  }
+  const used = new Set();
+  const stats = { served: 0, divergent: 0, misses: 0 };
+
+  async function replay(system, user, meta = {}) {
+    const pending = (byKey.get(transcriptKey(meta)) || []).filter(
+      (e) => !used.has(e)
+    );
+    let entry = pending.find((e) => e.system === system && e.user === user);
+    if (!entry && pending.length > 0) {
+      if (strict)
+        throw new Error(
+          `Replay diverged at cycle ${meta.cycle} ${meta.phase} for agent ${meta.agentId}`
+        );
+      entry = pending[0];
+      stats.divergent++;
+    }
+    if (!entry) {
+      if (strict)
+        throw new Error(
+          `No recorded response for cycle ${meta.cycle} ${meta.phase} agent ${meta.agentId}`
+        );
+      stats.misses++;
+      return null;
+    }
+    used.add(entry);
+    stats.served++;
+    return entry.response;
+  }
+
+  replay.stats = stats;
+  return replay;
+}
+
+// ── Whole epochs ─────────────────────────────────────────────
+
+// The jury's weight plus every cycle's parsed ballots, keyed by cycle
+function recordedJury(jury, result) {
+  const ballots = {};
+  result.cycleReports.forEach((r) => {
+    if (r.jury)
+      ballots[r.cycle] = r.jury.ballots.map((b) => ({
+        juror: b.juror,
+        votes: b.row,
+      }));
+  });
+  return { weight: resolveJury(jury).weight, ballots };
+}
+
+// Runs an epoch with `options.llm` behind a recorder. The transcript carries
+// everything replayEpoch() needs: seed, cycle count, roster, rule set,
+// pairing topology, dialogue mode, voting mechanism, collusion settings
+// (whose penalties change later vote weights), the market mode, the
+// manufacturing checks, the prompt context budget, the trend thresholds, the
+// policy options with any warm-start table, the patterns a cross-epoch
+// pattern store held before the epoch began, and the jury's ballots, which
+// never pass through the llm.
+async function recordEpoch(roster, options = {}) {
+  if (!options.llm) throw new Error('recordEpoch requires an llm');
+  const seed = options.seed ?? Date.now();
+  const recorder = createTranscriptRecorder(options.llm, { seed });
+  const patternStore =
+    typeof options.patternStore === 'string'
+      ? openPatternStore(options.patternStore, { now: options.now })
+      : options.patternStore;
+  // Taken before the epoch adds its own patterns
+  const patterns = patternStore ? clone(patternStore.query()) : [];
+  const result = await runEpoch(roster, {
+    ...options,
+    seed,
+    llm: recorder,
+    patternStore,
+  });
+  const transcript = {
+    ...recorder.transcript,
+    cycles: result.cycleReports.length,
+    roster,
+    ruleSet: options.ruleSet ?? null,
+    pairing: resolvePairing(options.pairing),
+    dialogue: resolveDialogue(options.dialogue),
+    voting: resolveVoting(options.voting),
+    collusion: resolveCollusion(options.collusion),
+    jury: options.jury ? recordedJury(options.jury, result) : null,
+    market: resolveMarket(options.market),
+    manufacturing: resolveManufacturing(options.manufacturing),
+    context: resolveContext(options.context),
+    trends: resolveTrends(options.trends),
+    policy: options.policy ? clone(options.policy) : null,
+    patterns,
+  };
+  return { result, transcript };
+}
+
+async function replayEpoch(transcript, options = {}) {
+  const llm = createReplayLlm(transcript, options);
+  const result = await runEpoch(transcript.roster, {
+    cycles: transcript.cycles,
+    ruleSet: transcript.ruleSet,
+    // Transcripts from before the pairing scheduler used the classic batches
+    pairing: transcript.pairing ?? 'classic',
+    dialogue: transcript.dialogue,
+    voting: transcript.voting,
+    collusion: transcript.collusion,
+    jury: transcript.jury,
+    market: transcript.market,
+    // Transcripts from before the checks kept the self-assessed MFG score
+    manufacturing: transcript.manufacturing ?? false,
+    context: transcript.context,
+    trends: transcript.trends,
+    policy: transcript.policy,
+    patternStore: createPatternStore({
+      patterns: transcript.patterns ?? [],
+      now: options.now,
+    }),
+    ...options,
+    seed: transcript.seed,
+    llm,
+  });
+  return { result, stats: llm.stats };
+}
+
+module.exports = {
+  TRANSCRIPT_VERSION,
+  transcriptKey,
+  createTranscriptRecorder,
+  createReplayLlm,
+  recordEpoch,
+  replayEpoch,
+};
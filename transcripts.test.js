@@ -0,0 +1,299 @@
+/**
+ * JewelForge Transcripts — Test Suite
+ *
+ * Run with: node --test transcripts.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  transcriptKey,
+  createTranscriptRecorder,
+  createReplayLlm,
+  recordEpoch,
+  replayEpoch,
+} = require('./transcripts.js');
+const { createPatternStore } = require('./pattern-store.js');
+
+// ═══════════════════════════════════════════════════════════════
+//  HELPERS
+// ═══════════════════════════════════════════════════════════════
+
+function makeRoster(n = 4) {
+  return Array.from({ length: n }, (_, i) => ({
+    name: `Agent${i}`,
+    risk: 30 + i * 10,
+    reputation: 50,
+  }));
+}
+
+// Varies its replies from call to call, so only a faithful replay can
+// reproduce an epoch it recorded
+function driftingLlm() {
+  let calls = 0;
+  return async (system, user, meta) => {
+    calls++;
+    switch (meta.phase) {
+      case 'naming':
+        return JSON.stringify({ name: `Drift ${calls}` });
+      case 'voting': {
+        const n = (user.match(/^\[\d+\]/gm) || []).length;
+        const target = (meta.agentId + 1 + calls) % n;
+        const pick = target === meta.agentId ? (target + 1) % n : target;
+        return JSON.stringify({
+          reasoning: `Vote ${calls}`,
+          votes: Array.from({ length: n }, (_, i) => (i === pick ? 10000 : 0)),
+        });
+      }
+      case 'evolution':
+        return JSON.stringify({
+          belief: `Belief ${calls}`,
+          shifts: { novelty: calls % 7 },
+          trend: 'shifting',
+        });
+      default:
+        return `Line ${calls} from ${meta.agentName}.`;
+    }
+  };
+}
+
+const FIXED_NOW = () => new Date('2026-01-15T12:00:00Z');
+
+// ═══════════════════════════════════════════════════════════════
+//  1. RECORDER
+// ═══════════════════════════════════════════════════════════════
+
+describe('createTranscriptRecorder', () => {
+  it('captures prompts, agent, phase, cycle and raw response', async () => {
+    const rec = createTranscriptRecorder(async () => 'reply', { seed: 9 });
+    const out = await rec('sys', 'usr', {
+      agentId: 2,
+      agentName: 'Agent2',
+      phase: 'voting',
+      cycle: 3,
+    });
+    assert.equal(out, 'reply');
+    assert.equal(rec.transcript.seed, 9);
+    assert.deepEqual(rec.transcript.entries, [
+      {
+        seq: 0,
+        cycle: 3,
+        phase: 'voting',
+        agentId: 2,
+        agentName: 'Agent2',
+        system: 'sys',
+        user: 'usr',
+        response: 'reply',
+      },
+    ]);
+  });
+
+  it('keeps invocation order when calls resolve out of order', async () => {
+    const rec = createTranscriptRecorder(
+      (s, u) => new Promise((r) => setTimeout(() => r(u), u === 'a' ? 10 : 0))
+    );
+    await Promise.all([rec('s', 'a'), rec('s', 'b')]);
+    assert.deepEqual(
+      rec.transcript.entries.map((e) => [e.seq, e.user, e.response]),
+      [
+        [0, 'a', 'a'],
+        [1, 'b', 'b'],
+      ]
+    );
+  });
+
+  it('records thrown errors and rethrows them', async () => {
+    const rec = createTranscriptRecorder(async () => {
+      throw new Error('boom');
+    });
+    await assert.rejects(rec('s', 'u', { phase: 'bio' }), /boom/);
+    assert.equal(rec.transcript.entries[0].error, 'boom');
+    assert.equal(rec.transcript.entries[0].response, null);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. REPLAY
+// ═══════════════════════════════════════════════════════════════
+
+describe('createReplayLlm', () => {
+  const meta = { cycle: 1, phase: 'crossPollination', agentId: 0 };
+  const entries = [
+    { ...meta, system: 's', user: 'to B', response: 'hello B' },
+    { ...meta, system: 's', user: 'to C', response: 'hello C' },
+  ];
+
+  it('matches entries by key and exact prompts', async () => {
+    const replay = createReplayLlm({ entries });
+    assert.equal(await replay('s', 'to C', meta), 'hello C');
+    assert.equal(await replay('s', 'to B', meta), 'hello B');
+    assert.deepEqual(replay.stats, { served: 2, divergent: 0, misses: 0 });
+  });
+
+  it('serves the next unused entry on divergence and null on a miss', async () => {
+    const replay = createReplayLlm(entries);
+    assert.equal(await replay('s', 'changed', meta), 'hello B');
+    assert.equal(await replay('s', 'to B', { ...meta, agentId: 5 }), null);
+    assert.deepEqual(replay.stats, { served: 1, divergent: 1, misses: 1 });
+  });
+
+  it('throws in strict mode', async () => {
+    const replay = createReplayLlm(entries, { strict: true });
+    await assert.rejects(replay('s', 'changed', meta), /diverged/);
+    await assert.rejects(
+      replay('s', 'x', { ...meta, phase: 'voting' }),
+      /No recorded response/
+    );
+  });
+
+  it('keys on cycle, phase and agent', () => {
+    assert.equal(
+      transcriptKey({ cycle: 2, phase: 'trend', agentId: 0 }),
+      '2|trend|0'
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. WHOLE-EPOCH REPLAY
+// ═══════════════════════════════════════════════════════════════
+
+describe('recordEpoch / replayEpoch', () => {
+  it('requires an llm to record', async () => {
+    await assert.rejects(recordEpoch(makeRoster()), /requires an llm/);
+  });
+
+  it('reproduces votes and evolution exactly without the original llm', async () => {
+    const { result, transcript } = await recordEpoch(makeRoster(), {
+      cycles: 2,
+      seed: 42,
+      llm: driftingLlm(),
+      now: FIXED_NOW,
+    });
+    assert.equal(transcript.seed, 42);
+    assert.equal(transcript.cycles, 2);
+    assert.ok(transcript.entries.length > 0);
+
+    // Round-trip through JSON as a saved transcript file would
+    const saved = JSON.parse(JSON.stringify(transcript));
+    const replayed = await replayEpoch(saved, { now: FIXED_NOW });
+    assert.deepEqual(replayed.stats, {
+      served: transcript.entries.length,
+      divergent: 0,
+      misses: 0,
+    });
+    assert.deepEqual(replayed.result, result);
+  });
+
+  it('replays the recorded pairing, and classic batches for older transcripts', async () => {
+    const { transcript } = await recordEpoch(makeRoster(), {
+      cycles: 1,
+      seed: 5,
+      llm: driftingLlm(),
+      pairing: 'contrarian',
+    });
+    assert.deepEqual(transcript.pairing, {
+      topology: 'contrarian',
+      batches: 3,
+    });
+    const replayed = await replayEpoch(transcript);
+    assert.equal(replayed.stats.divergent, 0);
+    const { pairing, ...legacy } = transcript;
+    const old = await replayEpoch(legacy);
+    assert.equal(old.result.cycleReports[0].pairing.topology, 'classic');
+  });
+
+  it('records jury ballots so a replay needs no jurors', async () => {
+    const { result, transcript } = await recordEpoch(makeRoster(), {
+      cycles: 2,
+      seed: 9,
+      llm: driftingLlm(),
+      jury: {
+        weight: 0.3,
+        ballots: ({ cycle }) =>
+          cycle === 2 ? [{ juror: 'Ana', votes: [0, 0, 1, 1] }] : null,
+      },
+    });
+    assert.deepEqual(transcript.jury, {
+      weight: 0.3,
+      ballots: { 2: [{ juror: 'Ana', votes: [0, 0, 5000, 5000] }] },
+    });
+    const replayed = await replayEpoch(transcript);
+    assert.equal(replayed.stats.divergent, 0);
+    assert.deepEqual(
+      replayed.result.cycleReports[1].jury,
+      result.cycleReports[1].jury
+    );
+  });
+
+  it('replays multi-turn dialogues and other voting mechanisms without divergence', async () => {
+    const { result, transcript } = await recordEpoch(makeRoster(), {
+      cycles: 1,
+      seed: 8,
+      llm: driftingLlm(),
+      dialogue: { mode: 'review-panel', panelSize: 3 },
+      voting: 'sealed-bid',
+    });
+    assert.equal(transcript.dialogue.mode, 'review-panel');
+    assert.equal(transcript.voting.mechanism, 'sealed-bid');
+    const replayed = await replayEpoch(transcript);
+    assert.equal(replayed.stats.divergent, 0);
+    assert.deepEqual(
+      replayed.result.cycleReports[0].dialogues,
+      result.cycleReports[0].dialogues
+    );
+    assert.deepEqual(
+      replayed.result.cycleReports[0].voting,
+      result.cycleReports[0].voting
+    );
+  });
+
+  it('replays a policy epoch from its options and warm-start table', async () => {
+    const table = {
+      0: { 'opening|cold': { 'explore|Ring': { q: 50, n: 3 } } },
+    };
+    const policy = { control: { strategy: true, category: true }, table };
+    const { result, transcript } = await recordEpoch(makeRoster(), {
+      cycles: 2,
+      seed: 7,
+      llm: driftingLlm(),
+      now: FIXED_NOW,
+      policy,
+    });
+    assert.deepEqual(transcript.policy, policy);
+    const saved = JSON.parse(JSON.stringify(transcript));
+    const replayed = await replayEpoch(saved, { now: FIXED_NOW });
+    assert.deepEqual(replayed.stats, {
+      served: transcript.entries.length,
+      divergent: 0,
+      misses: 0,
+    });
+    assert.deepEqual(replayed.result, result);
+  });
+
+  it('replays against the patterns a cross-epoch store held', async () => {
+    const patternStore = createPatternStore({ now: FIXED_NOW });
+    await recordEpoch(makeRoster(), {
+      cycles: 1,
+      seed: 3,
+      llm: driftingLlm(),
+      now: FIXED_NOW,
+      patternStore,
+    });
+    const before = patternStore.query().length;
+    assert.ok(before > 0);
+    const { result, transcript } = await recordEpoch(makeRoster(), {
+      cycles: 1,
+      seed: 4,
+      llm: driftingLlm(),
+      now: FIXED_NOW,
+      patternStore,
+    });
+    assert.equal(transcript.patterns.length, before);
+    const saved = JSON.parse(JSON.stringify(transcript));
+    const replayed = await replayEpoch(saved, { now: FIXED_NOW, strict: true });
+    assert.equal(replayed.stats.divergent, 0);
+    assert.deepEqual(replayed.result, result);
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * JewelForge Trends — per-cycle time series and the regimes read from them.
+ *
+ * Every cycle, each category, material (the metal and stones of a design's
+ * bill of materials) and style tag (its author's styleTags) is measured as
+ *
+ *   share        % of the cycle's designs that carry it
+ *   creditShare  % of the cycle's credits those designs earned
+ *
+ * A series starts in the cycle its key first appears and counts zero in
+ * the cycles it is absent from. Momentum is the linearSlope() of credit
+ * share over the last `window` cycles, in percentage points per cycle. A key
+ * seen in one cycle only is measured against its pool share, the credit
+ * share it would have earned had credits been spread evenly.
+ *
+ * Regimes, first match wins:
+ *   rising     momentum ≥ rise
+ *   declining  momentum ≤ −rise
+ *   saturated  share ≥ saturation: a crowded key no longer gaining credits
+ *   peaking    rising the cycle before, levelled off now
+ *   stable     anything else
+ *
+ * The computed emerging list (rising keys) and declining list (declining
+ * and saturated keys) are what the LLM trend narrative must agree with:
+ * trendConflicts() names every narrative item that contradicts them. The
+ * velocity score the policy reads is the mean absolute momentum, scaled so
+ * that 10 points a cycle reads as 50.
+ */
+
+const { linearSlope } = require('./game-logic.js');
+
+const TREND_DIMENSIONS = ['category', 'material', 'style'];
+const TREND_REGIMES = ['rising', 'peaking', 'saturated', 'declining', 'stable'];
+
+const DEFAULT_TRENDS = {
+  // Cycles of credit share the momentum is fitted over
+  window: 4,
+  // Momentum, in points per cycle, that counts as rising or declining
+  rise: 5,
+  // Pool share (%) at which a key that is not rising is saturated
+  saturation: 40,
+  // Keys in each computed list
+  limit: 3,
+};
+
+const VELOCITY_SCALE = 5;
+
+// Fills defaults and checks each setting
+function resolveTrends(trends) {
+  const opts = { ...DEFAULT_TRENDS, ...trends };
+  if (!Number.isInteger(opts.window) || opts.window < 2)
+    throw new Error('Trend window must be an integer of at least 2');
+  if (typeof opts.rise !== 'number' || opts.rise <= 0)
+    throw new Error('Trend rise must be a positive number');
+  if (
+    typeof opts.saturation !== 'number' ||
+    opts.saturation <= 0 ||
+    opts.saturation > 100
+  )
+    throw new Error('Trend saturation must be a number in (0, 100]');
+  if (!Number.isInteger(opts.limit) || opts.limit < 1)
+    throw new Error('Trend limit must be a positive integer');
+  return opts;
+}
+
+// ── Series ───────────────────────────────────────────────────
+
+// "gold-18k" → "18k gold", "cubic-zirconia" → "cubic zirconia"
+function materialLabel(id) {
+  const gold = /^gold-(\d+k)$/.exec(id);
+  return gold ? `${gold[1]} gold` : id.replace(/-/g, ' ');
+}
+
+// The keys one design carries, each once
+function designTrendKeys(design) {
+  const keys = [];
+  const add = (dimension, id, label = id) => {
+    const key = `${dimension}:${id}`;
+    if (id && !keys.some((k) => k.key === key))
+      keys.push({ key, dimension, id, label });
+  };
+  add('category', design.cat);
+  (design.bom?.lines || [])
+    .filter((l) => l.kind === 'metal' || l.kind === 'stone')
+    .forEach((l) => add('material', l.id, materialLabel(l.id)));
+  (design.styleTags || []).forEach((tag) =>
+    add('style', String(tag).toLowerCase())
+  );
+  return keys;
+}
+
+const round1 = (x) => Math.round(x * 10) / 10;
+
+/**
+ * The series of every key across `cycles` ([{ cycle, designs }], oldest
+ * first): [{ key, dimension, id, label, points: [{ cycle, count, share,
+ * creditShare }] }], in order of first appearance.
+ */
+function trendSeries(cycles) {
+  const series = new Map();
+  cycles.forEach(({ cycle, designs = [] }) => {
+    const total = designs.length;
+    const credits = designs.reduce((s, d) => s + (d.credits || 0), 0);
+    const tally = new Map();
+    designs.forEach((d) =>
+      designTrendKeys(d).forEach((k) => {
+        const t = tally.get(k.key) || { ...k, count: 0, credits: 0 };
+        t.count++;
+        t.credits += d.credits || 0;
+        tally.set(k.key, t);
+      })
+    );
+    tally.forEach((t, key) => {
+      if (!series.has(key)) {
+        const { dimension, id, label } = t;
+        series.set(key, { key, dimension, id, label, points: [] });
+      }
+    });
+    series.forEach((s, key) => {
+      const t = tally.get(key);
+      const share = total ? round1((100 * (t?.count || 0)) / total) : 0;
+      s.points.push({
+        cycle,
+        count: t?.count || 0,
+        share,
+        // With no credits cast, every design is even
+        creditShare: credits
+          ? round1((100 * (t?.credits || 0)) / credits)
+          : share,
+      });
+    });
+  });
+  return [...series.values()];
+}
+
+// Momentum of the points up to and including `end`
+function momentumAt(points, end, window) {
+  const recent = points.slice(Math.max(0, end - window + 1), end + 1);
+  if (recent.length === 1)
+    return round1(recent[0].creditShare - recent[0].share);
+  return linearSlope(
+    recent.map((p) => p.cycle),
+    recent.map((p) => p.creditShare)
+  );
+}
+
+function regimeOf(point, momentum, previous, opts) {
+  if (momentum >= opts.rise) return 'rising';
+  if (momentum <= -opts.rise) return 'declining';
+  if (point.share >= opts.saturation) return 'saturated';
+  if (previous !== null && previous >= opts.rise) return 'peaking';
+  return 'stable';
+}
+
+/**
+ * The trend model after the last of `cycles`:
+ *   { cycle, series: [{ …series, count, share, creditShare, momentum,
+ *     regime }], emerging: [key], declining: [key], velocityScore }
+ * Series whose key is absent from the last cycle and was absent the cycle
+ * before are dropped. Emerging keys are sorted by momentum, fastest first;
+ * declining keys slowest first.
+ */
+function trendModel(cycles, options) {
+  const opts = resolveTrends(options);
+  const series = trendSeries(cycles)
+    .filter((s) => s.points.slice(-2).some((p) => p.count > 0))
+    .map((s) => {
+      const last = s.points.length - 1;
+      const momentum = momentumAt(s.points, last, opts.window);
+      const previous =
+        last > 0 ? momentumAt(s.points, last - 1, opts.window) : null;
+      const { count, share, creditShare } = s.points[last];
+      return {
+        ...s,
+        count,
+        share,
+        creditShare,
+        momentum,
+        regime: regimeOf(s.points[last], momentum, previous, opts),
+      };
+    });
+  const pick = (regimes, order) =>
+    series
+      .filter((s) => regimes.includes(s.regime))
+      .sort((a, b) => order * (b.momentum - a.momentum) || b.share - a.share)
+      .slice(0, opts.limit)
+      .map((s) => s.key);
+  const meanMomentum = series.length
+    ? series.reduce((sum, s) => sum + Math.abs(s.momentum), 0) / series.length
+    : 0;
+  return {
+    cycle: cycles.length ? cycles[cycles.length - 1].cycle : 0,
+    series,
+    emerging: pick(['rising'], 1),
+    declining: pick(['declining', 'saturated'], -1),
+    velocityScore: Math.min(100, Math.round(meanMomentum * VELOCITY_SCALE)),
+  };
+}
+
+const seriesByKey = (model, key) => model.series.find((s) => s.key === key);
+
+// "Pendant (rising: 45% of credits from 30% of pool, +12.5 pts/cycle)"
+function trendEvidence(entry) {
+  const sign = entry.momentum > 0 ? '+' : '';
+  return `${entry.label} (${entry.regime}: ${entry.creditShare}% of credits from ${entry.share}% of pool, ${sign}${entry.momentum} pts/cycle)`;
+}
+
+// The computed lists as evidence strings
+function trendLists(model) {
+  const evidence = (keys) =>
+    keys.map((k) => trendEvidence(seriesByKey(model, k)));
+  return {
+    emerging: evidence(model.emerging),
+    declining: evidence(model.declining),
+  };
+}
+
+// The computed regimes, for the trend prompt
+function trendModelContext(model) {
+  const { emerging, declining } = trendLists(model);
+  const lines = TREND_DIMENSIONS.map((dim) => {
+    const entries = model.series
+      .filter((s) => s.dimension === dim && s.count > 0)
+      .sort((a, b) => b.creditShare - a.creditShare);
+    return `${dim}: ${entries.map(trendEvidence).join('; ') || '—'}`;
+  });
+  return [
+    `Computed trend regimes (cycle ${model.cycle}, velocity ${model.velocityScore}/100):`,
+    ...lines,
+    `Computed emerging: ${emerging.join('; ') || 'none'}`,
+    `Computed declining: ${declining.join('; ') || 'none'}`,
+  ].join('\n');
+}
+
+// ── Consistency ──────────────────────────────────────────────
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether `text` names `label`: each word of the label starts a word of the
+// text, so "18k gold" matches "18K yellow gold" and "Earrings" "earring"
+function mentions(text, label) {
+  const words = label.toLowerCase().split(/\s+/).filter(Boolean);
+  const lower = String(text).toLowerCase();
+  return (
+    words.length > 0 &&
+    words.every((w) =>
+      new RegExp(`\\b${escapeRe(w.length > 3 ? w.replace(/s$/, '') : w)}`).test(
+        lower
+      )
+    )
+  );
+}
+
+/**
+ * Where an LLM trend narrative contradicts `model`, or null: an emerging
+ * item naming a declining or saturated key, a declining item naming a
+ * rising key, or a list that names none of the computed keys it should.
+ */
+function trendConflicts(narrative, model) {
+  const problems = [];
+  const named = (items, keys) =>
+    (items || []).some((item) =>
+      keys.some((k) => mentions(item, seriesByKey(model, k).label))
+    );
+  const contradict = (items, regimes, list) =>
+    (items || []).forEach((item) =>
+      model.series
+        .filter((s) => regimes.includes(s.regime) && mentions(item, s.label))
+        .forEach((s) =>
+          problems.push(
+            `${list} "${item}" names ${s.label}, which is ${s.regime}`
+          )
+        )
+    );
+  contradict(narrative.emerging, ['declining', 'saturated'], 'emerging');
+  contradict(narrative.declining, ['rising'], 'declining');
+  const labels = (keys) =>
+    keys.map((k) => seriesByKey(model, k).label).join(', ');
+  if (model.emerging.length && !named(narrative.emerging, model.emerging))
+    problems.push(`emerging names none of ${labels(model.emerging)}`);
+  if (model.declining.length && !named(narrative.declining, model.declining))
+    problems.push(`declining names none of ${labels(model.declining)}`);
+  return problems.length ? problems.join('; ') : null;
+}
+
+module.exports = {
+  TREND_DIMENSIONS,
+  TREND_REGIMES,
+  DEFAULT_TRENDS,
+  resolveTrends,
+  designTrendKeys,
+  trendSeries,
+  trendModel,
+  trendEvidence,
+  trendLists,
+  trendModelContext,
+  mentions,
+  trendConflicts,
+};
@@ -0,0 +1,235 @@
+/**
+ * JewelForge Trends — Test Suite
+ *
+ * Run with: node --test trends.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_TRENDS,
+  resolveTrends,
+  designTrendKeys,
+  trendSeries,
+  trendModel,
+  trendLists,
+  trendModelContext,
+  mentions,
+  trendConflicts,
+} = require('./trends.js');
+const { billOfMaterials } = require('./materials.js');
+
+// A cycle of designs given as [cat, credits, styleTags]
+const cycle = (n, rows) => ({
+  cycle: n,
+  designs: rows.map(([cat, credits, styleTags = []]) => ({
+    cat,
+    credits,
+    styleTags,
+  })),
+});
+
+// Pendants gain credits every cycle, bracelets lose them, rings crowd the
+// pool without gaining, and the organic style rises then levels off
+const CYCLES = [
+  cycle(1, [
+    ['Ring', 300, ['classic']],
+    ['Ring', 200, ['classic']],
+    ['Pendant', 100, ['organic']],
+    ['Bracelet', 400, ['bold']],
+  ]),
+  cycle(2, [
+    ['Ring', 250, ['classic']],
+    ['Ring', 250, ['classic', 'organic']],
+    ['Pendant', 300, ['organic']],
+    ['Bracelet', 200, ['bold']],
+  ]),
+  cycle(3, [
+    ['Ring', 250, ['classic']],
+    ['Ring', 200, ['classic', 'organic']],
+    ['Pendant', 500, ['organic']],
+    ['Bracelet', 50, ['bold']],
+  ]),
+];
+
+const regimes = (model) =>
+  Object.fromEntries(model.series.map((s) => [s.key, s.regime]));
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS AND KEYS
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveTrends', () => {
+  it('fills defaults and rejects bad thresholds', () => {
+    assert.deepEqual(resolveTrends(), DEFAULT_TRENDS);
+    assert.equal(resolveTrends({ rise: 8 }).rise, 8);
+    assert.throws(() => resolveTrends({ window: 1 }), /at least 2/);
+    assert.throws(() => resolveTrends({ rise: 0 }), /positive number/);
+    assert.throws(() => resolveTrends({ saturation: 120 }), /\(0, 100\]/);
+    assert.throws(() => resolveTrends({ limit: 0 }), /positive integer/);
+  });
+});
+
+describe('designTrendKeys', () => {
+  it('reads the category, the bill of materials and the style tags', () => {
+    const design = {
+      cat: 'Pendant',
+      materials: '18K rose gold, bezel-set 1ct oval sapphire',
+      styleTags: ['Organic', 'organic', 'bold'],
+    };
+    design.bom = billOfMaterials(design);
+    assert.deepEqual(
+      designTrendKeys(design).map((k) => [k.key, k.label]),
+      [
+        ['category:Pendant', 'Pendant'],
+        ['material:gold-18k', '18k gold'],
+        ['material:sapphire', 'sapphire'],
+        ['style:organic', 'organic'],
+        ['style:bold', 'bold'],
+      ]
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. SERIES AND REGIMES
+// ═══════════════════════════════════════════════════════════════
+
+describe('trendSeries', () => {
+  it('measures pool and credit share from first appearance on', () => {
+    const series = trendSeries(CYCLES);
+    const pendant = series.find((s) => s.key === 'category:Pendant');
+    assert.deepEqual(
+      pendant.points.map((p) => [p.cycle, p.share, p.creditShare]),
+      [
+        [1, 25, 10],
+        [2, 25, 30],
+        [3, 25, 50],
+      ]
+    );
+    const late = trendSeries([
+      cycle(1, [['Ring', 0]]),
+      cycle(2, [
+        ['Ring', 0],
+        ['Pendant', 0],
+      ]),
+      cycle(3, [['Ring', 10]]),
+    ]).find((s) => s.key === 'category:Pendant');
+    // With no credits cast, credit share follows pool share
+    assert.deepEqual(late.points, [
+      { cycle: 2, count: 1, share: 50, creditShare: 50 },
+      { cycle: 3, count: 0, share: 0, creditShare: 0 },
+    ]);
+  });
+});
+
+describe('trendModel', () => {
+  it('detects rising, declining, saturated and peaking keys', () => {
+    const model = trendModel(CYCLES);
+    assert.equal(model.cycle, 3);
+    assert.deepEqual(regimes(model), {
+      'category:Ring': 'saturated',
+      'style:classic': 'saturated',
+      'category:Pendant': 'rising',
+      'style:organic': 'rising',
+      'category:Bracelet': 'declining',
+      'style:bold': 'declining',
+    });
+    assert.equal(model.series[2].momentum, 20);
+    assert.deepEqual(model.emerging, ['style:organic', 'category:Pendant']);
+    assert.deepEqual(model.declining, [
+      'category:Bracelet',
+      'style:bold',
+      'category:Ring',
+    ]);
+    assert.ok(model.velocityScore > 50 && model.velocityScore <= 100);
+
+    // Organic levels off at its cycle-3 credit share
+    const flat = cycle(4, [
+      ['Ring', 150, ['classic']],
+      ['Ring', 100, ['classic']],
+      ['Earrings', 200, ['organic']],
+      ['Pendant', 500, ['organic']],
+      ['Bracelet', 50, ['bold']],
+      ['Bracelet', 0, ['bold']],
+    ]);
+    const later = trendModel([...CYCLES, flat], { window: 2 });
+    assert.equal(regimes(later)['style:organic'], 'peaking');
+    assert.equal(regimes(later)['category:Ring'], 'declining');
+  });
+
+  it('measures a first cycle against pool share and limits the lists', () => {
+    const model = trendModel(CYCLES.slice(0, 1), { limit: 1 });
+    assert.deepEqual(regimes(model), {
+      'category:Ring': 'saturated',
+      'style:classic': 'saturated',
+      'category:Pendant': 'declining',
+      'style:organic': 'declining',
+      'category:Bracelet': 'rising',
+      'style:bold': 'rising',
+    });
+    assert.deepEqual(model.emerging, ['category:Bracelet']);
+    assert.deepEqual(model.declining, ['category:Pendant']);
+    assert.equal(trendModel([]).velocityScore, 0);
+  });
+
+  it('states the lists and regimes as evidence', () => {
+    const model = trendModel(CYCLES);
+    assert.deepEqual(trendLists(model).emerging, [
+      'organic (rising: 70% of credits from 50% of pool, +30 pts/cycle)',
+      'Pendant (rising: 50% of credits from 25% of pool, +20 pts/cycle)',
+    ]);
+    const context = trendModelContext(model);
+    assert.match(
+      context,
+      /^Computed trend regimes \(cycle 3, velocity \d+\/100\)/
+    );
+    assert.match(context, /\ncategory: Pendant \(rising/);
+    assert.match(context, /\nmaterial: —\n/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  3. CONSISTENCY
+// ═══════════════════════════════════════════════════════════════
+
+describe('trendConflicts', () => {
+  it('matches labels by word stems', () => {
+    assert.ok(mentions('Drop earring silhouettes', 'Earrings'));
+    assert.ok(mentions('18K yellow gold cuffs', '18k gold'));
+    assert.ok(!mentions('Drop earrings', 'Ring'));
+    assert.ok(!mentions('rose gold', '18k gold'));
+  });
+
+  it('accepts a narrative that agrees with the model', () => {
+    const model = trendModel(CYCLES);
+    assert.equal(
+      trendConflicts(
+        {
+          emerging: ['sculptural organic pendants'],
+          declining: ['bold bracelets', 'crowded classic rings'],
+        },
+        model
+      ),
+      null
+    );
+  });
+
+  it('names contradictions and missing keys', () => {
+    const model = trendModel(CYCLES);
+    assert.equal(
+      trendConflicts(
+        { emerging: ['classic rings'], declining: ['pendants'] },
+        model
+      ),
+      [
+        'emerging "classic rings" names Ring, which is saturated',
+        'emerging "classic rings" names classic, which is saturated',
+        'declining "pendants" names Pendant, which is rising',
+        'emerging names none of organic, Pendant',
+        'declining names none of Bracelet, bold, Ring',
+      ].join('; ')
+    );
+  });
+});
@@ -0,0 +1,508 @@
+/**
+ * JewelForge Voting — market mechanisms for the voting phase.
+ *
+ * Every voter gets the same round budget (10,000⬡ by default) and casts one
+ * ballot per cycle. A mechanism decides what a ballot looks like and how
+ * ballots become credits:
+ *
+ *   allocation     split the budget freely across designs (the original
+ *                  mechanism)
+ *   quadratic      buy votes with voice credits, v votes on one design
+ *                  costing v²; the budget is shared out in proportion
+ *                  to the votes
+ *   ranked-choice  rank designs best first; Borda points share out the
+ *                  budget, and the instant-runoff winner is reported
+ *   approval       approve any number of designs; each approval is worth
+ *                  budget / (eligible designs)
+ *   sealed-bid     bid privately per design; the highest bidder backs it
+ *                  and pays the runner-up bid (second-price) or its own
+ *                  bid (first-price); losing bids cost nothing
+ *
+ * Reputation weights each voter's credits by 0.7–1.3x under every mechanism
+ * except sealed-bid, where money is money. Each mechanism supplies its
+ * prompt text, reply schema (schemas.js), ballot normaliser, offline
+ * fallback and tally. Nobody may vote for their own design.
+ */
+
+const {
+  voteSchema,
+  quadraticVoteSchema,
+  rankingSchema,
+  approvalSchema,
+  bidSchema,
+} = require('./schemas.js');
+
+const ROUND_BUDGET = 10000;
+
+const VOTING_MECHANISM_NAMES = [
+  'allocation',
+  'quadratic',
+  'ranked-choice',
+  'approval',
+  'sealed-bid',
+];
+
+const DEFAULT_VOTING = {
+  mechanism: 'allocation',
+  budget: ROUND_BUDGET,
+  // sealed-bid only
+  pricing: 'second-price',
+  reserve: 1000,
+};
+
+// Accepts a mechanism name or { mechanism, budget, pricing, reserve }
+function resolveVoting(voting) {
+  const opts =
+    typeof voting === 'string'
+      ? { ...DEFAULT_VOTING, mechanism: voting }
+      : { ...DEFAULT_VOTING, ...voting };
+  if (!VOTING_MECHANISM_NAMES.includes(opts.mechanism))
+    throw new Error(
+      `Unknown voting mechanism "${opts.mechanism}" (available: ${VOTING_MECHANISM_NAMES.join(', ')})`
+    );
+  if (!Number.isInteger(opts.budget) || opts.budget < 1)
+    throw new Error('Voting budget must be a positive integer');
+  if (!['first-price', 'second-price'].includes(opts.pricing))
+    throw new Error('Sealed-bid pricing must be first-price or second-price');
+  if (!Number.isInteger(opts.reserve) || opts.reserve < 0)
+    throw new Error('Sealed-bid reserve must be a non-negative integer');
+  return opts;
+}
+
+// Vote weight from reputation: 0.7x at 0 up to 1.3x at 100
+function repWeight(reputation) {
+  return 0.7 + ((reputation || 50) / 100) * 0.6;
+}
+
+// ── Shared helpers ───────────────────────────────────────────
+
+/**
+ * Scales non-negative weights to integers summing to `budget`; the rounding
+ * remainder goes to the largest share that is not the voter's own design.
+ * With no design but their own, nothing is shared out.
+ */
+function shareOut(weights, selfIdx, budget) {
+  if (!eligibleCount({ selfIdx, designCount: weights.length }))
+    return new Array(weights.length).fill(0);
+  const rawSum = weights.reduce((a, b) => a + b, 0);
+  const votes = weights.map((v) =>
+    rawSum > 0 ? Math.round((v / rawSum) * budget) : 0
+  );
+  const diff = budget - votes.reduce((a, b) => a + b, 0);
+  if (diff !== 0) {
+    const mi = votes.reduce(
+      (best, v, i) => (i !== selfIdx && v > votes[best] ? i : best),
+      selfIdx === 0 ? 1 : 0
+    );
+    votes[mi] += diff;
+  }
+  return votes;
+}
+
+// Rescales a raw allocation to the round budget and moves any self-vote
+// onto the voter's other picks, mirroring runLiveVoting.
+function normalizeVotes(voteArr, selfIdx, budget = ROUND_BUDGET) {
+  if (!eligibleCount({ selfIdx, designCount: voteArr.length }))
+    return new Array(voteArr.length).fill(0);
+  const rawSum = voteArr.reduce((a, b) => a + Math.max(0, b), 0);
+  let votes = voteArr.map((v) =>
+    rawSum > 0 ? Math.round((Math.max(0, v) / rawSum) * budget) : 0
+  );
+  const diff = budget - votes.reduce((a, b) => a + b, 0);
+  if (diff !== 0) {
+    const maxIdx = votes.indexOf(Math.max(...votes));
+    votes[maxIdx] += diff;
+  }
+  if (selfIdx >= 0 && votes[selfIdx] > 0) {
+    const selfV = votes[selfIdx];
+    votes[selfIdx] = 0;
+    const otherSum = votes.reduce((a, b) => a + b, 0);
+    if (otherSum > 0)
+      votes = votes.map((v, i) =>
+        i === selfIdx ? 0 : v + Math.round((selfV * v) / otherSum)
+      );
+    const fix2 = budget - votes.reduce((a, b) => a + b, 0);
+    if (fix2 !== 0) {
+      const mi = votes.reduce(
+        (best, v, i) => (i !== selfIdx && v > votes[best] ? i : best),
+        selfIdx === 0 ? 1 : 0
+      );
+      votes[mi] += fix2;
+    }
+  }
+  return votes;
+}
+
+// Offline preference weights: aesthetic counts double. With an rng each
+// weight gets ±15% jitter so fallback voters do not all agree.
+function fallbackWeights(designs, selfIdx, rng) {
+  return designs.map((d, i) =>
+    i === selfIdx
+      ? 0
+      : (d.aesthetic * 2 + d.novelty + d.profit) *
+        (rng ? 0.85 + rng.next() * 0.3 : 1)
+  );
+}
+
+// Aesthetic-weighted allocation used when a vote reply is unusable
+function fallbackVotes(designs, selfIdx, budget = ROUND_BUDGET, rng) {
+  return shareOut(fallbackWeights(designs, selfIdx, rng), selfIdx, budget);
+}
+
+// Distinct, in-range design indices other than the voter's own
+function eligiblePicks(indices, { selfIdx, designCount }) {
+  const seen = new Set();
+  return (indices || []).filter((i) => {
+    if (!Number.isInteger(i) || i < 0 || i >= designCount || i === selfIdx)
+      return false;
+    if (seen.has(i)) return false;
+    seen.add(i);
+    return true;
+  });
+}
+
+function eligibleCount({ selfIdx, designCount }) {
+  return selfIdx >= 0 && selfIdx < designCount ? designCount - 1 : designCount;
+}
+
+// Indices of the non-self designs, strongest weight first
+function preferenceOrder(weights, selfIdx) {
+  return weights
+    .map((w, i) => ({ w, i }))
+    .filter(({ i }) => i !== selfIdx)
+    .sort((a, b) => b.w - a.w)
+    .map(({ i }) => i);
+}
+
+// A ballot that moves no credits, for a voter with nothing to vote for (a
+// one-agent roster has no design but its own)
+function emptyBallot({ designCount }, fields) {
+  return { row: new Array(designCount).fill(0), cost: 0, ...fields };
+}
+
+const REASONING_FIELD =
+  '"reasoning":"[2-3 sentences: your specific analysis — which designs impressed you and why, referencing scores, materials, strategy, and your genome preferences]"';
+const GAME_THEORY =
+  '- Consider what OTHER agents will vote for — game theory matters';
+
+// Credits each design earns under reputation weighting, what each voter
+// pays (the ballot's cost) and each voter's weighted contribution per design
+function weightedTally(ballots, { reputations, designCount }) {
+  const awards = new Array(designCount).fill(0);
+  const contributions = ballots.map((ballot, vi) => {
+    const w = repWeight(reputations[vi]);
+    const row = new Array(designCount).fill(0);
+    ballot.row.forEach((c, di) => {
+      if (di < designCount) row[di] = Math.round(c * w);
+    });
+    row.forEach((c, di) => (awards[di] += c));
+    return row;
+  });
+  return {
+    awards,
+    spent: ballots.map((b) => b.cost),
+    contributions,
+    details: {},
+  };
+}
+
+// ── Instant runoff ───────────────────────────────────────────
+
+/**
+ * Instant-runoff count over weighted rankings: each round every ballot
+ * counts for its highest-ranked design still standing, and the weakest
+ * design is eliminated (ties: the higher index) until one holds a majority
+ * of the live ballots. Returns { winner, rounds: [{ counts, eliminated }] }
+ * with `counts[i]` null once design i is out.
+ */
+function instantRunoff(ballots, designCount) {
+  const standing = new Set(Array.from({ length: designCount }, (_, i) => i));
+  const rounds = [];
+  while (standing.size) {
+    const counts = Array.from({ length: designCount }, (_, i) =>
+      standing.has(i) ? 0 : null
+    );
+    let live = 0;
+    ballots.forEach(({ ranking, weight }) => {
+      const top = ranking.find((i) => standing.has(i));
+      if (top === undefined) return;
+      counts[top] += weight;
+      live += weight;
+    });
+    const ordered = [...standing].sort(
+      (a, b) => counts[b] - counts[a] || a - b
+    );
+    const leader = ordered[0];
+    const rounded = counts.map((c) => (c === null ? null : +c.toFixed(2)));
+    if (standing.size === 1 || counts[leader] > live / 2) {
+      rounds.push({ counts: rounded, eliminated: null });
+      return { winner: leader, rounds };
+    }
+    const out = ordered[ordered.length - 1];
+    rounds.push({ counts: rounded, eliminated: out });
+    standing.delete(out);
+  }
+  return { winner: null, rounds };
+}
+
+// ── Mechanisms ───────────────────────────────────────────────
+
+/**
+ * Each mechanism has:
+ *   task          what the voter deliberates on, for the system prompt
+ *   weighted      whether reputation scales the voter's credits
+ *   schema(n, budget)
+ *   instructions(ctx) → { intro, strategy, output } prompt fragments
+ *   ballot(reply, ctx) → { row, cost, … } or null when nothing usable
+ *                  remains; `row` is the per-design credit value that goes
+ *                  into the vote matrix
+ *   fallback(weights, ctx) → ballot from offline preference weights
+ *   tally(ballots, { reputations, designCount, voting })
+ *                → { awards, spent, contributions, details }, where
+ *                  contributions[voter][design] are the credits that voter
+ *                  actually moved to that design
+ * where ctx = { selfIdx, designCount, budget, voting }.
+ */
+const VOTING_MECHANISMS = {
+  allocation: {
+    task: 'vote allocation',
+    weighted: true,
+    schema: (n) => voteSchema(n),
+    instructions: ({ selfIdx, designCount, budget }) => ({
+      intro: `You have ${budget.toLocaleString()}⬡ to allocate this round across ${designCount} designs. You CANNOT vote for your own design (index ${selfIdx}).`,
+      strategy: `VOTING STRATEGY:
+- Concentrate votes on 2-3 designs you believe will win — don't spread too thin
+- Heavy conviction bets (${budget * 0.4}-${budget * 0.5}⬡ on your top pick) signal strong belief
+${GAME_THEORY}`,
+      output: `Output EXACTLY this JSON (no markdown):
+{${REASONING_FIELD},"votes":[${Array.from({ length: designCount }, (_, j) => (j === selfIdx ? '0' : 'integer')).join(',')}]}
+
+The votes array must be ${designCount} integers that sum to ${budget}. Put 0 for your own design (index ${selfIdx}).`,
+    }),
+    ballot(reply, { selfIdx, budget }) {
+      const row = normalizeVotes(reply.votes, selfIdx, budget);
+      return { row, cost: row.reduce((s, v) => s + v, 0) };
+    },
+    fallback(weights, { selfIdx, budget }) {
+      const row = shareOut(weights, selfIdx, budget);
+      return { row, cost: row.reduce((s, v) => s + v, 0) };
+    },
+    tally: weightedTally,
+  },
+
+  quadratic: {
+    task: 'quadratic votes',
+    weighted: true,
+    schema: (n, budget) => quadraticVoteSchema(n, budget),
+    instructions: ({ selfIdx, designCount, budget }) => ({
+      intro: `You have ${budget.toLocaleString()} voice credits to buy votes for ${designCount} designs this round. Casting v votes on one design costs v² credits (10 votes cost 100; ${Math.floor(Math.sqrt(budget))} votes cost everything), and your ${budget.toLocaleString()}⬡ budget is shared out across the designs in proportion to your votes. You CANNOT vote for your own design (index ${selfIdx}).`,
+      strategy: `VOTING STRATEGY:
+- Stacking votes on one design gets expensive fast — broad support is cheap, conviction is costly
+- Pay for many votes only where your conviction is worth the square
+${GAME_THEORY}`,
+      output: `Output EXACTLY this JSON (no markdown):
+{${REASONING_FIELD},"votes":[${Array.from({ length: designCount }, (_, j) => (j === selfIdx ? '0' : 'integer')).join(',')}]}
+
+The votes array must be ${designCount} non-negative integers whose squares sum to at most ${budget}. Put 0 for your own design (index ${selfIdx}).`,
+    }),
+    ballot(reply, { selfIdx, budget }) {
+      let votes = reply.votes.map((v, i) =>
+        i === selfIdx ? 0 : Math.max(0, Math.floor(v))
+      );
+      let cost = votes.reduce((s, v) => s + v * v, 0);
+      if (!cost) return null;
+      if (cost > budget) {
+        const scale = Math.sqrt(budget / cost);
+        votes = votes.map((v) => Math.floor(v * scale));
+        cost = votes.reduce((s, v) => s + v * v, 0);
+      }
+      // Voice credits limit the votes; the credits moved are the budget
+      const row = shareOut(votes, selfIdx, budget);
+      return { row, cost: row.reduce((s, v) => s + v, 0), votes };
+    },
+    fallback(weights, ctx) {
+      const norm = Math.sqrt(weights.reduce((s, w) => s + w * w, 0));
+      const votes = weights.map((w) =>
+        norm ? Math.floor((w * Math.sqrt(ctx.budget)) / norm) : 0
+      );
+      return (
+        VOTING_MECHANISMS.quadratic.ballot({ votes }, ctx) ||
+        emptyBallot(ctx, { votes })
+      );
+    },
+    tally: weightedTally,
+  },
+
+  'ranked-choice': {
+    task: 'a ranked ballot',
+    weighted: true,
+    schema: (n) => rankingSchema(n),
+    instructions: (ctx) => {
+      const { selfIdx, designCount, budget } = ctx;
+      const m = eligibleCount(ctx);
+      return {
+        intro: `Rank the ${designCount} designs from best to worst this round. You CANNOT rank your own design (index ${selfIdx}). Your ${budget.toLocaleString()}⬡ budget is shared out by Borda count: your first choice earns ${m} points, your second ${m - 1}, and so on; designs you leave out earn nothing.`,
+        strategy: `VOTING STRATEGY:
+- Every position counts — the order of your middle and lower choices still moves credits
+- The winner is also decided by instant runoff, so your lower choices matter if your favourite is eliminated
+${GAME_THEORY}`,
+        output: `Output EXACTLY this JSON (no markdown):
+{${REASONING_FIELD},"ranking":[index of your favourite, then the next, …]}
+
+The ranking array lists design indices (0-${designCount - 1}), best first, each at most once. Leave out your own design (index ${selfIdx}).`,
+      };
+    },
+    ballot(reply, ctx) {
+      const ranking = eligiblePicks(reply.ranking, ctx);
+      if (!ranking.length) return null;
+      const m = eligibleCount(ctx);
+      const points = new Array(ctx.designCount).fill(0);
+      ranking.forEach((i, p) => (points[i] = m - p));
+      const row = shareOut(points, ctx.selfIdx, ctx.budget);
+      return { row, cost: ctx.budget, ranking };
+    },
+    fallback(weights, ctx) {
+      return (
+        VOTING_MECHANISMS['ranked-choice'].ballot(
+          { ranking: preferenceOrder(weights, ctx.selfIdx) },
+          ctx
+        ) || emptyBallot(ctx, { ranking: [] })
+      );
+    },
+    tally(ballots, options) {
+      const result = weightedTally(ballots, options);
+      result.details.runoff = instantRunoff(
+        ballots.map((b, vi) => ({
+          ranking: b.ranking,
+          weight: repWeight(options.reputations[vi]),
+        })),
+        options.designCount
+      );
+      return result;
+    },
+  },
+
+  approval: {
+    task: 'an approval ballot',
+    weighted: true,
+    schema: (n) => approvalSchema(n),
+    instructions: (ctx) => {
+      const { selfIdx, designCount, budget } = ctx;
+      const unit = Math.round(budget / Math.max(1, eligibleCount(ctx)));
+      return {
+        intro: `Approve any of the ${designCount} designs you would back this round. You CANNOT approve your own design (index ${selfIdx}). Each approval gives the design ${unit.toLocaleString()}⬡ from your ${budget.toLocaleString()}⬡ budget; approving every other design spends it all.`,
+        strategy: `VOTING STRATEGY:
+- Approve every design you would be glad to see win, and none you would not
+- Approving everything is the same as approving nothing — it does not separate the field
+${GAME_THEORY}`,
+        output: `Output EXACTLY this JSON (no markdown):
+{${REASONING_FIELD},"approve":[indices of the designs you approve]}
+
+The approve array lists design indices (0-${designCount - 1}), each at most once. Leave out your own design (index ${selfIdx}).`,
+      };
+    },
+    ballot(reply, ctx) {
+      const approve = eligiblePicks(reply.approve, ctx);
+      if (!approve.length) return null;
+      const unit = Math.round(ctx.budget / Math.max(1, eligibleCount(ctx)));
+      const row = new Array(ctx.designCount).fill(0);
+      approve.forEach((i) => (row[i] = unit));
+      return { row, cost: unit * approve.length, approve };
+    },
+    fallback(weights, ctx) {
+      const order = preferenceOrder(weights, ctx.selfIdx);
+      const mean =
+        order.reduce((s, i) => s + weights[i], 0) / Math.max(1, order.length);
+      return (
+        VOTING_MECHANISMS.approval.ballot(
+          { approve: order.filter((i) => weights[i] >= mean) },
+          ctx
+        ) || emptyBallot(ctx, { approve: [] })
+      );
+    },
+    tally: weightedTally,
+  },
+
+  'sealed-bid': {
+    task: 'sealed bids',
+    weighted: false,
+    schema: (n, budget) => bidSchema(n, budget),
+    instructions: ({ selfIdx, designCount, budget, voting }) => {
+      const second = voting.pricing === 'second-price';
+      return {
+        intro: `This round is a sealed-bid auction: you have ${budget.toLocaleString()}⬡ to bid across ${designCount} designs. The highest bid on each design wins the right to back it and pays ${second ? `the second-highest bid (at least the ${voting.reserve.toLocaleString()}⬡ reserve, never more than its own bid)` : 'its own bid'}; losing bids cost nothing. Bids are not reputation-weighted. You CANNOT bid on your own design (index ${selfIdx}).`,
+        strategy: `BIDDING STRATEGY:
+- ${second ? 'You pay the runner-up price, so bid what backing each design is truly worth to you' : 'You pay what you bid, so shade bids below what backing each design is worth to you'}
+- Your bids together cannot exceed the budget
+- Other agents' bids are sealed — you will not see them`,
+        output: `Output EXACTLY this JSON (no markdown):
+{${REASONING_FIELD},"bids":[${Array.from({ length: designCount }, (_, j) => (j === selfIdx ? '0' : 'integer')).join(',')}]}
+
+The bids array must be ${designCount} non-negative integers totalling at most ${budget}. Put 0 for your own design (index ${selfIdx}).`,
+      };
+    },
+    ballot(reply, { selfIdx, budget }) {
+      let row = reply.bids.map((b, i) =>
+        i === selfIdx ? 0 : Math.max(0, Math.round(b))
+      );
+      const total = row.reduce((s, v) => s + v, 0);
+      if (!total) return null;
+      if (total > budget)
+        row = row.map((b) => Math.floor((b * budget) / total));
+      // Only winning bids are paid; the tally settles the cost
+      return { row, cost: 0 };
+    },
+    fallback(weights, { selfIdx, budget }) {
+      return { row: shareOut(weights, selfIdx, budget), cost: 0 };
+    },
+    // Highest bid wins each design (ties: higher reputation, then lower
+    // voter index) and pays by the configured pricing rule
+    tally(ballots, { reputations, designCount, voting }) {
+      const awards = new Array(designCount).fill(0);
+      const spent = new Array(ballots.length).fill(0);
+      const contributions = ballots.map(() => new Array(designCount).fill(0));
+      const auctions = [];
+      for (let di = 0; di < designCount; di++) {
+        const bids = ballots
+          .map((b, vi) => ({ vi, bid: b.row[di] || 0 }))
+          .filter((x) => x.bid > 0)
+          .sort(
+            (a, b) =>
+              b.bid - a.bid ||
+              (reputations[b.vi] || 50) - (reputations[a.vi] || 50) ||
+              a.vi - b.vi
+          );
+        if (!bids.length) continue;
+        const [top, runnerUp] = bids;
+        const price =
+          voting.pricing === 'first-price'
+            ? top.bid
+            : Math.min(top.bid, Math.max(runnerUp?.bid || 0, voting.reserve));
+        awards[di] = price;
+        spent[top.vi] += price;
+        contributions[top.vi][di] = price;
+        auctions.push({
+          design: di,
+          winner: top.vi,
+          bid: top.bid,
+          price,
+          bidders: bids.length,
+        });
+      }
+      return { awards, spent, contributions, details: { auctions } };
+    },
+  },
+};
+
+module.exports = {
+  ROUND_BUDGET,
+  VOTING_MECHANISM_NAMES,
+  DEFAULT_VOTING,
+  VOTING_MECHANISMS,
+  resolveVoting,
+  repWeight,
+  normalizeVotes,
+  fallbackWeights,
+  fallbackVotes,
+  instantRunoff,
+};
@@ -0,0 +1,254 @@
+/**
+ * JewelForge Voting — Test Suite
+ *
+ * Run with: node --test voting.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_VOTING,
+  VOTING_MECHANISM_NAMES,
+  VOTING_MECHANISMS,
+  resolveVoting,
+  repWeight,
+  fallbackWeights,
+  instantRunoff,
+} = require('./voting.js');
+const { checkReply } = require('./schemas.js');
+
+function ctx(mechanism, overrides = {}) {
+  const voting = resolveVoting(mechanism);
+  return {
+    selfIdx: 0,
+    designCount: 4,
+    budget: voting.budget,
+    voting,
+    ...overrides,
+  };
+}
+
+const sum = (arr) => arr.reduce((s, v) => s + v, 0);
+
+// ═══════════════════════════════════════════════════════════════
+//  1. OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+describe('resolveVoting', () => {
+  it('fills defaults from a mechanism name or partial options', () => {
+    assert.deepEqual(resolveVoting(), DEFAULT_VOTING);
+    assert.equal(resolveVoting('approval').mechanism, 'approval');
+    assert.equal(
+      resolveVoting({ mechanism: 'sealed-bid', pricing: 'first-price' })
+        .reserve,
+      1000
+    );
+  });
+
+  it('rejects unknown mechanisms and bad settings', () => {
+    assert.throws(() => resolveVoting('lottery'), /Unknown voting mechanism/);
+    assert.throws(() => resolveVoting({ budget: 0 }), /budget/);
+    assert.throws(() => resolveVoting({ pricing: 'dutch' }), /pricing/);
+  });
+
+  it('weights reputation from 0.7x to 1.3x', () => {
+    assert.equal(repWeight(100).toFixed(2), '1.30');
+    assert.equal(repWeight(50), 1);
+    assert.equal(repWeight(undefined), 1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════
+//  2. BALLOTS
+// ═══════════════════════════════════════════════════════════════
+
+describe('mechanism prompts and schemas', () => {
+  it('gives every mechanism instructions its schema accepts', () => {
+    const replies = {
+      allocation: '{"votes":[0,5000,3000,2000]}',
+      quadratic: '{"votes":[0,60,60,50]}',
+      'ranked-choice': '{"ranking":[2,1,3]}',
+      approval: '{"approve":[1,3]}',
+      'sealed-bid': '{"bids":[0,4000,3000,0]}',
+    };
+    for (const name of VOTING_MECHANISM_NAMES) {
+      const m = VOTING_MECHANISMS[name];
+      const c = ctx(name);
+      const { intro, strategy, output } = m.instructions(c);
+      assert.match(intro, /own design \(index 0\)/, name);
+      assert.ok(strategy && output, name);
+      const { value } = checkReply(m.schema(4, c.budget), replies[name]);
+      assert.ok(value, name);
+      assert.ok(m.ballot(value, c), name);
+    }
+  });
+});
+
+describe('allocation', () => {
+  it('keeps the original 10,000⬡ split', () => {
+    const m = VOTING_MECHANISMS.allocation;
+    const { intro, output } = m.instructions(ctx('allocation'));
+    assert.match(intro, /You have 10,000⬡ to allocate this round across 4/);
+    assert.match(output, /"votes":\[0,integer,integer,integer\]/);
+    const ballot = m.ballot({ votes: [1000, 1000, 0, 0] }, ctx('allocation'));
+    assert.deepEqual(ballot, { row: [0, 10000, 0, 0], cost: 10000 });
+  });
+});
+
+describe('quadratic', () => {
+  const m = VOTING_MECHANISMS.quadratic;
+
+  it('limits votes by their squares and shares the budget out by votes', () => {
+    const ballot = m.ballot({ votes: [5, 60, 80, 0] }, ctx('quadratic'));
+    assert.deepEqual(ballot.votes, [0, 60, 80, 0]);
+    assert.deepEqual(ballot.row, [0, 4286, 5714, 0]);
+    assert.equal(ballot.cost, 10000);
+  });
+
+  it('moves exactly the budget however thinly votes are spread', () => {
+    const c = ctx('quadratic', { designCount: 10 });
+    const ballot = m.ballot({ votes: [0, ...new Array(9).fill(33)] }, c);
+    assert.equal(sum(ballot.row), 10000);
+    assert.equal(ballot.cost, 10000);
+  });
+
+  it('scales an over-budget ballot down to fit', () => {
+    const ballot = m.ballot({ votes: [0, 100, 100, 0] }, ctx('quadratic'));
+    assert.deepEqual(ballot.votes, [0, 70, 70, 0]);
+    assert.ok(ballot.cost <= 10000);
+  });
+
+  it('spreads fallback votes within the budget', () => {
+    const ballot = m.fallback([0, 3, 4, 0], ctx('quadratic'));
+    assert.deepEqual(ballot.votes, [0, 60, 80, 0]);
+  });
+});
+
+describe('ranked-choice', () => {
+  const m = VOTING_MECHANISMS['ranked-choice'];
+
+  it('shares the budget out by Borda points and drops self and repeats', () => {
+    const ballot = m.ballot({ ranking: [2, 0, 2, 1] }, ctx('ranked-choice'));
+    assert.deepEqual(ballot.ranking, [2, 1]);
+    // three eligible designs: first earns 3 points, second 2
+    assert.deepEqual(ballot.row, [0, 4000, 6000, 0]);
+    assert.equal(ballot.cost, 10000);
+    assert.equal(m.ballot({ ranking: [0] }, ctx('ranked-choice')), null);
+  });
+
+  it('reports the instant-runoff winner alongside the Borda credits', () => {
+    const ballots = [
+      m.ballot({ ranking: [1, 2] }, ctx('ranked-choice', { selfIdx: 0 })),
+      m.ballot({ ranking: [2, 1] }, ctx('ranked-choice', { selfIdx: 1 })),
+      m.ballot({ ranking: [3, 2] }, ctx('ranked-choice', { selfIdx: 0 })),
+    ];
+    const { awards, spent, details } = m.tally(ballots, {
+      reputations: [50, 50, 50],
+      designCount: 4,
+    });
+    assert.equal(sum(awards), 30000);
+    assert.deepEqual(spent, [10000, 10000, 10000]);
+    assert.equal(details.runoff.winner, 2);
+    assert.deepEqual(details.runoff.rounds[0].counts, [0, 1, 1, 1]);
+  });
+});
+
+describe('instantRunoff', () => {
+  it('transfers eliminated ballots to the next preference', () => {
+    const { winner, rounds } = instantRunoff(
+      [
+        { ranking: [0], weight: 2 },
+        { ranking: [1, 0], weight: 1.5 },
+        { ranking: [2, 1], weight: 1 },
+      ],
+      3
+    );
+    assert.equal(winner, 1);
+    assert.deepEqual(
+      rounds.map((r) => r.eliminated),
+      [2, null]
+    );
+    assert.deepEqual(rounds[1].counts, [2, 2.5, null]);
+  });
+});
+
+describe('approval', () => {
+  const m = VOTING_MECHANISMS.approval;
+
+  it('credits each approval with an equal share of the budget', () => {
+    const c = ctx('approval', { designCount: 5 });
+    const ballot = m.ballot({ approve: [3, 1, 0, 3] }, c);
+    assert.deepEqual(ballot.row, [0, 2500, 0, 2500, 0]);
+    assert.equal(ballot.cost, 5000);
+  });
+
+  it('approves above-average designs when falling back', () => {
+    const ballot = m.fallback([0, 10, 2, 6], ctx('approval'));
+    assert.deepEqual(ballot.approve, [1, 3]);
+  });
+});
+
+describe('sealed-bid', () => {
+  const m = VOTING_MECHANISMS['sealed-bid'];
+  const options = (pricing = 'second-price') => ({
+    reputations: [50, 50, 80],
+    designCount: 3,
+    voting: resolveVoting({ mechanism: 'sealed-bid', pricing }),
+  });
+
+  it('charges the winner the runner-up bid or the reserve', () => {
+    const ballots = [
+      { row: [0, 5000, 2000], cost: 0 },
+      { row: [3000, 0, 0], cost: 0 },
+      { row: [0, 4000, 0], cost: 0 },
+    ];
+    const { awards, spent, details } = m.tally(ballots, options());
+    assert.deepEqual(awards, [1000, 4000, 1000]);
+    assert.deepEqual(spent, [5000, 1000, 0]);
+    assert.deepEqual(details.auctions[1], {
+      design: 1,
+      winner: 0,
+      bid: 5000,
+      price: 4000,
+      bidders: 2,
+    });
+  });
+
+  it('charges the winning bid under first-price rules, ties to reputation', () => {
+    const ballots = [
+      { row: [0, 4000, 0], cost: 0 },
+      { row: [0, 0, 0], cost: 0 },
+      { row: [0, 4000, 0], cost: 0 },
+    ];
+    const { awards, spent } = m.tally(ballots, options('first-price'));
+    assert.deepEqual(awards, [0, 4000, 0]);
+    assert.deepEqual(spent, [0, 0, 4000]);
+  });
+
+  it('caps total bids at the budget', () => {
+    const ballot = m.ballot({ bids: [900, 8000, 12000, 0] }, ctx('sealed-bid'));
+    assert.deepEqual(ballot.row, [0, 4000, 6000, 0]);
+  });
+});
+
+describe('fallbackWeights', () => {
+  it('never weights the voter’s own design', () => {
+    const designs = [
+      { aesthetic: 80, novelty: 60, profit: 50 },
+      { aesthetic: 50, novelty: 50, profit: 50 },
+    ];
+    assert.deepEqual(fallbackWeights(designs, 0), [0, 200]);
+  });
+
+  it('gives a voter with only their own design an empty ballot', () => {
+    for (const name of VOTING_MECHANISM_NAMES) {
+      const ballot = VOTING_MECHANISMS[name].fallback(
+        [0],
+        ctx(name, { designCount: 1 })
+      );
+      assert.deepEqual(ballot.row, [0], name);
+      assert.equal(ballot.cost, 0, name);
+    }
+  });
+});
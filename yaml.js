@@ -0,0 +1,252 @@
+/**
+ * JewelForge YAML — the subset of YAML that roster files need.
+ *
+ * stringifyYaml() writes block mappings and sequences of plain or
+ * double-quoted scalars, with `[]` and `{}` for empty collections.
+ * parseYaml() reads that back, plus what people tend to write by hand:
+ * comments, single-quoted strings, `|` and `>` block scalars and flow
+ * collections such as `[minimal, sculptural]`. Anchors, tags and multiple
+ * documents are not supported and raise an error naming the line.
+ */
+
+const RESERVED = /^(null|~|true|false|yes|no|on|off)$/i;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// ── Writing ──────────────────────────────────────────────────
+
+function scalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number')
+    return Number.isFinite(value) ? String(value) : 'null';
+  if (typeof value === 'boolean') return String(value);
+  const s = String(value);
+  const plain =
+    /^[A-Za-z_][^:#\n"'{}[\],&*!|>%@`]*$/.test(s) &&
+    !/\s$/.test(s) &&
+    !RESERVED.test(s);
+  return plain ? s : JSON.stringify(s);
+}
+
+const isCollection = (v) => v !== null && typeof v === 'object';
+const isEmpty = (v) =>
+  Array.isArray(v) ? v.length === 0 : Object.keys(v).length === 0;
+const inline = (v) =>
+  !isCollection(v) ? scalar(v) : Array.isArray(v) ? '[]' : '{}';
+
+function block(value, indent) {
+  const pad = ' '.repeat(indent);
+  const out = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (!isCollection(item) || isEmpty(item))
+        out.push(`${pad}- ${inline(item)}`);
+      else if (Array.isArray(item))
+        out.push(`${pad}-`, ...block(item, indent + 2));
+      else {
+        const lines = block(item, indent + 2);
+        lines[0] = `${pad}- ${lines[0].trimStart()}`;
+        out.push(...lines);
+      }
+    }
+    return out;
+  }
+  for (const [key, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    const k = scalar(key);
+    if (!isCollection(v) || isEmpty(v)) out.push(`${pad}${k}: ${inline(v)}`);
+    else out.push(`${pad}${k}:`, ...block(v, indent + 2));
+  }
+  return out;
+}
+
+function stringifyYaml(value) {
+  if (!isCollection(value) || isEmpty(value)) return `${inline(value)}\n`;
+  return `${block(value, 0).join('\n')}\n`;
+}
+
+// ── Reading ──────────────────────────────────────────────────
+
+function resolvePlain(s) {
+  if (/^(null|~)?$/i.test(s)) return null;
+  if (/^true$/i.test(s)) return true;
+  if (/^false$/i.test(s)) return false;
+  if (NUMBER.test(s)) return Number(s);
+  return s;
+}
+
+// Parses a flow collection or scalar starting at text[pos]
+function parseFlow(text, pos, line) {
+  const fail = (msg) => {
+    throw new Error(`YAML line ${line}: ${msg}`);
+  };
+  const skip = () => {
+    while (text[pos] === ' ') pos++;
+  };
+  function value(stops) {
+    skip();
+    const ch = text[pos];
+    if (ch === '[' || ch === '{') {
+      const close = ch === '[' ? ']' : '}';
+      const result = ch === '[' ? [] : {};
+      pos++;
+      skip();
+      while (text[pos] !== close) {
+        if (pos >= text.length) fail(`unclosed "${ch}"`);
+        if (close === ']') result.push(value(',]'));
+        else {
+          const key = value(':,}');
+          skip();
+          if (text[pos] !== ':') fail('expected ":" in flow mapping');
+          pos++;
+          result[key] = value(',}');
+        }
+        skip();
+        if (text[pos] === ',') pos++;
+        skip();
+      }
+      pos++;
+      return result;
+    }
+    if (ch === '"') {
+      const m = text.slice(pos).match(/^"(?:[^"\\]|\\.)*"/);
+      if (!m) fail('unterminated double-quoted string');
+      pos += m[0].length;
+      return JSON.parse(m[0]);
+    }
+    if (ch === "'") {
+      const m = text.slice(pos).match(/^'(?:[^']|'')*'/);
+      if (!m) fail('unterminated single-quoted string');
+      pos += m[0].length;
+      return m[0].slice(1, -1).replace(/''/g, "'");
+    }
+    if (ch === '&' || ch === '*' || ch === '!')
+      fail('anchors, aliases and tags are not supported');
+    const start = pos;
+    while (pos < text.length && !stops.includes(text[pos])) {
+      if (text[pos] === '#' && text[pos - 1] === ' ') break;
+      pos++;
+    }
+    return resolvePlain(text.slice(start, pos).trim());
+  }
+  const result = value('');
+  return { value: result, rest: text.slice(pos).trim() };
+}
+
+// A value written on the same line as its key or dash
+function parseInline(text, line) {
+  const { value, rest } = parseFlow(text, 0, line);
+  if (rest && !rest.startsWith('#'))
+    throw new Error(`YAML line ${line}: unexpected "${rest}"`);
+  return value;
+}
+
+const KEY =
+  /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\-?:][^#]*?|-[^\s][^#]*?)\s*:(?:\s+(.*)|\s*)$/;
+
+function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw, n) => ({
+    n: n + 1,
+    raw,
+    indent: raw.search(/\S/),
+    text: raw.trim(),
+  }));
+  let i = 0;
+  const fail = (l, msg) => {
+    throw new Error(`YAML line ${l.n}: ${msg}`);
+  };
+  const skipBlank = () => {
+    while (
+      i < lines.length &&
+      (lines[i].indent < 0 || lines[i].text.startsWith('#'))
+    )
+      i++;
+  };
+  const isSeq = (l) => l.text === '-' || l.text.startsWith('- ');
+
+  function blockScalar(style, parentIndent) {
+    const body = [];
+    while (
+      i < lines.length &&
+      (lines[i].indent < 0 || lines[i].indent > parentIndent)
+    )
+      body.push(lines[i++]);
+    while (body.length && body.at(-1).indent < 0) body.pop();
+    const indent = Math.min(
+      ...body.filter((l) => l.indent >= 0).map((l) => l.indent)
+    );
+    const texts = body.map((l) => (l.indent < 0 ? '' : l.raw.slice(indent)));
+    const joined = style.startsWith('|')
+      ? texts.join('\n')
+      : texts.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+    // "|-" and ">-" strip the final line break
+    return style.endsWith('-') ? joined : `${joined}\n`;
+  }
+
+  function node(parentIndent) {
+    skipBlank();
+    const l = lines[i];
+    if (!l || l.indent <= parentIndent) return null;
+    if (/^(&|\*|!|---|\.\.\.)/.test(l.text))
+      fail(l, 'anchors, tags and multiple documents are not supported');
+    if (isSeq(l)) return sequence(l.indent);
+    if (KEY.test(l.text)) return mapping(l.indent);
+    i++;
+    return parseInline(l.text, l.n);
+  }
+
+  function entryValue(rest, l, indent) {
+    if (rest === undefined || rest === '' || rest.startsWith('#')) {
+      skipBlank();
+      const next = lines[i];
+      // A sequence may sit at its key's own indentation
+      if (next && next.indent === indent && isSeq(next) && l.text !== '-')
+        return sequence(indent);
+      return node(indent);
+    }
+    if (/^[|>][-+]?$/.test(rest)) return blockScalar(rest, indent);
+    return parseInline(rest, l.n);
+  }
+
+  function sequence(indent) {
+    const result = [];
+    for (skipBlank(); i < lines.length; skipBlank()) {
+      const l = lines[i];
+      if (l.indent < indent || !isSeq(l)) break;
+      if (l.indent > indent) fail(l, 'bad indentation');
+      const rest = l.text.slice(1).trimStart();
+      if (rest && KEY.test(rest)) {
+        // "- key: value" opens a mapping indented to the key
+        const offset = l.raw.indexOf(rest, l.indent + 1);
+        lines[i] = { ...l, indent: offset, text: rest };
+        result.push(mapping(offset));
+      } else {
+        i++;
+        result.push(entryValue(rest, l, indent));
+      }
+    }
+    return result;
+  }
+
+  function mapping(indent) {
+    const result = {};
+    for (skipBlank(); i < lines.length; skipBlank()) {
+      const l = lines[i];
+      if (l.indent < indent) break;
+      if (l.indent > indent) fail(l, 'bad indentation');
+      if (isSeq(l)) break;
+      const m = l.text.match(KEY);
+      if (!m) fail(l, `expected "key: value", got "${l.text}"`);
+      const key = /^["']/.test(m[1]) ? parseInline(m[1], l.n) : m[1];
+      i++;
+      result[key] = entryValue(m[2], l, indent);
+    }
+    return result;
+  }
+
+  const value = node(-1);
+  skipBlank();
+  if (i < lines.length) fail(lines[i], 'bad indentation');
+  return value;
+}
+
+module.exports = { stringifyYaml, parseYaml };
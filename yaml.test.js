@@ -0,0 +1,99 @@
+/**
+ * JewelForge YAML — Test Suite
+ *
+ * Run with: node --test yaml.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stringifyYaml, parseYaml } = require('./yaml.js');
+
+describe('stringifyYaml', () => {
+  it('writes block collections with plain and quoted scalars', () => {
+    const yaml = stringifyYaml({
+      name: 'Luna Vex',
+      risk: 40,
+      styleTags: ['minimal', 'sculptural'],
+      bio: 'Line one\nline two',
+      note: 'true',
+      history: [{ cycle: 1, shifts: {} }],
+      memory: [],
+    });
+    assert.equal(
+      yaml,
+      [
+        'name: Luna Vex',
+        'risk: 40',
+        'styleTags:',
+        '  - minimal',
+        '  - sculptural',
+        'bio: "Line one\\nline two"',
+        'note: "true"',
+        'history:',
+        '  - cycle: 1',
+        '    shifts: {}',
+        'memory: []',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('round-trips through parseYaml', () => {
+    const value = {
+      version: 1,
+      agents: [
+        {
+          id: 'luna',
+          nested: [[1, 2], []],
+          text: ' padded: #odd "quotes" ',
+          n: null,
+          f: -2.5,
+          ok: false,
+          12: 'numeric key',
+        },
+      ],
+    };
+    assert.deepEqual(parseYaml(stringifyYaml(value)), value);
+  });
+});
+
+describe('parseYaml', () => {
+  it('reads hand-written documents', () => {
+    const doc = parseYaml(`# A veteran
+name: Luna   # trailing comment
+tags: [minimal, 'it''s', "q"]
+focus: {cat: Ring, price: 70}
+list:
+- plain
+- key: 1
+  other: two
+bio: |
+  First line
+  second line
+
+summary: >-
+  folded
+  text
+empty: ~
+`);
+    assert.deepEqual(doc, {
+      name: 'Luna',
+      tags: ['minimal', "it's", 'q'],
+      focus: { cat: 'Ring', price: 70 },
+      list: ['plain', { key: 1, other: 'two' }],
+      bio: 'First line\nsecond line\n',
+      summary: 'folded text',
+      empty: null,
+    });
+  });
+
+  it('names the line of unsupported or malformed input', () => {
+    assert.throws(
+      () => parseYaml('a: 1\n   b: 2'),
+      /YAML line 2: bad indentation/
+    );
+    assert.throws(() => parseYaml('a: &anchor 1'), /YAML line 1: anchors/);
+    assert.throws(() => parseYaml('a: [1, 2'), /YAML line 1: unclosed/);
+  });
+});